@@ -0,0 +1,185 @@
+/**
+ * Kinemon Games - Admin API
+ * JSON endpoints behind the admin dashboard (admin.html): live rooms, players waiting to
+ * reconnect, and actions to kick a player, end a game or destroy a room.
+ *
+ * Every request needs the ADMIN_TOKEN environment variable as "Authorization: Bearer <token>";
+ * without ADMIN_TOKEN the admin API is disabled.
+ *
+ *   GET  /api/admin/rooms                  - rooms and pending reconnections
+ *   POST /api/admin/rooms/:roomId/kick     - body { playerId }: remove the player (no reconnect)
+ *   POST /api/admin/rooms/:roomId/end      - end the current game (replay and game change stay available)
+ *   POST /api/admin/rooms/:roomId/destroy  - disconnect everybody and delete the room
+ */
+
+const crypto = require('crypto');
+const WebSocket = require('ws');
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+const MAX_BODY_BYTES = 10 * 1024;
+
+// Room state and actions, set by server.js on startup:
+// { rooms, disconnectedPlayers, reconnectGracePeriodMs, hasDisplayClient, getSpectators, kickPlayer, endGame, destroyRoom }
+let serverApi = null;
+
+function attachAdmin(api) {
+    serverApi = api;
+}
+
+// Constant-time comparison so the token cannot be guessed from response timing
+function isAuthorized(req) {
+    const header = req.headers.authorization || '';
+    const token = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+    const expected = Buffer.from(ADMIN_TOKEN);
+    return token.length === expected.length && crypto.timingSafeEqual(token, expected);
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req, callback) {
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk.toString();
+        if (body.length > MAX_BODY_BYTES) {
+            req.destroy();
+        }
+    });
+    req.on('end', () => {
+        try {
+            callback(null, body ? JSON.parse(body) : {});
+        } catch (error) {
+            callback(error);
+        }
+    });
+}
+
+function getConnectionState(player) {
+    if (player.isBot) return 'bot';
+    return player.ws && player.ws.readyState === WebSocket.OPEN ? 'connected' : 'disconnected';
+}
+
+function summarizeRoom(room, now) {
+    return {
+        id: room.id,
+        gameType: room.gameType,
+        createdAt: room.createdAt,
+        uptimeMs: now - room.createdAt,
+        gameStarted: room.gameStarted !== false,
+        gameOver: room.gameOver,
+        displayConnected: serverApi.hasDisplayClient(room.id),
+        spectators: serverApi.getSpectators(room.id).length,
+        recording: !!room.recording,
+        tick: {
+            lastMs: room.tickStats.lastMs,
+            avgMs: room.tickStats.avgMs,
+            maxMs: room.tickStats.maxMs
+        },
+        players: Array.from(room.players.values()).map(player => ({
+            id: player.id,
+            name: player.name,
+            color: player.color,
+            score: player.score,
+            team: player.team,
+            connection: getConnectionState(player)
+        }))
+    };
+}
+
+// Session tokens stay on the server; the dashboard only needs who is waiting and for how long
+function summarizeDisconnections(now, gracePeriodMs) {
+    return Array.from(serverApi.disconnectedPlayers.values()).map(entry => ({
+        roomId: entry.roomId,
+        playerId: entry.playerId,
+        name: entry.playerData.name,
+        disconnectedAt: entry.disconnectTime,
+        expiresInMs: Math.max(0, entry.disconnectTime + gracePeriodMs - now)
+    }));
+}
+
+// Handle /api/admin/* requests; returns false for any other URL
+function handleAdminRequest(req, res, requestUrl) {
+    if (!requestUrl.pathname.startsWith('/api/admin/')) return false;
+
+    if (!ADMIN_TOKEN) {
+        sendJson(res, 503, { success: false, error: 'Admin API disabled (set ADMIN_TOKEN)' });
+        return true;
+    }
+    if (!isAuthorized(req)) {
+        sendJson(res, 401, { success: false, error: 'Invalid admin token' });
+        return true;
+    }
+
+    const now = Date.now();
+
+    if (req.method === 'GET' && requestUrl.pathname === '/api/admin/rooms') {
+        sendJson(res, 200, {
+            success: true,
+            serverTime: now,
+            rooms: Array.from(serverApi.rooms.values()).map(room => summarizeRoom(room, now)),
+            disconnectedPlayers: summarizeDisconnections(now, serverApi.reconnectGracePeriodMs)
+        });
+        return true;
+    }
+
+    const match = requestUrl.pathname.match(/^\/api\/admin\/rooms\/([^/]+)\/(kick|end|destroy)$/);
+    if (req.method !== 'POST' || !match) {
+        sendJson(res, 404, { success: false, error: 'Unknown admin endpoint' });
+        return true;
+    }
+
+    let roomId;
+    try {
+        roomId = decodeURIComponent(match[1]);
+    } catch (error) {
+        sendJson(res, 400, { success: false, error: 'Malformed room id' });
+        return true;
+    }
+
+    const room = serverApi.rooms.get(roomId);
+    if (!room) {
+        sendJson(res, 404, { success: false, error: 'Room not found' });
+        return true;
+    }
+
+    const action = match[2];
+    if (action === 'end') {
+        if (!serverApi.endGame(room)) {
+            sendJson(res, 409, { success: false, error: 'Game is already over' });
+            return true;
+        }
+        console.log(`[ADMIN] Ended game in room ${room.id}`);
+        sendJson(res, 200, { success: true });
+        return true;
+    }
+
+    if (action === 'destroy') {
+        serverApi.destroyRoom(room);
+        console.log(`[ADMIN] Destroyed room ${room.id}`);
+        sendJson(res, 200, { success: true });
+        return true;
+    }
+
+    readJsonBody(req, (error, body) => {
+        if (error || typeof body.playerId !== 'string') {
+            sendJson(res, 400, { success: false, error: 'Body must be JSON { playerId }' });
+            return;
+        }
+        const player = room.players.get(body.playerId);
+        if (!player) {
+            sendJson(res, 404, { success: false, error: 'Player not found' });
+            return;
+        }
+        serverApi.kickPlayer(room, player);
+        console.log(`[ADMIN] Kicked ${player.name} from room ${room.id}`);
+        sendJson(res, 200, { success: true });
+    });
+    return true;
+}
+
+module.exports = {
+    attachAdmin,
+    handleAdminRequest
+};
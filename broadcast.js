@@ -0,0 +1,126 @@
+/**
+ * Kinemon Games - Room Broadcasting
+ * Sends messages to every WebSocket client attached to a room.
+ * Game modules use these helpers; headless rooms never attach a server, so all sends are no-ops.
+ *
+ * State updates go out as JSON, or as binary keyframes/deltas (stateCodec.js) to clients that
+ * joined with stateEncoding: 'binary'. Each room keeps its recent snapshots; a client gets a
+ * delta against the last snapshot it acknowledged (state_ack), or a keyframe when that
+ * snapshot is no longer kept.
+ */
+
+const WebSocket = require('ws');
+const { validateServerMessage, createError } = require('./protocol');
+const { debugLog } = require('./games/common');
+const { encodeState } = require('./stateCodec');
+
+const STATE_HISTORY_SIZE = 32; // ~1 second of snapshots at 30 FPS; slower clients get keyframes
+
+// WebSocket server and state serializer, set by server.js on startup
+let wss = null;
+let serializeGameState = null;
+
+// Snapshot ids are unique across rooms, so an ack from a previous room never matches a baseline
+let nextSnapshotId = 1;
+
+function attachServer(server, serializer) {
+    wss = server;
+    serializeGameState = serializer;
+}
+
+// Broadcast message to all clients in a room
+function broadcastToRoom(roomId, message) {
+    if (!wss) return;
+
+    // Catch protocol drift while developing (DEBUG=true)
+    const protocolErrors = validateServerMessage(message);
+    if (protocolErrors.length > 0) {
+        debugLog(`[PROTOCOL] Outgoing ${message.type} does not match its schema:`, protocolErrors);
+    }
+
+    const payload = JSON.stringify(message);
+    wss.clients.forEach(client => {
+        if (client.readyState === WebSocket.OPEN && client.roomId === roomId) {
+            client.send(payload);
+        }
+    });
+}
+
+// Broadcast visual effect to all clients in a room
+function broadcastEffect(roomId, effectType, data) {
+    broadcastToRoom(roomId, {
+        type: 'effect',
+        effectType: effectType,
+        data: data
+    });
+}
+
+// Keep a copy of the state as a future delta baseline
+function storeSnapshot(room, state) {
+    const snapshot = { id: nextSnapshotId++, state: state };
+    room.stateSnapshots.set(snapshot.id, state);
+    if (room.stateSnapshots.size > STATE_HISTORY_SIZE) {
+        room.stateSnapshots.delete(room.stateSnapshots.keys().next().value);
+    }
+    return snapshot;
+}
+
+// Broadcast game state update to all clients in a room
+function broadcastGameState(room) {
+    if (!wss) return;
+
+    const gameState = serializeGameState(room);
+    let jsonPayload = null;
+    let snapshot = null;
+    const binaryPayloads = new Map(); // baseline id -> message (clients usually ack the same snapshot)
+
+    wss.clients.forEach(client => {
+        if (client.readyState !== WebSocket.OPEN || client.roomId !== room.id) return;
+
+        if (!client.binaryState) {
+            if (!jsonPayload) {
+                jsonPayload = JSON.stringify({ type: 'update', gameState: gameState });
+            }
+            client.send(jsonPayload);
+            return;
+        }
+
+        if (!snapshot) {
+            // JSON round trip: detach from live room objects and match what JSON clients see
+            snapshot = storeSnapshot(room, JSON.parse(JSON.stringify(gameState)));
+        }
+
+        const baseline = room.stateSnapshots.get(client.stateAck);
+        const baselineId = baseline ? client.stateAck : 0;
+        if (!binaryPayloads.has(baselineId)) {
+            binaryPayloads.set(baselineId, encodeState(snapshot.state, snapshot.id, baseline || null, baselineId));
+        }
+        client.send(binaryPayloads.get(baselineId));
+    });
+}
+
+// Send the room's game state to a single client under the given message type
+function sendGameState(ws, type, room) {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+
+    ws.send(JSON.stringify({
+        type: type,
+        gameState: serializeGameState(room)
+    }));
+}
+
+// Send a structured error reply to a single client
+function sendError(ws, code, message, extra = {}) {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+
+    ws.send(JSON.stringify(createError(code, message, extra)));
+}
+
+module.exports = {
+    attachServer,
+    broadcastToRoom,
+    broadcastEffect,
+    broadcastGameState,
+    sendGameState,
+    sendError
+};
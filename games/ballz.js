@@ -0,0 +1,858 @@
+/**
+ * Kinemon Games - Ballz
+ * Physics arcade for 1-4 players: aim by tilt, hold steady to charge, break descending blocks
+ *
+ * Modes (settings.mode):
+ *   versus - every player has an own field with the same block rows; the last one standing wins
+ *   coop   - players share one field and take turns aiming
+ *
+ * The server simulates every turn (launch, flight, collisions, turn advance); the display only
+ * renders the state, so scores and ball counts cannot be reported by a client.
+ * A field is the player object itself in versus and room.coopField in co-op.
+ */
+
+const { applyTilt, createSeededRNG } = require('./common');
+
+const BALL_RADIUS = 0.02; // Relative to field width (matches the 10px balls drawn on the display)
+const MAX_FLIGHT_MS = 60000; // Balls still flying after this are recalled so a turn always ends
+const MAX_PLAYERS = 4;
+const BALLZ_MODES = ['versus', 'coop'];
+
+// Initialize Ballz room state (versus or co-op physics arcade)
+// Adaptive canvas sizing - actual dimensions set client-side
+// All measurements are relative to canvas size
+function createBallzGame(room, settings) {
+    // Gameplay settings
+    room.cols = settings.cols || 7; // Grid columns (7 default)
+    room.aspectRatio = settings.aspectRatio || 0.75; // Width/Height = 3:4
+    // CRITICAL: Calculate rows to make square blocks!
+    // For square blocks: blockWidth_rel / blockHeight_rel = aspectRatio
+    // (1/cols) / (1/rows) = aspectRatio  =>  rows = cols / aspectRatio
+    room.rows = settings.rows || Math.round(room.cols / room.aspectRatio); // Auto-calculate for square blocks
+
+    // HP progression
+    room.hpIncreaseEveryN = settings.hpIncreaseEveryN || 5; // HP+1 every N turns
+    room.maxBlockHP = settings.maxBlockHP || 50;
+    room.lowerHPChance = settings.lowerHPChance || 30; // % chance for lower HP
+
+    // Ball physics (divided by 3 for smooth movement)
+    room.ballSpeed = (settings.ballSpeed || 2) / 3; // 0.67=slow, 1.33=medium, 2=very fast (default: 0.67)
+    room.ballLaunchDelay = settings.ballLaunchDelay || 150; // ms between balls (default: 0.15s)
+    room.bonusBallSpawnRate = settings.bonusBallSpawnRate || 15; // % chance per turn
+
+    // Controls
+    room.chargeTime = settings.chargeTime || 2000; // ms to full charge
+    room.deadZoneSize = settings.deadZoneSize !== undefined ? settings.deadZoneSize : 0.05; // 5% default
+    room.aimSensitivity = settings.aimSensitivity !== undefined ? settings.aimSensitivity : 0.005; // 0.5% default
+
+    // Multiplayer: 1-4 players, own fields (versus) or one shared field (co-op)
+    room.ballzMode = BALLZ_MODES.includes(settings.mode) ? settings.mode : 'versus';
+    room.maxPlayers = MAX_PLAYERS;
+
+    ballzStartRound(room);
+}
+
+function canJoinBallz(room) {
+    if (room.players.size >= room.maxPlayers) {
+        return `Комната заполнена (Ballz: до ${MAX_PLAYERS} игроков)`;
+    }
+    return null;
+}
+
+function addBallzPlayer(room, player) {
+    player.score = 0;
+    player.alive = true;
+    player.awayFromTurn = false;
+
+    if (room.ballzMode === 'coop') {
+        // First player in the room aims first
+        if (!room.coopField.activePlayerId) {
+            room.coopField.activePlayerId = player.id;
+        }
+    } else {
+        resetBallzField(room, player);
+    }
+    console.log(`Player ${player.name} joined Ballz game (${room.ballzMode})`);
+}
+
+// New round: new block rows for everybody
+function ballzStartRound(room) {
+    // Seed of this round's block rows - versus fields draw row N from the same generator
+    room.fieldSeed = Math.floor(room.random() * 4294967296);
+
+    if (room.ballzMode === 'coop') {
+        const activePlayerId = room.coopField ? room.coopField.activePlayerId : null;
+        room.coopField = { id: 'coop', activePlayerId: activePlayerId, shooterId: null };
+        resetBallzField(room, room.coopField);
+    }
+}
+
+// Fresh field and turn state (a versus player or the co-op field)
+function resetBallzField(room, field) {
+    field.score = 0;
+    field.ballCount = 1;
+    field.ballsThisTurn = 1; // Track balls for THIS turn (before bonuses)
+    field.turnNumber = 0;
+    field.alive = true;
+    field.gameOver = false;
+
+    // State machine: aiming → charging → launching → balls_in_flight → turn_complete
+    field.turnState = 'aiming';
+
+    // Aiming & charging
+    field.aimAngle = Math.PI / 2; // 90° up
+    field.lastTilt = null;
+    field.chargeStartTime = null;
+    field.chargeProgress = 0;
+    field.isInDeadZone = false;
+
+    // Launch position (relative 0-1, null = center)
+    field.launchX = null;
+
+    // Flying balls
+    field.balls = [];
+
+    // Field (relative coordinates 0-1)
+    field.blocks = []; // [{gridX, gridY, hp, maxHp}]
+    field.bonusBalls = []; // [{gridX, gridY}]
+
+    // Spawn initial blocks
+    ballzSpawnBlocks(field, room, ballzRowRandom(room, 0));
+}
+
+// Same generator for the same row on every field, no matter how far each player got
+function ballzRowRandom(room, rowIndex) {
+    return createSeededRNG((room.fieldSeed + rowIndex * 2654435761) % 4294967296);
+}
+
+// Fields being played: every player's own field, or the shared co-op field
+function ballzGetFields(room) {
+    if (room.ballzMode === 'coop') {
+        return [room.coopField];
+    }
+    return Array.from(room.players.values());
+}
+
+// Versus: the field stays paused while disconnected (reconnect grace period)
+// Co-op: the turn passes on so the others are not stuck waiting
+function removeBallzPlayer(room, player) {
+    player.awayFromTurn = true;
+    if (room.ballzMode !== 'coop') return;
+
+    const field = room.coopField;
+    if (field.activePlayerId === player.id && (field.turnState === 'aiming' || field.turnState === 'charging')) {
+        ballzPassCoopTurn(room);
+    }
+}
+
+// Aiming always follows tilt
+function handleBallzInput(room, player, tilt) {
+    applyTilt(player, tilt);
+    player.awayFromTurn = false; // Inputs resume after a reconnect
+}
+
+// Relative coordinates; fields are the players in versus and one shared field in co-op
+function serializeBallzState(room) {
+    return {
+        cols: room.cols,
+        rows: room.rows,
+        aspectRatio: room.aspectRatio,
+        ballSpeed: room.ballSpeed, // For trajectory calculation
+        maxBlockHP: room.maxBlockHP, // For color gradient calculation
+        mode: room.ballzMode,
+        players: Array.from(room.players.values()).map(p => ({
+            id: p.id,
+            name: p.name,
+            color: p.color,
+            score: p.score,
+            alive: p.alive
+        })),
+        fields: ballzGetFields(room).map(field => serializeBallzField(room, field)),
+        gameOver: room.gameOver,
+        winner: room.winner
+    };
+}
+
+function serializeBallzField(room, field) {
+    // The co-op field is drawn in the color of the player whose turn it is
+    const owner = field.activePlayerId !== undefined ? room.players.get(field.activePlayerId) : field;
+
+    return {
+        id: field.id,
+        name: owner ? owner.name : '',
+        color: owner ? owner.color : null,
+        activePlayerId: field.activePlayerId || null,
+        score: field.score,
+        ballCount: field.ballCount,
+        alive: field.alive,
+        turnState: field.turnState,
+        aimAngle: field.aimAngle,
+        chargeProgress: field.chargeProgress,
+        isInDeadZone: field.isInDeadZone,
+        launchX: field.launchX,
+        balls: field.balls.map(b => ({ x: b.x, y: b.y, active: b.active })), // Relative coordinates, stable order for trails
+        blocks: field.blocks, // Already array with gridX, gridY
+        bonusBalls: field.bonusBalls,
+        turnNumber: field.turnNumber,
+        gameOver: field.gameOver
+    };
+}
+
+// Reset Ballz game state - every field starts over with new block rows
+function resetBallzGame(room) {
+    ballzStartRound(room);
+
+    room.players.forEach(player => {
+        player.alive = true;
+        if (room.ballzMode !== 'coop') {
+            resetBallzField(room, player);
+        }
+    });
+}
+
+// Co-op: everybody shares the field's score; versus: own score, win when last one standing
+// (a player alone has nobody to beat, so a solo round is never a win)
+function getBallzMatchResult(room, player) {
+    if (room.ballzMode === 'coop') {
+        return { score: room.coopField.score, won: false };
+    }
+    return {
+        score: player.score,
+        won: room.players.size > 1 && !!room.winner && room.winner.id === player.id
+    };
+}
+
+// No game-specific messages: turn results come from the server simulation, never from clients
+function handleBallzMessage() {
+    return false;
+}
+
+// Balls are simulated on the server: send every tick while they fly so the display moves them smoothly
+function skipBallzBroadcastThrottle(room) {
+    return ballzGetFields(room).some(field => field.turnState === 'launching' || field.turnState === 'balls_in_flight');
+}
+
+/**
+ * Ballz: Spawn initial blocks with relative coordinates
+ * Blocks use grid positions (0 to cols-1, 0 to rows-1)
+ */
+function ballzSpawnBlocks(player, room, random) {
+    const count = 1 + Math.floor(random() * 5); // 1-5 blocks
+    const availableCols = [];
+
+    // Find empty columns in row 0
+    for (let x = 0; x < room.cols; x++) {
+        const hasBlock = player.blocks.some(b => b.gridX === x && b.gridY === 0);
+        if (!hasBlock) {
+            availableCols.push(x);
+        }
+    }
+
+    // Leave at least 2 empty columns
+    const maxSpawn = Math.max(0, availableCols.length - 2);
+    if (maxSpawn === 0) return;
+
+    // Shuffle and pick random columns (Fisher-Yates shuffle)
+    for (let i = availableCols.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [availableCols[i], availableCols[j]] = [availableCols[j], availableCols[i]];
+    }
+    const spawnCount = Math.min(count, maxSpawn);
+
+    for (let i = 0; i < spawnCount; i++) {
+        const gridX = availableCols[i];
+        const hp = ballzCalculateBlockHP(player.turnNumber, room, random);
+
+        player.blocks.push({
+            gridX: gridX,
+            gridY: 0,
+            hp: hp,
+            maxHp: hp
+        });
+    }
+}
+
+/**
+ * Calculate block HP based on turn number and settings
+ */
+function ballzCalculateBlockHP(turnNumber, room, random) {
+    const baseHP = 1 + Math.floor(turnNumber / room.hpIncreaseEveryN);
+    const cappedHP = Math.min(baseHP, room.maxBlockHP);
+
+    // Chance for lower HP
+    if (random() * 100 < room.lowerHPChance && cappedHP > 1) {
+        return Math.max(1, cappedHP - Math.floor(random() * 3 + 1));
+    }
+
+    return cappedHP;
+}
+
+/**
+ * Main update function for Ballz game
+ */
+function ballzUpdate(room) {
+    if (room.gameOver) return;
+
+    if (room.ballzMode === 'coop') {
+        ballzUpdateCoop(room);
+        return;
+    }
+
+    for (const player of room.players.values()) {
+        if (!player.alive || player.gameOver || player.awayFromTurn) continue;
+
+        ballzUpdatePlayer(room, player);
+    }
+    ballzCheckVersusOver(room);
+}
+
+/**
+ * Co-op: the player whose turn it is aims the shared field
+ */
+function ballzUpdateCoop(room) {
+    const field = room.coopField;
+    if (field.gameOver) return;
+
+    const shooter = room.players.get(field.activePlayerId);
+    if (field.turnState === 'aiming' || field.turnState === 'charging') {
+        if (!shooter || shooter.awayFromTurn) {
+            ballzPassCoopTurn(room);
+            return;
+        }
+        field.tilt = shooter.tilt;
+        field.shooterId = shooter.id;
+    }
+
+    const turnNumber = field.turnNumber;
+    ballzUpdatePlayer(room, field);
+
+    if (field.gameOver) {
+        room.players.forEach(player => {
+            player.alive = false;
+        });
+        room.gameOver = true;
+        room.winner = {
+            id: null,
+            name: 'Команда',
+            score: field.score,
+            turnNumber: field.turnNumber
+        };
+    } else if (field.turnNumber !== turnNumber) {
+        ballzPassCoopTurn(room);
+    }
+}
+
+// Next connected player in join order aims (stays with the current one when nobody else is here)
+function ballzPassCoopTurn(room) {
+    const field = room.coopField;
+    const players = Array.from(room.players.values());
+    const current = players.findIndex(p => p.id === field.activePlayerId);
+
+    let next = null;
+    for (let i = 1; i <= players.length; i++) {
+        const candidate = players[(current + i) % players.length];
+        if (!candidate.awayFromTurn) {
+            next = candidate;
+            break;
+        }
+    }
+    if (!next || next.id === field.activePlayerId) {
+        field.activePlayerId = next ? next.id : field.activePlayerId;
+        return;
+    }
+
+    field.activePlayerId = next.id;
+    field.turnState = 'aiming';
+    field.chargeStartTime = null;
+    field.chargeProgress = 0;
+    field.lastTilt = null;
+}
+
+/**
+ * Versus: the round ends when one player is left standing (or the only player is out)
+ */
+function ballzCheckVersusOver(room) {
+    const players = Array.from(room.players.values());
+    if (players.length === 0) return;
+
+    const standing = players.filter(p => p.alive);
+    if (standing.length > 1 || (standing.length === 1 && players.length === 1)) return;
+
+    // Nobody left: the player who lasted the most turns wins
+    const winner = standing[0] || players.reduce((best, p) =>
+        (p.turnNumber > best.turnNumber || (p.turnNumber === best.turnNumber && p.score > best.score)) ? p : best);
+
+    room.gameOver = true;
+    room.winner = {
+        id: winner.id,
+        name: winner.name,
+        score: winner.score,
+        turnNumber: winner.turnNumber
+    };
+    console.log(`[BALLZ] ${winner.name} wins the versus round`);
+}
+
+/**
+ * Update one field's state machine (a versus player or the co-op field)
+ * aiming → charging → launching → balls_in_flight → turn_complete → aiming (next turn)
+ */
+function ballzUpdatePlayer(room, player) {
+    switch (player.turnState) {
+        case 'aiming':
+            ballzUpdateAiming(room, player);
+            break;
+        case 'charging':
+            ballzUpdateCharging(room, player);
+            break;
+        case 'launching':
+            ballzUpdateLaunching(room, player);
+            // Balls launched earlier keep flying while the rest wait their turn
+            ballzUpdatePhysics(room, player);
+            ballzCheckCollisions(room, player);
+            break;
+        case 'balls_in_flight':
+            ballzUpdatePhysics(room, player);
+            ballzCheckCollisions(room, player);
+            ballzCheckTurnComplete(room, player);
+            break;
+        case 'turn_complete':
+            ballzAdvanceTurn(room, player);
+            break;
+    }
+}
+
+/**
+ * AIMING state: Free aiming, silent charging in background
+ * CRITICAL FIX: Aiming is ALWAYS free, charging happens silently
+ */
+function ballzUpdateAiming(room, player) {
+    // Full 180° range (10° to 170°)
+    const minAngle = 10 * Math.PI / 180;
+    const maxAngle = 170 * Math.PI / 180;
+    player.aimAngle = minAngle + player.tilt * (maxAngle - minAngle);
+
+    // Dead zone check - edges where shooting is not allowed
+    const deadZone = room.deadZoneSize || 0.03; // Default 3%
+    player.isInDeadZone = (player.tilt < deadZone || player.tilt > (1 - deadZone));
+
+    // Check if aim is steady (using very small threshold)
+    if (player.lastTilt === null) {
+        player.lastTilt = player.tilt;
+        return;
+    }
+
+    const tiltDelta = Math.abs(player.tilt - player.lastTilt);
+
+    // Don't start charging if in dead zone
+    if (tiltDelta < room.aimSensitivity && !player.isInDeadZone) {
+        // Aim is steady and not in dead zone - start charging
+        if (!player.chargeStartTime) {
+            player.chargeStartTime = room.clock.now();
+            player.turnState = 'charging';
+        }
+    } else {
+        // Moved or in dead zone - reset charge
+        player.chargeStartTime = null;
+    }
+
+    player.lastTilt = player.tilt;
+}
+
+/**
+ * CHARGING state: Track charge progress
+ * Dead zone check - reset if player moves into dead zone
+ */
+function ballzUpdateCharging(room, player) {
+    const elapsed = room.clock.now() - player.chargeStartTime;
+    player.chargeProgress = Math.min(1, elapsed / room.chargeTime);
+
+    // Dead zone check - if player is in dead zone, reset charge
+    const deadZone = room.deadZoneSize || 0.03;
+    player.isInDeadZone = (player.tilt < deadZone || player.tilt > (1 - deadZone));
+
+    // If in dead zone, reset charge and go back to aiming
+    if (player.isInDeadZone) {
+        player.turnState = 'aiming';
+        player.chargeStartTime = null;
+        player.chargeProgress = 0;
+        player.lastTilt = player.tilt;
+        return;
+    }
+
+    // Check for movement (with threshold to ignore micro-vibrations)
+    const tiltDelta = Math.abs(player.tilt - player.lastTilt);
+    if (tiltDelta >= room.aimSensitivity) {
+        // Moved too much - reset
+        player.turnState = 'aiming';
+        player.chargeStartTime = null;
+        player.chargeProgress = 0;
+        player.lastTilt = player.tilt;
+        return;
+    }
+
+    // Full charge - switch to launching
+    if (player.chargeProgress >= 1) {
+        player.turnState = 'launching';
+        player.launchStartTime = room.clock.now();
+        // Save ball count at turn start (before bonuses are collected)
+        player.ballsThisTurn = player.ballCount;
+        // Balls are created by ballzUpdateLaunching
+        player.balls = [];
+        player.ballsCreated = false;
+        player.firstBallReturned = false;
+    }
+
+    player.lastTilt = player.tilt;
+}
+
+/**
+ * LAUNCHING state: Spawn balls sequentially with delay
+ */
+function ballzUpdateLaunching(room, player) {
+    const now = room.clock.now();
+
+    // Create all balls upfront but mark them as "waiting"
+    if (!player.ballsCreated) {
+        const launchX = player.launchX !== null ? player.launchX : 0.5;
+        const speed = room.ballSpeed / 100;
+
+        for (let i = 0; i < player.ballsThisTurn; i++) {
+            player.balls.push({
+                x: launchX,
+                y: 0.95, // CRITICAL: Launch from visible line (95%), not bottom (1.0)!
+                vx: Math.cos(player.aimAngle) * speed,
+                vy: -Math.sin(player.aimAngle) * speed,
+                active: false, // Not active yet!
+                launchTime: player.launchStartTime + i * room.ballLaunchDelay, // Staggered launch
+                isFirst: i === 0
+            });
+        }
+        player.ballsCreated = true;
+    }
+
+    // Activate balls when their time comes
+    for (const ball of player.balls) {
+        if (!ball.active && now >= ball.launchTime) {
+            ball.active = true;
+        }
+    }
+
+    // Check if all balls are launched
+    const allLaunched = player.balls.every(b => b.active);
+    if (allLaunched) {
+        player.turnState = 'balls_in_flight';
+        player.firstBallReturned = false;
+    }
+}
+
+/**
+ * Update ball physics with relative coordinates
+ */
+function ballzUpdatePhysics(room, player) {
+    const ballRadius = BALL_RADIUS;
+
+    for (const ball of player.balls) {
+        if (!ball.active) continue;
+
+        ball.x += ball.vx;
+        ball.y += ball.vy;
+
+        // Wall bounces (left/right)
+        if (ball.x <= ballRadius || ball.x >= 1 - ballRadius) {
+            ball.vx = -ball.vx;
+            ball.x = Math.max(ballRadius, Math.min(1 - ballRadius, ball.x));
+        }
+
+        // Top bounce
+        if (ball.y <= ballRadius) {
+            ball.vy = -ball.vy;
+            ball.y = ballRadius;
+        }
+
+        // Bottom return (ball reaches launch line at 95%)
+        if (ball.y >= 0.95) {
+            ball.active = false;
+            ball.y = 0.95; // Stop exactly on launch line
+
+            // First ball sets new launch position
+            if (ball.isFirst && !player.firstBallReturned) {
+                player.launchX = ball.x;
+                player.firstBallReturned = true;
+            }
+        }
+    }
+}
+
+/**
+ * Check collisions between balls and blocks/bonuses
+ */
+function ballzCheckCollisions(room, player) {
+    const ballRadius = BALL_RADIUS;
+    const blockWidth = 1.0 / room.cols;
+    const blockHeight = 1.0 / room.rows;
+
+    for (const ball of player.balls) {
+        if (!ball.active) continue;
+
+        // Block collisions
+        for (let i = player.blocks.length - 1; i >= 0; i--) {
+            const block = player.blocks[i];
+            const blockCenterX = (block.gridX + 0.5) * blockWidth;
+            const blockCenterY = (block.gridY + 0.5) * blockHeight;
+
+            if (ballzCheckBallBlockCollision(ball, blockCenterX, blockCenterY, blockWidth, blockHeight, ballRadius)) {
+                // Hit and destroy effects are drawn by the display from the block changes
+                block.hp--;
+
+                if (block.hp <= 0) {
+                    player.blocks.splice(i, 1);
+                    player.score++;
+
+                    // Co-op: the player who shot also gets the block on their own score
+                    const shooter = player.shooterId && room.players.get(player.shooterId);
+                    if (shooter) {
+                        shooter.score++;
+                    }
+                }
+
+                ballzReflectBall(ball, blockCenterX, blockCenterY, blockWidth, blockHeight);
+                break;
+            }
+        }
+
+        // Bonus ball pickups
+        for (let i = player.bonusBalls.length - 1; i >= 0; i--) {
+            const bonus = player.bonusBalls[i];
+            const bonusCenterX = (bonus.gridX + 0.5) * blockWidth;
+            const bonusCenterY = (bonus.gridY + 0.5) * blockHeight;
+
+            const dist = Math.hypot(ball.x - bonusCenterX, ball.y - bonusCenterY);
+            if (dist < ballRadius + 0.02) {
+                player.bonusBalls.splice(i, 1);
+                player.ballCount++;
+                break;
+            }
+        }
+    }
+}
+
+/**
+ * AABB collision detection (relative coordinates)
+ */
+function ballzCheckBallBlockCollision(ball, blockCenterX, blockCenterY, blockWidth, blockHeight, ballRadius) {
+    const halfWidth = blockWidth / 2;
+    const halfHeight = blockHeight / 2;
+
+    const closestX = Math.max(blockCenterX - halfWidth, Math.min(ball.x, blockCenterX + halfWidth));
+    const closestY = Math.max(blockCenterY - halfHeight, Math.min(ball.y, blockCenterY + halfHeight));
+
+    const distX = ball.x - closestX;
+    const distY = ball.y - closestY;
+    const distSquared = distX * distX + distY * distY;
+
+    return distSquared < (ballRadius * ballRadius);
+}
+
+/**
+ * Reflect ball off block (simplified physics)
+ */
+function ballzReflectBall(ball, blockCenterX, blockCenterY, blockWidth, blockHeight) {
+    const dx = ball.x - blockCenterX;
+    const dy = ball.y - blockCenterY;
+    const halfWidth = blockWidth / 2;
+    const halfHeight = blockHeight / 2;
+
+    const overlapX = halfWidth - Math.abs(dx);
+    const overlapY = halfHeight - Math.abs(dy);
+
+    if (overlapX < overlapY) {
+        ball.vx = -ball.vx;
+    } else {
+        ball.vy = -ball.vy;
+    }
+}
+
+/**
+ * Check if turn is complete (all balls returned)
+ */
+function ballzCheckTurnComplete(room, player) {
+    // A ball stuck bouncing between blocks must not stall the game
+    if (room.clock.now() - player.launchStartTime > MAX_FLIGHT_MS) {
+        for (const ball of player.balls) {
+            if (ball.active) {
+                ball.active = false;
+                ball.y = 0.95;
+            }
+        }
+    }
+
+    const allInactive = player.balls.every(b => !b.active);
+    if (allInactive && player.balls.length === player.ballsThisTurn) {
+        player.turnState = 'turn_complete';
+        console.log(`[BALLZ] Turn ${player.turnNumber} complete: score=${player.score}, balls=${player.ballCount}, blocks=${player.blocks.length}`);
+    }
+}
+
+/**
+ * Advance to next turn: descend blocks, spawn new, check game over
+ */
+function ballzAdvanceTurn(room, player) {
+    // Descend blocks
+    for (const block of player.blocks) {
+        block.gridY++;
+    }
+
+    // Descend bonuses
+    for (const bonus of player.bonusBalls) {
+        bonus.gridY++;
+    }
+
+    // Check game over (block reached bottom row) - the round result is decided by ballzUpdate
+    const bottomRow = room.rows - 1;
+    if (player.blocks.some(block => block.gridY >= bottomRow)) {
+        player.gameOver = true;
+        player.alive = false;
+        console.log(`[BALLZ] Field ${player.id} is over after ${player.turnNumber} turns (score ${player.score})`);
+        return;
+    }
+
+    // Spawn new blocks (same row on every field for this turn)
+    const random = ballzRowRandom(room, player.turnNumber + 1);
+    ballzSpawnBlocks(player, room, random);
+
+    // Maybe spawn bonus ball
+    if (random() * 100 < room.bonusBallSpawnRate) {
+        ballzSpawnBonusBall(player, room, random);
+    }
+
+    // Reset for next turn
+    player.turnNumber++;
+    player.balls = [];
+    player.ballsCreated = false; // CRITICAL: Reset for next launch
+    player.chargeStartTime = null;
+    player.chargeProgress = 0;
+    player.lastTilt = null;
+    player.turnState = 'aiming';
+}
+
+/**
+ * Spawn bonus ball in random empty cell
+ */
+function ballzSpawnBonusBall(player, room, random) {
+    const emptyCells = [];
+
+    for (let y = 1; y < room.rows - 2; y++) {
+        for (let x = 0; x < room.cols; x++) {
+            const hasBlock = player.blocks.some(b => b.gridX === x && b.gridY === y);
+            const hasBonus = player.bonusBalls.some(b => b.gridX === x && b.gridY === y);
+            if (!hasBlock && !hasBonus) {
+                emptyCells.push({ x, y });
+            }
+        }
+    }
+
+    if (emptyCells.length > 0) {
+        const cell = emptyCells[Math.floor(random() * emptyCells.length)];
+        player.bonusBalls.push({
+            gridX: cell.x,
+            gridY: cell.y
+        });
+    }
+}
+
+/**
+ * Simulate full trajectory with bounces for display
+ * Returns array of line segments: [{x1, y1, x2, y2}, ...]
+ */
+function ballzSimulateTrajectory(launchX, angle, cols, rows, maxSegments = 5, ballSpeed = 1) {
+    const segments = [];
+    const ballRadius = 0.01;
+    const blockWidth = 1.0 / cols;
+    const blockHeight = 1.0 / rows;
+
+    let x = launchX;
+    let y = 0.95; // CRITICAL: Match actual ball launch position!
+    const speed = ballSpeed / 100; // CRITICAL: Match actual ball speed!
+    let vx = Math.cos(angle) * speed;
+    let vy = -Math.sin(angle) * speed;
+
+    let segmentCount = 0;
+    let segmentStartX = x;
+    let segmentStartY = y;
+    const maxSteps = 1000; // Prevent infinite loops
+
+    for (let step = 0; step < maxSteps && segmentCount < maxSegments; step++) {
+        x += vx;
+        y += vy;
+
+        let bounced = false;
+
+        // Wall bounces
+        if (x <= ballRadius || x >= 1 - ballRadius) {
+            vx = -vx;
+            x = Math.max(ballRadius, Math.min(1 - ballRadius, x));
+            bounced = true;
+        }
+
+        // Top bounce
+        if (y <= ballRadius) {
+            vy = -vy;
+            y = ballRadius;
+            bounced = true;
+        }
+
+        // Bottom return
+        if (y >= 1.0) {
+            segments.push({
+                x1: segmentStartX,
+                y1: segmentStartY,
+                x2: x,
+                y2: 1.0
+            });
+            break;
+        }
+
+        // If bounced, save segment and start new one
+        if (bounced) {
+            segments.push({
+                x1: segmentStartX,
+                y1: segmentStartY,
+                x2: x,
+                y2: y
+            });
+            segmentStartX = x;
+            segmentStartY = y;
+            segmentCount++;
+        }
+    }
+
+    // Add final segment if not bounced
+    if (segmentCount < maxSegments && y < 1.0) {
+        const finalLength = 0.15; // 15% of field
+        const endX = x + vx * finalLength / Math.abs(vy);
+        const endY = y + vy * finalLength / Math.abs(vy);
+
+        segments.push({
+            x1: segmentStartX,
+            y1: segmentStartY,
+            x2: endX,
+            y2: Math.max(0, endY)
+        });
+    }
+
+    return segments;
+}
+
+module.exports = {
+    create: createBallzGame,
+    canJoin: canJoinBallz,
+    addPlayer: addBallzPlayer,
+    removePlayer: removeBallzPlayer,
+    handleInput: handleBallzInput,
+    tick: ballzUpdate,
+    serialize: serializeBallzState,
+    reset: resetBallzGame,
+    handleMessage: handleBallzMessage,
+    skipBroadcastThrottle: skipBallzBroadcastThrottle,
+    getMatchResult: getBallzMatchResult
+};
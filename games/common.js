@@ -0,0 +1,56 @@
+/**
+ * Kinemon Games - Shared helpers for game modules
+ */
+
+// Debug logging flag - set DEBUG=true environment variable to enable verbose logs
+const DEBUG = process.env.DEBUG === 'true' || false;
+const debugLog = (...args) => DEBUG && console.log(...args);
+
+// Seeded Random Number Generator (deterministic spawns, so recorded matches replay exactly)
+function createSeededRNG(seed) {
+    let state = seed;
+    return function() {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+}
+
+// Random 32-bit seed for a new room
+function createSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+// Store raw tilt and exponentially smoothed tilt on the player
+function applyTilt(player, tilt) {
+    // Store raw tilt
+    player.tilt = tilt;
+
+    // Apply exponential smoothing to prevent jerky turning (Snake issue fix)
+    // Smoothing factor: 0.3 = smooth, 0.7 = responsive (30% new, 70% old)
+    const smoothingFactor = 0.3;
+    if (player.smoothedTilt === undefined) {
+        player.smoothedTilt = tilt; // First frame - no smoothing
+    } else {
+        player.smoothedTilt = smoothingFactor * tilt + (1 - smoothingFactor) * player.smoothedTilt;
+    }
+}
+
+// Team colors shared by the team games (Pushers, team Snake)
+function getTeamColor(team) {
+    const colors = {
+        Blue: '#2196F3',
+        Red: '#F44336',
+        Yellow: '#FFEB3B',
+        Green: '#4CAF50',
+        White: '#FFFFFF'
+    };
+    return colors[team] || '#FFFFFF';
+}
+
+module.exports = {
+    debugLog,
+    createSeededRNG,
+    createSeed,
+    applyTilt,
+    getTeamColor
+};
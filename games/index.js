@@ -0,0 +1,45 @@
+/**
+ * Kinemon Games - Game Registry
+ * Every game is a module registered by its gameType and implements the plugin contract:
+ *
+ *   create(room, settings)                - initialize game-specific room state (may override room.canvas)
+ *   addPlayer(room, player, data)         - initialize game-specific player fields (data = join payload)
+ *   removePlayer(room, player)            - player disconnected (kept in room.players for the reconnect grace period)
+ *   handleInput(room, player, tilt)       - apply a tilt input
+ *   tick(room)                            - advance the game one frame (60 FPS)
+ *   serialize(room)                       - game-specific part of the state sent to clients
+ *   reset(room, preserveRoles)            - reset for replay (scores, winner and gameOver are reset by the server)
+ *   handleMessage(room, ws, player, data) - game-specific client messages; returns true when handled
+ *
+ * Optional hooks:
+ *   canJoin(room)                         - error message when the room cannot take another player
+ *   playerJoined(room, player)            - called after the player was added to room.players
+ *   skipBroadcastThrottle(room)           - true to broadcast this tick without the 30 FPS throttle
+ *   getMatchResult(room, player)          - { score, won } for profiles when a match ends
+ *                                           (default: player.score, won when room.winner.id is the player)
+ */
+
+const DEFAULT_GAME_TYPE = 'snake';
+
+// gameType -> game module
+const games = new Map();
+
+function registerGame(gameType, game) {
+    games.set(gameType, game);
+}
+
+// Unknown game types fall back to Snake (legacy clients omit gameType)
+function getGame(gameType) {
+    return games.get(gameType) || games.get(DEFAULT_GAME_TYPE);
+}
+
+registerGame('snake', require('./snake'));
+registerGame('pong', require('./pong'));
+registerGame('pushers', require('./pushers'));
+registerGame('ship', require('./ship'));
+registerGame('ballz', require('./ballz'));
+
+module.exports = {
+    registerGame,
+    getGame
+};
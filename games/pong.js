@@ -0,0 +1,832 @@
+/**
+ * Kinemon Games - Pong
+ * Classic 1v1 paddles, or 2v2 doubles (settings.doubles):
+ *   lanes  - each side has a back and a front paddle, both covering the full height
+ *   halves - each side's goal is split into an upper and a lower half, one paddle each
+ * Every paddle is a slot; bots fill the slots no human has taken, and a joining human replaces a bot.
+ * The first human plays on settings.playerSide (left by default).
+ *
+ * Tournament (settings.tournament = 'elimination' | 'roundrobin', bracket in pongTournament.js): any
+ * number of phones join a lobby, then 1v1 matches to winScore run one after another while everybody
+ * else waits without a paddle; the display shows the bracket during the break between matches.
+ *
+ * Paddle hits: where the ball meets the paddle sets the bounce angle, and the paddle's own motion
+ * adds english (an immediate push along it) and spin that curves the ball for a while
+ * (settings.spin: 0 = off, 1..3 = weak..strong).
+ *
+ * Bots predict where the ball crosses their paddle, bounces off the top and bottom walls and spin included.
+ * settings.botDifficulty sets how well (BOT_DIFFICULTIES), settings.botPersonality how they play
+ * (BOT_PERSONALITIES).
+ */
+
+const { broadcastEffect } = require('../broadcast');
+const { applyTilt } = require('./common');
+const { FORMATS, createBracket, getNextMatch, recordResult, getStandings, getChampion } = require('./pongTournament');
+
+const PADDLE_WIDTH = 10;
+const PADDLE_MARGIN = 20; // Back paddles' distance from the wall
+const FRONT_LANE_OFFSET = 0.15; // Front lane paddles stand this fraction of the field width ahead of the back ones
+const DOUBLES_LAYOUTS = ['lanes', 'halves'];
+
+const HIT_ANGLE_SPEED = 10; // Vertical ball speed from hitting a paddle edge (center hits go straight)
+const SPIN_LEVELS = [0, 0.5, 1, 1.6]; // settings.spin -> strength
+const MAX_PADDLE_VELOCITY = 30; // px/tick counted toward english and spin
+const ENGLISH_FACTOR = 0.15; // Share of the paddle's velocity passed straight to the ball
+const SPIN_CURVE = 0.005; // Vertical speed added per tick per unit of spin
+const SPIN_DECAY = 0.985; // Spin left after each tick
+const WALL_SPIN_KEEP = -0.5; // Wall contact reverses and halves spin
+const MAX_BALL_SPEED_Y = 12;
+const MAX_TOURNAMENT_PLAYERS = 16;
+const TOURNAMENT_LOBBY_MS = 20000; // Countdown from the second entrant, restarted by every join
+const TOURNAMENT_BREAK_MS = 8000; // Bracket on screen between matches
+const BENCH_COLOR = '#9E9E9E';
+
+/**
+ * Bot skill:
+ *   reactionDelay - frames between re-aiming
+ *   reactionSpeed - share of the remaining distance the paddle covers per frame
+ *   maxBounces    - wall bounces the prediction follows; beyond that the bot guesses a straight line
+ *   aimError      - random miss in px over a full field width (less when the ball is close)
+ *   angleShot     - chance to hit with the paddle edge, sending the ball away from the opponent
+ */
+const BOT_DIFFICULTIES = {
+    easy: { reactionDelay: 15, reactionSpeed: 0.04, maxBounces: 0, aimError: 90, angleShot: 0 },
+    medium: { reactionDelay: 8, reactionSpeed: 0.08, maxBounces: 1, aimError: 40, angleShot: 0.3 },
+    hard: { reactionDelay: 2, reactionSpeed: 0.3, maxBounces: Infinity, aimError: 6, angleShot: 0.7 }
+};
+
+/**
+ * Bot style:
+ *   edgeHit      - how far from the paddle center angle shots are hit (0.5 = the very edge)
+ *   angleShot    - added to the difficulty's angle shot chance
+ *   idleRecenter - how strongly the paddle returns to the middle while the ball moves away
+ */
+const BOT_PERSONALITIES = {
+    balanced: { name: '', edgeHit: 0.3, angleShot: 0, idleRecenter: 0.5 },
+    defensive: { name: 'Стена', edgeHit: 0.2, angleShot: -0.2, idleRecenter: 1 },
+    aggressive: { name: 'Атакующий', edgeHit: 0.4, angleShot: 0.3, idleRecenter: 0 }
+};
+
+// Join order alternates sides, starting with the humans' side, so teams fill up evenly;
+// lanes are taken in the given order (in 'lanes' doubles humans go to the front lane, bots behind them)
+function buildSlots(lanes, firstSide) {
+    const otherSide = firstSide === 'left' ? 'right' : 'left';
+    const slots = [];
+    for (const lane of lanes) {
+        slots.push({ side: firstSide, lane: lane }, { side: otherSide, lane: lane });
+    }
+    return slots;
+}
+
+// Left side blue, right side red; the second paddle of a side is a lighter shade
+const PADDLE_COLORS = {
+    left: ['#2196F3', '#64B5F6'],
+    right: ['#F44336', '#FF8A80']
+};
+
+// Initialize Pong room state: ball and scores
+function createPongGame(room, settings) {
+    const baseSpeed = (settings.ballSpeed || 3) * 0.8;
+    room.ball = {
+        x: room.canvas.width / 2,
+        y: room.canvas.height / 2,
+        radius: 8,
+        speedX: baseSpeed,
+        speedY: (settings.ballSpeed || 3) * 0.6,
+        baseSpeedX: baseSpeed,  // Store original speed for reset
+        maxSpeedX: baseSpeed * 3 // Cap at 3x base speed
+    };
+    room.paddleSize = (settings.paddleSize || 2) * 50; // 50, 100, 150
+    room.tournamentFormat = FORMATS.includes(settings.tournament) ? settings.tournament : null;
+    // Tournament matches are always 1v1
+    room.doubles = DOUBLES_LAYOUTS.includes(settings.doubles) && !room.tournamentFormat ? settings.doubles : null;
+    const lanes = !room.doubles ? [0] : room.doubles === 'lanes' ? [1, 0] : [0, 1];
+    room.slots = buildSlots(lanes, settings.playerSide === 'right' ? 'right' : 'left');
+    if (room.doubles === 'halves') {
+        // A paddle must fit in its half of the goal
+        room.paddleSize = Math.min(room.paddleSize, room.canvas.height / 2);
+    }
+    room.winScore = settings.winScore || 11;
+    room.speedIncrease = settings.speedIncrease || 2; // 1=5%, 2=15%, 3=30% per hit
+    room.spinStrength = SPIN_LEVELS[settings.spin !== undefined ? settings.spin : 2] || 0;
+    room.ball.spin = 0;
+    room.gameStarted = false; // Game starts when the first human joins (bots take the other slots)
+    room.botDifficulty = BOT_DIFFICULTIES[settings.botDifficulty] ? settings.botDifficulty : 'medium';
+    room.botPersonality = BOT_PERSONALITIES[settings.botPersonality] ? settings.botPersonality : 'balanced';
+
+    // Goal celebration state
+    room.goalCelebration = null; // {startTime, duration, scoringPlayer, ballVisible, blinkCount}
+
+    room.tournament = room.tournamentFormat ? createTournamentLobby() : null;
+}
+
+// Entrants gather until the lobby countdown (phaseEndsAt) runs out
+function createTournamentLobby() {
+    return {
+        phase: 'lobby', // lobby -> match <-> break -> done
+        phaseEndsAt: null,
+        bracket: null,
+        currentMatch: null
+    };
+}
+
+// One human per slot (bots give their slot up); tournaments take everybody up to MAX_TOURNAMENT_PLAYERS
+function canJoinPong(room) {
+    if (room.tournament) {
+        if (room.players.size >= MAX_TOURNAMENT_PLAYERS) {
+            return `Room is full (max ${MAX_TOURNAMENT_PLAYERS} players for a Pong tournament)`;
+        }
+        return null;
+    }
+
+    const humans = Array.from(room.players.values()).filter(p => !p.isBot).length;
+    if (humans >= room.slots.length) {
+        return `Room is full (max ${room.slots.length} players for Pong)`;
+    }
+    return null;
+}
+
+// Pong: the first slot without a human; a bot sitting there leaves. Tournament entrants wait on the bench,
+// and so does anybody beyond the slots (a migrated room skips canJoin) until a slot frees up.
+function addPongPlayer(room, player) {
+    player.alive = true; // Pong players are always alive (no death mechanic)
+    if (room.tournament) {
+        benchPlayer(room, player);
+        return;
+    }
+
+    const slot = room.slots.findIndex((_, index) => !getSlotPlayers(room, index).some(p => !p.isBot));
+    if (slot === -1) {
+        benchPlayer(room, player);
+        console.log(`[PONG] All slots taken in room ${room.id} - ${player.name} waits on the bench`);
+        return;
+    }
+    getSlotPlayers(room, slot).forEach(bot => removeBotPlayer(room, bot));
+
+    placeInSlot(room, player, slot);
+}
+
+// Bot and game start logic
+function pongPlayerJoined(room) {
+    if (room.tournament) {
+        room.gameStarted = true; // Phones get their controllers; the ball waits for the first match
+        restartLobbyCountdown(room);
+        return;
+    }
+
+    // Count only human players (exclude bots)
+    const humanPlayers = Array.from(room.players.values()).filter(p => !p.isBot);
+
+    fillEmptySlots(room);
+
+    if (humanPlayers.length === 1) {
+        room.gameStarted = true;  // Start game with bots
+        console.log(`[BOT] Pong game starting in room ${room.id} with ${room.players.size - 1} bot(s) (${room.botDifficulty})`);
+    } else {
+        // A human took a bot's slot - new lineup, new match
+        for (const p of room.players.values()) {
+            p.score = 0;
+        }
+
+        // Reset ball
+        resetBall(room);
+
+        room.gameStarted = true;
+        room.gameOver = false;
+        room.winner = null;
+
+        console.log(`[BOT] ${humanPlayers.length} players in room ${room.id} - replaced a bot, reset game`);
+    }
+}
+
+// Every join gives latecomers another TOURNAMENT_LOBBY_MS once there are two entrants
+function restartLobbyCountdown(room) {
+    const tournament = room.tournament;
+    if (tournament.phase !== 'lobby' || room.players.size < 2) return;
+    tournament.phaseEndsAt = room.clock.now() + TOURNAMENT_LOBBY_MS;
+}
+
+// Lobby countdown, breaks and forfeits; returns whether a match is being played
+function updateTournament(room) {
+    const tournament = room.tournament;
+    const now = room.clock.now();
+
+    if (tournament.phase === 'lobby') {
+        if (room.players.size < 2) {
+            tournament.phaseEndsAt = null;
+        } else if (tournament.phaseEndsAt === null) {
+            tournament.phaseEndsAt = now + TOURNAMENT_LOBBY_MS;
+        } else if (now >= tournament.phaseEndsAt) {
+            startTournament(room);
+        }
+    } else if (tournament.phase === 'break') {
+        if (now >= tournament.phaseEndsAt) {
+            startNextMatch(room);
+        }
+    } else if (tournament.phase === 'match') {
+        // A player gone for good (past the reconnect grace period) forfeits
+        const match = tournament.currentMatch;
+        const playerA = room.players.get(match.a);
+        const playerB = room.players.get(match.b);
+        if (!playerA || !playerB) {
+            finishTournamentMatch(room, playerA ? match.a : match.b);
+        }
+    }
+
+    return tournament.phase === 'match';
+}
+
+// Bracket from everybody in the room right now
+function startTournament(room) {
+    const tournament = room.tournament;
+    const entrants = Array.from(room.players.values()).map(p => ({ id: p.id, name: p.name }));
+    tournament.bracket = createBracket(room.tournamentFormat, entrants, room.random);
+    console.log(`[TOURNAMENT] ${room.tournamentFormat} bracket for ${entrants.length} players in room ${room.id}`);
+    startNextMatch(room);
+}
+
+// Put the next pair on court; matches of players who left are decided by walkover
+function startNextMatch(room) {
+    const tournament = room.tournament;
+    const bracket = tournament.bracket;
+    tournament.currentMatch = null;
+    tournament.phaseEndsAt = null;
+    room.players.forEach(player => benchPlayer(room, player));
+
+    let match = getNextMatch(bracket);
+    while (match && (!room.players.has(match.a) || !room.players.has(match.b))) {
+        const winner = room.players.has(match.a) ? match.a : match.b;
+        recordResult(bracket, match, winner, null);
+        console.log(`[TOURNAMENT] Walkover in room ${room.id}: ${match.a} vs ${match.b}`);
+        match = getNextMatch(bracket);
+    }
+
+    if (!match) {
+        const champion = room.players.get(getChampion(bracket));
+        tournament.phase = 'done';
+        // The tournament's result, not the champion's last match: score is matches won
+        room.winner = champion ? {
+            id: champion.id,
+            name: champion.name,
+            side: null,
+            score: getTournamentWins(room, champion.id)
+        } : null;
+        room.gameOver = true;
+        console.log(`[TOURNAMENT] ${champion ? champion.name : 'Nobody'} wins the tournament in room ${room.id}`);
+        return;
+    }
+
+    tournament.phase = 'match';
+    tournament.currentMatch = match;
+    placeInSlot(room, room.players.get(match.a), 0);
+    placeInSlot(room, room.players.get(match.b), 1);
+    room.players.forEach(player => {
+        player.score = 0;
+    });
+    room.goalCelebration = null;
+    resetBall(room);
+    console.log(`[TOURNAMENT] Match in room ${room.id}: ${room.players.get(match.a).name} vs ${room.players.get(match.b).name}`);
+}
+
+// Matches a player won in the tournament (walkovers included, byes not)
+function getTournamentWins(room, playerId) {
+    const row = getStandings(room.tournament.bracket).find(entry => entry.id === playerId);
+    return row ? row.wins : 0;
+}
+
+// Record the current match and show the bracket until the next one
+function finishTournamentMatch(room, winnerId) {
+    const tournament = room.tournament;
+    const match = tournament.currentMatch;
+    const scoreOf = id => (room.players.has(id) ? room.players.get(id).score : 0);
+    recordResult(tournament.bracket, match, winnerId, [scoreOf(match.a), scoreOf(match.b)]);
+
+    tournament.currentMatch = null;
+    tournament.phase = 'break';
+    tournament.phaseEndsAt = room.clock.now() + TOURNAMENT_BREAK_MS;
+    room.goalCelebration = null;
+}
+
+// Players (at most one) in a slot
+function getSlotPlayers(room, slot) {
+    return Array.from(room.players.values()).filter(p => p.slot === slot);
+}
+
+// Paddle column, vertical range and color for the slot
+function placeInSlot(room, player, slot) {
+    const { side, lane } = room.slots[slot];
+    const backX = side === 'left' ? PADDLE_MARGIN : room.canvas.width - PADDLE_MARGIN - PADDLE_WIDTH;
+    const frontOffset = room.doubles === 'lanes' && lane === 1 ? room.canvas.width * FRONT_LANE_OFFSET : 0;
+    const halfHeight = room.canvas.height / 2;
+
+    player.slot = slot;
+    player.side = side;
+    player.paddleX = side === 'left' ? backX + frontOffset : backX - frontOffset;
+    player.paddleMinY = room.doubles === 'halves' ? lane * halfHeight : 0;
+    player.paddleMaxY = room.doubles === 'halves' ? (lane + 1) * halfHeight : room.canvas.height;
+    player.paddleY = (player.paddleMinY + player.paddleMaxY) / 2 - room.paddleSize / 2;
+    player.color = PADDLE_COLORS[side][lane];
+}
+
+// No paddle: waiting for a tournament match
+function benchPlayer(room, player) {
+    player.slot = null;
+    player.side = null;
+    player.paddleX = null;
+    player.paddleMinY = 0;
+    player.paddleMaxY = room.canvas.height;
+    player.paddleY = room.canvas.height / 2 - room.paddleSize / 2;
+    player.color = BENCH_COLOR;
+}
+
+// Slots nobody plays in (first join, or a player was removed for good) go to a benched human first, then to bots
+function fillEmptySlots(room) {
+    room.slots.forEach((_, slot) => {
+        if (getSlotPlayers(room, slot).length > 0) return;
+        const benched = Array.from(room.players.values()).find(p => !p.isBot && p.slot === null);
+        if (benched) {
+            placeInSlot(room, benched, slot);
+        } else {
+            createBotPlayer(room, slot);
+        }
+    });
+}
+
+// Players on one side of the field
+function getSidePlayers(room, side) {
+    return Array.from(room.players.values()).filter(p => p.side === side);
+}
+
+// Paddles stay in play while disconnected (reconnect grace period)
+function removePongPlayer() {}
+
+// Pong players are always alive - always take input
+function handlePongInput(room, player, tilt) {
+    applyTilt(player, tilt);
+}
+
+// Pong state
+function serializePongState(room) {
+    return {
+        players: Array.from(room.players.values()).map(p => ({
+            id: p.id,
+            name: p.name,
+            color: p.color,
+            score: p.score,
+            paddleY: p.paddleY,
+            paddleX: p.paddleX,
+            side: p.side,
+            isBot: !!p.isBot
+        })),
+        ball: room.ball,
+        paddleSize: room.paddleSize,
+        doubles: room.doubles,
+        tournament: serializeTournament(room),
+        winScore: room.winScore,
+        gameStarted: room.gameStarted,
+        gameOver: room.gameOver,
+        goalCelebration: room.goalCelebration, // Slow-mo celebration state
+        winner: room.winner ? {
+            id: room.winner.id,
+            name: room.winner.name,
+            side: room.winner.side,
+            score: room.winner.score,
+            endedByAdmin: room.winner.endedByAdmin || false
+        } : null
+    };
+}
+
+// Bracket for the display and the phones; lobby entrants are the players in the room
+function serializeTournament(room) {
+    const tournament = room.tournament;
+    if (!tournament) return null;
+
+    const bracket = tournament.bracket;
+    return {
+        format: room.tournamentFormat,
+        phase: tournament.phase,
+        phaseLeftMs: tournament.phaseEndsAt !== null ? Math.max(0, tournament.phaseEndsAt - room.clock.now()) : null,
+        entrants: bracket
+            ? bracket.entrants
+            : Array.from(room.players.values()).map(p => ({ id: p.id, name: p.name })),
+        rounds: bracket ? bracket.rounds : 0,
+        matches: bracket ? bracket.matches : [],
+        currentMatch: tournament.currentMatch,
+        standings: bracket && bracket.format === 'roundrobin' ? getStandings(bracket) : null
+    };
+}
+
+// Both players of the winning side share the win in doubles; in a tournament only the champion wins
+function getPongMatchResult(room, player) {
+    if (room.tournament) {
+        return {
+            score: room.tournament.bracket ? getTournamentWins(room, player.id) : 0,
+            won: !!room.winner && room.winner.id === player.id
+        };
+    }
+    return {
+        score: player.score,
+        won: !!room.winner && room.winner.side === player.side
+    };
+}
+
+// Tournament: the display can start the bracket without waiting for the lobby countdown (nobody else can)
+function handlePongMessage(room, ws, player, data) {
+    if (data.type !== 'start_tournament' || !ws || !ws.isDisplay) return false;
+
+    const tournament = room.tournament;
+    if (!tournament || tournament.phase !== 'lobby' || room.players.size < 2) return true;
+
+    tournament.phaseEndsAt = room.clock.now();
+    return true;
+}
+
+// Reset Pong game state; a tournament goes back to the lobby with everybody still here
+function resetPongGame(room) {
+    if (room.tournament) {
+        room.tournament = createTournamentLobby();
+        room.goalCelebration = null;
+        room.players.forEach(player => benchPlayer(room, player));
+        resetBall(room);
+        room.gameStarted = true;
+        restartLobbyCountdown(room);
+        return;
+    }
+
+    // Reset ball
+    resetBall(room);
+    room.gameStarted = true;
+
+    // Reset paddle positions
+    room.players.forEach(player => {
+        player.paddleY = (player.paddleMinY + player.paddleMaxY) / 2 - room.paddleSize / 2;
+    });
+}
+
+// Create a bot player for an empty Pong slot
+function createBotPlayer(room, slot) {
+    const botId = 'bot-' + room.clock.now() + '-' + slot;
+
+    // Bot name based on difficulty
+    const botNames = {
+        easy: 'Лёгкий бот',
+        medium: 'Средний бот',
+        hard: 'Сложный бот'
+    };
+
+    const personalityName = BOT_PERSONALITIES[room.botPersonality].name;
+
+    const bot = {
+        id: botId,
+        name: botNames[room.botDifficulty] + (personalityName ? ` (${personalityName})` : ''),
+        score: 0,
+        tilt: 0.5,
+        alive: true,
+        isBot: true,  // Mark as bot for serialization
+        ws: null,     // Bot has no websocket
+        sessionToken: null
+    };
+    placeInSlot(room, bot, slot);
+
+    // Same score as its side (a bot can replace a removed player mid-match)
+    const teammate = getSidePlayers(room, bot.side)[0];
+    bot.score = teammate ? teammate.score : 0;
+
+    room.players.set(botId, bot);
+
+    console.log(`[BOT] Created bot player for room ${room.id} (${bot.side} slot ${slot}) with difficulty: ${room.botDifficulty}`);
+
+    return bot;
+}
+
+// Remove a bot player from the room
+function removeBotPlayer(room, bot) {
+    room.players.delete(bot.id);
+    console.log(`[BOT] Removed bot player from room ${room.id}`);
+}
+
+// Bot AI for Pong: aim for the predicted intercept, re-aiming every reactionDelay frames
+function updateBotAI(room, bot) {
+    // Bot only moves when game is started
+    if (!room.gameStarted) {
+        return;
+    }
+
+    const difficulty = BOT_DIFFICULTIES[room.botDifficulty];
+    const personality = BOT_PERSONALITIES[room.botPersonality];
+    const ball = room.ball;
+
+    // Initialize bot tracking state
+    if (!bot.aiState) {
+        bot.aiState = {
+            targetY: bot.paddleY,
+            frameCounter: 0,
+            approaching: false,
+            error: 0,
+            hitPos: 0.5
+        };
+    }
+    const ai = bot.aiState;
+
+    // The ball turned toward the bot: pick this rally's miss and where on the paddle to hit
+    const approaching = bot.side === 'left' ? ball.speedX < 0 : ball.speedX > 0;
+    if (approaching && !ai.approaching) {
+        ai.error = (room.random() - 0.5) * 2 * difficulty.aimError;
+        ai.hitPos = 0.5;
+        if (room.random() < difficulty.angleShot + personality.angleShot) {
+            // Send the ball toward the half the opponents are not covering
+            const opponents = Array.from(room.players.values()).filter(p => p.side !== bot.side);
+            const opponentY = opponents.reduce((sum, p) => sum + p.paddleY + room.paddleSize / 2, 0) / Math.max(1, opponents.length);
+            ai.hitPos = opponentY < room.canvas.height / 2 ? 0.5 + personality.edgeHit : 0.5 - personality.edgeHit;
+        }
+    }
+    ai.approaching = approaching;
+
+    ai.frameCounter++;
+
+    // Update target position at intervals (simulates reaction delay)
+    if (ai.frameCounter % difficulty.reactionDelay === 0) {
+        if (approaching) {
+            const faceX = bot.side === 'left' ? bot.paddleX + PADDLE_WIDTH + ball.radius : bot.paddleX - ball.radius;
+            const interceptY = predictBallY(room, faceX, difficulty.maxBounces);
+
+            // Closer balls are easier to read
+            const error = ai.error * Math.min(1, Math.abs(faceX - ball.x) / room.canvas.width);
+            ai.targetY = interceptY + error - ai.hitPos * room.paddleSize;
+        } else {
+            // Ball going away: drift back toward the middle of the paddle's range
+            const rangeCenter = (bot.paddleMinY + bot.paddleMaxY) / 2 - room.paddleSize / 2;
+            ai.targetY += (rangeCenter - ai.targetY) * personality.idleRecenter;
+        }
+
+        // Clamp target
+        ai.targetY = Math.max(bot.paddleMinY, Math.min(bot.paddleMaxY - room.paddleSize, ai.targetY));
+    }
+
+    // Move towards target with reaction speed
+    const delta = ai.targetY - bot.paddleY;
+    bot.paddleY += delta * difficulty.reactionSpeed;
+
+    // Clamp final position
+    bot.paddleY = Math.max(bot.paddleMinY, Math.min(bot.paddleMaxY - room.paddleSize, bot.paddleY));
+
+    // Update tilt for serialization (reverse calculation from paddleY)
+    bot.tilt = 1 - ((bot.paddleY - bot.paddleMinY) / (bot.paddleMaxY - bot.paddleMinY - room.paddleSize));
+    bot.tilt = Math.max(0, Math.min(1, bot.tilt));
+}
+
+// Ball y when it reaches x, following its flight (spin and wall bounces) on a copy of the ball;
+// past maxBounces the bot guesses the straight line (clamped to the field)
+function predictBallY(room, x, maxBounces) {
+    const ball = room.ball;
+    const ghost = { ...ball };
+    let bounces = 0;
+
+    while ((x - ghost.x) * ghost.speedX > 0) {
+        if (stepBall(room, ghost)) bounces++;
+
+        if (bounces > maxBounces) {
+            const frames = (x - ball.x) / ball.speedX;
+            return Math.max(ball.radius, Math.min(room.canvas.height - ball.radius, ball.y + ball.speedY * frames));
+        }
+    }
+    return ghost.y;
+}
+
+// Update Pong game
+function updatePong(room) {
+    // Nothing moves once the game is won (or stopped by the admin)
+    if (room.gameOver) return;
+
+    // Handle goal celebration (slow-mo with particles)
+    if (room.goalCelebration) {
+        const elapsed = room.clock.now() - room.goalCelebration.startTime;
+
+        if (elapsed < room.goalCelebration.duration) {
+            // Still in celebration - don't update ball, just animate
+            const blinkInterval = 300; // 300ms per blink
+            const blinkPhase = Math.floor(elapsed / blinkInterval) % 2;
+            room.goalCelebration.ballVisible = (blinkPhase === 0);
+            return; // Skip ball update during celebration
+        } else {
+            // Celebration over - reset ball and clear celebration
+            room.goalCelebration = null;
+            resetBall(room);
+            return;
+        }
+    }
+
+    // Tournament: nothing moves between matches
+    if (room.tournament && !updateTournament(room)) {
+        return;
+    }
+
+    // Once a match is on, a human removed for good is replaced by a bot
+    if (room.gameStarted && !room.tournament) {
+        fillEmptySlots(room);
+    }
+
+    // Update bot AI
+    for (const player of room.players.values()) {
+        if (player.isBot && player.alive) {
+            updateBotAI(room, player);
+        }
+    }
+
+    // Update paddle positions based on tilt
+    for (const player of room.players.values()) {
+        if (!player.side) continue; // Waiting for a tournament match
+
+        // Map tilt (0-1) to paddle Y position within the slot's range
+        // tilt 0 (bottom) -> paddle at bottom
+        // tilt 1 (top) -> paddle at top
+        const maxY = player.paddleMaxY - room.paddleSize;
+        const targetY = player.paddleMinY + (1 - player.tilt) * (maxY - player.paddleMinY);
+
+        // Smooth movement
+        player.paddleY += (targetY - player.paddleY) * 0.3;
+
+        // Clamp position
+        player.paddleY = Math.max(player.paddleMinY, Math.min(maxY, player.paddleY));
+
+        // Movement since the last tick (bot AI included) drives english and spin
+        player.paddleVelocity = player.lastPaddleY !== undefined ? player.paddleY - player.lastPaddleY : 0;
+        player.lastPaddleY = player.paddleY;
+    }
+
+    // Don't update ball until game starts (need 2 players)
+    if (!room.gameStarted) {
+        return;
+    }
+
+    // Update ball position
+    stepBall(room, room.ball);
+
+    // Paddle collisions
+    for (const player of room.players.values()) {
+        if (!player.side) continue;
+        const paddleWidth = PADDLE_WIDTH;
+
+        if (player.side === 'left') {
+            // Left paddle collision
+            // CRITICAL: Ball must be (1) touching paddle, (2) in front of paddle, (3) moving toward paddle
+            if (room.ball.x - room.ball.radius < player.paddleX + paddleWidth &&
+                room.ball.x > player.paddleX + paddleWidth &&  // Ball must be in front (not behind)
+                room.ball.y > player.paddleY &&
+                room.ball.y < player.paddleY + room.paddleSize &&
+                room.ball.speedX < 0) {
+                // Accelerate ball based on speedIncrease setting (1=5%, 2=15%, 3=30%)
+                const increaseMultiplier = room.speedIncrease === 1 ? 1.05 : room.speedIncrease === 2 ? 1.15 : 1.30;
+                const accelerated = Math.abs(room.ball.speedX) * increaseMultiplier;
+                room.ball.speedX = Math.min(accelerated, room.ball.maxSpeedX);
+
+                // Add angle based on hit position, english and spin from the paddle's motion
+                applyPaddleHit(room, player);
+
+                // Visual effects
+                broadcastEffect(room.id, 'particle', { x: room.ball.x, y: room.ball.y, color: player.color, count: 12 });
+                broadcastEffect(room.id, 'flash', { color: player.color, intensity: 0.2 });
+                broadcastEffect(room.id, 'shake', { intensity: 2 });
+            }
+        } else {
+            // Right paddle collision
+            // CRITICAL: Ball must be (1) touching paddle, (2) in front of paddle, (3) moving toward paddle
+            if (room.ball.x + room.ball.radius > player.paddleX &&
+                room.ball.x < player.paddleX &&  // Ball must be in front (not behind)
+                room.ball.y > player.paddleY &&
+                room.ball.y < player.paddleY + room.paddleSize &&
+                room.ball.speedX > 0) {
+                // Accelerate ball based on speedIncrease setting (1=5%, 2=15%, 3=30%)
+                const increaseMultiplier = room.speedIncrease === 1 ? 1.05 : room.speedIncrease === 2 ? 1.15 : 1.30;
+                const accelerated = Math.abs(room.ball.speedX) * increaseMultiplier;
+                room.ball.speedX = -Math.min(accelerated, room.ball.maxSpeedX);
+
+                applyPaddleHit(room, player);
+
+                // Visual effects
+                broadcastEffect(room.id, 'particle', { x: room.ball.x, y: room.ball.y, color: player.color, count: 12 });
+                broadcastEffect(room.id, 'flash', { color: player.color, intensity: 0.2 });
+                broadcastEffect(room.id, 'shake', { intensity: 2 });
+            }
+        }
+    }
+
+    // Score points
+    if (room.ball.x < 0) {
+        // Right side scores (LEFT side is VICTIM - ball went through LEFT wall)
+        scorePoint(room, 'right', 'left', 0);
+    } else if (room.ball.x > room.canvas.width) {
+        // Left side scores (RIGHT side is VICTIM - ball went through RIGHT wall)
+        scorePoint(room, 'left', 'right', room.canvas.width);
+    }
+}
+
+// One tick of ball flight: spin curves the path, top and bottom walls reflect it; returns whether it hit a wall
+function stepBall(room, ball) {
+    ball.speedY = Math.max(-MAX_BALL_SPEED_Y, Math.min(MAX_BALL_SPEED_Y, ball.speedY + ball.spin * SPIN_CURVE));
+    ball.spin *= SPIN_DECAY;
+
+    ball.x += ball.speedX;
+    ball.y += ball.speedY;
+
+    // Top and bottom wall collision (pushed back inside so strong spin cannot pin the ball to a wall)
+    if (ball.y - ball.radius < 0 || ball.y + ball.radius > room.canvas.height) {
+        ball.y = Math.max(ball.radius, Math.min(room.canvas.height - ball.radius, ball.y));
+        ball.speedY = ball.y === ball.radius ? Math.abs(ball.speedY) : -Math.abs(ball.speedY);
+        ball.spin *= WALL_SPIN_KEEP;
+        return true;
+    }
+    return false;
+}
+
+// Bounce angle from the hit position (edges send the ball off steeply), english and spin from the paddle's velocity
+function applyPaddleHit(room, player) {
+    const hitPos = (room.ball.y - player.paddleY) / room.paddleSize;
+    const velocity = Math.max(-MAX_PADDLE_VELOCITY, Math.min(MAX_PADDLE_VELOCITY, player.paddleVelocity || 0));
+
+    room.ball.speedY = (hitPos - 0.5) * HIT_ANGLE_SPEED + velocity * ENGLISH_FACTOR * room.spinStrength;
+    room.ball.speedY = Math.max(-MAX_BALL_SPEED_Y, Math.min(MAX_BALL_SPEED_Y, room.ball.speedY));
+    room.ball.spin = velocity * room.spinStrength;
+}
+
+// Point for every player of the scoring side; ends the match at winScore, otherwise starts the goal celebration
+function scorePoint(room, scoringSide, victimSide, wallX) {
+    const scorers = getSidePlayers(room, scoringSide);
+    const victims = getSidePlayers(room, victimSide); // VICTIMS
+    if (scorers.length === 0 || victims.length === 0) return;
+
+    scorers.forEach(player => player.score++);
+    const scoringPlayer = scorers[0];
+    const victimPlayer = victims[0];
+    const teamName = players => players.map(p => p.name).join(' и ');
+    console.log(`${teamName(scorers)} scored! Score: ${scoringPlayer.score} - ${victimPlayer.score}`);
+
+    // DRAMATIC GOAL CELEBRATION - victim's color "blood" at wall impact
+    // Particles at the wall where ball crossed (victim's territory)
+    broadcastEffect(room.id, 'particle', {
+        x: wallX,
+        y: room.ball.y, // Ball's Y position when it crossed
+        color: victimPlayer.color, // VICTIM's color (like blood)
+        count: 200  // 10x particles!
+    });
+    broadcastEffect(room.id, 'flash', { color: victimPlayer.color, intensity: 0.8 }); // Victim's color flash
+    broadcastEffect(room.id, 'shake', { intensity: 10 });
+
+    // Check for win condition
+    if (scoringPlayer.score >= room.winScore && room.tournament) {
+        console.log(`[TOURNAMENT] ${scoringPlayer.name} wins the match in room ${room.id}`);
+        finishTournamentMatch(room, scoringPlayer.id);
+        return;
+    }
+    if (scoringPlayer.score >= room.winScore) {
+        // Doubles: the side wins together
+        room.winner = scorers.length === 1 ? scoringPlayer : {
+            id: null,
+            name: teamName(scorers),
+            side: scoringSide,
+            score: scoringPlayer.score
+        };
+        room.gameOver = true;
+        console.log(`${room.winner.name} wins the game!`);
+        return; // Don't reset ball, game is over
+    }
+
+    // Start LONG slow-mo celebration (2 seconds)
+    room.goalCelebration = {
+        startTime: room.clock.now(),
+        duration: 2000, // 2 seconds slow-mo
+        scoringPlayer: scoringPlayer,
+        victimPlayer: victimPlayer,
+        ballVisible: true,
+        blinkCount: 0
+    };
+
+    // Position ball at center for blinking animation
+    room.ball.x = room.canvas.width / 2;
+    room.ball.y = room.canvas.height / 2;
+}
+
+// Reset ball to center (Pong)
+function resetBall(room) {
+    room.ball.x = room.canvas.width / 2;
+    room.ball.y = room.canvas.height / 2;
+    // Reset to base speed with random direction
+    const direction = room.random() > 0.5 ? 1 : -1;
+    room.ball.speedX = room.ball.baseSpeedX * direction;
+    room.ball.speedY = (room.random() - 0.5) * 8;
+    room.ball.spin = 0;
+}
+
+module.exports = {
+    create: createPongGame,
+    canJoin: canJoinPong,
+    addPlayer: addPongPlayer,
+    playerJoined: pongPlayerJoined,
+    removePlayer: removePongPlayer,
+    handleInput: handlePongInput,
+    tick: updatePong,
+    serialize: serializePongState,
+    reset: resetPongGame,
+    handleMessage: handlePongMessage,
+    getMatchResult: getPongMatchResult
+};
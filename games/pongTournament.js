@@ -0,0 +1,157 @@
+/**
+ * Kinemon Games - Pong tournament brackets
+ * Pure bracket bookkeeping; games/pong.js runs the matches.
+ *
+ * Formats:
+ *   elimination - single elimination; the field is padded to a power of two with byes
+ *   roundrobin  - everybody plays everybody once; most wins, then point difference, takes the title
+ *
+ * Matches are played in list order: { round, a, b, winner, score: [a, b], bye }, where a/b/winner are
+ * player ids (null while not known yet).
+ */
+
+const FORMATS = ['elimination', 'roundrobin'];
+
+// Bracket for the entrants ({ id, name }), seeded in random order
+function createBracket(format, entrants, random) {
+    const seeded = entrants.slice();
+    for (let i = seeded.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [seeded[i], seeded[j]] = [seeded[j], seeded[i]];
+    }
+
+    const bracket = {
+        format: format,
+        entrants: seeded.map(entrant => ({ id: entrant.id, name: entrant.name })),
+        matches: [],
+        rounds: 0
+    };
+
+    if (format === 'roundrobin') {
+        buildRoundRobin(bracket);
+    } else {
+        buildElimination(bracket);
+    }
+    return bracket;
+}
+
+// First round pairs the top seeds with byes (never two byes), later rounds wait for winners
+function buildElimination(bracket) {
+    const ids = bracket.entrants.map(entrant => entrant.id);
+    let size = 1;
+    while (size < ids.length) size *= 2;
+    bracket.rounds = Math.log2(size);
+
+    for (let i = 0; i < size / 2; i++) {
+        addMatch(bracket, 0, ids[i], ids[size - 1 - i] !== undefined ? ids[size - 1 - i] : null);
+    }
+    for (let round = 1; round < bracket.rounds; round++) {
+        for (let i = 0; i < size / Math.pow(2, round + 1); i++) {
+            addMatch(bracket, round, null, null);
+        }
+    }
+
+    // Byes go through at once
+    bracket.matches
+        .filter(match => match.round === 0 && match.b === null)
+        .forEach(match => {
+            match.bye = true;
+            recordResult(bracket, match, match.a, null);
+        });
+}
+
+// Circle method: one player stays put, the rest rotate; an odd field gets a resting slot each round
+function buildRoundRobin(bracket) {
+    const ids = bracket.entrants.map(entrant => entrant.id);
+    if (ids.length % 2 === 1) ids.push(null);
+    bracket.rounds = ids.length - 1;
+
+    for (let round = 0; round < bracket.rounds; round++) {
+        for (let i = 0; i < ids.length / 2; i++) {
+            const a = ids[i];
+            const b = ids[ids.length - 1 - i];
+            if (a !== null && b !== null) {
+                addMatch(bracket, round, a, b);
+            }
+        }
+        ids.splice(1, 0, ids.pop());
+    }
+}
+
+function addMatch(bracket, round, a, b) {
+    bracket.matches.push({ round: round, a: a, b: b, winner: null, score: null, bye: false });
+}
+
+// Next match with both players known and no result yet, or null when the tournament is over
+function getNextMatch(bracket) {
+    return bracket.matches.find(match => match.winner === null && match.a !== null && match.b !== null) || null;
+}
+
+// Store the result; in elimination the winner moves into the next round's match
+function recordResult(bracket, match, winnerId, score) {
+    match.winner = winnerId;
+    match.score = score;
+
+    if (bracket.format !== 'elimination') return;
+
+    const roundMatches = bracket.matches.filter(m => m.round === match.round);
+    if (roundMatches.length === 1) return; // Final
+
+    const index = roundMatches.indexOf(match);
+    const next = bracket.matches.filter(m => m.round === match.round + 1)[Math.floor(index / 2)];
+    if (index % 2 === 0) {
+        next.a = winnerId;
+    } else {
+        next.b = winnerId;
+    }
+}
+
+// Round robin table, best first: { id, name, played, wins, pointsFor, pointsAgainst }
+function getStandings(bracket) {
+    const rows = new Map(bracket.entrants.map(entrant => [entrant.id, {
+        id: entrant.id,
+        name: entrant.name,
+        played: 0,
+        wins: 0,
+        pointsFor: 0,
+        pointsAgainst: 0
+    }]));
+
+    for (const match of bracket.matches) {
+        if (match.winner === null || match.bye) continue;
+        const [scoreA, scoreB] = match.score || [0, 0];
+        [[match.a, scoreA, scoreB], [match.b, scoreB, scoreA]].forEach(([id, pointsFor, pointsAgainst]) => {
+            const row = rows.get(id);
+            row.played++;
+            row.pointsFor += pointsFor;
+            row.pointsAgainst += pointsAgainst;
+            if (match.winner === id) row.wins++;
+        });
+    }
+
+    return Array.from(rows.values()).sort((x, y) =>
+        y.wins - x.wins ||
+        (y.pointsFor - y.pointsAgainst) - (x.pointsFor - x.pointsAgainst) ||
+        y.pointsFor - x.pointsFor);
+}
+
+// Tournament winner's id once every match is decided, otherwise null
+function getChampion(bracket) {
+    if (getNextMatch(bracket)) return null;
+
+    if (bracket.format === 'elimination') {
+        const final = bracket.matches[bracket.matches.length - 1];
+        return final.winner;
+    }
+    const standings = getStandings(bracket);
+    return standings.length > 0 ? standings[0].id : null;
+}
+
+module.exports = {
+    FORMATS,
+    createBracket,
+    getNextMatch,
+    recordResult,
+    getStandings,
+    getChampion
+};
@@ -0,0 +1,783 @@
+/**
+ * Kinemon Games - Pushers
+ * Team game: axis-locked squares collect smileys, avoid skulls and ghosts (ghost AI in pushersGhosts.js)
+ *
+ * The host picks 2-5 teams (settings.teams). Joining players go to the smallest team (or the one they
+ * ask for if that keeps the teams even), phones can switch with 'select_team', and when players leave
+ * the newest member of a team that is two players ahead moves over.
+ *
+ * Squares have momentum: the tilt pulls a square toward its spot on its axis, and colliding
+ * squares trade momentum by mass. Mass is the push strength - the faster the controlling tilt
+ * changes, the heavier the square (settings.pushStrength scales how much).
+ *
+ * Modes (settings.mode):
+ *   collect - touching the smiley scores it for your team
+ *   goals   - the smiley is a ball: squares shove it around, every team defends a goal on the field
+ *             edge, and the team that touched it last scores by pushing it into another team's goal
+ *             (an own goal costs a point)
+ */
+
+const { broadcastEffect } = require('../broadcast');
+const { applyTilt, getTeamColor } = require('./common');
+const { setupGhosts, shouldSpawnGhost, spawnGhost, moveGhosts, splitGhost } = require('./pushersGhosts');
+
+// Pushers constants
+const PUSHERS_SQUARE_SIZE = 30;
+const PUSHERS_SMILEY_SIZE = 20;
+const PUSHERS_SKULL_SIZE = 30;
+const PUSHERS_FIELD_SIZE = 800;
+const PUSHERS_MODES = ['collect', 'goals'];
+const GOAL_WIDTH = 160;
+const GOAL_DEPTH = 25;
+const SMILEY_FRICTION = 0.98; // Velocity kept per tick
+const SMILEY_BOUNCE = 0.7; // Velocity kept when bouncing off a wall or a square
+const MAX_SMILEY_SPEED = 12;
+const SMILEY_REST_SPEED = 0.2;
+const SMILEY_REST_MS = 5000; // A smiley nobody can reach (squares are axis-locked) goes back to the center
+const TEAM_ORDER = ['Blue', 'Red', 'Yellow', 'Green', 'White']; // settings.teams takes the first ones
+const DEFAULT_TEAM_COUNT = 2;
+const DRIVE_SPRING = 0.1; // Acceleration per px between a square and its tilt target
+const DRIVE_DAMPING = 0.6; // Critically damped with DRIVE_SPRING: no overshoot
+const MAX_DRIVE_ACCEL = 6; // px/tick² of pull; with the damping, a top speed of 10 px/tick
+const SQUARE_FRICTION = 0.85; // Velocity kept per tick on an axis nobody controls
+const SQUARE_BOUNCE = 0.2; // Restitution between squares
+const STRENGTH_LEVELS = [0, 1, 2, 4]; // settings.pushStrength -> extra mass at full tilt speed
+const FULL_STRENGTH_TILT_RATE = 0.02; // Tilt change per tick that counts as pushing as hard as possible
+const TILT_RATE_SMOOTHING = 0.2;
+const DEFAULT_GHOST_PENALTY = 1; // Team points lost per ghost hit
+const DEFAULT_INVULNERABILITY_MS = 2000; // After a skull or ghost hit
+
+// Initialize Pushers room state: team-based square pushing game
+function createPushersGame(room, settings) {
+    room.canvas = { width: PUSHERS_FIELD_SIZE, height: PUSHERS_FIELD_SIZE };
+    room.squareSize = PUSHERS_SQUARE_SIZE;
+    room.smileySize = PUSHERS_SMILEY_SIZE;
+    room.skullSize = PUSHERS_SKULL_SIZE;
+    room.winScore = settings.winScore || 15;
+    room.mode = PUSHERS_MODES.includes(settings.mode) ? settings.mode : 'collect';
+    room.pushStrength = STRENGTH_LEVELS[settings.pushStrength !== undefined ? settings.pushStrength : 2] || 0;
+    const teamCount = settings.teams >= 2 && settings.teams <= TEAM_ORDER.length ? settings.teams : DEFAULT_TEAM_COUNT;
+    room.teams = TEAM_ORDER.slice(0, teamCount);
+
+    // Team scores
+    room.teamScores = createTeamScores(room);
+
+    // Spawn skulls at corners
+    const margin = PUSHERS_SKULL_SIZE / 2;
+    room.skulls = [
+        { x: margin, y: margin },
+        { x: room.canvas.width - margin, y: margin },
+        { x: margin, y: room.canvas.height - margin },
+        { x: room.canvas.width - margin, y: room.canvas.height - margin }
+    ];
+
+    // Spawn first smiley
+    room.smiley = spawnSmiley(room);
+    room.goals = [];
+
+    // Initialize ghost system
+    setupGhosts(room, settings);
+    room.smileysCollected = 0;
+    room.ghostSize = PUSHERS_SKULL_SIZE; // 30px
+    room.ghostPenalty = settings.ghostPenalty !== undefined ? settings.ghostPenalty : DEFAULT_GHOST_PENALTY;
+    room.invulnerabilityMs = settings.invulnerabilityMs || DEFAULT_INVULNERABILITY_MS;
+}
+
+function createTeamScores(room) {
+    const scores = {};
+    room.teams.forEach(team => {
+        scores[team] = 0;
+    });
+    return scores;
+}
+
+// Single-square teams are one X and one Y controller
+function canJoinPushers(room) {
+    if (room.settings && room.settings.singleSquare && room.players.size >= room.teams.length * 2) {
+        return `Room is full (max ${room.teams.length * 2} players for ${room.teams.length} single-square teams)`;
+    }
+    return null;
+}
+
+// Pushers: axis-locked movement, team from the balancer
+function addPushersPlayer(room, player, data) {
+    const sizes = getTeamSizes(room, null);
+    const smallest = Math.min(...sizes.values());
+    const team = sizes.get(data.team) === smallest
+        ? data.team
+        : room.teams.find(t => sizes.get(t) === smallest);
+
+    assignTeam(room, player, team);
+    const spawnPos = spawnPlayerSquare(room, player.axis);
+    player.x = spawnPos.x;
+    player.y = spawnPos.y;
+    player.vx = 0;
+    player.vy = 0;
+    player.mass = 1;
+    player.alive = true;
+}
+
+// Squares stay on the field while disconnected (reconnect grace period)
+function removePushersPlayer() {}
+
+// Players per team, leaving one player out of the count
+function getTeamSizes(room, except) {
+    const sizes = new Map(room.teams.map(team => [team, 0]));
+    for (const player of room.players.values()) {
+        if (player !== except && sizes.has(player.team)) {
+            sizes.set(player.team, sizes.get(player.team) + 1);
+        }
+    }
+    return sizes;
+}
+
+// Team, color and the axis the team is short of (X first); in single-square mode that is the square's free axis
+function assignTeam(room, player, team) {
+    let xCount = 0;
+    let yCount = 0;
+    for (const teammate of room.players.values()) {
+        if (teammate === player || teammate.team !== team) continue;
+        if (teammate.axis === 'X') {
+            xCount++;
+        } else {
+            yCount++;
+        }
+    }
+
+    player.team = team;
+    player.color = getTeamColor(team);
+    player.axis = xCount <= yCount ? 'X' : 'Y';
+    if (room.settings && room.settings.singleSquare) {
+        player.role = player.axis === 'X' ? 'controller-x' : 'controller-y';
+    }
+}
+
+// A switch is allowed when the teams stay within one player of each other
+function canSwitchTeam(room, player, team) {
+    if (!room.teams.includes(team) || team === player.team) return false;
+
+    const sizes = getTeamSizes(room, player);
+    sizes.set(team, sizes.get(team) + 1);
+    if (room.settings && room.settings.singleSquare && sizes.get(team) > 2) return false;
+    return Math.max(...sizes.values()) - Math.min(...sizes.values()) <= 1;
+}
+
+// After players leave: the newest member of a team two players ahead moves to the smallest team
+function balanceTeams(room) {
+    const sizes = getTeamSizes(room, null);
+    const largest = Math.max(...sizes.values());
+    const smallest = Math.min(...sizes.values());
+    if (largest - smallest < 2) return;
+
+    const fromTeam = room.teams.find(t => sizes.get(t) === largest);
+    const toTeam = room.teams.find(t => sizes.get(t) === smallest);
+    const moving = Array.from(room.players.values()).filter(p => p.team === fromTeam).pop();
+    assignTeam(room, moving, toTeam);
+    console.log(`[TEAMS] ${moving.name} moved from ${fromTeam} to ${toTeam} to balance teams in room ${room.id}`);
+}
+
+function handlePushersInput(room, player, tilt) {
+    if (player.alive) {
+        applyTilt(player, tilt);
+    }
+}
+
+// Pushers state
+function serializePushersState(room) {
+    return {
+        players: Array.from(room.players.values()).map(p => ({
+            id: p.id,
+            name: p.name,
+            team: p.team,
+            color: p.color,
+            axis: p.axis,
+            x: p.x,
+            y: p.y,
+            strength: p.mass,
+            invulnerable: p.invulnerable || false
+        })),
+        teams: room.teams,
+        teamScores: room.teamScores,
+        mode: room.mode,
+        goals: room.goals,
+        smiley: room.smiley,
+        skulls: room.skulls,
+        ghosts: room.ghosts,
+        squareSize: room.squareSize,
+        smileySize: room.smileySize,
+        skullSize: room.skullSize,
+        ghostSize: room.ghostSize,
+        singleSquareMode: (room.settings && room.settings.singleSquare) || false,
+        winScore: room.winScore,
+        gameOver: room.gameOver,
+        winner: room.winner ? {
+            team: room.winner.team,
+            name: room.winner.name,
+            score: room.winner.score,
+            endedByAdmin: room.winner.endedByAdmin || false
+        } : null
+    };
+}
+
+// Team picker on the phone
+function handlePushersMessage(room, ws, player, data) {
+    if (data.type !== 'select_team' || !player) return false;
+
+    if (canSwitchTeam(room, player, data.team)) {
+        console.log(`[TEAMS] ${player.name} switched from ${player.team} to ${data.team} in room ${room.id}`);
+        assignTeam(room, player, data.team);
+    }
+    return true;
+}
+
+// Team game: every member gets the team's score and shares the win
+function getPushersMatchResult(room, player) {
+    return {
+        score: room.teamScores[player.team] || 0,
+        won: !!room.winner && room.winner.team === player.team
+    };
+}
+
+// Reset Pushers game state
+function resetPushersGame(room) {
+    // Reset team scores
+    room.teamScores = createTeamScores(room);
+    room.smileysCollected = 0;
+    room.ghosts = [];
+    room.patrolCount = 0;
+    room.goals = [];
+
+    // Reset square and smiley
+    room.square = {
+        x: room.canvas.width / 2,
+        y: room.canvas.height / 2,
+        vx: 0,
+        vy: 0
+    };
+    room.smiley = spawnSmiley(room);
+
+    // Reset player positions
+    room.players.forEach(player => {
+        const margin = room.squareSize / 2 + 10;
+        if (player.axis === 'x') {
+            player.x = room.canvas.width / 2;
+            player.y = margin + room.random() * (room.canvas.height - 2 * margin);
+        } else {
+            player.x = margin + room.random() * (room.canvas.width - 2 * margin);
+            player.y = room.canvas.height / 2;
+        }
+        player.vx = 0;
+        player.vy = 0;
+    });
+}
+
+// Pushers helper functions
+function spawnSmiley(room) {
+    // Goals mode: kick-off from the center
+    if (room.mode === 'goals') {
+        return {
+            x: room.canvas.width / 2,
+            y: room.canvas.height / 2,
+            vx: 0,
+            vy: 0,
+            lastTeam: null,
+            restingSince: room.clock.now()
+        };
+    }
+
+    const margin = room.smileySize;
+    const minX = margin + 50;
+    const maxX = room.canvas.width - margin - 50;
+    const minY = margin + 50;
+    const maxY = room.canvas.height - margin - 50;
+
+    return {
+        x: minX + room.random() * (maxX - minX),
+        y: minY + room.random() * (maxY - minY)
+    };
+}
+
+function spawnPlayerSquare(room, axis) {
+    const margin = room.squareSize / 2 + 10;
+    let x, y;
+
+    if (axis === 'X') {
+        // Spawn on left or right edge
+        x = room.random() > 0.5 ? margin : room.canvas.width - margin;
+        y = margin + room.random() * (room.canvas.height - 2 * margin);
+    } else { // Y axis
+        // Spawn on top or bottom edge
+        x = margin + room.random() * (room.canvas.width - 2 * margin);
+        y = room.random() > 0.5 ? margin : room.canvas.height - margin;
+    }
+
+    return { x, y };
+}
+
+// Moving bodies: a square per player, or per team in single-square mode (X and Y controllers share it).
+// The lead player carries the body's position, velocity and mass.
+function collectSquares(room) {
+    const singleSquare = room.settings && room.settings.singleSquare;
+    const squares = new Map();
+
+    for (const player of room.players.values()) {
+        const key = singleSquare ? player.team : player.id;
+        if (!squares.has(key)) {
+            squares.set(key, { lead: player, members: [], driveX: null, driveY: null });
+        }
+        const square = squares.get(key);
+        square.members.push(player);
+        if (player.axis === 'X') {
+            square.driveX = square.driveX || player;
+        } else {
+            square.driveY = square.driveY || player;
+        }
+    }
+    return Array.from(squares.values());
+}
+
+// Smoothed tilt change per tick: how hard the player is pushing right now
+function updateTiltRate(player) {
+    const change = player.lastTickTilt !== undefined ? Math.abs(player.tilt - player.lastTickTilt) : 0;
+    player.lastTickTilt = player.tilt;
+    player.tiltRate = (player.tiltRate || 0) * (1 - TILT_RATE_SMOOTHING) + change * TILT_RATE_SMOOTHING;
+    return player.tiltRate;
+}
+
+// Acceleration along one axis: toward the driver's tilt target, or friction when nobody drives it
+function getDriveAcceleration(room, driver, position, velocity) {
+    if (!driver) {
+        return -velocity * (1 - SQUARE_FRICTION);
+    }
+    const margin = room.squareSize / 2 + 10;
+    const target = margin + driver.tilt * (room.canvas.width - 2 * margin);
+    const pull = Math.max(-MAX_DRIVE_ACCEL, Math.min(MAX_DRIVE_ACCEL, (target - position) * DRIVE_SPRING));
+    return pull - velocity * DRIVE_DAMPING;
+}
+
+function driveSquare(room, square) {
+    const body = square.lead;
+    let tiltRate = 0;
+    for (const driver of [square.driveX, square.driveY]) {
+        if (driver) tiltRate = Math.max(tiltRate, updateTiltRate(driver));
+    }
+    body.mass = 1 + room.pushStrength * Math.min(1, tiltRate / FULL_STRENGTH_TILT_RATE);
+
+    body.vx = (body.vx || 0) + getDriveAcceleration(room, square.driveX, body.x, body.vx || 0);
+    body.vy = (body.vy || 0) + getDriveAcceleration(room, square.driveY, body.y, body.vy || 0);
+    body.x += body.vx;
+    body.y += body.vy;
+}
+
+// Overlapping squares separate along the shallower overlap (the lighter one gives way more)
+// and exchange momentum along that axis
+function resolveSquareCollisions(room, squares) {
+    const size = room.squareSize;
+
+    for (let i = 0; i < squares.length; i++) {
+        for (let j = i + 1; j < squares.length; j++) {
+            const a = squares[i].lead;
+            const b = squares[j].lead;
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const overlapX = size - Math.abs(dx);
+            const overlapY = size - Math.abs(dy);
+            if (overlapX <= 0 || overlapY <= 0) continue;
+
+            let normalX = 0;
+            let normalY = 0;
+            let overlap;
+            if (overlapX < overlapY) {
+                normalX = dx < 0 ? -1 : 1;
+                overlap = overlapX;
+            } else {
+                normalY = dy < 0 ? -1 : 1;
+                overlap = overlapY;
+            }
+
+            const inverseA = 1 / a.mass;
+            const inverseB = 1 / b.mass;
+            const inverseSum = inverseA + inverseB;
+            a.x -= normalX * overlap * inverseA / inverseSum;
+            a.y -= normalY * overlap * inverseA / inverseSum;
+            b.x += normalX * overlap * inverseB / inverseSum;
+            b.y += normalY * overlap * inverseB / inverseSum;
+
+            const approachSpeed = (b.vx - a.vx) * normalX + (b.vy - a.vy) * normalY;
+            if (approachSpeed < 0) {
+                const impulse = -(1 + SQUARE_BOUNCE) * approachSpeed / inverseSum;
+                a.vx -= normalX * impulse * inverseA;
+                a.vy -= normalY * impulse * inverseA;
+                b.vx += normalX * impulse * inverseB;
+                b.vy += normalY * impulse * inverseB;
+            }
+        }
+    }
+}
+
+// Walls stop a square; teammates sharing it follow the lead
+function keepSquareOnField(room, square) {
+    const body = square.lead;
+    const margin = room.squareSize / 2 + 10;
+    const max = room.canvas.width - margin;
+
+    if (body.x < margin || body.x > max) {
+        body.x = Math.max(margin, Math.min(max, body.x));
+        body.vx = 0;
+    }
+    if (body.y < margin || body.y > max) {
+        body.y = Math.max(margin, Math.min(max, body.y));
+        body.vy = 0;
+    }
+
+    for (const member of square.members) {
+        member.x = body.x;
+        member.y = body.y;
+        member.vx = body.vx;
+        member.vy = body.vy;
+        member.mass = body.mass;
+    }
+}
+
+// Skull or ghost hit: the square starts over from the edge, at rest (the whole team square in single-square mode)
+function respawnSquare(room, player) {
+    const newPos = spawnPlayerSquare(room, player.axis);
+    const singleSquare = room.settings && room.settings.singleSquare;
+    for (const member of room.players.values()) {
+        if (member !== player && !(singleSquare && member.team === player.team)) continue;
+        member.x = newPos.x;
+        member.y = newPos.y;
+        member.vx = 0;
+        member.vy = 0;
+    }
+}
+
+// One goal per team on the field, spread evenly around the edge (starting at the top middle)
+// and kept clear of the corner skulls
+function layOutGoals(room, teams) {
+    const size = room.canvas.width; // Square field
+    const perimeter = size * 4;
+    const minCenter = GOAL_WIDTH / 2 + room.skullSize;
+    const maxCenter = size - minCenter;
+
+    return teams.map((team, i) => {
+        const position = (size / 2 + i * perimeter / teams.length) % perimeter;
+        const edge = Math.floor(position / size); // 0 top, 1 right, 2 bottom, 3 left (clockwise)
+        const along = Math.max(minCenter, Math.min(maxCenter, position % size));
+        const goal = { team: team, color: getTeamColor(team) };
+
+        if (edge === 0) {
+            Object.assign(goal, { x: along - GOAL_WIDTH / 2, y: 0, width: GOAL_WIDTH, height: GOAL_DEPTH });
+        } else if (edge === 1) {
+            Object.assign(goal, { x: size - GOAL_DEPTH, y: along - GOAL_WIDTH / 2, width: GOAL_DEPTH, height: GOAL_WIDTH });
+        } else if (edge === 2) {
+            Object.assign(goal, { x: size - along - GOAL_WIDTH / 2, y: size - GOAL_DEPTH, width: GOAL_WIDTH, height: GOAL_DEPTH });
+        } else {
+            Object.assign(goal, { x: 0, y: size - along - GOAL_WIDTH / 2, width: GOAL_DEPTH, height: GOAL_WIDTH });
+        }
+        return goal;
+    });
+}
+
+// Goals follow the teams on the field (a team's goal appears with its first player)
+function updateGoals(room) {
+    const teams = [];
+    for (const player of room.players.values()) {
+        if (!teams.includes(player.team)) teams.push(player.team);
+    }
+    teams.sort((a, b) => room.teams.indexOf(a) - room.teams.indexOf(b));
+
+    if (teams.join(',') !== room.goals.map(goal => goal.team).join(',')) {
+        room.goals = layOutGoals(room, teams);
+    }
+}
+
+// Goals mode: squares shove the smiley like a ball, walls bounce it, and a goal ends its run
+function updateSmileyBall(room) {
+    const smiley = room.smiley;
+    const radius = room.smileySize / 2;
+    const halfSize = room.squareSize / 2;
+
+    // Squares push the smiley out of their way and pass on their velocity
+    for (const player of room.players.values()) {
+        const nearestX = Math.max(player.x - halfSize, Math.min(smiley.x, player.x + halfSize));
+        const nearestY = Math.max(player.y - halfSize, Math.min(smiley.y, player.y + halfSize));
+        let dx = smiley.x - nearestX;
+        let dy = smiley.y - nearestY;
+        let distance = Math.hypot(dx, dy);
+        if (distance >= radius) continue;
+
+        if (distance === 0) {
+            // Center inside the square: push out from the square's center
+            dx = smiley.x - player.x;
+            dy = smiley.y - player.y;
+            distance = Math.hypot(dx, dy) || 1;
+        }
+        const normalX = dx / distance;
+        const normalY = dy / distance;
+        smiley.x = nearestX + normalX * radius;
+        smiley.y = nearestY + normalY * radius;
+
+        const squareSpeed = (player.vx || 0) * normalX + (player.vy || 0) * normalY;
+        const smileySpeed = smiley.vx * normalX + smiley.vy * normalY;
+        if (smileySpeed < squareSpeed) {
+            const kick = squareSpeed - smileySpeed + Math.max(0, -smileySpeed) * SMILEY_BOUNCE;
+            smiley.vx += normalX * kick;
+            smiley.vy += normalY * kick;
+        }
+        smiley.lastTeam = player.team;
+    }
+
+    const speed = Math.hypot(smiley.vx, smiley.vy);
+    if (speed > MAX_SMILEY_SPEED) {
+        smiley.vx *= MAX_SMILEY_SPEED / speed;
+        smiley.vy *= MAX_SMILEY_SPEED / speed;
+    }
+
+    smiley.x += smiley.vx;
+    smiley.y += smiley.vy;
+    smiley.vx *= SMILEY_FRICTION;
+    smiley.vy *= SMILEY_FRICTION;
+
+    const goal = room.goals.find(g =>
+        smiley.x >= g.x && smiley.x <= g.x + g.width && smiley.y >= g.y && smiley.y <= g.y + g.height);
+    if (goal) {
+        scoreGoal(room, goal);
+        return;
+    }
+
+    if (Math.hypot(smiley.vx, smiley.vy) > SMILEY_REST_SPEED) {
+        smiley.restingSince = room.clock.now();
+    } else if (room.clock.now() - smiley.restingSince > SMILEY_REST_MS) {
+        room.smiley = spawnSmiley(room);
+        return;
+    }
+
+    // Walls
+    if (smiley.x < radius || smiley.x > room.canvas.width - radius) {
+        smiley.vx = -smiley.vx * SMILEY_BOUNCE;
+        smiley.x = Math.max(radius, Math.min(room.canvas.width - radius, smiley.x));
+    }
+    if (smiley.y < radius || smiley.y > room.canvas.height - radius) {
+        smiley.vy = -smiley.vy * SMILEY_BOUNCE;
+        smiley.y = Math.max(radius, Math.min(room.canvas.height - radius, smiley.y));
+    }
+}
+
+// The last team to touch the smiley scores, or loses a point for an own goal; untouched smileys just restart
+function scoreGoal(room, goal) {
+    const team = room.smiley.lastTeam;
+    const goalX = room.smiley.x;
+    const goalY = room.smiley.y;
+    room.smiley = spawnSmiley(room);
+    if (!team) return;
+
+    broadcastEffect(room.id, 'particle', { x: goalX, y: goalY, color: goal.color, count: 40 });
+    broadcastEffect(room.id, 'shake', { intensity: 5 });
+
+    if (team === goal.team) {
+        room.teamScores[team] = Math.max(0, room.teamScores[team] - 1);
+        console.log(`${team} team scored an own goal! Score: ${room.teamScores[team]}`);
+        broadcastEffect(room.id, 'flash', { color: '#F44336', intensity: 0.4 });
+        broadcastEffect(room.id, 'scoreAnim', {
+            x: 100, // Aligned with team scoreboard position
+            y: 15 + room.teams.indexOf(team) * 20,
+            text: '-1',
+            color: '#F44336'
+        });
+        return;
+    }
+
+    console.log(`${team} team scored in the ${goal.team} goal!`);
+    awardSmiley(room, team);
+}
+
+// A smiley for the team: score, ghost every 3 smileys, win check
+function awardSmiley(room, team) {
+    room.teamScores[team]++;
+    room.smileysCollected++;
+
+    const color = getTeamColor(team);
+    broadcastEffect(room.id, 'flash', { color: color, intensity: 0.2 });
+    broadcastEffect(room.id, 'scoreAnim', {
+        x: 100, // Aligned with team scoreboard position
+        y: 15 + room.teams.indexOf(team) * 20,
+        text: '+1',
+        color: color
+    });
+
+    // Spawn ghosts at the difficulty curve's cadence
+    if (shouldSpawnGhost(room)) {
+        room.ghosts.push(spawnGhost(room));
+        console.log(`👻 Ghost spawned! Total ghosts: ${room.ghosts.length}`);
+    }
+
+    // Check win condition
+    if (room.teamScores[team] >= room.winScore) {
+        room.winner = {
+            team: team,
+            name: team,
+            score: room.teamScores[team]
+        };
+        room.gameOver = true;
+        console.log(`${team} team wins with ${room.teamScores[team]} smileys!`);
+    }
+}
+
+// Update Pushers game
+function updatePushers(room) {
+    if (room.gameOver) return;
+
+    // Initialize ghost system for old rooms (backward compatibility)
+    if (!room.ghosts) {
+        room.ghosts = [];
+        room.smileysCollected = 0;
+        room.ghostSize = PUSHERS_SKULL_SIZE;
+    }
+
+    balanceTeams(room);
+
+    // Squares: tilt drives each square toward its target, collisions trade momentum
+    const squares = collectSquares(room);
+    for (const square of squares) {
+        driveSquare(room, square);
+    }
+    resolveSquareCollisions(room, squares);
+    for (const square of squares) {
+        keepSquareOnField(room, square);
+    }
+
+    // Clear invulnerability after timeout
+    for (const player of room.players.values()) {
+        if (player.invulnerable && room.clock.now() >= player.invulnerableUntil) {
+            player.invulnerable = false;
+            delete player.invulnerableUntil;
+        }
+    }
+
+    // Goals mode: the smiley is pushed, not collected
+    if (room.mode === 'goals') {
+        updateGoals(room);
+        updateSmileyBall(room);
+        if (room.gameOver) return;
+    }
+
+    // Check smiley collection
+    if (room.smiley && room.mode !== 'goals') {
+        for (const player of room.players.values()) {
+            const dx = player.x - room.smiley.x;
+            const dy = player.y - room.smiley.y;
+            const distance = Math.hypot(dx, dy);
+
+            if (distance < (room.squareSize / 2 + room.smileySize / 2)) {
+                // Player collected smiley
+                console.log(`${player.name} (${player.team}) collected smiley! Score: ${room.teamScores[player.team] + 1}`);
+                broadcastEffect(room.id, 'particle', { x: room.smiley.x, y: room.smiley.y, color: '#FFEB3B', count: 15 });
+                awardSmiley(room, player.team);
+                if (room.gameOver) return;
+
+                // Spawn new smiley
+                room.smiley = spawnSmiley(room);
+            }
+        }
+    }
+
+    // Ghosts chase, patrol or bounce off the walls
+    moveGhosts(room);
+
+    // Check ghost collision with players
+    for (let i = room.ghosts.length - 1; i >= 0; i--) {
+        const ghost = room.ghosts[i];
+        for (const player of room.players.values()) {
+            // Skip invulnerable players
+            if (player.invulnerable) continue;
+
+            const dx = player.x - ghost.x;
+            const dy = player.y - ghost.y;
+            const distance = Math.hypot(dx, dy);
+
+            if (distance < (room.squareSize / 2 + ghost.size / 2)) {
+                // Ghost hit player - same effect as skull, with the room's penalty
+                const penalty = room.ghostPenalty !== undefined ? room.ghostPenalty : DEFAULT_GHOST_PENALTY;
+                room.teamScores[player.team] = Math.max(0, room.teamScores[player.team] - penalty);
+                console.log(`${player.name} (${player.team}) hit ghost! Score: ${room.teamScores[player.team]}`);
+
+                // Visual effects for ghost collision
+                broadcastEffect(room.id, 'particle', { x: player.x, y: player.y, color: '#9C27B0', count: 20 });
+                broadcastEffect(room.id, 'flash', { color: '#9C27B0', intensity: 0.4 });
+                broadcastEffect(room.id, 'shake', { intensity: 5 });
+                const teamIndex = room.teams.indexOf(player.team);
+                if (penalty > 0) {
+                    broadcastEffect(room.id, 'scoreAnim', {
+                        x: 100, // Aligned with team scoreboard position
+                        y: 15 + teamIndex * 20,
+                        text: `-${penalty}`,
+                        color: '#F44336'
+                    });
+                }
+
+                // Respawn player at new position
+                respawnSquare(room, player);
+
+                // Add invulnerability period after respawn
+                player.invulnerable = true;
+                player.invulnerableUntil = room.clock.now() + (room.invulnerabilityMs || DEFAULT_INVULNERABILITY_MS);
+
+                // Remove the ghost (a splitter leaves two smaller ones)
+                room.ghosts.splice(i, 1, ...splitGhost(ghost));
+                console.log(`👻 Ghost removed! Remaining ghosts: ${room.ghosts.length}`);
+                break;
+            }
+        }
+    }
+
+    // Check skull collision
+    for (const player of room.players.values()) {
+        // Skip invulnerable players
+        if (player.invulnerable) continue;
+
+        for (const skull of room.skulls) {
+            const dx = player.x - skull.x;
+            const dy = player.y - skull.y;
+            const distance = Math.hypot(dx, dy);
+
+            if (distance < (room.squareSize / 2 + room.skullSize / 2)) {
+                // Player hit skull
+                room.teamScores[player.team] = Math.max(0, room.teamScores[player.team] - 1);
+                console.log(`${player.name} (${player.team}) hit skull! Score: ${room.teamScores[player.team]}`);
+
+                // Visual effects for skull collision
+                broadcastEffect(room.id, 'particle', { x: player.x, y: player.y, color: '#F44336', count: 20 });
+                broadcastEffect(room.id, 'flash', { color: '#F44336', intensity: 0.4 });
+                broadcastEffect(room.id, 'shake', { intensity: 5 });
+                const teamIndex = room.teams.indexOf(player.team);
+                broadcastEffect(room.id, 'scoreAnim', {
+                    x: 100, // Aligned with team scoreboard position
+                    y: 15 + teamIndex * 20,
+                    text: '-1',
+                    color: '#F44336'
+                });
+
+                // Respawn player at new position
+                respawnSquare(room, player);
+
+                // Add invulnerability period after respawn
+                player.invulnerable = true;
+                player.invulnerableUntil = room.clock.now() + (room.invulnerabilityMs || DEFAULT_INVULNERABILITY_MS);
+            }
+        }
+    }
+}
+
+module.exports = {
+    create: createPushersGame,
+    canJoin: canJoinPushers,
+    addPlayer: addPushersPlayer,
+    removePlayer: removePushersPlayer,
+    handleInput: handlePushersInput,
+    tick: updatePushers,
+    serialize: serializePushersState,
+    reset: resetPushersGame,
+    handleMessage: handlePushersMessage,
+    getMatchResult: getPushersMatchResult
+};
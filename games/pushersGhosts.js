@@ -0,0 +1,198 @@
+/**
+ * Kinemon Games - Pushers ghosts
+ * Ghost spawning and movement; games/pushers.js handles ghosts hitting squares.
+ *
+ * Behaviors (settings.ghostBehavior):
+ *   bouncer   - straight lines, bouncing off the walls
+ *   chaser    - homes in on the nearest square of the leading team
+ *   patroller - loops one of the fixed routes
+ *   splitter  - bounces; its first hit splits it into two smaller, faster ghosts
+ *   mixed     - a random behavior for every ghost
+ *
+ * Difficulty (settings.ghostDifficulty) is the curve: how many smileys bring a ghost, how fast a new
+ * ghost moves (faster the more smileys are scored) and how many ghosts fit on the field.
+ */
+
+const GHOST_BEHAVIORS = ['bouncer', 'chaser', 'patroller', 'splitter'];
+const GHOST_DIFFICULTIES = {
+    easy: { spawnEvery: 5, speed: 1.5, speedPerSmiley: 0.03, maxGhosts: 3 },
+    normal: { spawnEvery: 3, speed: 2.5, speedPerSmiley: 0, maxGhosts: Infinity },
+    hard: { spawnEvery: 2, speed: 3, speedPerSmiley: 0.08, maxGhosts: 8 }
+};
+const MAX_GHOST_SPEED = 6;
+const CHASER_TURN = 0.04; // Share of the way toward the target's direction turned per tick
+const SPLIT_SIZE = 0.6; // Split ghosts are smaller...
+const SPLIT_SPEED = 1.4; // ...and faster
+
+// Waypoints as fractions of the field; patrollers take the routes in turn
+const PATROL_ROUTES = [
+    [[0.2, 0.2], [0.8, 0.2], [0.8, 0.8], [0.2, 0.8]], // Ring
+    [[0.2, 0.2], [0.8, 0.8], [0.8, 0.2], [0.2, 0.8]], // Bow tie through the center
+    [[0.15, 0.35], [0.85, 0.35], [0.85, 0.65], [0.15, 0.65]] // Sweep across the middle
+];
+
+// Ghost settings for a new room; unknown values fall back to the original bouncing ghosts
+function setupGhosts(room, settings) {
+    room.ghosts = [];
+    room.ghostBehavior = settings.ghostBehavior === 'mixed' || GHOST_BEHAVIORS.includes(settings.ghostBehavior)
+        ? settings.ghostBehavior
+        : 'bouncer';
+    room.ghostDifficulty = GHOST_DIFFICULTIES[settings.ghostDifficulty] ? settings.ghostDifficulty : 'normal';
+    room.patrolCount = 0;
+}
+
+// Whether the smiley just scored brings a ghost
+function shouldSpawnGhost(room) {
+    const curve = GHOST_DIFFICULTIES[room.ghostDifficulty || 'normal'];
+    return room.smileysCollected % curve.spawnEvery === 0 && room.ghosts.length < curve.maxGhosts;
+}
+
+// New ghost somewhere away from the walls, heading in a random direction
+function spawnGhost(room) {
+    const curve = GHOST_DIFFICULTIES[room.ghostDifficulty || 'normal'];
+    const margin = room.ghostSize / 2 + 50;
+    const x = margin + room.random() * (room.canvas.width - 2 * margin);
+    const y = margin + room.random() * (room.canvas.height - 2 * margin);
+
+    const angle = room.random() * Math.PI * 2;
+    const speed = Math.min(MAX_GHOST_SPEED, curve.speed + curve.speedPerSmiley * room.smileysCollected);
+    const behavior = room.ghostBehavior === 'mixed'
+        ? GHOST_BEHAVIORS[Math.floor(room.random() * GHOST_BEHAVIORS.length)]
+        : room.ghostBehavior || 'bouncer';
+
+    const ghost = {
+        x: x,
+        y: y,
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed,
+        size: room.ghostSize,
+        id: room.clock.now() + room.random(),
+        behavior: behavior,
+        speed: speed,
+        generation: 0
+    };
+
+    if (behavior === 'patroller') {
+        // Start on the route, heading for its second waypoint
+        ghost.route = room.patrolCount++ % PATROL_ROUTES.length;
+        const [startX, startY] = PATROL_ROUTES[ghost.route][0];
+        ghost.x = startX * room.canvas.width;
+        ghost.y = startY * room.canvas.height;
+        ghost.waypoint = 1;
+    }
+    return ghost;
+}
+
+// Squares of the team with the most points (any team on a tie)
+function getLeaderSquares(room) {
+    let best = -1;
+    let leaders = [];
+    for (const player of room.players.values()) {
+        if (player.invulnerable) continue;
+        const score = room.teamScores[player.team] || 0;
+        if (score > best) {
+            best = score;
+            leaders = [player];
+        } else if (score === best) {
+            leaders.push(player);
+        }
+    }
+    return leaders;
+}
+
+// Turn toward the nearest leading square, keeping the ghost's speed
+function steerChaser(room, ghost) {
+    let target = null;
+    let targetDistance = Infinity;
+    for (const player of getLeaderSquares(room)) {
+        const distance = Math.hypot(player.x - ghost.x, player.y - ghost.y);
+        if (distance < targetDistance) {
+            target = player;
+            targetDistance = distance;
+        }
+    }
+    if (!target || targetDistance === 0) return;
+
+    const desiredX = (target.x - ghost.x) / targetDistance * ghost.speed;
+    const desiredY = (target.y - ghost.y) / targetDistance * ghost.speed;
+    ghost.vx += (desiredX - ghost.vx) * CHASER_TURN;
+    ghost.vy += (desiredY - ghost.vy) * CHASER_TURN;
+
+    const speed = Math.hypot(ghost.vx, ghost.vy) || 1;
+    ghost.vx *= ghost.speed / speed;
+    ghost.vy *= ghost.speed / speed;
+}
+
+// Head for the current waypoint, moving on to the next one on arrival
+function steerPatroller(room, ghost) {
+    const route = PATROL_ROUTES[ghost.route];
+    const [wayX, wayY] = route[ghost.waypoint];
+    const dx = wayX * room.canvas.width - ghost.x;
+    const dy = wayY * room.canvas.height - ghost.y;
+    const distance = Math.hypot(dx, dy);
+
+    if (distance <= ghost.speed) {
+        ghost.waypoint = (ghost.waypoint + 1) % route.length;
+    }
+    if (distance > 0) {
+        ghost.vx = dx / distance * Math.min(ghost.speed, distance);
+        ghost.vy = dy / distance * Math.min(ghost.speed, distance);
+    }
+}
+
+// Move every ghost one tick; everything but patrollers bounces off the walls
+function moveGhosts(room) {
+    for (const ghost of room.ghosts) {
+        if (ghost.behavior === 'chaser') {
+            steerChaser(room, ghost);
+        } else if (ghost.behavior === 'patroller') {
+            steerPatroller(room, ghost);
+        }
+
+        ghost.x += ghost.vx;
+        ghost.y += ghost.vy;
+
+        // Patrol routes stay inside the field; a bounce would only fight the steering
+        if (ghost.behavior === 'patroller') continue;
+
+        // Bounce off walls
+        const margin = ghost.size / 2;
+        if (ghost.x <= margin || ghost.x >= room.canvas.width - margin) {
+            ghost.vx = -ghost.vx;
+            ghost.x = Math.max(margin, Math.min(room.canvas.width - margin, ghost.x));
+        }
+        if (ghost.y <= margin || ghost.y >= room.canvas.height - margin) {
+            ghost.vy = -ghost.vy;
+            ghost.y = Math.max(margin, Math.min(room.canvas.height - margin, ghost.y));
+        }
+    }
+}
+
+// What a ghost leaves behind after a hit: two halves flying apart for a first-generation splitter, nothing otherwise
+function splitGhost(ghost) {
+    if (ghost.behavior !== 'splitter' || ghost.generation > 0) return [];
+
+    const speed = Math.min(MAX_GHOST_SPEED, ghost.speed * SPLIT_SPEED);
+    const heading = Math.atan2(ghost.vy, ghost.vx);
+    return [1, -1].map((direction, i) => ({
+        x: ghost.x,
+        y: ghost.y,
+        vx: Math.cos(heading + direction * Math.PI / 2) * speed,
+        vy: Math.sin(heading + direction * Math.PI / 2) * speed,
+        size: ghost.size * SPLIT_SIZE,
+        id: `${ghost.id}-${i + 1}`,
+        behavior: 'splitter',
+        speed: speed,
+        generation: ghost.generation + 1
+    }));
+}
+
+module.exports = {
+    GHOST_BEHAVIORS,
+    GHOST_DIFFICULTIES,
+    setupGhosts,
+    shouldSpawnGhost,
+    spawnGhost,
+    moveGhosts,
+    splitGhost
+};
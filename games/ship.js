@@ -0,0 +1,1907 @@
+/**
+ * Kinemon Games - Ship
+ * Two-team space game: each player runs one ship system (engine, rudder, weapon, aim, shield)
+ */
+
+const { broadcastEffect, broadcastToRoom, broadcastGameState, sendError } = require('../broadcast');
+const { debugLog, applyTilt } = require('./common');
+
+// Ship constants
+const INVULNERABILITY_DURATION_MS = 5000;  // Ship respawn invulnerability (5 seconds)
+const DEFAULT_THRUST_SYSTEM = 'gradient';  // Ship game default (gradient or pump)
+const DEFAULT_ENGINE_FORMULA = 'linear';   // Thrust calculation formula (linear, quadratic, exponential)
+const SHIP_SYSTEMS = ['engine', 'rudder', 'weapon', 'weaponDirection', 'shield'];
+
+// Initialize Ship room state: cooperative space game
+function createShipGame(room, settings) {
+    // Set canvas size based on client viewport dimensions (like Snake)
+    if (settings.canvasWidth && settings.canvasHeight) {
+        const width = Math.max(400, Math.min(2560, settings.canvasWidth));
+        const height = Math.max(600, Math.min(3840, settings.canvasHeight));
+        room.canvas = { width, height };
+        console.log(`Ship canvas: ${width}x${height}`);
+    }
+
+    // Initialize two ships for team-based gameplay
+    room.ships = {
+        blue: {
+            team: 'blue',
+            x: room.canvas.width * 0.25,  // Left-center spawn
+            y: room.canvas.height / 2,
+            radius: 30,
+            vx: 0,
+            vy: 0,
+            rotation: 0,
+            health: 100,
+            maxHealth: 100,
+            coins: 0,
+            lastDamageTime: 0,
+            invulnerable: true,
+            invulnerableUntil: room.clock.now() + INVULNERABILITY_DURATION_MS,
+            spawnTime: room.clock.now(),
+            alive: true,
+            boosters: {  // v3.17: Power-ups
+                extraBullets: 0,
+                laserSight: false,
+                attackShield: { active: false, sizeBonus: 0 },
+                attackEngine: { active: false, level: 0 }
+            }
+        },
+        pink: {
+            team: 'pink',
+            x: room.canvas.width * 0.75,  // Right-center spawn
+            y: room.canvas.height / 2,
+            radius: 30,
+            vx: 0,
+            vy: 0,
+            rotation: 0,
+            health: 100,
+            maxHealth: 100,
+            coins: 0,
+            lastDamageTime: 0,
+            invulnerable: true,
+            invulnerableUntil: room.clock.now() + INVULNERABILITY_DURATION_MS,
+            spawnTime: room.clock.now(),
+            alive: true,
+            boosters: {  // v3.17: Power-ups
+                extraBullets: 0,
+                laserSight: false,
+                attackShield: { active: false, sizeBonus: 0 },
+                attackEngine: { active: false, level: 0 }
+            }
+        }
+    };
+
+    // Separate systems for each team
+    room.teamSystems = {
+        blue: {
+            engine: { amplitude: 0, energy: 0, hasPlayer: false },
+            rudder: { rotation: 0, autoRotateSpeed: 0.5 },
+            weapon: { energy: 0, lastWeaponTilt: undefined, isCharging: false, hasPlayer: false },
+            weaponDirection: { rotation: 0, autoRotateSpeed: 0.7 },
+            shield: { rotation: 0, arcSize: 72, active: false }
+        },
+        pink: {
+            engine: { amplitude: 0, energy: 0, hasPlayer: false },
+            rudder: { rotation: 0, autoRotateSpeed: 0.5 },
+            weapon: { energy: 0, lastWeaponTilt: undefined, isCharging: false, hasPlayer: false },
+            weaponDirection: { rotation: 0, autoRotateSpeed: 0.7 },
+            shield: { rotation: 0, arcSize: 72, active: false }
+        }
+    };
+
+    // Keep old room.systems for backward compatibility (points to blue team)
+    room.systems = room.teamSystems.blue;
+
+    room.bullets = [];
+    room.asteroids = [];
+    room.lastAsteroidSpawn = room.clock.now();
+    room.coins = [];
+    room.hearts = [];
+    room.loot = [];  // v3.17: Loot drops from asteroids
+
+    // Settings
+    room.coinsToWin = settings.coinsToWin || 10;
+    room.asteroidFrequency = settings.asteroidFrequency || 'medium';
+    room.autopilotEnabled = settings.autopilotEnabled !== undefined ? settings.autopilotEnabled : false; // Default: disabled
+    room.coinSpawn = settings.coinSpawn !== undefined ? settings.coinSpawn : true; // Default: enabled
+
+    // Set default thrust system and engine formula (removed from UI in v3.17.3)
+    room.thrustSystem = DEFAULT_THRUST_SYSTEM;
+    room.engineFormula = DEFAULT_ENGINE_FORMULA;
+
+    // Initialize coins - only if coinSpawn is enabled
+    if (room.coinSpawn) {
+        room.coins.push(spawnCoin(room));
+    }
+
+    room.gameStarted = false; // Ship starts after all players ready (lobby system)
+    room.gameState = 'lobby';
+    room.lobbyCountdown = null; // Countdown end time (room clock)
+    room.lobbyCountdownStart = null; // Countdown start time
+}
+
+// Ship: player starts as observer (no role or team assigned)
+function addShipPlayer(room, player) {
+    player.team = null;           // Team selection required before role selection
+    player.systemRole = null;
+    player.systemIndex = null;
+    player.lastTilt = undefined;  // Previous tilt value (undefined allows proper first pump detection)
+    player.alive = true;          // All players share ship health
+    player.ready = false;         // Player hasn't pressed "Ready" button yet
+
+    console.log(`Player ${player.name} joined as observer (no role assigned)`);
+}
+
+// Handle lobby countdown cancellation; the role keeps running on autopilot
+function removeShipPlayer(room, player) {
+    // If player was ready in lobby, cancel countdown
+    if (!room.gameStarted && player.ready) {
+        console.log(`[LOBBY] Player ${player.name} was ready - cancelling countdown`);
+        cancelLobbyCountdown(room);
+    }
+
+    // Log role being freed (goes to autopilot)
+    if (player.systemRole) {
+        console.log(`[DISCONNECT] Role ${player.systemRole} will continue on autopilot`);
+    }
+}
+
+function handleShipInput(room, player, tilt) {
+    if (player.alive) {
+        applyTilt(player, tilt);
+    }
+}
+
+// Ship state - two team ships
+function serializeShipState(room) {
+    const state = {};
+    state.ships = {
+        blue: serializeShip(room.ships.blue),
+        pink: serializeShip(room.ships.pink)
+    };
+
+    // Send both team systems for dual ship mode
+    state.teamSystems = {
+        blue: room.teamSystems.blue,
+        pink: room.teamSystems.pink
+    };
+    state.systems = room.systems; // Backward compatibility (points to blue)
+
+    state.bullets = room.bullets.map(b => ({ x: b.x, y: b.y, id: b.id, team: b.team }));
+
+    state.asteroids = room.asteroids.map(a => ({
+        x: a.x, y: a.y, size: a.size, radius: a.radius,
+        health: a.health, maxHealth: a.maxHealth,
+        rotation: a.rotation, flashUntil: a.flashUntil, id: a.id
+    }));
+
+    state.coins = room.coins;
+    state.hearts = room.hearts;
+    state.loot = room.loot;  // v3.17: Send loot state
+
+    state.players = Array.from(room.players.values()).map(p => ({
+        id: p.id, name: p.name, color: p.color,
+        team: p.team,  // NEW: team selection
+        systemRole: p.systemRole, systemIndex: p.systemIndex, alive: p.alive,
+        ready: p.ready
+    }));
+
+    state.thrustSystem = room.thrustSystem;
+    state.engineFormula = room.engineFormula;
+    state.coinsToWin = room.coinsToWin;
+    state.asteroidFrequency = room.asteroidFrequency;
+    state.autopilotEnabled = room.autopilotEnabled;
+
+    // Send energy level for gradient system visualization
+    state.energyLevel = room.thrustSystem === 'gradient' ? getEnergyLevel(room.systems.engine.energy) : 0;
+
+    // Send weapon state for charging cone visualization
+    state.weaponEnergy = room.systems.weapon.energy;        // 0-10 для визуализации
+    state.weaponCharging = room.systems.weapon.isCharging; // true/false для конуса
+
+    state.gameStarted = room.gameStarted;
+    state.gameOver = room.gameOver;
+    state.winner = room.winner;
+
+    return state;
+}
+
+// Serialize a single team ship
+function serializeShip(ship) {
+    return {
+        team: ship.team,
+        x: ship.x,
+        y: ship.y,
+        radius: ship.radius,
+        vx: ship.vx,
+        vy: ship.vy,
+        rotation: ship.rotation,
+        health: ship.health,
+        maxHealth: ship.maxHealth,
+        coins: ship.coins,
+        lastDamageTime: ship.lastDamageTime,
+        invulnerable: ship.invulnerable,
+        invulnerableUntil: ship.invulnerableUntil || 0,
+        spawnTime: ship.spawnTime || 0,
+        alive: ship.alive,
+        boosters: ship.boosters  // v3.17: Send boosters state
+    };
+}
+
+// Crew members get their ship's coins and share the win
+function getShipMatchResult(room, player) {
+    const ship = room.ships && room.ships[player.team];
+    return {
+        score: ship ? ship.coins || 0 : 0,
+        won: !!room.winner && room.winner.teamColor === player.team
+    };
+}
+
+// Ship messages: live physics tuning, team/role selection and the ready lobby
+function handleShipMessage(room, ws, player, data) {
+    switch (data.type) {
+        case 'update_physics':
+            // Update live physics settings for Ship game
+            if (data.physics) {
+                room.physics = data.physics;
+                console.log(`Physics updated in room ${room.id}:`, data.physics);
+            }
+            return true;
+        case 'change_role':
+            handleChangeRole(room, ws, player, data);
+            return true;
+        case 'select_team':
+            handleSelectTeam(room, ws, player, data);
+            return true;
+        case 'player_ready':
+            handlePlayerReady(room, ws, player);
+            return true;
+        case 'player_unready':
+            handlePlayerUnready(room, player);
+            return true;
+        default:
+            return false;
+    }
+}
+
+// Handle role change for Ship game
+function handleChangeRole(room, ws, player, data) {
+    console.log(`[CHANGE_ROLE] Received from player ${ws.playerId}, role: ${data.role}`);
+    if (!player) {
+        console.log(`[CHANGE_ROLE] ERROR: Player ${ws.playerId} not found in room`);
+        return;
+    }
+
+    const requestedRole = data.role; // 'engine' | 'rudder' | 'weapon' | 'weaponDirection' | 'shield' | null
+    console.log(`[CHANGE_ROLE] Player ${player.name} requesting role: ${requestedRole}`);
+
+    // Player must have team selected before choosing role
+    if (!player.team) {
+        sendError(ws, 'team_required', 'Выберите команду перед выбором роли');
+        return;
+    }
+
+    // If player wants to release role
+    if (requestedRole === null) {
+        player.systemRole = null;
+        player.systemIndex = null;
+        console.log(`Player ${player.name} released their role`);
+        broadcastGameState(room);
+        return;
+    }
+
+    // Check if role is already taken BY SOMEONE ON THE SAME TEAM
+    const roleTaken = Array.from(room.players.values()).some(p =>
+        p.id !== player.id &&
+        p.team === player.team &&
+        p.systemRole === requestedRole
+    );
+
+    if (roleTaken) {
+        sendError(ws, 'role_taken', 'Эта роль уже занята другим игроком в вашей команде');
+        return;
+    }
+
+    // Assign role
+    player.systemRole = requestedRole;
+    console.log(`[CHANGE_ROLE] SUCCESS: ${player.name} assigned to role ${requestedRole}`);
+    player.systemIndex = SHIP_SYSTEMS.indexOf(requestedRole) + 1; // 1-5
+
+    console.log(`Player ${player.name} assigned to system: ${player.systemRole}`);
+    broadcastGameState(room);
+}
+
+// Handle team selection for Ship game
+function handleSelectTeam(room, ws, player, data) {
+    if (!player) return;
+
+    const requestedTeam = data.team; // 'blue' | 'pink'
+
+    // Validate team choice
+    if (requestedTeam !== 'blue' && requestedTeam !== 'pink') {
+        console.log(`[TEAM] Invalid team selection: ${requestedTeam}`);
+        return;
+    }
+
+    // Cannot change team during active game
+    if (room.gameState === 'playing') {
+        console.log(`[TEAM] ${player.name} tried to change team during game`);
+        sendError(ws, 'team_locked', 'Нельзя менять команду во время игры');
+        return;
+    }
+
+    // Update player team
+    player.team = requestedTeam;
+    console.log(`[TEAM] ${player.name} selected team: ${requestedTeam}`);
+
+    // Reset ready status on team change
+    if (player.ready) {
+        player.ready = false;
+        console.log(`[TEAM] ${player.name} ready status reset due to team change`);
+    }
+
+    // Broadcast updated game state
+    broadcastGameState(room);
+}
+
+// Handle player ready status for Ship game
+function handlePlayerReady(room, ws, player) {
+    if (!player) return;
+
+    // Player must have a role to be ready
+    if (!player.systemRole) {
+        sendError(ws, 'role_required', 'Выберите роль перед началом игры');
+        return;
+    }
+
+    player.ready = true;
+    console.log(`Player ${player.name} is ready`);
+
+    // Check if all players are ready
+    const allReady = Array.from(room.players.values()).every(p => p.ready);
+    if (allReady && room.players.size > 0) {
+        console.log(`[LOBBY] All players ready in room ${room.id}, starting countdown`);
+        startLobbyCountdown(room);
+    }
+
+    broadcastGameState(room);
+}
+
+// Handle player unready status for Ship game
+function handlePlayerUnready(room, player) {
+    if (!player) return;
+
+    player.ready = false;
+    console.log(`[LOBBY] Player ${player.name} is no longer ready`);
+
+    // Cancel countdown if it was running
+    cancelLobbyCountdown(room);
+
+    broadcastGameState(room);
+}
+
+// Reset Ship game state
+function resetShipGame(room, preserveRoles) {
+    const INVULNERABILITY_DURATION_MS = 3000;
+
+    // Reset ships
+    room.ships.blue = {
+        team: 'blue',
+        x: room.canvas.width * 0.25,
+        y: room.canvas.height / 2,
+        radius: 30,
+        vx: 0, vy: 0, rotation: 0,
+        health: 100, maxHealth: 100, coins: 0,
+        invulnerable: true,
+        invulnerableUntil: room.clock.now() + INVULNERABILITY_DURATION_MS,
+        spawnTime: room.clock.now(),
+        alive: true,
+        boosters: { extraBullets: 0, laserSight: false, attackShield: { active: false }, attackEngine: { active: false } }
+    };
+    room.ships.pink = {
+        team: 'pink',
+        x: room.canvas.width * 0.75,
+        y: room.canvas.height / 2,
+        radius: 30,
+        vx: 0, vy: 0, rotation: Math.PI,
+        health: 100, maxHealth: 100, coins: 0,
+        invulnerable: true,
+        invulnerableUntil: room.clock.now() + INVULNERABILITY_DURATION_MS,
+        spawnTime: room.clock.now(),
+        alive: true,
+        boosters: { extraBullets: 0, laserSight: false, attackShield: { active: false }, attackEngine: { active: false } }
+    };
+
+    // Reset team systems
+    ['blue', 'pink'].forEach(team => {
+        room.teamSystems[team] = {
+            engine: { amplitude: 0, energy: 0, hasPlayer: false },
+            rudder: { rotation: 0, autoRotateSpeed: 0.5 },
+            weapon: { energy: 0, lastWeaponTilt: undefined, isCharging: false, hasPlayer: false },
+            weaponDirection: { rotation: 0, autoRotateSpeed: 0.7 },
+            shield: { rotation: 0, arcSize: 72, active: false }
+        };
+    });
+
+    // Clear game objects
+    room.bullets = [];
+    room.asteroids = [];
+    room.hearts = [];
+    room.loot = [];
+    // Initialize coins only if coinSpawn is enabled
+    room.coins = room.coinSpawn ? [spawnCoin(room)] : [];
+    room.lastAsteroidSpawn = room.clock.now();
+
+    // Handle roles/lobby
+    if (preserveRoles) {
+        // Keep teams and roles, mark all players as ready
+        room.players.forEach(player => {
+            player.ready = true;
+        });
+        room.gameStarted = true;
+        room.gameState = 'playing';
+    } else {
+        // Return to lobby - reset roles and ready status, allow new role selection
+        room.players.forEach(player => {
+            player.ready = false;
+            player.systemRole = null;  // Reset role so players can choose again
+            // Keep team assignment - players stay on their teams
+        });
+        room.gameStarted = false;
+        room.gameState = 'lobby';
+        room.lobbyCountdown = null;
+        room.lobbyCountdownStart = null;
+    }
+}
+
+// Start lobby countdown for Ship game
+function startLobbyCountdown(room) {
+    if (room.lobbyCountdown) return; // Already running
+
+    const COUNTDOWN_DURATION = 5000; // 5 seconds
+    const startTime = Date.now();
+    room.lobbyCountdownStart = startTime;
+
+    // Countdown completes in updateShip on the room clock (no timer, so recorded matches replay exactly)
+    room.lobbyCountdown = room.clock.now() + COUNTDOWN_DURATION;
+
+    console.log(`[LOBBY] Starting countdown in room ${room.id}`);
+
+    // Send countdown to all clients in the room (display and controllers)
+    broadcastToRoom(room.id, {
+        type: 'lobby_countdown',
+        startTime: startTime,
+        duration: COUNTDOWN_DURATION
+    });
+}
+
+// Lobby countdown finished - start the round
+function finishLobbyCountdown(room) {
+    room.lobbyCountdown = null;
+    room.lobbyCountdownStart = null;
+    room.gameStarted = true;
+    console.log(`[LOBBY] Game started in room ${room.id}`);
+
+    // Activate ship invulnerability for 5 seconds at round start
+    if (room.ship) {
+        room.ship.invulnerable = true;
+        room.ship.invulnerableUntil = room.clock.now() + 5000; // 5 seconds
+        room.ship.spawnTime = room.clock.now(); // Track spawn time for blinking animation
+        console.log(`[SHIP] Invulnerability activated for 5 seconds`);
+    }
+
+    // Send start_calibration to all controllers
+    room.players.forEach((player) => {
+        if (player.ws && player.ws.readyState === 1) {
+            player.ws.send(JSON.stringify({
+                type: 'start_calibration'
+            }));
+        }
+    });
+
+    broadcastGameState(room);
+}
+
+// Cancel lobby countdown
+function cancelLobbyCountdown(room) {
+    if (!room.lobbyCountdown) return; // No countdown running
+
+    room.lobbyCountdown = null;
+    room.lobbyCountdownStart = null;
+
+    console.log(`[LOBBY] Countdown cancelled in room ${room.id}`);
+
+    // Notify all clients in the room (display and controllers)
+    broadcastToRoom(room.id, {
+        type: 'lobby_countdown_cancelled'
+    });
+}
+
+// Spawn coin for Ship game
+function spawnCoin(room) {
+    const margin = 50;
+    return {
+        x: margin + room.random() * (room.canvas.width - 2 * margin),
+        y: margin + room.random() * (room.canvas.height - 2 * margin),
+        id: room.clock.now() + room.random()
+    };
+}
+
+// Get position on ship hull for a system at given rotation
+function getSystemPosition(ship, rotation) {
+    const angle = rotation * Math.PI / 180;
+    return {
+        x: ship.x + Math.cos(angle) * ship.radius,
+        y: ship.y + Math.sin(angle) * ship.radius,
+        angle: angle
+    };
+}
+
+// Detect pump motion (upward movement from below 0.5 to above 0.5)
+// Returns energy added from the pump
+function detectPump(player, currentTilt, room) {
+    // Initialize lastTilt if not set
+    if (player.lastTilt === undefined) {
+        player.lastTilt = currentTilt;
+        return 0;
+    }
+
+    const lastTilt = player.lastTilt;
+    const delta = currentTilt - lastTilt;
+    player.lastTilt = currentTilt;
+
+    // Detect ANY significant upward movement (delta > threshold)
+    const pumpThreshold = (room.physics && room.physics.pumpMinDelta) || 0.15;
+
+    if (delta > pumpThreshold) {
+        // Pump detected! Energy based on movement magnitude
+        const pumpStrength = Math.min(delta, 0.5) * 2; // 0-1 (normalized)
+        const pumpEnergyMult = (room.physics && room.physics.pumpEnergy) || 16;
+        const energyBoost = pumpStrength * pumpEnergyMult;
+        debugLog(`🚀 Pump! Tilt: ${lastTilt.toFixed(2)} -> ${currentTilt.toFixed(2)} (Δ${delta.toFixed(3)}), Energy: +${energyBoost.toFixed(2)}`);
+        return energyBoost;
+    }
+
+    return 0; // No pump
+}
+
+// Weapon charging based on tilt position (not pump speed)
+// Energy = distance traveled upward from lowest point
+// Returns { newEnergy, shouldFire, bulletCount }
+function updateWeaponCharge(player, currentTilt, room) {
+    const weapon = room.systems.weapon;
+
+    // Initialize on first call
+    if (weapon.lastWeaponTilt === undefined) {
+        weapon.lastWeaponTilt = currentTilt;
+        weapon.baseTilt = currentTilt;  // Lowest point for energy calculation
+        weapon.movingUp = false;
+        weapon.justFired = false;
+        return { newEnergy: 0, shouldFire: false, bulletCount: 0 };
+    }
+
+    const lastTilt = weapon.lastWeaponTilt;
+    const delta = currentTilt - lastTilt;
+    weapon.lastWeaponTilt = currentTilt;
+
+    // Track direction of movement
+    const currentlyMovingUp = delta > 0.01;
+    const currentlyMovingDown = delta < -0.01;
+
+    // Update base to track the lowest point during movement
+    if (!weapon.movingUp && currentlyMovingUp) {
+        // Starting to move up - set base to current position (lowest point)
+        weapon.baseTilt = currentTilt;
+        weapon.movingUp = true;
+        weapon.justFired = false; // Clear fired flag on new upward movement
+        console.log(`⬆️ Started moving up from base: ${currentTilt.toFixed(3)}`);
+    } else if (weapon.movingUp && currentlyMovingDown) {
+        // Starting to move down - FIRE!
+        const shouldFire = true;
+        const bulletCount = Math.max(1, Math.ceil(weapon.energy));
+        console.log(`💥 Weapon Fire! Energy: ${weapon.energy.toFixed(2)}, Bullets: ${bulletCount}`);
+
+        weapon.movingUp = false;
+        weapon.justFired = true; // Mark as just fired
+        weapon.baseTilt = 999; // Set base impossibly high so energy stays 0
+        return { newEnergy: 0, shouldFire, bulletCount }; // Energy immediately 0 after fire
+    } else if (currentlyMovingUp) {
+        weapon.movingUp = true;
+    } else if (currentlyMovingDown) {
+        weapon.movingUp = false;
+        // Continue tracking downward - update base to lowest point (only if not just fired)
+        if (!weapon.justFired) {
+            weapon.baseTilt = Math.min(weapon.baseTilt, currentTilt);
+        }
+    }
+
+    // Energy = relative distance from base position (0-1 → 0-10)
+    // If just fired, keep energy at 0 until new upward movement starts
+    const relativeTilt = weapon.justFired ? 0 : Math.max(0, currentTilt - weapon.baseTilt);
+    const newEnergy = relativeTilt * 10;
+
+    // Charging when relative energy > 0
+    weapon.isCharging = relativeTilt > 0.05;
+
+    return { newEnergy, shouldFire: false, bulletCount: 0 };
+}
+
+/**
+ * Gradient Energy System - Calculates energy from phone tilt angle
+ *
+ * Players hold their phone and tilt it upward to charge energy.
+ * Energy gain increases exponentially with tilt angle:
+ *
+ * - 0-70°:  1.0 energy/degree  (easy, rapid charging)
+ * - 70-85°: 1.5 energy/degree  (moderate difficulty)
+ * - 85-89°: 5.0 energy/degree  (high precision required)
+ * - 89-90°: 10.0 energy/degree (extreme difficulty, vertical hold)
+ *
+ * This creates engaging risk/reward gameplay - steep tilts yield more energy
+ * but are harder to maintain. Energy decays over time, so players must
+ * continuously pump to maintain thrust.
+ *
+ * @param {number} currentTilt - Current phone angle (0=horizontal, 1=vertical)
+ * @param {number} lastTilt - Previous phone angle (undefined on first call)
+ * @returns {number} Energy gained this frame (0 if tilting down or first call)
+ */
+function calculateGradientEnergy(currentTilt, lastTilt) {
+    // Initialize on first call - no energy on first frame
+    if (lastTilt === undefined) return 0;
+
+    // tilt range: 0 (horizontal) to 1 (vertical)
+    // Convert to degrees: 0-90
+    const currentDegrees = currentTilt * 90;
+    const lastDegrees = lastTilt * 90;
+
+    // Only count upward movement
+    if (currentDegrees <= lastDegrees) return 0;
+
+    let energy = 0;
+
+    // Progressive energy calculation - iterate through degree ranges
+    for (let deg = Math.floor(lastDegrees); deg < Math.floor(currentDegrees); deg++) {
+        if (deg < 70) {
+            energy += 1.0;  // First 70 degrees: 1 point/degree
+        } else if (deg < 85) {
+            energy += 1.5;  // Next 15 degrees: 1.5 points/degree
+        } else if (deg < 89) {
+            energy += 5.0;  // Next 4 degrees: 5 points/degree
+        } else {
+            energy += 10.0; // Last degree: 10 points
+        }
+    }
+
+    return energy;
+}
+
+// Get current energy level (1-5) for gradient system
+// Used for visual feedback and decay rate calculation
+function getEnergyLevel(energy) {
+    if (energy >= 600) return 5; // Red (600-750)
+    if (energy >= 450) return 4; // Orange (450-600)
+    if (energy >= 300) return 3; // Yellow (300-450)
+    if (energy >= 150) return 2; // Green (150-300)
+    if (energy > 0) return 1;    // Blue (0-150)
+    return 0;
+}
+
+// Calculate engine thrust from accumulated energy
+function calculateEngineThrust(energy, formula, room) {
+    if (energy <= 0) return 0;
+
+    // Base multiplier (zone 1: 0-150)
+    const baseMult = (room.physics && room.physics.thrustMult) || 0.5;
+
+    // Determine zone and calculate compound multiplier (+20% per zone)
+    let zoneMultiplier = 1.0;
+
+    if (energy >= 600) {
+        // Zone 5 (600-750): 4 compounded 20% increases
+        zoneMultiplier = 1.2 * 1.2 * 1.2 * 1.2; // = 2.0736
+    } else if (energy >= 450) {
+        // Zone 4 (450-600): 3 compounded 20% increases
+        zoneMultiplier = 1.2 * 1.2 * 1.2; // = 1.728
+    } else if (energy >= 300) {
+        // Zone 3 (300-450): 2 compounded 20% increases
+        zoneMultiplier = 1.2 * 1.2; // = 1.44
+    } else if (energy >= 150) {
+        // Zone 2 (150-300): 1 compounded 20% increase
+        zoneMultiplier = 1.2;
+    }
+    // Zone 1 (0-150): multiplier = 1.0 (base)
+
+    const finalMult = baseMult * zoneMultiplier;
+
+    // Normalize energy for gradient system (0-750 range)
+    const normalizedEnergy = Math.min(energy / 750, 1);
+
+    // Apply formula modifiers
+    switch (formula) {
+        case 'balanced':
+            return finalMult * normalizedEnergy;
+        case 'speed':
+            return (finalMult * 1.25) * normalizedEnergy;
+        case 'combo':
+            return (finalMult * 0.75) * normalizedEnergy;
+        default:
+            return finalMult * normalizedEnergy;
+    }
+}
+
+// Apply engine thrust to ship
+function applyEngineThrust(room) {
+    const thrust = calculateEngineThrust(room.systems.engine.energy, room.engineFormula, room);
+
+    if (thrust > 0) {
+        const angle = room.systems.rudder.rotation * Math.PI / 180;
+
+        // Reactive thrust - ship moves OPPOSITE to engine direction
+        room.ship.vx += -Math.cos(angle) * thrust;
+        room.ship.vy += -Math.sin(angle) * thrust;
+
+        debugLog(`Thrust applied: ${thrust.toFixed(3)}, Energy: ${room.systems.engine.energy.toFixed(2)}, Speed: ${Math.hypot(room.ship.vx, room.ship.vy).toFixed(2)}`);
+
+        // Speed boost for gradient system (+10% per energy level)
+        let speedMultiplier = 1.0;
+        if (room.thrustSystem === 'gradient') {
+            const level = getEnergyLevel(room.systems.engine.energy);
+            speedMultiplier = 1.0 + (level * 0.10); // +10% per level (max +50% at level 5)
+        }
+
+        // Clamp velocity with speed multiplier (use physics settings)
+        const baseMaxSpeed = (room.physics && room.physics.maxSpeed) || 3.0;
+        const MAX_SPEED = baseMaxSpeed * speedMultiplier;
+        const speed = Math.hypot(room.ship.vx, room.ship.vy);
+        if (speed > MAX_SPEED) {
+            room.ship.vx = (room.ship.vx / speed) * MAX_SPEED;
+            room.ship.vy = (room.ship.vy / speed) * MAX_SPEED;
+        }
+    }
+
+    // Energy decay (depends on thrust system)
+    if (room.thrustSystem === 'gradient') {
+        // Progressive decay based on energy level
+        const level = getEnergyLevel(room.systems.engine.energy);
+        const baseDecay = (room.physics && room.physics.gradientBaseDecay) || 50;
+        const decayMultiplier = 1.0 + (level - 1) * 0.5; // +50% per level above 1
+        const decayRate = baseDecay * decayMultiplier; // units/second
+        const decayPerFrame = decayRate / 60; // Convert to per-frame (60 FPS)
+        room.systems.engine.energy = Math.max(0, room.systems.engine.energy - decayPerFrame);
+    } else {
+        // Pump system - constant decay
+        const energyDecay = (room.physics && room.physics.energyDecay) || 50;
+        room.systems.engine.energy = Math.max(0, room.systems.engine.energy - energyDecay);
+    }
+}
+
+// Update ship position with physics
+function updateShipPosition(room) {
+    room.ship.x += room.ship.vx;
+    room.ship.y += room.ship.vy;
+
+    // Inertia controls how quickly ship slows down (0=instant stop, 100=no friction)
+    // Convert inertia (0-100) to friction multiplier (0.90-0.995)
+    const inertia = (room.physics && room.physics.inertia !== undefined) ? room.physics.inertia : 50;
+    const FRICTION = 0.90 + (inertia / 100) * 0.095; // Maps 0→0.90, 50→0.9475, 100→0.995
+    room.ship.vx *= FRICTION;
+    room.ship.vy *= FRICTION;
+
+    // Full stop at very low speeds to prevent infinite drift (use physics settings)
+    const stopThreshold = (room.physics && room.physics.stopThreshold) || 0.05;
+    if (Math.abs(room.ship.vx) < stopThreshold) room.ship.vx = 0;
+    if (Math.abs(room.ship.vy) < stopThreshold) room.ship.vy = 0;
+
+    // Wrap around edges
+    if (room.ship.x < 0) room.ship.x = room.canvas.width;
+    if (room.ship.x > room.canvas.width) room.ship.x = 0;
+    if (room.ship.y < 0) room.ship.y = room.canvas.height;
+    if (room.ship.y > room.canvas.height) room.ship.y = 0;
+
+    // Aesthetic rotation toward velocity direction
+    if (Math.hypot(room.ship.vx, room.ship.vy) > 0.5) {
+        room.ship.rotation = Math.atan2(room.ship.vy, room.ship.vx);
+    }
+}
+
+// Calculate bullet parameters from weapon energy (0-10)
+// Returns { powerLevel, size, speed, distance, damage, bulletCount }
+function calculateBulletParams(energy) {
+    // Energy 0-10 → power levels 1-10
+    const powerLevel = Math.max(1, Math.min(10, Math.ceil(energy)));
+
+    // Custom balance table for each level
+    const balanceTable = {
+        1:  { size: 1,  speed: 5,  distance: 100, bulletCount: 1, damage: 0.5 },
+        2:  { size: 2,  speed: 6,  distance: 150, bulletCount: 1, damage: 0.6 },
+        3:  { size: 3,  speed: 8,  distance: 200, bulletCount: 1, damage: 0.8 },
+        4:  { size: 4,  speed: 10, distance: 300, bulletCount: 2, damage: 1.0 },
+        5:  { size: 5,  speed: 10, distance: 400, bulletCount: 2, damage: 1.0 },
+        6:  { size: 6,  speed: 12, distance: 500, bulletCount: 2, damage: 1.0 },
+        7:  { size: 7,  speed: 12, distance: 600, bulletCount: 3, damage: 1.1 },
+        8:  { size: 10, speed: 12, distance: 700, bulletCount: 3, damage: 1.2 },
+        9:  { size: 12, speed: 14, distance: 800, bulletCount: 3, damage: 1.3 },
+        10: { size: 14, speed: 17, distance: 900, bulletCount: 5, damage: 1.5 }
+    };
+
+    const stats = balanceTable[powerLevel];
+    const size = stats.size;
+    const speed = stats.speed;
+    const distance = stats.distance;
+    const bulletCount = stats.bulletCount;
+    const damage = stats.damage;
+
+    console.log(`🎯 Bullet: Lv${powerLevel}, Count:${bulletCount}, Size:${size}px, Speed:${speed}, Dist:${distance}, Dmg:${damage}x`);
+
+    return { powerLevel, size, speed, distance, damage, bulletCount };
+}
+
+// Fire bullets from weapon using accumulated energy
+// Fire bullet for specific team
+function fireBulletForTeam(room, teamColor) {
+    const systems = room.teamSystems[teamColor];
+    const ship = room.ships[teamColor];
+    const weapon = systems.weapon;
+
+    if (weapon.energy < 0.1) return;
+
+    const params = calculateBulletParams(weapon.energy);
+    // v3.17: Add extra bullets from booster
+    const totalBulletCount = params.bulletCount + (ship.boosters.extraBullets || 0);
+    const angle = systems.weaponDirection.rotation * Math.PI / 180;
+    const weaponPos = getSystemPosition(ship, systems.weaponDirection.rotation);
+
+    for (let i = 0; i < totalBulletCount; i++) {
+        const spread = totalBulletCount > 1 ? (room.random() - 0.5) * 0.2 : 0;
+        const bulletAngle = angle + spread;
+
+        room.bullets.push({
+            x: weaponPos.x,
+            y: weaponPos.y,
+            vx: Math.cos(bulletAngle) * params.speed,
+            vy: Math.sin(bulletAngle) * params.speed,
+            damage: params.damage,
+            size: params.size,
+            powerLevel: params.powerLevel,
+            distanceTraveled: 0,
+            maxDistance: params.distance,
+            team: teamColor,  // NEW: bullets have team identity
+            id: room.clock.now() + room.random() + i
+        });
+    }
+
+    const effectColor = (params.powerLevel === 10) ? '#FF0000' : (teamColor === 'blue' ? '#2196F3' : '#E91E63');
+    broadcastEffect(room.id, 'particle', {
+        x: weaponPos.x,
+        y: weaponPos.y,
+        color: effectColor,
+        count: Math.ceil(totalBulletCount / 2)
+    });
+    broadcastEffect(room.id, 'shake', { intensity: params.powerLevel / 5 });
+
+    weapon.energy = 0;
+    weapon.isCharging = false;
+}
+
+// Apply engine thrust for specific team
+function applyEngineThrustForTeam(room, teamColor) {
+    const systems = room.teamSystems[teamColor];
+    const ship = room.ships[teamColor];
+
+    const thrust = calculateEngineThrust(systems.engine.energy, room.engineFormula, room);
+
+    if (thrust > 0) {
+        const angle = systems.rudder.rotation * Math.PI / 180;
+
+        // Reactive thrust - ship moves OPPOSITE to engine direction
+        ship.vx += -Math.cos(angle) * thrust;
+        ship.vy += -Math.sin(angle) * thrust;
+
+        debugLog(`[${teamColor}] Thrust applied: ${thrust.toFixed(3)}, Energy: ${systems.engine.energy.toFixed(2)}, Speed: ${Math.hypot(ship.vx, ship.vy).toFixed(2)}`);
+
+        // Speed boost for gradient system (+10% per energy level)
+        let speedMultiplier = 1.0;
+        if (room.thrustSystem === 'gradient') {
+            const level = getEnergyLevel(systems.engine.energy);
+            speedMultiplier = 1.0 + (level * 0.10); // +10% per level (max +50% at level 5)
+        }
+
+        // Clamp velocity with speed multiplier (use physics settings)
+        const baseMaxSpeed = (room.physics && room.physics.maxSpeed) || 3.0;
+        const MAX_SPEED = baseMaxSpeed * speedMultiplier;
+        const speed = Math.hypot(ship.vx, ship.vy);
+        if (speed > MAX_SPEED) {
+            ship.vx = (ship.vx / speed) * MAX_SPEED;
+            ship.vy = (ship.vy / speed) * MAX_SPEED;
+        }
+    }
+
+    // Energy decay (depends on thrust system)
+    if (room.thrustSystem === 'gradient') {
+        // Progressive decay based on energy level
+        const level = getEnergyLevel(systems.engine.energy);
+        const baseDecay = (room.physics && room.physics.gradientBaseDecay) || 50;
+        const decayMultiplier = 1.0 + (level - 1) * 0.5; // +50% per level above 1
+        const decayRate = baseDecay * decayMultiplier; // units/second
+        const decayPerFrame = decayRate / 60; // Convert to per-frame (60 FPS)
+        systems.engine.energy = Math.max(0, systems.engine.energy - decayPerFrame);
+    } else {
+        // Pump system - constant decay
+        const energyDecay = (room.physics && room.physics.energyDecay) || 50;
+        systems.engine.energy = Math.max(0, systems.engine.energy - energyDecay);
+    }
+}
+
+// Update ship position with physics for specific team
+function updateShipPositionForTeam(room, teamColor) {
+    const ship = room.ships[teamColor];
+
+    ship.x += ship.vx;
+    ship.y += ship.vy;
+
+    // Inertia controls how quickly ship slows down (0=instant stop, 100=no friction)
+    // Convert inertia (0-100) to friction multiplier (0.90-0.995)
+    const inertia = (room.physics && room.physics.inertia !== undefined) ? room.physics.inertia : 50;
+    const FRICTION = 0.90 + (inertia / 100) * 0.095; // Maps 0→0.90, 50→0.9475, 100→0.995
+    ship.vx *= FRICTION;
+    ship.vy *= FRICTION;
+
+    // Full stop at very low speeds to prevent infinite drift (use physics settings)
+    const stopThreshold = (room.physics && room.physics.stopThreshold) || 0.05;
+    if (Math.abs(ship.vx) < stopThreshold) ship.vx = 0;
+    if (Math.abs(ship.vy) < stopThreshold) ship.vy = 0;
+
+    // Wrap around edges
+    if (ship.x < 0) ship.x = room.canvas.width;
+    if (ship.x > room.canvas.width) ship.x = 0;
+    if (ship.y < 0) ship.y = room.canvas.height;
+    if (ship.y > room.canvas.height) ship.y = 0;
+
+    // Aesthetic rotation toward velocity direction
+    if (Math.hypot(ship.vx, ship.vy) > 0.5) {
+        ship.rotation = Math.atan2(ship.vy, ship.vx);
+    }
+}
+
+// Create asteroid
+function createAsteroid(room, size) {
+    // Spawn OUTSIDE field boundaries
+    const margin = 100;
+    const side = Math.floor(room.random() * 4); // 0=top, 1=right, 2=bottom, 3=left
+
+    let x, y;
+    switch(side) {
+        case 0: x = room.random() * room.canvas.width; y = -margin; break;
+        case 1: x = room.canvas.width + margin; y = room.random() * room.canvas.height; break;
+        case 2: x = room.random() * room.canvas.width; y = room.canvas.height + margin; break;
+        case 3: x = -margin; y = room.random() * room.canvas.height; break;
+    }
+
+    // Vector toward center with random offset
+    const centerX = room.canvas.width / 2;
+    const centerY = room.canvas.height / 2;
+    const angle = Math.atan2(centerY - y, centerX - x) + (room.random() - 0.5) * 0.4;
+
+    let speed, health, maxHealth, damage, splits;
+    switch(size) {
+        case 'large':
+            speed = 0.75; health = 10; maxHealth = 10; damage = 3; splits = 2; // Reduced 2x: was 1.5
+            break;
+        case 'medium':
+            speed = 1.0; health = 5; maxHealth = 5; damage = 2; splits = 3; // Reduced 2x: was 2.0
+            break;
+        case 'small':
+            speed = 1.25; health = 2; maxHealth = 2; damage = 1; splits = 0; // Reduced 2x: was 2.5
+            break;
+    }
+
+    return {
+        x, y,
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed,
+        size,
+        radius: size === 'large' ? 20 : (size === 'medium' ? 12 : 8), // Increased 2x: was 10/6/4
+        health, maxHealth,
+        baseDamage: damage,
+        splits,
+        rotation: room.random() * Math.PI * 2,
+        rotationSpeed: (room.random() - 0.5) * 0.05,
+        flashUntil: 0,
+        id: room.clock.now() + room.random()
+    };
+}
+
+// Spawn asteroids based on frequency
+function spawnAsteroidIfNeeded(room) {
+    // Skip spawning if frequency is 'none' (training mode)
+    if (room.asteroidFrequency === 'none') return;
+
+    const now = room.clock.now();
+    const intervals = { low: 3000, medium: 2000, high: 1200 };
+    const interval = intervals[room.asteroidFrequency] || 2000;
+
+    if (now - room.lastAsteroidSpawn > interval) {
+        const rand = room.random();
+        const size = rand < 0.5 ? 'small' : (rand < 0.8 ? 'medium' : 'large');
+
+        room.asteroids.push(createAsteroid(room, size));
+        room.lastAsteroidSpawn = now;
+    }
+}
+
+// Handle asteroid destruction and splitting
+function handleAsteroidDestruction(room, asteroid, index) {
+    // v3.17: 70% loot drop system for small asteroids
+    if (asteroid.size === 'small' && room.random() < 0.70) {
+        const lootTypes = [
+            { type: 'coin', weight: 15 },
+            { type: 'heart', weight: 15 },
+            { type: 'bullet', weight: 15 },
+            { type: 'laser', weight: 5 },
+            { type: 'attackShield', weight: 10 },
+            { type: 'attackEngine', weight: 10 }
+        ];
+
+        // Weighted random selection
+        const totalWeight = lootTypes.reduce((sum, item) => sum + item.weight, 0);
+        let random = room.random() * totalWeight;
+        let selectedType = 'coin';
+
+        for (const loot of lootTypes) {
+            random -= loot.weight;
+            if (random <= 0) {
+                selectedType = loot.type;
+                break;
+            }
+        }
+
+        // Spawn loot with scatter velocity (like coins)
+        const angle = room.random() * Math.PI * 2;
+        const speed = 1 + room.random() * 2;
+
+        room.loot.push({
+            x: asteroid.x,
+            y: asteroid.y,
+            vx: Math.cos(angle) * speed,
+            vy: Math.sin(angle) * speed,
+            type: selectedType,
+            id: room.clock.now() + room.random(),
+            radius: 12
+        });
+    }
+
+    // Split into smaller asteroids
+    if (asteroid.splits > 0) {
+        const newSize = asteroid.size === 'large' ? 'medium' : 'small';
+        const spreadAngle = Math.PI * 2 / asteroid.splits;
+
+        for (let i = 0; i < asteroid.splits; i++) {
+            const angle = spreadAngle * i;
+            const speed = asteroid.size === 'large' ? 2.0 : 2.5;
+
+            room.asteroids.push({
+                ...createAsteroid(room, newSize),
+                x: asteroid.x,
+                y: asteroid.y,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed
+            });
+        }
+    }
+
+    room.asteroids.splice(index, 1);
+
+    broadcastEffect(room.id, 'particle', { x: asteroid.x, y: asteroid.y, color: '#888888', count: 25 });
+    broadcastEffect(room.id, 'shake', { intensity: 3 });
+}
+
+// v3.17: Apply loot effect when ship collects loot
+function applyLootEffect(room, ship, loot, teamColor) {
+    const teamColorHex = teamColor === 'blue' ? '#2196F3' : '#E91E63';
+
+    switch (loot.type) {
+        case 'coin':
+            ship.coins = (ship.coins || 0) + 1;
+            const coinsRemaining = (room.coinsToWin || 10) - ship.coins;
+            broadcastEffect(room.id, 'particle', { x: loot.x, y: loot.y, color: '#FFD700', count: 10 });
+            broadcastEffect(room.id, 'scoreAnim', {
+                x: ship.x,
+                y: ship.y - ship.radius - 20,
+                text: `ещё ${coinsRemaining} до победы!`,
+                color: teamColorHex
+            });
+            // Spawn new coin only if coinSpawn is enabled
+            if (room.coinSpawn) {
+                room.coins.push(spawnCoin(room));
+            }
+            break;
+
+        case 'heart':
+            if (ship.health < ship.maxHealth) {
+                const actualHealing = Math.min(50, ship.maxHealth - ship.health);
+                ship.health = Math.min(ship.maxHealth, ship.health + 50);
+                broadcastEffect(room.id, 'particle', { x: loot.x, y: loot.y, color: '#FF1744', count: 15 });
+                broadcastEffect(room.id, 'scoreAnim', {
+                    x: ship.x,
+                    y: ship.y - ship.radius - 20,
+                    text: `${actualHealing}HP восстановлено!`,
+                    color: '#FF1744'
+                });
+            }
+            break;
+
+        case 'bullet':
+            ship.boosters.extraBullets = (ship.boosters.extraBullets || 0) + 1;
+            broadcastEffect(room.id, 'particle', { x: loot.x, y: loot.y, color: '#00FFFF', count: 15 });
+            broadcastEffect(room.id, 'scoreAnim', {
+                x: ship.x,
+                y: ship.y - ship.radius - 20,
+                text: 'Дополнительный снаряд!',
+                color: '#00FFFF'
+            });
+            break;
+
+        case 'laser':
+            ship.boosters.laserSight = true;
+            broadcastEffect(room.id, 'particle', { x: loot.x, y: loot.y, color: '#FF0000', count: 15 });
+            broadcastEffect(room.id, 'scoreAnim', {
+                x: ship.x,
+                y: ship.y - ship.radius - 20,
+                text: 'Лазерный прицел!',
+                color: '#FF0000'
+            });
+            break;
+
+        case 'attackShield':
+            const wasActive = ship.boosters.attackShield.active;
+            ship.boosters.attackShield.active = true;
+            if (!wasActive) {
+                ship.boosters.attackShield.sizeBonus = Math.min(50, (ship.boosters.attackShield.sizeBonus || 0) + 5);
+            } else {
+                ship.boosters.attackShield.sizeBonus = Math.min(50, ship.boosters.attackShield.sizeBonus + 5);
+            }
+            broadcastEffect(room.id, 'particle', { x: loot.x, y: loot.y, color: '#FF00FF', count: 15 });
+            broadcastEffect(room.id, 'scoreAnim', {
+                x: ship.x,
+                y: ship.y - ship.radius - 20,
+                text: wasActive ? 'Атакующий щит УСИЛЕН!' : 'Атакующий щит!',
+                color: '#FF00FF'
+            });
+            break;
+
+        case 'attackEngine':
+            const wasEngineActive = ship.boosters.attackEngine.active;
+            ship.boosters.attackEngine.active = true;
+            ship.boosters.attackEngine.level = Math.min(10, (ship.boosters.attackEngine.level || 0) + 1);
+            broadcastEffect(room.id, 'particle', { x: loot.x, y: loot.y, color: '#FFA500', count: 15 });
+            broadcastEffect(room.id, 'scoreAnim', {
+                x: ship.x,
+                y: ship.y - ship.radius - 20,
+                text: wasEngineActive ? 'Атакующий двигатель УСИЛЕН!' : 'Атакующий двигатель!',
+                color: '#FFA500'
+            });
+            break;
+    }
+}
+
+// Check if angle is within shield arc
+function isAngleInShieldArc(angle, shieldRotation, arcSize) {
+    const normalizeAngle = (a) => ((a % 360) + 360) % 360;
+
+    const normAngle = normalizeAngle(angle);
+    const shieldStart = normalizeAngle(shieldRotation - arcSize / 2);
+    const shieldEnd = normalizeAngle(shieldRotation + arcSize / 2);
+
+    if (shieldStart < shieldEnd) {
+        return normAngle >= shieldStart && normAngle <= shieldEnd;
+    } else {
+        return normAngle >= shieldStart || normAngle <= shieldEnd;
+    }
+}
+
+// Deflect asteroid elastically
+function deflectAsteroid(asteroid, ship, shieldRotation, room) {
+    const dx = asteroid.x - ship.x;
+    const dy = asteroid.y - ship.y;
+    const angle = Math.atan2(dy, dx);
+
+    const normalX = Math.cos(angle);
+    const normalY = Math.sin(angle);
+    const dotProduct = asteroid.vx * normalX + asteroid.vy * normalY;
+
+    // Elastic reflection
+    asteroid.vx = asteroid.vx - 2 * dotProduct * normalX;
+    asteroid.vy = asteroid.vy - 2 * dotProduct * normalY;
+
+    // Increase speed (shield "repels")
+    asteroid.vx *= 1.2;
+    asteroid.vy *= 1.2;
+
+    // Push away from ship
+    const pushDistance = ship.radius + asteroid.radius + 5;
+    asteroid.x = ship.x + Math.cos(angle) * pushDistance;
+    asteroid.y = ship.y + Math.sin(angle) * pushDistance;
+
+    broadcastEffect(room.id, 'particle', { x: asteroid.x, y: asteroid.y, color: '#00FFFF', count: 12 });
+    broadcastEffect(room.id, 'shake', { intensity: 2 });
+}
+
+// Check all Ship collisions
+function checkShipCollisions(room) {
+    // Support both legacy single ship and new dual ship modes
+    const ships = room.ships || { legacy: room.ship };
+    const teamColors = room.ships ? ['blue', 'pink'] : ['legacy'];
+
+    // 1. Bullet-Ship collisions (TEAM-AWARE)
+    for (let i = room.bullets.length - 1; i >= 0; i--) {
+        const bullet = room.bullets[i];
+        let bulletHit = false;
+
+        for (const teamColor of teamColors) {
+            const ship = ships[teamColor];
+            if (!ship || !ship.alive) continue;
+
+            // Friendly fire prevention: bullets skip own team ship
+            if (bullet.team && bullet.team === teamColor) continue;
+
+            const dist = Math.hypot(bullet.x - ship.x, bullet.y - ship.y);
+            if (dist < (ship.radius || 20) + 5) {
+                const systems = room.teamSystems ? room.teamSystems[teamColor] : room.systems;
+                const angleToShip = Math.atan2(ship.y - bullet.y, ship.x - bullet.x) * 180 / Math.PI;
+
+                // Check if shield blocks
+                if (systems.shield.active && isAngleInShieldArc(angleToShip, systems.shield.rotation, systems.shield.arcSize || 72)) {
+                    // Shield deflects and destroys bullet
+                    const deflectColor = teamColor === 'pink' ? '#E91E63' : '#2196F3';
+                    broadcastEffect(room.id, 'particle', { x: bullet.x, y: bullet.y, color: deflectColor, count: 12 });
+                    room.bullets.splice(i, 1);
+                    bulletHit = true;
+                    break;
+                } else {
+                    // Bullet hits ship
+                    if (!ship.invulnerable) {
+                        ship.health = Math.max(0, ship.health - 10); // 10 damage per bullet
+                        ship.lastDamageTime = room.clock.now();
+
+                        const teamColor = bullet.team === 'blue' ? '#2196F3' : (bullet.team === 'pink' ? '#E91E63' : '#FFFFFF');
+                        broadcastEffect(room.id, 'particle', { x: ship.x, y: ship.y, color: '#FF0000', count: 12 });
+                        broadcastEffect(room.id, 'flash', { color: '#FF0000', intensity: 0.3 });
+                    }
+
+                    room.bullets.splice(i, 1);
+                    bulletHit = true;
+                    break;
+                }
+            }
+        }
+
+        if (bulletHit) continue;
+
+        // Bullet-Asteroid collisions
+        for (let j = room.asteroids.length - 1; j >= 0; j--) {
+            const asteroid = room.asteroids[j];
+            const dist = Math.hypot(bullet.x - asteroid.x, bullet.y - asteroid.y);
+
+            if (dist < asteroid.radius + 2) {
+                asteroid.health -= bullet.damage;
+                asteroid.flashUntil = room.clock.now() + 100;
+
+                room.bullets.splice(i, 1);
+
+                if (asteroid.health <= 0) {
+                    handleAsteroidDestruction(room, asteroid, j);
+                }
+
+                broadcastEffect(room.id, 'particle', { x: asteroid.x, y: asteroid.y, color: '#FFFFFF', count: 6 });
+                break;
+            }
+        }
+    }
+
+    // 2. Ship-to-Ship collisions (NEW for dual ship mode)
+    if (room.ships && room.ships.blue && room.ships.pink) {
+        const blueShip = room.ships.blue;
+        const pinkShip = room.ships.pink;
+
+        if (blueShip.alive && pinkShip.alive) {
+            const dist = Math.hypot(blueShip.x - pinkShip.x, blueShip.y - pinkShip.y);
+            const SHIP_SIZE = (blueShip.radius || 20) + (pinkShip.radius || 20);
+
+            if (dist < SHIP_SIZE) {
+                const blueShield = room.teamSystems.blue.shield.active;
+                const pinkShield = room.teamSystems.pink.shield.active;
+                const angle = Math.atan2(pinkShip.y - blueShip.y, pinkShip.x - blueShip.x);
+                const angleBlue = angle * 180 / Math.PI;
+                const anglePink = (angle + Math.PI) * 180 / Math.PI;
+
+                // v3.17: Check if attacking shield hits enemy ship
+                const blueAttackShieldHit = blueShield && blueShip.boosters.attackShield.active &&
+                    isAngleInShieldArc(angleBlue, room.teamSystems.blue.shield.rotation, 72);
+                const pinkAttackShieldHit = pinkShield && pinkShip.boosters.attackShield.active &&
+                    isAngleInShieldArc(anglePink, room.teamSystems.pink.shield.rotation, 72);
+
+                if (blueAttackShieldHit && !pinkShip.invulnerable) {
+                    pinkShip.health = Math.max(0, pinkShip.health - 2);
+                    broadcastEffect(room.id, 'particle', { x: pinkShip.x, y: pinkShip.y, color: '#FF00FF', count: 10 });
+                }
+                if (pinkAttackShieldHit && !blueShip.invulnerable) {
+                    blueShip.health = Math.max(0, blueShip.health - 2);
+                    broadcastEffect(room.id, 'particle', { x: blueShip.x, y: blueShip.y, color: '#FF00FF', count: 10 });
+                }
+
+                if (blueShield && pinkShield) {
+                    // Both shields → repulsion, no damage
+                    const repelForce = 2.0;
+                    blueShip.vx -= Math.cos(angle) * repelForce;
+                    blueShip.vy -= Math.sin(angle) * repelForce;
+                    pinkShip.vx += Math.cos(angle) * repelForce;
+                    pinkShip.vy += Math.sin(angle) * repelForce;
+
+                    broadcastEffect(room.id, 'particle', { x: (blueShip.x + pinkShip.x) / 2, y: (blueShip.y + pinkShip.y) / 2, color: '#00FFFF', count: 20 });
+                } else {
+                    // At least one unshielded → both take damage
+                    if (!blueShip.invulnerable && !blueShield) {
+                        blueShip.health = Math.max(0, blueShip.health - 20);
+                        broadcastEffect(room.id, 'particle', { x: blueShip.x, y: blueShip.y, color: '#FF0000', count: 15 });
+                    }
+                    if (!pinkShip.invulnerable && !pinkShield) {
+                        pinkShip.health = Math.max(0, pinkShip.health - 20);
+                        broadcastEffect(room.id, 'particle', { x: pinkShip.x, y: pinkShip.y, color: '#FF0000', count: 15 });
+                    }
+
+                    // Bounce apart
+                    const angle = Math.atan2(pinkShip.y - blueShip.y, pinkShip.x - blueShip.x);
+                    const bounceForce = 1.5;
+                    blueShip.vx -= Math.cos(angle) * bounceForce;
+                    blueShip.vy -= Math.sin(angle) * bounceForce;
+                    pinkShip.vx += Math.cos(angle) * bounceForce;
+                    pinkShip.vy += Math.sin(angle) * bounceForce;
+
+                    broadcastEffect(room.id, 'shake', { intensity: 5 });
+                }
+            }
+        }
+    }
+
+    // 3. Ship-Asteroid collisions
+    for (const teamColor of teamColors) {
+        const ship = ships[teamColor];
+        if (!ship || !ship.alive) continue;
+
+        const systems = room.teamSystems ? room.teamSystems[teamColor] : room.systems;
+
+        for (let i = room.asteroids.length - 1; i >= 0; i--) {
+            const asteroid = room.asteroids[i];
+            const dist = Math.hypot(asteroid.x - ship.x, asteroid.y - ship.y);
+
+            if (dist < (ship.radius || 20) + asteroid.radius) {
+                const angleToAsteroid = Math.atan2(asteroid.y - ship.y, asteroid.x - ship.x) * 180 / Math.PI;
+
+                // Check if shield blocks
+                if (systems.shield.active && isAngleInShieldArc(angleToAsteroid, systems.shield.rotation, 72)) {
+                    deflectAsteroid(asteroid, ship, systems.shield.rotation, room);
+
+                    // v3.17: Attacking shield damages asteroids
+                    if (ship.boosters.attackShield.active) {
+                        asteroid.health = Math.max(0, asteroid.health - 2);
+                        if (asteroid.health <= 0) {
+                            handleAsteroidDestruction(room, asteroid, i);
+                        }
+                        broadcastEffect(room.id, 'particle', { x: asteroid.x, y: asteroid.y, color: '#FF00FF', count: 10 });
+                    }
+                } else {
+                    // Impulse-based damage
+                    const relativeSpeed = Math.hypot(asteroid.vx - ship.vx, asteroid.vy - ship.vy);
+                    const sizeMultiplier = { large: 1.5, medium: 1.0, small: 0.5 }[asteroid.size];
+                    const impulseDamage = Math.ceil(relativeSpeed * sizeMultiplier * 0.3);
+                    const damage = Math.max(1, impulseDamage);
+
+                    if (!ship.invulnerable) {
+                        if (ship.hearts !== undefined) {
+                            ship.hearts = Math.max(0, ship.hearts - damage);
+                        }
+                        if (ship.health !== undefined) {
+                            ship.health = Math.max(0, ship.health - damage);
+                        }
+                        ship.lastDamageTime = room.clock.now();
+                        ship.invulnerable = true;
+                        ship.invulnerableUntil = room.clock.now() + 1000;
+
+                        // Bounce asteroid
+                        const angle = Math.atan2(asteroid.y - ship.y, asteroid.x - ship.x);
+                        asteroid.vx = Math.cos(angle) * 3;
+                        asteroid.vy = Math.sin(angle) * 3;
+
+                        broadcastEffect(room.id, 'particle', { x: ship.x, y: ship.y, color: '#FF0000', count: 20 });
+                        broadcastEffect(room.id, 'flash', { color: '#FF0000', intensity: 0.4 });
+                        broadcastEffect(room.id, 'shake', { intensity: 6 });
+
+                        // Check death (for legacy hearts system)
+                        if (ship.hearts !== undefined && ship.hearts <= 0) {
+                            room.gameOver = true;
+                            room.winner = null;
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    // 4. Ship-Coin collisions (both teams can collect)
+    for (const teamColor of teamColors) {
+        const ship = ships[teamColor];
+        if (!ship || !ship.alive) continue;
+
+        for (let i = room.coins.length - 1; i >= 0; i--) {
+            const coin = room.coins[i];
+            const dist = Math.hypot(coin.x - ship.x, coin.y - ship.y);
+
+            if (dist < (ship.radius || 20) + 10) {
+                ship.coins = (ship.coins || 0) + 1;
+                room.coins.splice(i, 1);
+                // Spawn new coin only if coinSpawn is enabled
+                if (room.coinSpawn) {
+                    room.coins.push(spawnCoin(room));
+                }
+
+                const teamColorHex = teamColor === 'blue' ? '#2196F3' : (teamColor === 'pink' ? '#E91E63' : '#FFD700');
+                broadcastEffect(room.id, 'particle', { x: coin.x, y: coin.y, color: '#FFD700', count: 10 });
+                broadcastEffect(room.id, 'scoreAnim', { x: ship.x, y: ship.y - (ship.radius || 20) - 20, text: '+1', color: teamColorHex });
+
+                // Victory check moved to separate function
+                break; // Only one ship can collect this coin
+            }
+        }
+    }
+
+    // 5. Ship-Heart collisions
+    for (const teamColor of teamColors) {
+        const ship = ships[teamColor];
+        if (!ship || !ship.alive) continue;
+
+        for (let i = room.hearts.length - 1; i >= 0; i--) {
+            const heart = room.hearts[i];
+            const dist = Math.hypot(heart.x - ship.x, heart.y - ship.y);
+
+            if (dist < (ship.radius || 20) + 12) {
+                if (ship.hearts !== undefined && ship.hearts < 10) {
+                    ship.hearts = Math.min(10, ship.hearts + 1);
+                    room.hearts.splice(i, 1);
+
+                    broadcastEffect(room.id, 'particle', { x: heart.x, y: heart.y, color: '#FF1744', count: 15 });
+                    broadcastEffect(room.id, 'flash', { color: '#FF1744', intensity: 0.2 });
+                    break;
+                }
+                // Health restoration for dual ship mode
+                if (ship.health !== undefined && ship.health < ship.maxHealth) {
+                    ship.health = Math.min(ship.maxHealth, ship.health + 25);
+                    room.hearts.splice(i, 1);
+
+                    broadcastEffect(room.id, 'particle', { x: heart.x, y: heart.y, color: '#FF1744', count: 15 });
+                    broadcastEffect(room.id, 'flash', { color: '#FF1744', intensity: 0.2 });
+                    break;
+                }
+            }
+        }
+    }
+
+    // v3.17: 6. Ship-Loot collisions
+    for (const teamColor of teamColors) {
+        const ship = ships[teamColor];
+        if (!ship || !ship.alive) continue;
+
+        for (let i = room.loot.length - 1; i >= 0; i--) {
+            const loot = room.loot[i];
+            const dist = Math.hypot(loot.x - ship.x, loot.y - ship.y);
+
+            if (dist < (ship.radius || 20) + loot.radius) {
+                applyLootEffect(room, ship, loot, teamColor);
+                room.loot.splice(i, 1);
+                break; // Only one ship can collect this loot
+            }
+        }
+    }
+}
+
+// Check ship deaths and handle respawns
+function checkShipDeathsAndRespawns(room) {
+    if (!room.ships) return; // Only for dual ship mode
+
+    ['blue', 'pink'].forEach(teamColor => {
+        const ship = room.ships[teamColor];
+
+        // Check if ship died
+        if (ship.alive && ship.health <= 0) {
+            ship.alive = false;
+            const coinsToDrop = ship.coins || 0;
+            ship.coins = 0;
+
+            console.log(`[${teamColor}] Ship destroyed! Dropping ${coinsToDrop} coins`);
+
+            // Drop all coins with scatter animation
+            for (let i = 0; i < coinsToDrop; i++) {
+                const angle = room.random() * Math.PI * 2;
+                const speed = 2 + room.random() * 3;
+                const distance = 30 + room.random() * 50;
+
+                room.coins.push({
+                    x: ship.x + Math.cos(angle) * distance,
+                    y: ship.y + Math.sin(angle) * distance,
+                    vx: Math.cos(angle) * speed,
+                    vy: Math.sin(angle) * speed,
+                    radius: 10
+                });
+            }
+
+            broadcastEffect(room.id, 'particle', { x: ship.x, y: ship.y, color: '#FFD700', count: coinsToDrop * 5 });
+            broadcastEffect(room.id, 'flash', { color: '#FF0000', intensity: 0.8 });
+            broadcastEffect(room.id, 'shake', { intensity: 10 });
+
+            // Schedule respawn after 3 seconds
+            ship.respawnTime = room.clock.now() + 3000;
+        }
+
+        // Check if it's time to respawn
+        if (!ship.alive && ship.respawnTime && room.clock.now() >= ship.respawnTime) {
+            // Respawn at fixed position
+            ship.x = teamColor === 'blue' ? room.canvas.width * 0.25 : room.canvas.width * 0.75;
+            ship.y = room.canvas.height / 2;
+            ship.vx = 0;
+            ship.vy = 0;
+            ship.health = ship.maxHealth;
+            ship.alive = true;
+            ship.invulnerable = true;
+            ship.invulnerableUntil = room.clock.now() + INVULNERABILITY_DURATION_MS; // 5s invulnerability
+            ship.spawnTime = room.clock.now();
+            ship.respawnTime = null;
+
+            // v3.17: Reset boosters on respawn
+            ship.boosters = {
+                extraBullets: 0,
+                laserSight: false,
+                attackShield: { active: false, sizeBonus: 0 },
+                attackEngine: { active: false, level: 0 }
+            };
+
+            console.log(`[${teamColor}] Ship respawned with 5s invulnerability`);
+
+            const teamColorHex = teamColor === 'blue' ? '#2196F3' : '#E91E63';
+            broadcastEffect(room.id, 'particle', { x: ship.x, y: ship.y, color: teamColorHex, count: 30 });
+            broadcastEffect(room.id, 'flash', { color: teamColorHex, intensity: 0.5 });
+        }
+
+        // Clear invulnerability after timeout
+        if (ship.invulnerable && room.clock.now() >= ship.invulnerableUntil) {
+            ship.invulnerable = false;
+            console.log(`[${teamColor}] Invulnerability ended`);
+        }
+    });
+}
+
+// Check team victory condition
+function checkTeamVictory(room) {
+    if (!room.ships) return; // Only for dual ship mode
+
+    const blueCoins = room.ships.blue.coins || 0;
+    const pinkCoins = room.ships.pink.coins || 0;
+    const targetCoins = room.coinsToWin || 10;
+
+    if (blueCoins >= targetCoins || pinkCoins >= targetCoins) {
+        const winningTeam = blueCoins >= targetCoins ? 'blue' : 'pink';
+        const winningTeamName = winningTeam === 'blue' ? 'Голубая команда' : 'Розовая команда';
+
+        room.gameOver = true;
+        room.winner = {
+            team: winningTeamName,
+            teamColor: winningTeam,
+            blueScore: blueCoins,
+            pinkScore: pinkCoins
+        };
+
+        console.log(`Victory! ${winningTeamName} wins with ${winningTeam === 'blue' ? blueCoins : pinkCoins} coins!`);
+
+        // Broadcast game over
+        broadcastToRoom(room.id, {
+            type: 'game_over',
+            winner: room.winner
+        });
+    }
+}
+
+// Update Ship game (60 FPS)
+function updateShip(room) {
+    if (room.gameOver) return;
+
+    // Lobby countdown runs on the room clock
+    if (room.lobbyCountdown && room.clock.now() >= room.lobbyCountdown) {
+        finishLobbyCountdown(room);
+    }
+
+    // Process both teams independently
+    ['blue', 'pink'].forEach(teamColor => {
+        const systems = room.teamSystems[teamColor];
+        const ship = room.ships[teamColor];
+
+        if (!ship.alive) return;
+
+        // Reset hasPlayer flags and shield active state
+        systems.engine.hasPlayer = false;
+        systems.weapon.hasPlayer = false;
+        systems.shield.active = false;  // Shield only active when player controls it
+
+        // 1. Update system states from team players
+        const teamPlayers = Array.from(room.players.values()).filter(p => p.team === teamColor);
+
+        for (const player of teamPlayers) {
+            if (!player.systemRole) continue;
+
+            const tilt = player.tilt;
+
+            switch (player.systemRole) {
+                case 'engine':
+                    // Energy accumulation depends on thrust system
+                    let energyAdded;
+                    if (room.thrustSystem === 'gradient') {
+                        energyAdded = calculateGradientEnergy(tilt, player.lastTilt);
+                        systems.engine.energy = Math.min(systems.engine.energy + energyAdded, 750);
+                        player.lastTilt = tilt;
+                    } else {
+                        energyAdded = detectPump(player, tilt, room);
+                        systems.engine.energy = Math.min(systems.engine.energy + energyAdded, 10);
+                    }
+                    systems.engine.hasPlayer = true;
+                    break;
+                case 'rudder':
+                    // tilt can be -0.3 to 1.3 (30% overflow beyond calibrated range)
+                    systems.rudder.rotation = tilt * 360;
+                    break;
+                case 'weapon':
+                    const weaponResult = updateWeaponCharge(player, tilt, room);
+
+                    if (weaponResult.shouldFire && weaponResult.bulletCount > 0) {
+                        fireBulletForTeam(room, teamColor);
+                    } else {
+                        systems.weapon.energy = weaponResult.newEnergy;
+                    }
+
+                    systems.weapon.hasPlayer = true;
+                    break;
+                case 'weaponDirection':
+                    // tilt can be -0.3 to 1.3 (30% overflow beyond calibrated range)
+                    systems.weaponDirection.rotation = tilt * 360;
+                    break;
+                case 'shield':
+                    // tilt can be -0.3 to 1.3 (30% overflow beyond calibrated range)
+                    systems.shield.rotation = tilt * 360;
+                    systems.shield.active = true;
+                    break;
+            }
+        }
+    });
+
+    // 2. Auto-rotate unoccupied systems for each team (only if autopilot enabled)
+    if (room.autopilotEnabled) {
+        ['blue', 'pink'].forEach(teamColor => {
+            const systems = room.teamSystems[teamColor];
+            const ship = room.ships[teamColor];
+
+            if (!ship.alive) return;
+
+            const teamPlayers = Array.from(room.players.values()).filter(p => p.team === teamColor);
+            const occupied = new Set(teamPlayers.map(p => p.systemRole).filter(r => r !== null));
+
+            if (!occupied.has('rudder')) {
+                systems.rudder.rotation = (systems.rudder.rotation + 0.5) % 360;
+            }
+            if (!occupied.has('weaponDirection')) {
+                systems.weaponDirection.rotation = (systems.weaponDirection.rotation - 0.7 + 360) % 360;
+            }
+            if (!occupied.has('weapon')) {
+                // Auto-pilot: periodic auto-fire
+            if (!room[`lastAutoWeaponFire_${teamColor}`]) room[`lastAutoWeaponFire_${teamColor}`] = room.clock.now();
+            const timeSinceLastFire = room.clock.now() - room[`lastAutoWeaponFire_${teamColor}`];
+
+            if (timeSinceLastFire > 1500) {
+                systems.weapon.energy = 3.5;
+                fireBulletForTeam(room, teamColor);
+                room[`lastAutoWeaponFire_${teamColor}`] = room.clock.now();
+            }
+
+            systems.weapon.hasPlayer = true;
+        }
+        if (!occupied.has('engine')) {
+            // Auto-pilot: constant minimal thrust
+            if (room.thrustSystem === 'gradient') {
+                // For gradient system: maintain energy around 150-300 (level 1-2)
+                const targetEnergy = 150 + room.random() * 150;
+                if (systems.engine.energy < targetEnergy) {
+                    systems.engine.energy = Math.min(systems.engine.energy + 2, targetEnergy);
+                }
+            } else {
+                // For pump system: periodic small pumps
+                if (!room[`lastAutoPump_${teamColor}`]) room[`lastAutoPump_${teamColor}`] = room.clock.now();
+                const timeSinceLastPump = room.clock.now() - room[`lastAutoPump_${teamColor}`];
+
+                if (timeSinceLastPump > 500) {
+                    const burstEnergy = 0.5 + room.random() * 1.5;
+                    systems.engine.energy = Math.min(systems.engine.energy + burstEnergy, 10);
+                    room[`lastAutoPump_${teamColor}`] = room.clock.now();
+                }
+            }
+
+            systems.engine.hasPlayer = true;
+        }
+        // Shield always active
+            if (!occupied.has('shield')) {
+                systems.shield.active = true;
+                systems.shield.rotation = (systems.shield.rotation + 0.3) % 360;
+            } else {
+                systems.shield.active = true;
+            }
+        });
+    }
+
+    // 3. Apply engine thrust and update positions for both ships
+    ['blue', 'pink'].forEach(teamColor => {
+        const ship = room.ships[teamColor];
+        if (!ship.alive) return;
+
+        applyEngineThrustForTeam(room, teamColor);
+        updateShipPositionForTeam(room, teamColor);
+    });
+
+    // 5. Update bullets
+    for (let i = room.bullets.length - 1; i >= 0; i--) {
+        const bullet = room.bullets[i];
+        bullet.x += bullet.vx;
+        bullet.y += bullet.vy;
+        bullet.distanceTraveled += Math.hypot(bullet.vx, bullet.vy);
+
+        const margin = 100;
+        if (bullet.distanceTraveled > bullet.maxDistance ||
+            bullet.x < -margin || bullet.x > room.canvas.width + margin ||
+            bullet.y < -margin || bullet.y > room.canvas.height + margin) {
+            room.bullets.splice(i, 1);
+        }
+    }
+
+    // 6. Update coins physics (for dropped coins with velocity)
+    for (const coin of room.coins) {
+        if (coin.vx !== undefined && coin.vy !== undefined) {
+            coin.x += coin.vx;
+            coin.y += coin.vy;
+
+            // Friction to slow down dropped coins
+            const COIN_FRICTION = 0.95;
+            coin.vx *= COIN_FRICTION;
+            coin.vy *= COIN_FRICTION;
+
+            // Stop at very low speeds
+            if (Math.abs(coin.vx) < 0.05) coin.vx = 0;
+            if (Math.abs(coin.vy) < 0.05) coin.vy = 0;
+
+            // Keep coins in bounds
+            if (coin.x < 0) coin.x = 0;
+            if (coin.x > room.canvas.width) coin.x = room.canvas.width;
+            if (coin.y < 0) coin.y = 0;
+            if (coin.y > room.canvas.height) coin.y = room.canvas.height;
+        }
+    }
+
+    // v3.17: 6b. Update loot physics (same as coins)
+    for (const loot of room.loot) {
+        if (loot.vx !== undefined && loot.vy !== undefined) {
+            loot.x += loot.vx;
+            loot.y += loot.vy;
+
+            // Friction to slow down loot
+            const LOOT_FRICTION = 0.95;
+            loot.vx *= LOOT_FRICTION;
+            loot.vy *= LOOT_FRICTION;
+
+            // Stop at very low speeds
+            if (Math.abs(loot.vx) < 0.05) loot.vx = 0;
+            if (Math.abs(loot.vy) < 0.05) loot.vy = 0;
+
+            // Keep loot in bounds
+            if (loot.x < 0) loot.x = 0;
+            if (loot.x > room.canvas.width) loot.x = room.canvas.width;
+            if (loot.y < 0) loot.y = 0;
+            if (loot.y > room.canvas.height) loot.y = room.canvas.height;
+        }
+    }
+
+    // 7. Spawn asteroids
+    spawnAsteroidIfNeeded(room);
+
+    // 8. Update asteroids
+    for (const asteroid of room.asteroids) {
+        asteroid.x += asteroid.vx;
+        asteroid.y += asteroid.vy;
+        asteroid.rotation += asteroid.rotationSpeed;
+    }
+
+    // v3.17: 8b. Attacking Engine auto-fire bullets
+    ['blue', 'pink'].forEach(teamColor => {
+        const ship = room.ships[teamColor];
+        const systems = room.teamSystems[teamColor];
+
+        if (ship.alive && ship.boosters.attackEngine.active && systems.engine.energy > 0) {
+            const now = room.clock.now();
+            const lastFire = ship.lastAttackEngineFire || 0;
+
+            // Fire rate: 1000ms cooldown (1 shot/sec) - only when thrust active
+            if (now - lastFire > 1000) {
+                const level = ship.boosters.attackEngine.level;
+                const bulletSize = 6 + (level - 1) * 0.5; // Size grows with level
+                const bulletSpeed = 6 + level * 0.5; // Speed grows with level, faster than flame
+
+                // Fire in SAME direction as engine thrust (opposite to rudder rotation)
+                // Engine points one way, ship moves opposite, particles fly with engine
+                const engineAngle = (systems.rudder.rotation + 180) * Math.PI / 180;
+                const enginePos = getSystemPosition(ship, systems.rudder.rotation + 180);
+
+                room.bullets.push({
+                    x: enginePos.x,
+                    y: enginePos.y,
+                    vx: Math.cos(engineAngle) * bulletSpeed,
+                    vy: Math.sin(engineAngle) * bulletSpeed,
+                    damage: 3,
+                    size: bulletSize,
+                    powerLevel: 3,
+                    distanceTraveled: 0,
+                    maxDistance: 500,  // Fly farther than regular bullets
+                    team: teamColor,
+                    color: '#FFA500',  // Orange color like engine flame
+                    id: room.clock.now() + room.random()
+                });
+
+                ship.lastAttackEngineFire = now;
+
+                broadcastEffect(room.id, 'particle', {
+                    x: enginePos.x,
+                    y: enginePos.y,
+                    color: '#FFA500',  // Orange particles
+                    count: 5
+                });
+            }
+        }
+    });
+
+    // 9. Collision detection
+    checkShipCollisions(room);
+
+    // 10. Check ship deaths and respawns (dual ship mode)
+    checkShipDeathsAndRespawns(room);
+
+    // 10.5. Check team victory condition
+    checkTeamVictory(room);
+
+    // 11. Clear invulnerability (legacy single ship mode)
+    if (room.ship && room.ship.invulnerable && room.clock.now() >= room.ship.invulnerableUntil) {
+        room.ship.invulnerable = false;
+    }
+
+    // 11. Remove off-screen asteroids
+    for (let i = room.asteroids.length - 1; i >= 0; i--) {
+        const asteroid = room.asteroids[i];
+        const margin = 150;
+        if (asteroid.x < -margin || asteroid.x > room.canvas.width + margin ||
+            asteroid.y < -margin || asteroid.y > room.canvas.height + margin) {
+            room.asteroids.splice(i, 1);
+        }
+    }
+}
+
+module.exports = {
+    create: createShipGame,
+    addPlayer: addShipPlayer,
+    removePlayer: removeShipPlayer,
+    handleInput: handleShipInput,
+    tick: updateShip,
+    serialize: serializeShipState,
+    reset: resetShipGame,
+    handleMessage: handleShipMessage,
+    getMatchResult: getShipMatchResult
+};
@@ -0,0 +1,919 @@
+/**
+ * Kinemon Games - Snake (Star Snake)
+ * Snakes collecting stars, free-for-all or in teams.
+ *
+ * Modes (settings.mode):
+ *   classic - first to winScore stars wins, dead snakes respawn after 3 seconds
+ *   royale  - the arena shrinks once two snakes are in; snakes outside it die, nobody respawns,
+ *             the last snake alive wins
+ *
+ * Teams (settings.teams = 2..4, anything else is free-for-all): players are spread evenly over the
+ * teams, teammates pass through each other, and the team total (room.teamScores) is the stars its
+ * snakes hold: eating adds to it, stars dropped on death or taken by a shrink come off it. In classic
+ * mode the first team to winScore wins, in royale the last team alive.
+ *
+ * Collision rules: settings.headOn decides what happens when two heads meet ('none' - pass through,
+ * 'both' - both die, 'longer' - the shorter snake dies, 'bounce' - heads push apart);
+ * settings.selfCollision makes a snake die on its own body.
+ *
+ * Arena layouts (settings.map) come from games/snake-maps/ (see snakeMaps.js): walls and pillars kill
+ * on contact, portals move a head to their other end, and maps without wrap have lethal borders.
+ *
+ * Power-ups (settings.powerUps, on by default) appear every few seconds next to the regular stars;
+ * timed effects are kept on the player as player.effects = { type: endTimeMs }.
+ */
+
+const { applyTilt, getTeamColor } = require('./common');
+const { broadcastEffect } = require('../broadcast');
+const { resolveSnakeMap, hitsObstacle, isBlocked, findPortalExit } = require('./snakeMaps');
+
+// Snake constants
+const BASE_MOVE_SPEED = 1.8;
+const INITIAL_LENGTH = 7;
+const BASE_SEGMENT_SIZE = 15;
+const BASE_PIZZA_SIZE = 8;  // Reduced from 18 for stardust effect
+const BOUNDARY_MARGIN_BOTTOM = 40;
+const BASE_TURN_SPEED = 0.03; // Radians per tick at turnSpeed 1x (full tilt)
+const AGGRESSIVE_TURN_FACTOR = 1.5; // *_aggressive schemes on the controller turn faster
+const RESPAWN_SECONDS = 3;
+const MAX_SPAWN_ATTEMPTS = 20; // Tries to find a spot clear of obstacles
+const HEAD_ON_RULES = ['none', 'both', 'longer', 'bounce'];
+const BOUNCE_MS = 300;
+const SELF_COLLISION_DISTANCE = 0.8; // Head-to-own-segment distance that kills, in segment sizes
+const ROYALE_GRACE_MS = 10000; // Arena holds still after the round starts
+const ROYALE_SHRINK_MS = 90000; // Then contracts to its minimum over this time
+const SNAKE_TEAMS = ['Blue', 'Red', 'Yellow', 'Green'];
+
+// Power-ups: weighted pool, duration of timed effects in ms
+const POWER_UP_TYPES = [
+    { type: 'golden', weight: 30 },  // Worth GOLDEN_STAR_VALUE stars
+    { type: 'speed', weight: 25, duration: 5000 },
+    { type: 'magnet', weight: 20, duration: 8000 },
+    { type: 'ghost', weight: 15, duration: 6000 },  // Pass through other snakes' bodies
+    { type: 'shrink', weight: 10 }  // Longest opponent loses a third of its stars
+];
+const POWER_UP_LABELS = {
+    golden: '+5 звёзд!',
+    speed: 'Ускорение!',
+    magnet: 'Магнит!',
+    ghost: 'Призрак!',
+    shrink: 'Соперник уменьшен!'
+};
+const GOLDEN_STAR_VALUE = 5;
+const MAX_POWER_UPS = 3;
+const POWER_UP_INTERVAL_MS = 6000;
+const SPEED_BOOST_MULTIPLIER = 1.6;
+const MAGNET_RADIUS = 150;
+const MAGNET_PULL = 3; // Pixels per tick
+
+// Tilt curves for the turn scheme (room setting controlMapping): offset from center (-1..1) -> turn rate (-1..1)
+const CONTROL_CURVES = {
+    linear: x => x,
+    rotation_linear: x => x,
+    rotation_smooth: x => Math.sign(x) * x * x, // Gentle near the center, full turn at the edges
+    center_straight: x => Math.abs(x) < 0.15 ? 0 : Math.sign(x) * (Math.abs(x) - 0.15) / 0.85, // Dead zone keeps the snake straight
+    nonlinear_a: x => x * x * x,
+    nonlinear_b: x => Math.sign(x) * Math.sqrt(Math.abs(x))
+};
+
+// Initialize Snake room state: canvas, speeds and initial pizzas
+function createSnakeGame(room, settings) {
+    // Set canvas size based on client viewport dimensions
+    if (settings.canvasWidth && settings.canvasHeight) {
+        // Use client-reported dimensions with validation
+        const width = Math.max(400, Math.min(2560, settings.canvasWidth));
+        const height = Math.max(600, Math.min(3840, settings.canvasHeight));
+        room.canvas = { width, height };
+        console.log(`Snake canvas: ${width}x${height}`);
+    }
+
+    // Pizzas and calculated settings
+    room.moveSpeed = BASE_MOVE_SPEED * ((settings.moveSpeed || 3) / 3); // 3 = fastest
+    room.turnSpeedMultiplier = settings.turnSpeed || 2;
+    room.controlMapping = settings.controlMapping || 'linear';
+    room.sizeMultiplier = settings.snakeSize || 1;
+    room.segmentSize = BASE_SEGMENT_SIZE * room.sizeMultiplier;
+    room.pizzaSize = BASE_PIZZA_SIZE * room.sizeMultiplier;
+    room.growthSpeed = settings.growthSpeed || 1; // Growth multiplier: 1=slow, 2=medium, 4=fast, 8=super fast
+    room.selfCollisionMinSegment = getSelfCollisionMinSegment(room);
+
+    startSnakeRound(room);
+}
+
+// Power-ups and the time the next one appears
+function resetPowerUps(room) {
+    room.powerUpsEnabled = room.settings.powerUps !== false;
+    room.powerUps = [];
+    room.nextPowerUpTime = room.clock.now() + POWER_UP_INTERVAL_MS;
+}
+
+// Map, pizzas, mode and (battle royale) arena for a new round; reads room.settings so a display's new settings apply on restart
+function startSnakeRound(room) {
+    room.map = resolveSnakeMap(room.settings.map, room.canvas.width, room.canvas.height - BOUNDARY_MARGIN_BOTTOM);
+
+    room.pizzas = [];
+    const initialCount = room.settings.initialPizzas || 100;
+    for (let i = 0; i < initialCount; i++) {
+        room.pizzas.push(spawnPizza(room));
+    }
+
+    room.snakeMode = room.settings.mode === 'royale' ? 'royale' : 'classic';
+    startSnakeTeams(room);
+    room.headOnRule = HEAD_ON_RULES.includes(room.settings.headOn) ? room.settings.headOn : 'none';
+    room.selfCollision = room.settings.selfCollision === true;
+    room.arena = null;
+    resetPowerUps(room);
+
+    if (room.snakeMode === 'royale') {
+        const width = room.canvas.width;
+        const height = room.canvas.height - BOUNDARY_MARGIN_BOTTOM;
+        const maxRadius = Math.hypot(width, height) / 2; // Covers the whole field at first
+        room.arena = {
+            x: width / 2,
+            y: height / 2,
+            radius: maxRadius,
+            maxRadius: maxRadius,
+            minRadius: room.segmentSize * 4,
+            startTime: null // Set once two snakes are alive
+        };
+    }
+}
+
+// Teams for the round (null in free-for-all) with zeroed totals; players keep their team unless the team count changed
+function startSnakeTeams(room) {
+    const previousTeams = room.teams;
+    const teamCount = room.settings.teams;
+    room.teams = Number.isInteger(teamCount) && teamCount >= 2 && teamCount <= SNAKE_TEAMS.length
+        ? SNAKE_TEAMS.slice(0, teamCount)
+        : null;
+    room.teamScores = {};
+
+    if (!room.teams) {
+        // Back to individual colors after a team round
+        room.players.forEach(player => {
+            player.team = null;
+            if (player.soloColor) player.color = player.soloColor;
+        });
+        return;
+    }
+
+    room.teams.forEach(team => {
+        room.teamScores[team] = 0;
+    });
+    if (!previousTeams || previousTeams.length !== room.teams.length) {
+        room.players.forEach(player => {
+            player.team = null;
+        });
+    }
+    room.players.forEach(player => {
+        if (!player.team) assignSnakeTeam(room, player);
+    });
+}
+
+// Put the player on the requested team if it exists, otherwise on the smallest one
+function assignSnakeTeam(room, player, requestedTeam) {
+    let team = room.teams.includes(requestedTeam) ? requestedTeam : null;
+    if (!team) {
+        const sizes = room.teams.map(t => Array.from(room.players.values()).filter(p => p !== player && p.team === t).length);
+        team = room.teams[sizes.indexOf(Math.min(...sizes))];
+    }
+
+    player.soloColor = player.soloColor || player.color;
+    player.team = team;
+    player.color = getTeamColor(team);
+}
+
+// Random point from pickPoint() that a circle of the given radius can occupy without touching the map's obstacles
+function findFreeSpot(room, pickPoint, radius) {
+    let point = pickPoint();
+    for (let attempt = 0; attempt < MAX_SPAWN_ATTEMPTS && isBlocked(room.map, point.x, point.y, radius); attempt++) {
+        point = pickPoint();
+    }
+    return point;
+}
+
+// Start position for a new or respawned snake near the center of the field
+function getSnakeSpawnPoint(room) {
+    return findFreeSpot(room, () => ({
+        x: room.canvas.width / 2 + (room.random() - 0.5) * 200,
+        y: room.canvas.height / 2 + (room.random() - 0.5) * 200
+    }), room.segmentSize * 3);
+}
+
+// Place a fresh snake of INITIAL_LENGTH segments with its head at (headX, headY)
+function placeSnake(room, player, headX, headY) {
+    player.alive = true;
+    player.angle = 0;
+    player.targetAngle = 0;  // For arrow_steering control scheme
+    player.headX = headX;
+    player.headY = headY;
+    player.effects = {};
+
+    // Initialize snake segments using room's segment size
+    player.segments = [];
+    for (let i = 0; i < INITIAL_LENGTH; i++) {
+        player.segments.push({
+            x: player.headX - i * room.segmentSize,
+            y: player.headY
+        });
+    }
+}
+
+// Scheme for players who did not pick one: the room's controlMapping when it names an arrow scheme
+function getDefaultControlScheme(room) {
+    return room.controlMapping === 'arrow_steering' || room.controlMapping === 'arrow_instant'
+        ? room.controlMapping
+        : 'arrow_instant';
+}
+
+// Snake: segments and position
+function addSnakePlayer(room, player, data) {
+    player.controlScheme = data.controlScheme || getDefaultControlScheme(room);  // Store per-player control
+    player.contribution = 0; // Stars eaten this round, shown on the team win screen
+    player.team = null;
+    if (room.teams) {
+        assignSnakeTeam(room, player, data.team);
+    }
+
+    const spawn = getSnakeSpawnPoint(room);
+    placeSnake(room, player, spawn.x, spawn.y);
+
+    // Battle royale in progress: wait for the next round
+    if (room.arena && room.arena.startTime !== null) {
+        player.alive = false;
+        player.segments = [];
+    }
+}
+
+// Kill disconnected player's snake (no zombie snakes)
+function removeSnakePlayer(room, player) {
+    if (!player.alive) return;
+
+    const starsDropped = player.score;
+    dropPizzasFromSnake(room, player); // Drop stars like death
+    player.alive = false;
+    player.segments = []; // Clear segments to remove from display
+    player.score = 0; // Reset score to 0
+    console.log(`[DISCONNECT] Snake for ${player.name} killed, dropped ${starsDropped} stars`);
+}
+
+// Dead snakes ignore input until respawn
+function handleSnakeInput(room, player, tilt) {
+    if (player.alive) {
+        applyTilt(player, tilt);
+    }
+}
+
+// Snake state
+function serializeSnakeState(room) {
+    return {
+        players: Array.from(room.players.values()).map(p => ({
+            id: p.id,
+            name: p.name,
+            color: p.color,
+            score: p.score,
+            team: p.team,
+            contribution: p.contribution,
+            alive: p.alive,
+            segments: p.segments,
+            angle: p.angle,
+            targetAngle: p.targetAngle || p.angle,  // For arrow_steering visualization
+            controlScheme: p.controlScheme,  // For client-side rendering decisions
+            respawnCountdown: p.respawnCountdown,  // Auto-respawn countdown
+            respawnPosition: p.respawnPosition,  // Where to respawn
+            effects: serializeEffects(room, p)
+        })),
+        powerUps: room.powerUps,
+        mode: room.snakeMode,
+        teams: room.teams ? room.teams.map(team => ({
+            team: team,
+            color: getTeamColor(team),
+            score: room.teamScores[team]
+        })) : null,
+        map: room.map,
+        arena: room.arena ? {
+            x: room.arena.x,
+            y: room.arena.y,
+            radius: room.arena.radius,
+            minRadius: room.arena.minRadius,
+            started: room.arena.startTime !== null,
+            // Until the arena reaches its minimum size
+            timeLeftMs: room.arena.startTime !== null
+                ? Math.max(0, room.arena.startTime + ROYALE_GRACE_MS + ROYALE_SHRINK_MS - room.clock.now())
+                : null
+        } : null,
+        pizzas: room.pizzas,
+        segmentSize: room.segmentSize,
+        pizzaSize: room.pizzaSize,
+        gameOver: room.gameOver,
+        winner: room.winner ? {
+            id: room.winner.id,
+            name: room.winner.name,
+            team: room.winner.team,
+            score: room.winner.score,
+            endedByAdmin: room.winner.endedByAdmin || false
+        } : null
+    };
+}
+
+// Team mode: the player's own stars as score, the whole team shares the win
+function getSnakeMatchResult(room, player) {
+    if (!room.teams) {
+        return {
+            score: player.score,
+            won: !!room.winner && room.winner.id === player.id
+        };
+    }
+    return {
+        score: player.contribution || 0,
+        won: !!room.winner && room.winner.team === player.team
+    };
+}
+
+// Remaining time of each active effect (the display's clock differs from the server's)
+function serializeEffects(room, player) {
+    const remaining = {};
+    const now = room.clock.now();
+    for (const type in player.effects || {}) {
+        remaining[type] = Math.max(0, player.effects[type] - now);
+    }
+    return remaining;
+}
+
+// Snake messages: manual respawn and control scheme changes
+function handleSnakeMessage(room, ws, player, data) {
+    if (data.type === 'respawn') {
+        // Respawn dead player (battle royale has no respawns)
+        if (player && !player.alive && room.snakeMode !== 'royale') {
+            // Reset player state
+            player.score = 0;
+            const spawn = getSnakeSpawnPoint(room);
+            placeSnake(room, player, spawn.x, spawn.y);
+
+            // Restore control scheme if provided
+            if (data.controlScheme) {
+                player.controlScheme = data.controlScheme;
+            }
+
+            console.log(`Player ${player.id} respawned with control: ${player.controlScheme}`);
+        }
+        return true;
+    }
+
+    if (data.type === 'change_control') {
+        // Handle control scheme change during gameplay
+        if (player) {
+            player.controlScheme = data.controlScheme || getDefaultControlScheme(room);
+            console.log(`Player ${player.id} changed control to ${player.controlScheme}`);
+        }
+        return true;
+    }
+
+    return false;
+}
+
+// Reset Snake game state
+function resetSnakeGame(room) {
+    // New map and pizzas first, so snakes spawn clear of obstacles
+    startSnakeRound(room);
+
+    room.players.forEach(player => {
+        // Reset segments to initial length
+        const spawn = getSnakeSpawnPoint(room);
+        placeSnake(room, player, spawn.x, spawn.y);
+
+        // CRITICAL: Clear respawn countdown from previous game
+        player.respawnCountdown = undefined;
+        player.respawnPosition = undefined;
+        player.contribution = 0;
+    });
+}
+
+// Update Snake game
+function updateSnake(room) {
+    // Stop updating if game is over (prevents victory spam and freeze)
+    if (room.gameOver) {
+        console.log(`[DEBUG] updateSnake() skipped - game already over in room ${room.id}`);
+        return;
+    }
+
+    // Update each player
+    for (const player of room.players.values()) {
+        // Handle respawn countdown for dead players
+        if (!player.alive && player.respawnCountdown !== undefined) {
+            player.respawnCountdown -= 1 / 60; // Countdown at 60 FPS
+
+            if (player.respawnCountdown <= 0) {
+                // Auto-respawn
+                player.score = 0; // Reset score
+                placeSnake(room, player, player.respawnPosition.x, player.respawnPosition.y);
+
+                // Clear countdown
+                player.respawnCountdown = undefined;
+                player.respawnPosition = undefined;
+
+                console.log(`Player ${player.id} auto-respawned in room ${room.id}`);
+            }
+        }
+
+        if (!player.alive) continue;
+
+        expireEffects(room, player);
+        steerSnake(room, player);
+
+        // Move head
+        const speed = room.moveSpeed * (player.effects.speed ? SPEED_BOOST_MULTIPLIER : 1);
+        player.headX += Math.cos(player.angle) * speed;
+        player.headY += Math.sin(player.angle) * speed;
+
+        // Portal: come out just past the other end, heading the same way
+        const portalExit = findPortalExit(room.map, player.headX, player.headY);
+        if (portalExit) {
+            player.headX = portalExit.x + Math.cos(player.angle) * (portalExit.radius + 1);
+            player.headY = portalExit.y + Math.sin(player.angle) * (portalExit.radius + 1);
+        }
+
+        // Wrap around screen, or die on the border of maps without wrap
+        const minX = 0;
+        const maxX = room.canvas.width;
+        const minY = 0;
+        const maxY = room.canvas.height - BOUNDARY_MARGIN_BOTTOM;
+
+        if (!room.map.wrap) {
+            if (player.headX < minX || player.headX >= maxX || player.headY < minY || player.headY >= maxY) {
+                killSnake(room, player);
+                console.log(`[COLLISION] ${player.name} hit the border`);
+                continue;
+            }
+        } else {
+            if (player.headX < minX) player.headX = maxX - 1;
+            if (player.headX >= maxX) player.headX = minX;
+            if (player.headY < minY) player.headY = maxY - 1;
+            if (player.headY >= maxY) player.headY = minY;
+        }
+
+        // Add new head segment
+        player.segments.unshift({
+            x: player.headX,
+            y: player.headY
+        });
+
+        // Remove tail segment (growth based on settings: 1x/2x/4x/8x growth per pizza)
+        if (player.segments.length > getSnakeLength(room, player)) {
+            player.segments.pop();
+        }
+    }
+
+    if (room.powerUpsEnabled) {
+        updatePowerUps(room);
+    }
+
+    const aliveBefore = Array.from(room.players.values()).filter(p => p.alive);
+
+    // Check collisions
+    checkCollisions(room);
+
+    if (room.arena) {
+        updateArena(room);
+        checkRoyaleWinner(room, aliveBefore);
+    }
+}
+
+// Segments a snake grows to for its stars (base 3 segments per star × growth multiplier)
+function getSnakeLength(room, player) {
+    return INITIAL_LENGTH + player.score * 3 * room.growthSpeed;
+}
+
+function expireEffects(room, player) {
+    const now = room.clock.now();
+    for (const type in player.effects) {
+        if (player.effects[type] <= now) {
+            delete player.effects[type];
+        }
+    }
+}
+
+// Spawn power-ups over time and let magnets pull nearby stars
+function updatePowerUps(room) {
+    if (room.clock.now() >= room.nextPowerUpTime) {
+        room.nextPowerUpTime = room.clock.now() + POWER_UP_INTERVAL_MS;
+        if (room.powerUps.length < MAX_POWER_UPS) {
+            room.powerUps.push({ ...spawnPizza(room), type: pickPowerUpType(room) });
+        }
+    }
+
+    for (const player of room.players.values()) {
+        if (!player.alive || !player.effects.magnet) continue;
+
+        for (const pizza of room.pizzas) {
+            const dx = player.headX - pizza.x;
+            const dy = player.headY - pizza.y;
+            const dist = Math.hypot(dx, dy);
+            if (dist > 0 && dist < MAGNET_RADIUS) {
+                // Stars stop at walls and portals rather than get pulled into them
+                const step = Math.min(dist, MAGNET_PULL);
+                const x = pizza.x + dx / dist * step;
+                const y = pizza.y + dy / dist * step;
+                if (!isBlocked(room.map, x, y, room.pizzaSize)) {
+                    pizza.x = x;
+                    pizza.y = y;
+                }
+            }
+        }
+    }
+}
+
+// Weighted random selection
+function pickPowerUpType(room) {
+    const totalWeight = POWER_UP_TYPES.reduce((sum, item) => sum + item.weight, 0);
+    let random = room.random() * totalWeight;
+
+    for (const powerUp of POWER_UP_TYPES) {
+        random -= powerUp.weight;
+        if (random <= 0) {
+            return powerUp.type;
+        }
+    }
+    return POWER_UP_TYPES[0].type;
+}
+
+function applyPowerUp(room, player, powerUp) {
+    const definition = POWER_UP_TYPES.find(item => item.type === powerUp.type);
+
+    if (powerUp.type === 'golden') {
+        addStars(room, player, GOLDEN_STAR_VALUE);
+    } else if (powerUp.type === 'shrink') {
+        // Hits the longest opponent (never a teammate)
+        const target = Array.from(room.players.values())
+            .filter(p => p.alive && p.id !== player.id && !isTeammate(room, p, player))
+            .sort((a, b) => b.score - a.score)[0];
+        if (target) {
+            const lost = Math.ceil(target.score / 3);
+            target.score -= lost;
+            if (room.teams) {
+                room.teamScores[target.team] -= lost;
+            }
+            target.segments.length = Math.min(target.segments.length, getSnakeLength(room, target));
+            broadcastEffect(room.id, 'particle', { x: target.headX, y: target.headY, color: target.color, count: 20 });
+        }
+    } else {
+        player.effects[powerUp.type] = room.clock.now() + definition.duration;
+    }
+
+    broadcastEffect(room.id, 'particle', { x: powerUp.x, y: powerUp.y, color: player.color, count: 15 });
+    broadcastEffect(room.id, 'scoreAnim', {
+        x: player.headX,
+        y: player.headY - room.segmentSize * 2,
+        text: POWER_UP_LABELS[powerUp.type],
+        color: player.color
+    });
+    console.log(`[POWERUP] ${player.name} picked up ${powerUp.type}`);
+}
+
+// Add stars to the player's score (and team total) and check the classic win condition
+function addStars(room, player, count) {
+    player.score += count;
+    player.contribution += count;
+    if (room.teams) {
+        room.teamScores[player.team] += count;
+    }
+
+    // Check for win condition (only if game not already over; battle royale is won by surviving)
+    const winScore = room.settings.winScore || 50;
+    if (room.snakeMode === 'royale' || room.gameOver) return;
+
+    if (room.teams && room.teamScores[player.team] >= winScore) {
+        room.winner = getTeamWinner(room, player.team);
+        room.gameOver = true;
+        console.log(`[TEAM] ${player.team} team wins with ${room.teamScores[player.team]} stars!`);
+    } else if (!room.teams && player.score >= winScore) {
+        room.winner = player;
+        room.gameOver = true;
+        console.log(`${player.name} wins with ${winScore} pizzas!`);
+    }
+}
+
+// room.winner for a team; name is the team id, which the display translates
+function getTeamWinner(room, team) {
+    return {
+        id: null,
+        name: team,
+        team: team,
+        score: room.teamScores[team]
+    };
+}
+
+// Snakes in free-for-all, teams in team mode
+function countSides(room, players) {
+    return room.teams ? new Set(players.map(p => p.team)).size : players.length;
+}
+
+// Teammates pass through each other (always false in free-for-all)
+function isTeammate(room, a, b) {
+    return !!room.teams && a.team === b.team;
+}
+
+// Battle royale: contract the arena (once two sides are in) and kill snakes whose head left it
+function updateArena(room) {
+    const arena = room.arena;
+    const alive = Array.from(room.players.values()).filter(p => p.alive);
+
+    if (arena.startTime === null) {
+        if (countSides(room, alive) < 2) return;
+        arena.startTime = room.clock.now();
+        console.log(`[ROYALE] Round started in room ${room.id} with ${alive.length} snakes`);
+    }
+
+    const elapsed = room.clock.now() - arena.startTime - ROYALE_GRACE_MS;
+    const progress = Math.max(0, Math.min(1, elapsed / ROYALE_SHRINK_MS));
+    arena.radius = arena.maxRadius - (arena.maxRadius - arena.minRadius) * progress;
+
+    for (const player of alive) {
+        if (Math.hypot(player.headX - arena.x, player.headY - arena.y) > arena.radius) {
+            killSnake(room, player);
+            console.log(`[ROYALE] ${player.name} left the arena`);
+        }
+    }
+}
+
+// Battle royale ends when at most one snake (or team) is left; if the last ones die together, the richest of them wins
+function checkRoyaleWinner(room, aliveBefore) {
+    if (room.gameOver || room.arena.startTime === null) return;
+
+    const alive = Array.from(room.players.values()).filter(p => p.alive);
+    if (countSides(room, alive) > 1) return;
+
+    const winner = alive[0] || aliveBefore.slice().sort((a, b) => b.score - a.score)[0];
+    if (!winner) return;
+
+    room.winner = room.teams ? getTeamWinner(room, winner.team) : winner;
+    room.gameOver = true;
+    console.log(`[ROYALE] ${room.winner.name} is the last ${room.teams ? 'team' : 'snake'} standing in room ${room.id}`);
+}
+
+// Kill a snake: drop its stars and, in classic mode, schedule an auto-respawn
+function killSnake(room, player) {
+    player.alive = false;
+    player.effects = {};
+    dropPizzasFromSnake(room, player);
+    player.segments = [];  // Clear segments to prevent invisible collision
+
+    if (room.snakeMode !== 'royale') {
+        player.respawnCountdown = RESPAWN_SECONDS;
+        player.respawnPosition = findFreeSpot(room, () => ({
+            x: room.random() * room.canvas.width,
+            y: room.random() * room.canvas.height
+        }), room.segmentSize * 3);
+    }
+}
+
+// First segment self-collision checks: one segment is left per tick, so segment i is where the head
+// was i ticks ago. Turning as tightly as possible (fastest scheme, unboosted speed) on a circle of
+// radius moveSpeed / maxTurn, it is 2 * radius * sin(i * maxTurn / 2) away - the newest segments
+// closer than the collision distance are the neck. If the circle is narrower than that distance the
+// head never clears its neck while turning, so the neck is the straight-line one, but at least a
+// whole loop. (arrow_instant turns on the spot and is not covered.)
+function getSelfCollisionMinSegment(room) {
+    const maxTurn = BASE_TURN_SPEED * room.turnSpeedMultiplier * AGGRESSIVE_TURN_FACTOR;
+    const diameter = 2 * room.moveSpeed / maxTurn;
+    const reach = room.segmentSize * SELF_COLLISION_DISTANCE;
+
+    if (reach >= diameter) {
+        return Math.max(Math.ceil(reach / room.moveSpeed) + 1, Math.ceil(2 * Math.PI / maxTurn));
+    }
+    return Math.ceil(2 * Math.asin(reach / diameter) / maxTurn) + 1;
+}
+
+/**
+ * Turn the snake according to its player's control scheme:
+ *   arrow_instant  (Послушная стрелка) - tilt sets the heading directly
+ *   arrow_steering (Стрелка)           - tilt sets a target heading, the snake turns toward it
+ *   anything else  (Поворот)           - tilt sets the turn rate through the room's controlMapping curve
+ */
+function steerSnake(room, player) {
+    const maxTurn = BASE_TURN_SPEED * room.turnSpeedMultiplier;
+
+    // Bouncing off another head (headOn: 'bounce')
+    if (player.bounceUntil > room.clock.now()) return;
+
+    if (player.controlScheme === 'arrow_instant') {
+        player.targetAngle = player.smoothedTilt * 2 * Math.PI;
+        player.angle = player.targetAngle;
+        return;
+    }
+
+    if (player.controlScheme === 'arrow_steering') {
+        player.targetAngle = player.smoothedTilt * 2 * Math.PI;
+        // Shortest way around the circle, limited by the turn speed
+        const diff = Math.atan2(Math.sin(player.targetAngle - player.angle), Math.cos(player.targetAngle - player.angle));
+        player.angle += Math.max(-maxTurn, Math.min(maxTurn, diff));
+        return;
+    }
+
+    const curve = CONTROL_CURVES[room.controlMapping] || CONTROL_CURVES.linear;
+    const offset = Math.max(-1, Math.min(1, (player.smoothedTilt - 0.5) * 2));
+    const factor = player.controlScheme && player.controlScheme.endsWith('_aggressive') ? AGGRESSIVE_TURN_FACTOR : 1;
+    player.angle += curve(offset) * maxTurn * factor;
+    player.targetAngle = player.angle;
+}
+
+// Check collisions
+function checkCollisions(room) {
+    if (room.headOnRule !== 'none') {
+        resolveHeadOnCollisions(room);
+    }
+
+    for (const player of room.players.values()) {
+        if (!player.alive) continue;
+
+        const head = player.segments[0];
+
+        // Walls and pillars are lethal for everyone, ghosts included
+        if (hitsObstacle(room.map, head.x, head.y, room.segmentSize / 2)) {
+            killSnake(room, player);
+            console.log(`[COLLISION] ${player.name} hit an obstacle`);
+            continue;
+        }
+
+        // Check pizza collision
+        for (let i = room.pizzas.length - 1; i >= 0; i--) {
+            const pizza = room.pizzas[i];
+            const dist = Math.hypot(head.x - pizza.x, head.y - pizza.y);
+
+            if (dist < room.segmentSize / 2 + room.pizzaSize / 2) {
+                // Ate pizza
+                room.pizzas.splice(i, 1);
+                addStars(room, player, 1);
+            }
+        }
+
+        // Check power-up collision
+        for (let i = room.powerUps.length - 1; i >= 0; i--) {
+            const powerUp = room.powerUps[i];
+            if (Math.hypot(head.x - powerUp.x, head.y - powerUp.y) < room.segmentSize / 2 + room.pizzaSize) {
+                room.powerUps.splice(i, 1);
+                applyPowerUp(room, player, powerUp);
+            }
+        }
+
+        // Ghosts pass through bodies, their own included
+        if (player.effects.ghost) continue;
+
+        // Classic self-collision (off by default - players can coil infinitely)
+        if (room.selfCollision) {
+            for (let i = room.selfCollisionMinSegment; i < player.segments.length; i++) {
+                const seg = player.segments[i];
+                if (Math.hypot(head.x - seg.x, head.y - seg.y) < room.segmentSize * SELF_COLLISION_DISTANCE) {
+                    killSnake(room, player);
+                    console.log(`[COLLISION] ${player.name} died (self-collision)`);
+                    break;
+                }
+            }
+            if (!player.alive) continue;
+        }
+
+        // Check collision with other players
+        for (const otherPlayer of room.players.values()) {
+            if (!player.alive) break;
+            if (otherPlayer.id === player.id || !otherPlayer.alive || isTeammate(room, player, otherPlayer)) continue;
+            if (player.bounceFromId === otherPlayer.id && player.bounceUntil > room.clock.now()) continue;
+
+            // Check if player's head hits other player's body (SKIP HEAD - start from i=1)
+            // This prevents head-to-head collisions from triggering death
+            for (let i = 1; i < otherPlayer.segments.length; i++) {
+                const seg = otherPlayer.segments[i];
+                const dist = Math.hypot(head.x - seg.x, head.y - seg.y);
+
+                if (dist < room.segmentSize * 0.8) {
+                    // Player whose head collided with BODY dies
+                    killSnake(room, player);
+                    console.log(`[COLLISION] ${player.name} died (head hit body segment ${i} of ${otherPlayer.name})`);
+                    break;
+                }
+            }
+        }
+    }
+}
+
+// Two heads meeting, decided by room.headOnRule (ghosts are not affected)
+function resolveHeadOnCollisions(room) {
+    const snakes = Array.from(room.players.values()).filter(p => p.alive && !p.effects.ghost);
+
+    for (let i = 0; i < snakes.length; i++) {
+        for (let j = i + 1; j < snakes.length; j++) {
+            const a = snakes[i];
+            const b = snakes[j];
+            if (!a.alive || !b.alive || isTeammate(room, a, b)) continue;
+
+            const dist = Math.hypot(a.headX - b.headX, a.headY - b.headY);
+            if (dist >= room.segmentSize * 0.8) continue;
+
+            if (room.headOnRule === 'bounce') {
+                bounceHeads(room, a, b, dist);
+                continue;
+            }
+
+            // 'longer': the shorter snake dies, equal lengths die together; 'both': both die
+            const losers = room.headOnRule === 'longer' && a.segments.length !== b.segments.length
+                ? [a.segments.length < b.segments.length ? a : b]
+                : [a, b];
+            losers.forEach(loser => killSnake(room, loser));
+            console.log(`[COLLISION] Head-on ${a.name} vs ${b.name}: ${losers.map(p => p.name).join(', ')} died`);
+        }
+    }
+}
+
+// Deflect both heads away from each other; steering is ignored for BOUNCE_MS so arrow schemes do not re-aim into the other snake
+function bounceHeads(room, a, b, dist) {
+    const nx = dist > 0 ? (a.headX - b.headX) / dist : -Math.cos(a.angle);
+    const ny = dist > 0 ? (a.headY - b.headY) / dist : -Math.sin(a.angle);
+
+    [[a, 1, b], [b, -1, a]].forEach(([snake, direction, other]) => {
+        const dx = Math.cos(snake.angle);
+        const dy = Math.sin(snake.angle);
+        const dot = dx * nx * direction + dy * ny * direction;
+        if (dot >= 0) return; // Already moving away
+
+        // Reflect the heading off the contact normal
+        snake.angle = Math.atan2(dy - 2 * dot * ny * direction, dx - 2 * dot * nx * direction);
+        snake.targetAngle = snake.angle;
+        snake.bounceUntil = room.clock.now() + BOUNCE_MS;
+        snake.bounceFromId = other.id; // Its neck is right behind the head, so skip it while bouncing away
+    });
+}
+
+// Spawn pizza
+function spawnPizza(room) {
+    const pizzaSize = room ? room.pizzaSize : BASE_PIZZA_SIZE;
+    const margin = pizzaSize;
+    const minX = margin;
+    const maxX = room.canvas.width - margin;
+    const minY = margin;
+    const maxY = room.canvas.height - BOUNDARY_MARGIN_BOTTOM - margin;
+
+    const spot = findFreeSpot(room, () => ({
+        x: minX + room.random() * (maxX - minX),
+        y: minY + room.random() * (maxY - minY)
+    }), pizzaSize);
+
+    return {
+        x: spot.x,
+        y: spot.y,
+        id: room.clock.now() + room.random()
+    };
+}
+
+// Drop pizzas from dead snake body
+function dropPizzasFromSnake(room, player) {
+    const pizzasToDrop = player.score;
+
+    if (pizzasToDrop === 0 || player.segments.length === 0) return;
+
+    // The stars leave the team total with the snake; whoever picks them up counts them again
+    if (room.teams) {
+        room.teamScores[player.team] -= pizzasToDrop;
+    }
+
+    // Distribute pizzas along snake body, clear of walls and portals
+    for (let i = 0; i < pizzasToDrop; i++) {
+        const spot = findFreeSpot(room, () => {
+            // Pick random segment from snake body
+            const segmentIndex = Math.floor(room.random() * player.segments.length);
+            const segment = player.segments[segmentIndex];
+
+            // Add random scatter offset (-20 to +20 pixels), kept within bounds
+            const scatterX = (room.random() - 0.5) * 40;
+            const scatterY = (room.random() - 0.5) * 40;
+            return {
+                x: Math.max(room.pizzaSize, Math.min(room.canvas.width - room.pizzaSize, segment.x + scatterX)),
+                y: Math.max(room.pizzaSize, Math.min(room.canvas.height - BOUNDARY_MARGIN_BOTTOM - room.pizzaSize, segment.y + scatterY))
+            };
+        }, room.pizzaSize);
+
+        // A body squeezed along a wall may have no free spot nearby: the star goes somewhere free instead
+        if (isBlocked(room.map, spot.x, spot.y, room.pizzaSize)) {
+            room.pizzas.push(spawnPizza(room));
+            continue;
+        }
+
+        room.pizzas.push({
+            x: spot.x,
+            y: spot.y,
+            id: room.clock.now() + room.random()
+        });
+    }
+
+    console.log(`${player.name} dropped ${pizzasToDrop} pizzas`);
+}
+
+module.exports = {
+    create: createSnakeGame,
+    addPlayer: addSnakePlayer,
+    removePlayer: removeSnakePlayer,
+    handleInput: handleSnakeInput,
+    tick: updateSnake,
+    serialize: serializeSnakeState,
+    reset: resetSnakeGame,
+    handleMessage: handleSnakeMessage,
+    getMatchResult: getSnakeMatchResult
+};
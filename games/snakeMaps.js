@@ -0,0 +1,96 @@
+/**
+ * Kinemon Games - Snake arena layouts
+ * Maps are JSON files in games/snake-maps/ (file name = map id, chosen with settings.map).
+ *
+ * Coordinates are fractions of the play area so a map fits any display size:
+ *   {
+ *     "name": "Стены",
+ *     "wrap": true,                                              // false = borders are lethal
+ *     "walls": [{ "x", "y", "width", "height" }],                // rectangles, top-left corner
+ *     "pillars": [{ "x", "y", "radius" }],                       // radius relative to the shorter side
+ *     "portals": [{ "from": { "x", "y" }, "to": { "x", "y" } }]  // two-way
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MAPS_DIR = path.join(__dirname, 'snake-maps');
+const DEFAULT_MAP_ID = 'open';
+const PORTAL_RADIUS = 25;
+
+// map id -> map definition, read once at startup
+const maps = new Map();
+
+fs.readdirSync(MAPS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+        maps.set(path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(MAPS_DIR, file), 'utf8')));
+    });
+
+// Map in pixels for a play area of width x height; unknown ids fall back to the open field
+function resolveSnakeMap(mapId, width, height) {
+    const id = maps.has(mapId) ? mapId : DEFAULT_MAP_ID;
+    const map = maps.get(id);
+    const shortSide = Math.min(width, height);
+
+    return {
+        id: id,
+        name: map.name,
+        wrap: map.wrap !== false,
+        walls: (map.walls || []).map(wall => ({
+            x: wall.x * width,
+            y: wall.y * height,
+            width: wall.width * width,
+            height: wall.height * height
+        })),
+        pillars: (map.pillars || []).map(pillar => ({
+            x: pillar.x * width,
+            y: pillar.y * height,
+            radius: pillar.radius * shortSide
+        })),
+        portals: (map.portals || []).map(portal => ({
+            from: { x: portal.from.x * width, y: portal.from.y * height },
+            to: { x: portal.to.x * width, y: portal.to.y * height },
+            radius: PORTAL_RADIUS
+        }))
+    };
+}
+
+// Whether a circle at (x, y) touches a wall or pillar
+function hitsObstacle(map, x, y, radius) {
+    for (const wall of map.walls) {
+        const nearestX = Math.max(wall.x, Math.min(x, wall.x + wall.width));
+        const nearestY = Math.max(wall.y, Math.min(y, wall.y + wall.height));
+        if (Math.hypot(x - nearestX, y - nearestY) < radius) return true;
+    }
+    for (const pillar of map.pillars) {
+        if (Math.hypot(x - pillar.x, y - pillar.y) < pillar.radius + radius) return true;
+    }
+    return false;
+}
+
+// Whether a circle at (x, y) touches an obstacle or a portal (spawn points keep clear of both)
+function isBlocked(map, x, y, radius) {
+    if (hitsObstacle(map, x, y, radius)) return true;
+    return map.portals.some(portal =>
+        Math.hypot(x - portal.from.x, y - portal.from.y) < portal.radius + radius ||
+        Math.hypot(x - portal.to.x, y - portal.to.y) < portal.radius + radius);
+}
+
+// Other end { x, y, radius } when (x, y) is inside a portal end, otherwise null
+function findPortalExit(map, x, y) {
+    for (const portal of map.portals) {
+        if (Math.hypot(x - portal.from.x, y - portal.from.y) < portal.radius) return { ...portal.to, radius: portal.radius };
+        if (Math.hypot(x - portal.to.x, y - portal.to.y) < portal.radius) return { ...portal.from, radius: portal.radius };
+    }
+    return null;
+}
+
+module.exports = {
+    DEFAULT_MAP_ID,
+    resolveSnakeMap,
+    hitsObstacle,
+    isBlocked,
+    findPortalExit
+};
@@ -0,0 +1,188 @@
+/**
+ * Kinemon Games - Player Profiles
+ * Persistent profiles keyed by the controller's device id: per-game high scores, wins,
+ * matches played and play time. Kept in memory and written to a JSON file on disk.
+ *
+ * File format (data/profiles.json, override with PROFILES_FILE; server.js never serves data/ as static files):
+ *   { version, profiles: { [deviceId]: { name, createdAt, lastSeen,
+ *       games: { [gameType]: { played, wins, highScore, playTimeMs } } } } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROFILES_VERSION = 1;
+const PROFILES_FILE = process.env.PROFILES_FILE || path.join(__dirname, 'data', 'profiles.json');
+const SAVE_DELAY_MS = 2000; // Batch writes - matches end for several players at once
+
+// deviceId -> profile
+let profiles = new Map();
+let saveTimer = null;
+
+function loadProfiles() {
+    try {
+        const data = JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf-8'));
+        profiles = new Map(Object.entries(data.profiles || {}));
+        console.log(`[PROFILES] Loaded ${profiles.size} profiles from ${PROFILES_FILE}`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('[PROFILES] Error loading profiles:', error);
+        }
+    }
+}
+
+// Write the store shortly after the last change (temp file + rename so a crash never leaves half a file)
+function scheduleSave() {
+    if (saveTimer) return;
+
+    saveTimer = setTimeout(() => {
+        saveTimer = null;
+
+        const content = JSON.stringify({
+            version: PROFILES_VERSION,
+            profiles: Object.fromEntries(profiles)
+        });
+        const tempFile = `${PROFILES_FILE}.tmp`;
+
+        fs.mkdir(path.dirname(PROFILES_FILE), { recursive: true }, (mkdirError) => {
+            if (mkdirError) {
+                console.error('[PROFILES] Error creating profiles directory:', mkdirError);
+                return;
+            }
+
+            fs.writeFile(tempFile, content, (writeError) => {
+                if (writeError) {
+                    console.error('[PROFILES] Error saving profiles:', writeError);
+                    return;
+                }
+                fs.rename(tempFile, PROFILES_FILE, (renameError) => {
+                    if (renameError) {
+                        console.error('[PROFILES] Error saving profiles:', renameError);
+                    }
+                });
+            });
+        });
+    }, SAVE_DELAY_MS);
+}
+
+// Device ids are generated by controller.html (UUID); anything else is ignored
+function isValidDeviceId(deviceId) {
+    return typeof deviceId === 'string' && /^[\w-]{8,64}$/.test(deviceId);
+}
+
+// Only live players with a device id have a profile (not bots, not headless simulations)
+function isTracked(room, player) {
+    return !room.headless && !player.isBot && isValidDeviceId(player.deviceId);
+}
+
+function getGameStats(profile, gameType) {
+    if (!profile.games[gameType]) {
+        profile.games[gameType] = { played: 0, wins: 0, highScore: 0, playTimeMs: 0 };
+    }
+    return profile.games[gameType];
+}
+
+// Player joined (or reconnected, or a new round started): refresh the profile and start the play clock
+function startPlayTime(room, player) {
+    if (!isTracked(room, player)) return;
+
+    const now = Date.now();
+    let profile = profiles.get(player.deviceId);
+    if (!profile) {
+        profile = { name: player.name, createdAt: now, lastSeen: now, games: {} };
+        profiles.set(player.deviceId, profile);
+        console.log(`[PROFILES] New profile for ${player.name}`);
+    }
+
+    profile.name = player.name; // Latest name wins
+    profile.lastSeen = now;
+    player.playStartTime = now;
+    scheduleSave();
+}
+
+// Player left or the round ended: add the time played since startPlayTime
+function stopPlayTime(room, player) {
+    if (!isTracked(room, player) || !player.playStartTime) return;
+
+    const profile = profiles.get(player.deviceId);
+    if (profile) {
+        const now = Date.now();
+        getGameStats(profile, room.gameType).playTimeMs += now - player.playStartTime;
+        profile.lastSeen = now;
+        scheduleSave();
+    }
+    player.playStartTime = null;
+}
+
+// Match finished: count it for every player and keep the best score
+// getResult(player) -> { score, won }
+function recordMatchResult(room, getResult) {
+    room.players.forEach(player => {
+        if (!isTracked(room, player)) return;
+
+        const profile = profiles.get(player.deviceId);
+        if (!profile) return;
+
+        stopPlayTime(room, player);
+
+        const result = getResult(player);
+        const stats = getGameStats(profile, room.gameType);
+        stats.played++;
+        if (result.won) {
+            stats.wins++;
+        }
+        stats.highScore = Math.max(stats.highScore, result.score || 0);
+
+        console.log(`[PROFILES] ${profile.name}: ${room.gameType} score ${result.score || 0}${result.won ? ' (win)' : ''}`);
+    });
+
+    scheduleSave();
+}
+
+// Public view of one profile (null when unknown)
+function getProfile(deviceId) {
+    const profile = isValidDeviceId(deviceId) ? profiles.get(deviceId) : null;
+    if (!profile) return null;
+
+    return {
+        name: profile.name,
+        createdAt: profile.createdAt,
+        lastSeen: profile.lastSeen,
+        games: profile.games
+    };
+}
+
+const LEADERBOARD_SORTS = ['wins', 'highScore', 'played', 'playTimeMs'];
+
+// All-time ranking for a game (device ids are not exposed)
+function getLeaderboard(gameType, sortBy = 'wins', limit = 10) {
+    const sortKey = LEADERBOARD_SORTS.includes(sortBy) ? sortBy : 'wins';
+
+    const entries = [];
+    for (const profile of profiles.values()) {
+        const stats = profile.games[gameType];
+        if (!stats || stats.played === 0) continue;
+
+        entries.push({
+            name: profile.name,
+            played: stats.played,
+            wins: stats.wins,
+            highScore: stats.highScore,
+            playTimeMs: stats.playTimeMs
+        });
+    }
+
+    // Ties broken by high score, then by fewer matches played
+    entries.sort((a, b) => (b[sortKey] - a[sortKey]) || (b.highScore - a.highScore) || (a.played - b.played));
+
+    return entries.slice(0, limit);
+}
+
+module.exports = {
+    loadProfiles,
+    startPlayTime,
+    stopPlayTime,
+    recordMatchResult,
+    getProfile,
+    getLeaderboard
+};
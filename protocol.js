@@ -0,0 +1,385 @@
+/**
+ * Kinemon Games - WebSocket Message Protocol
+ * Declares every client→server and server→client message and validates incoming ones.
+ *
+ * Versioning: clients send protocolVersion in handshake messages (create_room, join,
+ * join_room, join_display, join_spectator); the server answers with its PROTOCOL_VERSION in init,
+ * room_created and room_joined. A handshake without protocolVersion counts as version 1 and is
+ * rejected like any other unsupported version.
+ * Unknown fields are ignored so fields can be added without a version bump; removing or
+ * changing a field requires a new version.
+ *
+ * Version 2: Ballz turns are simulated on the server; ballz_turn_complete and ballz_new_turn
+ * were removed, so version 1 clients are rejected.
+ *
+ * Errors are sent as { type: 'error', code, message, requestType?, errors? }.
+ *
+ * State updates: clients that send stateEncoding: 'binary' in a handshake message receive
+ * 'update' as binary keyframes/deltas (stateCodec.js) instead of JSON and acknowledge each
+ * one with state_ack so the server knows which snapshot to diff against.
+ *
+ * Field spec: { type: 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array',
+ *               required, nullable, enum, min, max, maxLength, maxItems,
+ *               items (array element spec), fields (object field specs), values (allowed object value types) }
+ */
+
+const PROTOCOL_VERSION = 2;
+const MIN_PROTOCOL_VERSION = 2;
+const HANDSHAKE_MESSAGES = ['create_room', 'join', 'join_room', 'join_display', 'join_spectator'];
+
+const GAME_TYPES = ['snake', 'pong', 'pushers', 'ship', 'ballz'];
+const SHIP_ROLES = ['engine', 'rudder', 'weapon', 'weaponDirection', 'shield'];
+const SHIP_TEAMS = ['blue', 'pink'];
+const PUSHERS_TEAMS = ['Blue', 'Red', 'Yellow', 'Green', 'White'];
+
+// Reusable field specs
+const roomIdField = { type: 'string', maxLength: 32 };
+const gameTypeField = { type: 'string', enum: GAME_TYPES };
+const settingsField = { type: 'object', values: ['number', 'string', 'boolean'], maxItems: 50 };
+const protocolVersionField = { type: 'integer', min: 1 };
+const stateEncodingField = { type: 'string', enum: ['json', 'binary'] };
+const gameStateField = { type: 'object', required: true };
+
+// Client → server messages
+const CLIENT_MESSAGES = {
+    // Display
+    create_room: {
+        gameType: gameTypeField,
+        settings: settingsField,
+        protocolVersion: protocolVersionField,
+        stateEncoding: stateEncodingField
+    },
+    join_room: {
+        roomId: { ...roomIdField, required: true },
+        protocolVersion: protocolVersionField,
+        stateEncoding: stateEncodingField
+    },
+    join_display: {
+        roomId: { ...roomIdField, required: true },
+        gameType: gameTypeField,
+        settings: settingsField,
+        protocolVersion: protocolVersionField,
+        stateEncoding: stateEncodingField
+    },
+    restart_game: {
+        preserveRoles: { type: 'boolean' }
+    },
+    request_game_change: {},
+    confirm_game_change: {
+        gameType: { ...gameTypeField, required: true },
+        settings: settingsField
+    },
+    play_recording: {
+        recordingId: { type: 'string', required: true, maxLength: 128 },
+        stateEncoding: stateEncodingField
+    },
+    update_physics: {
+        physics: {
+            type: 'object',
+            required: true,
+            fields: {
+                pumpEnergy: { type: 'number', min: 1, max: 20 },
+                energyDecay: { type: 'number', min: 0.01, max: 0.2 },
+                pumpMinDelta: { type: 'number', min: 0, max: 0.5 },
+                gradientBaseDecay: { type: 'number', min: 10, max: 200 },
+                thrustMult: { type: 'number', min: 0.1, max: 2.0 },
+                inertia: { type: 'number', min: 0, max: 100 },
+                maxSpeed: { type: 'number', min: 1, max: 10 },
+                stopThreshold: { type: 'number', min: 0.01, max: 0.5 },
+                fireThreshold: { type: 'number', min: 0.001, max: 0.2 },
+                fireIntensity: { type: 'number', min: 0.5, max: 3.0 },
+                maxParticles: { type: 'integer', min: 3, max: 20 }
+            }
+        }
+    },
+    // Pong tournament: end the lobby countdown now
+    start_tournament: {},
+
+    // Controller
+    join: {
+        roomId: { ...roomIdField, required: true },
+        name: { type: 'string', maxLength: 32 },
+        gameType: gameTypeField,
+        team: { type: 'string', maxLength: 16 },
+        controlScheme: { type: 'string', maxLength: 32 },
+        sessionToken: { type: 'string', maxLength: 128 },
+        deviceId: { type: 'string', maxLength: 64 },
+        protocolVersion: protocolVersionField,
+        stateEncoding: stateEncodingField
+    },
+    // Watch a room without taking a player slot; a later join on the same socket switches to playing
+    join_spectator: {
+        roomId: { ...roomIdField, required: true },
+        protocolVersion: protocolVersionField,
+        stateEncoding: stateEncodingField
+    },
+    input: {
+        // Calibrated tilt: 0..1 with 30% overshoot allowed (see motionController.js)
+        tilt: { type: 'number', required: true, min: -0.3, max: 1.3 }
+    },
+    ping: {},
+    state_ack: {
+        snapshotId: { type: 'integer', required: true, min: 0 }
+    },
+    respawn: {
+        controlScheme: { type: 'string', maxLength: 32 }
+    },
+    change_control: {
+        controlScheme: { type: 'string', required: true, maxLength: 32 }
+    },
+    change_role: {
+        role: { type: 'string', required: true, nullable: true, enum: SHIP_ROLES },
+        recalibrating: { type: 'boolean' }
+    },
+    select_team: {
+        team: { type: 'string', required: true, enum: [...SHIP_TEAMS, ...PUSHERS_TEAMS] }
+    },
+    player_ready: {},
+    player_unready: {}
+};
+
+// Server → client messages (gameState is the game's serialize() output)
+const SERVER_MESSAGES = {
+    room_created: {
+        roomId: { ...roomIdField, required: true },
+        protocolVersion: { ...protocolVersionField, required: true }
+    },
+    room_joined: {
+        roomId: { ...roomIdField, required: true },
+        gameType: { ...gameTypeField, required: true },
+        gameState: gameStateField,
+        protocolVersion: { ...protocolVersionField, required: true }
+    },
+    init: {
+        gameState: gameStateField,
+        roomId: roomIdField,
+        playerId: { type: 'string' },
+        sessionToken: { type: 'string' },
+        reconnected: { type: 'boolean' },
+        gameStarted: { type: 'boolean' },
+        protocolVersion: protocolVersionField
+    },
+    update: {
+        gameState: gameStateField
+    },
+    effect: {
+        effectType: { type: 'string', required: true },
+        data: { type: 'object' }
+    },
+    error: {
+        code: { type: 'string', required: true },
+        message: { type: 'string', required: true },
+        requestType: { type: 'string' },
+        errors: { type: 'array', items: { type: 'string' } }
+    },
+    pong: {},
+    game_restarted: {
+        preserveRoles: { type: 'boolean', required: true },
+        gameType: { ...gameTypeField, required: true }
+    },
+    show_game_selection: {},
+    room_migrated: {
+        newRoomId: { ...roomIdField, required: true },
+        newGameType: { ...gameTypeField, required: true }
+    },
+    update_qr_code: {
+        roomId: { ...roomIdField, required: true },
+        gameType: { ...gameTypeField, required: true }
+    },
+    lobby_countdown: {
+        startTime: { type: 'number', required: true },
+        duration: { type: 'number', required: true }
+    },
+    lobby_countdown_cancelled: {},
+    start_calibration: {},
+    game_over: {
+        winner: { type: 'object', required: true, nullable: true }
+    },
+    recording_started: {
+        recordingId: { type: 'string', required: true },
+        roomId: { type: 'string', required: true },
+        gameType: { ...gameTypeField, required: true },
+        gameState: gameStateField
+    },
+    recording_finished: {
+        recordingId: { type: 'string', required: true }
+    },
+    spectator_joined: {
+        protocolVersion: protocolVersionField,
+        roomId: { ...roomIdField, required: true },
+        gameType: { ...gameTypeField, required: true },
+        gameState: gameStateField,
+        canJoin: { type: 'boolean', required: true }
+    },
+    // Sent to spectators whenever a player joins or leaves the room for good
+    spectator_status: {
+        canJoin: { type: 'boolean', required: true }
+    }
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+// Validate one value against a field spec, collecting readable errors
+function validateValue(value, spec, path, errors) {
+    if (value === null) {
+        if (!spec.nullable) {
+            errors.push(`${path}: must not be null`);
+        }
+        return;
+    }
+
+    const actualType = typeOf(value);
+    if (spec.type === 'integer') {
+        if (!Number.isInteger(value)) {
+            errors.push(`${path}: expected integer, got ${actualType}`);
+            return;
+        }
+    } else if (spec.type === 'number') {
+        if (actualType !== 'number' || !Number.isFinite(value)) {
+            errors.push(`${path}: expected finite number, got ${actualType}`);
+            return;
+        }
+    } else if (actualType !== spec.type) {
+        errors.push(`${path}: expected ${spec.type}, got ${actualType}`);
+        return;
+    }
+
+    if (spec.enum && !spec.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${spec.enum.join(', ')}`);
+    }
+    if (spec.min !== undefined && value < spec.min) {
+        errors.push(`${path}: must be >= ${spec.min}`);
+    }
+    if (spec.max !== undefined && value > spec.max) {
+        errors.push(`${path}: must be <= ${spec.max}`);
+    }
+    if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+        errors.push(`${path}: longer than ${spec.maxLength} characters`);
+    }
+
+    if (spec.type === 'array') {
+        if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+            errors.push(`${path}: more than ${spec.maxItems} items`);
+            return;
+        }
+        if (spec.items) {
+            value.forEach((item, index) => validateValue(item, spec.items, `${path}[${index}]`, errors));
+        }
+    }
+
+    if (spec.type === 'object') {
+        const keys = Object.keys(value);
+        if (spec.maxItems !== undefined && keys.length > spec.maxItems) {
+            errors.push(`${path}: more than ${spec.maxItems} fields`);
+            return;
+        }
+        if (spec.fields) {
+            validateFields(value, spec.fields, `${path}.`, errors);
+        }
+        if (spec.values) {
+            keys.forEach(key => {
+                if (!spec.values.includes(typeOf(value[key]))) {
+                    errors.push(`${path}.${key}: expected ${spec.values.join(' or ')}`);
+                }
+            });
+        }
+    }
+}
+
+function validateFields(object, fields, prefix, errors) {
+    for (const [name, spec] of Object.entries(fields)) {
+        const value = object[name];
+        if (value === undefined) {
+            if (spec.required) {
+                errors.push(`${prefix}${name}: required`);
+            }
+            continue;
+        }
+        validateValue(value, spec, `${prefix}${name}`, errors);
+    }
+}
+
+/**
+ * Validate a parsed client message
+ * @param {*} data - JSON.parse result
+ * @returns {Object} { valid: true } or { valid: false, code, message, errors }
+ */
+function validateClientMessage(data) {
+    if (typeOf(data) !== 'object' || typeof data.type !== 'string') {
+        return {
+            valid: false,
+            code: 'invalid_message',
+            message: 'Сообщение должно быть объектом с полем type',
+            errors: []
+        };
+    }
+
+    const schema = CLIENT_MESSAGES[data.type];
+    if (!schema) {
+        return {
+            valid: false,
+            code: 'unknown_message_type',
+            message: `Неизвестный тип сообщения: ${data.type}`,
+            errors: []
+        };
+    }
+
+    // Version 1 clients never sent protocolVersion
+    const version = data.protocolVersion === undefined && HANDSHAKE_MESSAGES.includes(data.type) ? 1 : data.protocolVersion;
+    if (Number.isInteger(version) && (version < MIN_PROTOCOL_VERSION || version > PROTOCOL_VERSION)) {
+        return {
+            valid: false,
+            code: 'unsupported_protocol',
+            message: `Версия протокола ${version} не поддерживается (сервер: ${PROTOCOL_VERSION}). Обновите страницу.`,
+            errors: []
+        };
+    }
+
+    const errors = [];
+    validateFields(data, schema, '', errors);
+    if (errors.length > 0) {
+        return {
+            valid: false,
+            code: 'invalid_message',
+            message: `Некорректное сообщение ${data.type}`,
+            errors: errors
+        };
+    }
+
+    return { valid: true };
+}
+
+// Validate an outgoing message (used in DEBUG mode to catch protocol drift on the server side)
+function validateServerMessage(message) {
+    const schema = SERVER_MESSAGES[message.type];
+    if (!schema) {
+        return [`unknown server message type: ${message.type}`];
+    }
+
+    const errors = [];
+    validateFields(message, schema, '', errors);
+    return errors;
+}
+
+// Structured error reply
+function createError(code, message, extra = {}) {
+    return {
+        type: 'error',
+        code: code,
+        message: message,
+        ...extra
+    };
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    CLIENT_MESSAGES,
+    SERVER_MESSAGES,
+    validateClientMessage,
+    validateServerMessage,
+    createError
+};
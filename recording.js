@@ -0,0 +1,173 @@
+/**
+ * Kinemon Games - Match Recording
+ * Records a room's seed, settings and timestamped event stream (joins, tilt inputs,
+ * game messages) to a replay file. Rooms are deterministic for a given seed, so
+ * re-simulating the events reproduces the match exactly (see createPlayback in server.js).
+ *
+ * Replay file format (recordings/<id>.json):
+ *   { version, id, roomId, gameType, settings, seed, startTime, savedAt,
+ *     frames: [ms since previous tick, ...],
+ *     events: [{ tick, t, type, playerId, ... }, ...] }
+ *
+ * Event types: 'join' (data), 'input' (tilt), 'message' (data), 'settings' (settings),
+ * 'leave', 'remove', 'restart' (preserveRoles). An event with tick N was applied after
+ * N ticks had run; t is its time in ms since startTime.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RECORDING_VERSION = 1;
+const RECORDINGS_DIR = path.join(__dirname, 'recordings');
+
+// Record every room when RECORD_MATCHES=true, otherwise only rooms created with settings.recordMatch
+const RECORD_ALL_MATCHES = process.env.RECORD_MATCHES === 'true';
+
+function shouldRecord(room) {
+    return !room.headless && (RECORD_ALL_MATCHES || room.settings.recordMatch === true);
+}
+
+// Start recording a freshly created room (before any player joins)
+function startRecording(room) {
+    const startTime = room.clock.now();
+
+    room.recording = {
+        version: RECORDING_VERSION,
+        id: `${room.gameType}-${room.id}-${startTime}`,
+        roomId: room.id,
+        gameType: room.gameType,
+        settings: JSON.parse(JSON.stringify(room.settings)),
+        seed: room.seed,
+        startTime: startTime,
+        frames: [],
+        events: []
+    };
+    room.lastFrameTime = startTime;
+
+    console.log(`[RECORDING] Recording room ${room.id} (${room.recording.id})`);
+}
+
+// Append an event to the room's recording (no-op when the room is not recorded)
+function recordEvent(room, type, playerId, fields = {}) {
+    if (!room.recording) return;
+
+    room.recording.events.push({
+        tick: room.recording.frames.length,
+        t: room.clock.now() - room.recording.startTime,
+        type: type,
+        playerId: playerId,
+        ...fields
+    });
+}
+
+// Record the time step of a tick that is about to run
+function recordFrame(room) {
+    if (!room.recording) return;
+
+    const now = room.clock.now();
+    room.recording.frames.push(now - room.lastFrameTime);
+    room.lastFrameTime = now;
+}
+
+// Write the recording to disk (rewrites the same file on every save)
+function saveRecording(room) {
+    if (!room.recording || room.recording.events.length === 0) return;
+
+    const recording = room.recording;
+    recording.savedAt = Date.now();
+    recording.players = Array.from(room.players.values()).filter(p => !p.isBot).map(p => p.name);
+    recording.winner = room.winner ? (room.winner.name || room.winner.team || null) : null;
+
+    fs.mkdir(RECORDINGS_DIR, { recursive: true }, (mkdirError) => {
+        if (mkdirError) {
+            console.error('[RECORDING] Error creating recordings directory:', mkdirError);
+            return;
+        }
+
+        const filePath = path.join(RECORDINGS_DIR, `${recording.id}.json`);
+        fs.writeFile(filePath, JSON.stringify(recording), (error) => {
+            if (error) {
+                console.error(`[RECORDING] Error saving ${recording.id}:`, error);
+            } else {
+                console.log(`[RECORDING] Saved ${recording.id} (${recording.frames.length} ticks, ${recording.events.length} events)`);
+            }
+        });
+    });
+}
+
+// Recording ids are file names - reject anything that could escape the recordings directory
+function isValidRecordingId(id) {
+    return typeof id === 'string' && /^[\w-]+$/.test(id);
+}
+
+function loadRecording(id, callback) {
+    if (!isValidRecordingId(id)) {
+        callback(new Error(`Invalid recording id: ${id}`));
+        return;
+    }
+
+    fs.readFile(path.join(RECORDINGS_DIR, `${id}.json`), 'utf-8', (error, content) => {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        let recording;
+        try {
+            recording = JSON.parse(content);
+        } catch (parseError) {
+            callback(parseError);
+            return;
+        }
+
+        if (recording.version !== RECORDING_VERSION) {
+            callback(new Error(`Unsupported recording version ${recording.version}`));
+            return;
+        }
+
+        callback(null, recording);
+    });
+}
+
+// Summaries of all saved recordings, newest first
+function listRecordings(callback) {
+    fs.readdir(RECORDINGS_DIR, (error, files) => {
+        if (error) {
+            // No recordings yet
+            callback(null, []);
+            return;
+        }
+
+        const summaries = [];
+        files.filter(file => file.endsWith('.json')).forEach(file => {
+            try {
+                const recording = JSON.parse(fs.readFileSync(path.join(RECORDINGS_DIR, file), 'utf-8'));
+                const durationMs = recording.frames.reduce((sum, frame) => sum + frame, 0);
+                summaries.push({
+                    id: recording.id,
+                    roomId: recording.roomId,
+                    gameType: recording.gameType,
+                    startTime: recording.startTime,
+                    durationMs: durationMs,
+                    players: recording.players || [],
+                    winner: recording.winner || null
+                });
+            } catch (parseError) {
+                console.error(`[RECORDING] Skipping unreadable recording ${file}:`, parseError.message);
+            }
+        });
+
+        summaries.sort((a, b) => b.startTime - a.startTime);
+        callback(null, summaries);
+    });
+}
+
+module.exports = {
+    shouldRecord,
+    startRecording,
+    recordEvent,
+    recordFrame,
+    saveRecording,
+    loadRecording,
+    listRecordings
+};
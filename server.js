@@ -8,25 +8,52 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-
-// Debug logging flag - set DEBUG=true environment variable to enable verbose logs
-const DEBUG = process.env.DEBUG === 'true' || false;
-const debugLog = (...args) => DEBUG && console.log(...args);
+const { getGame } = require('./games');
+const { createSeededRNG, createSeed } = require('./games/common');
+const { attachServer, broadcastToRoom, broadcastGameState, sendError } = require('./broadcast');
+const { PROTOCOL_VERSION, CLIENT_MESSAGES, SERVER_MESSAGES, validateClientMessage } = require('./protocol');
+const { attachAdmin, handleAdminRequest } = require('./admin');
+const {
+    shouldRecord,
+    startRecording,
+    recordEvent,
+    recordFrame,
+    saveRecording,
+    loadRecording,
+    listRecordings
+} = require('./recording');
+const {
+    loadProfiles,
+    startPlayTime,
+    stopPlayTime,
+    recordMatchResult,
+    getProfile,
+    getLeaderboard
+} = require('./profiles');
 
 const PORT = process.env.PORT || 8080;
 
 // Game constants
-const INVULNERABILITY_DURATION_MS = 5000;  // Ship respawn invulnerability (5 seconds)
-const DEFAULT_THRUST_SYSTEM = 'gradient';  // Ship game default (gradient or pump)
-const DEFAULT_ENGINE_FORMULA = 'linear';   // Thrust calculation formula (linear, quadratic, exponential)
 const RECONNECT_GRACE_PERIOD_MS = 60000;   // 60 seconds to reconnect before player is fully removed
+const TICK_MS = 1000 / 60;                 // Game loop step (60 FPS)
+const PRIVATE_DIRS = ['data', 'recordings']; // Player profiles and match recordings are never served as files
+
+// Wall clock used by live rooms; headless rooms inject their own { now() } clock.
+// Sampled once per tick and per incoming message (syncClock), so everything a tick or
+// message does sees a single time - recorded matches then replay exactly.
+let wallTime = Date.now();
+const systemClock = { now: () => wallTime };
+
+function syncClock() {
+    wallTime = Date.now();
+}
 
 // Create HTTP server to serve static files
 const server = http.createServer((req, res) => {
     // Add CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
     // Handle preflight requests
     if (req.method === 'OPTIONS') {
@@ -70,9 +97,73 @@ const server = http.createServer((req, res) => {
         return;
     }
 
+    // All-time leaderboard: /api/leaderboard?game=snake&sort=wins|highScore|played|playTimeMs&limit=10
+    // Player profile: /api/profile?deviceId=...
+    const requestUrl = new URL(req.url, 'http://localhost');
+
+    // Admin dashboard API (admin.js, requires ADMIN_TOKEN)
+    if (handleAdminRequest(req, res, requestUrl)) {
+        return;
+    }
+
+    if (req.method === 'GET' && requestUrl.pathname === '/api/leaderboard') {
+        const gameType = requestUrl.searchParams.get('game') || 'snake';
+        const sortBy = requestUrl.searchParams.get('sort') || 'wins';
+        const limit = Math.min(100, parseInt(requestUrl.searchParams.get('limit')) || 10);
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            success: true,
+            gameType: gameType,
+            sort: sortBy,
+            leaderboard: getLeaderboard(gameType, sortBy, limit)
+        }));
+        return;
+    }
+
+    if (req.method === 'GET' && requestUrl.pathname === '/api/profile') {
+        const profile = getProfile(requestUrl.searchParams.get('deviceId'));
+        if (!profile) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'Profile not found' }));
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, profile: profile }));
+        return;
+    }
+
+    // Message schemas of the WebSocket protocol (for client developers)
+    if (req.method === 'GET' && requestUrl.pathname === '/api/protocol') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            version: PROTOCOL_VERSION,
+            clientMessages: CLIENT_MESSAGES,
+            serverMessages: SERVER_MESSAGES
+        }));
+        return;
+    }
+
+    // Saved match recordings (newest first)
+    if (req.method === 'GET' && requestUrl.pathname === '/api/recordings') {
+        listRecordings((error, recordings) => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, recordings: recordings }));
+        });
+        return;
+    }
+
     let filePath = '.' + req.url;
     if (filePath === './') filePath = './index.html';
 
+    const relativePath = path.normalize(filePath);
+    if (PRIVATE_DIRS.some(dir => relativePath === dir || relativePath.startsWith(dir + path.sep))) {
+        res.writeHead(404);
+        res.end('File not found');
+        return;
+    }
+
     const extname = path.extname(filePath);
     const contentType = {
         '.html': 'text/html',
@@ -98,25 +189,27 @@ const wss = new WebSocket.Server({
     perMessageDeflate: false // Disable compression for better performance with many clients
 });
 
+attachServer(wss, serializeGameState);
+
 // Game rooms: roomId -> room data
 const rooms = new Map();
 
 // Disconnected players: sessionToken -> { roomId, playerId, disconnectTime, playerData }
 const disconnectedPlayers = new Map();
 
-// Game constants
-const BASE_MOVE_SPEED = 1.8;
-const INITIAL_LENGTH = 7;
-const DEFAULT_CANVAS = { width: 600, height: 800 };
-const BASE_SEGMENT_SIZE = 15;
-const BASE_PIZZA_SIZE = 8;  // Reduced from 18 for stardust effect
-const BOUNDARY_MARGIN_BOTTOM = 40;
+attachAdmin({
+    rooms,
+    disconnectedPlayers,
+    reconnectGracePeriodMs: RECONNECT_GRACE_PERIOD_MS,
+    hasDisplayClient,
+    getSpectators,
+    kickPlayer,
+    endGame,
+    destroyRoom
+});
 
-// Pushers constants
-const PUSHERS_SQUARE_SIZE = 30;
-const PUSHERS_SMILEY_SIZE = 20;
-const PUSHERS_SKULL_SIZE = 30;
-const PUSHERS_FIELD_SIZE = 800;
+// Default canvas (games may override in create)
+const DEFAULT_CANVAS = { width: 600, height: 800 };
 
 // Generate random room ID (word-based with vowel separator)
 function generateRoomId() {
@@ -154,6 +247,7 @@ function generateSessionToken() {
 
 // Clean up expired disconnections (called periodically)
 function cleanupExpiredDisconnections() {
+    syncClock();
     const now = Date.now();
     for (const [token, data] of disconnectedPlayers.entries()) {
         if (now - data.disconnectTime > RECONNECT_GRACE_PERIOD_MS) {
@@ -164,15 +258,15 @@ function cleanupExpiredDisconnections() {
             const room = rooms.get(data.roomId);
             if (room && room.players.has(data.playerId)) {
                 room.players.delete(data.playerId);
+                recordEvent(room, 'remove', data.playerId);
                 console.log(`[RECONNECT] Removed expired player ${data.playerData.name} from room ${data.roomId}`);
                 broadcastGameState(room);
+                notifySpectators(room);
             }
         }
     }
 }
 
-// Start cleanup interval (runs every 10 seconds)
-setInterval(cleanupExpiredDisconnections, 10000);
 
 // Generate random player color (ensures no duplicates in room)
 function getRandomColor(room) {
@@ -203,17 +297,12 @@ function getRandomColor(room) {
     return availableColors[Math.floor(Math.random() * availableColors.length)];
 }
 
-// Seeded Random Number Generator for Ballz (deterministic block spawning)
-function createSeededRNG(seed) {
-    let state = seed;
-    return function() {
-        state = (state * 1664525 + 1013904223) % 4294967296;
-        return state / 4294967296;
-    };
-}
-
 // Create new room
-function createRoom(roomId, gameType = 'snake', settings = {}) {
+// options.clock - injectable { now() } time source (defaults to wall clock)
+// options.headless - skip registration and the 60 FPS interval; caller steps the room via updateRoom()
+// options.seed - seed for room.random() (random by default; recordings replay with their seed)
+function createRoom(roomId, gameType = 'snake', settings = {}, options = {}) {
+    const seed = options.seed !== undefined ? options.seed : createSeed();
     const room = {
         id: roomId,
         gameType: gameType, // 'pong' or 'snake'
@@ -221,234 +310,36 @@ function createRoom(roomId, gameType = 'snake', settings = {}) {
         players: new Map(),
         gameLoopInterval: null,
         winner: null,
-        gameOver: false
+        gameOver: false,
+        clock: options.clock || systemClock,
+        headless: options.headless || false,
+        seed: seed,
+        random: createSeededRNG(seed), // All game randomness goes through room.random() so matches are reproducible
+        stateSnapshots: new Map(), // snapshot id -> state sent to binary clients (delta baselines, see broadcast.js)
+        createdAt: Date.now(),
+        tickStats: { lastMs: 0, avgMs: 0, maxMs: 0 } // Game loop cost for the admin dashboard
     };
 
-    // Set canvas size based on client viewport dimensions (for Snake) or use default (for Pong)
-    if (gameType === 'snake' && settings.canvasWidth && settings.canvasHeight) {
-        // Use client-reported dimensions with validation
-        const width = Math.max(400, Math.min(2560, settings.canvasWidth));
-        const height = Math.max(600, Math.min(3840, settings.canvasHeight));
-        room.canvas = { width, height };
-        console.log(`Snake canvas: ${width}x${height}`);
-    } else {
-        room.canvas = { ...DEFAULT_CANVAS };
+    if (shouldRecord(room)) {
+        startRecording(room);
     }
 
-    // Initialize game-specific state
-    if (gameType === 'pong') {
-        // Pong: ball and scores
-        const baseSpeed = (settings.ballSpeed || 3) * 0.8;
-        room.ball = {
-            x: room.canvas.width / 2,
-            y: room.canvas.height / 2,
-            radius: 8,
-            speedX: baseSpeed,
-            speedY: (settings.ballSpeed || 3) * 0.6,
-            baseSpeedX: baseSpeed,  // Store original speed for reset
-            maxSpeedX: baseSpeed * 3 // Cap at 3x base speed
-        };
-        room.paddleSize = (settings.paddleSize || 2) * 50; // 50, 100, 150
-        room.winScore = settings.winScore || 11;
-        room.speedIncrease = settings.speedIncrease || 2; // 1=5%, 2=15%, 3=30% per hit
-        room.gameStarted = false; // Game starts when 2 players join
-        room.botDifficulty = settings.botDifficulty || 'medium'; // 'easy', 'medium', 'hard'
-        room.bot = null; // Will be created when first human player joins
-
-        // Goal celebration state
-        room.goalCelebration = null; // {startTime, duration, scoringPlayer, ballVisible, blinkCount}
-    } else if (gameType === 'pushers') {
-        // Pushers: team-based square pushing game
-        room.canvas = { width: PUSHERS_FIELD_SIZE, height: PUSHERS_FIELD_SIZE };
-        room.squareSize = PUSHERS_SQUARE_SIZE;
-        room.smileySize = PUSHERS_SMILEY_SIZE;
-        room.skullSize = PUSHERS_SKULL_SIZE;
-        room.winScore = settings.winScore || 15;
-        room.nextPlayerId = 0; // For axis assignment
-
-        // Team scores
-        room.teamScores = {
-            Blue: 0,
-            Red: 0,
-            Yellow: 0,
-            Green: 0,
-            White: 0
-        };
-
-        // Spawn skulls at corners
-        const margin = PUSHERS_SKULL_SIZE / 2;
-        room.skulls = [
-            { x: margin, y: margin },
-            { x: room.canvas.width - margin, y: margin },
-            { x: margin, y: room.canvas.height - margin },
-            { x: room.canvas.width - margin, y: room.canvas.height - margin }
-        ];
-
-        // Spawn first smiley
-        room.smiley = spawnSmiley(room);
-
-        // Initialize ghost system
-        room.ghosts = [];
-        room.smileysCollected = 0;
-        room.ghostSize = PUSHERS_SKULL_SIZE; // 30px
-    } else if (gameType === 'ship') {
-        // Ship: cooperative space game
-        // Set canvas size based on client viewport dimensions (like Snake)
-        if (settings.canvasWidth && settings.canvasHeight) {
-            const width = Math.max(400, Math.min(2560, settings.canvasWidth));
-            const height = Math.max(600, Math.min(3840, settings.canvasHeight));
-            room.canvas = { width, height };
-            console.log(`Ship canvas: ${width}x${height}`);
-        }
+    // Default canvas; Snake and Ship size it from the client viewport, Pushers uses a square field
+    room.canvas = { ...DEFAULT_CANVAS };
 
-        // Initialize two ships for team-based gameplay
-        room.ships = {
-            blue: {
-                team: 'blue',
-                x: room.canvas.width * 0.25,  // Left-center spawn
-                y: room.canvas.height / 2,
-                radius: 30,
-                vx: 0,
-                vy: 0,
-                rotation: 0,
-                health: 100,
-                maxHealth: 100,
-                coins: 0,
-                lastDamageTime: 0,
-                invulnerable: true,
-                invulnerableUntil: Date.now() + INVULNERABILITY_DURATION_MS,
-                spawnTime: Date.now(),
-                alive: true,
-                boosters: {  // v3.17: Power-ups
-                    extraBullets: 0,
-                    laserSight: false,
-                    attackShield: { active: false, sizeBonus: 0 },
-                    attackEngine: { active: false, level: 0 }
-                }
-            },
-            pink: {
-                team: 'pink',
-                x: room.canvas.width * 0.75,  // Right-center spawn
-                y: room.canvas.height / 2,
-                radius: 30,
-                vx: 0,
-                vy: 0,
-                rotation: 0,
-                health: 100,
-                maxHealth: 100,
-                coins: 0,
-                lastDamageTime: 0,
-                invulnerable: true,
-                invulnerableUntil: Date.now() + INVULNERABILITY_DURATION_MS,
-                spawnTime: Date.now(),
-                alive: true,
-                boosters: {  // v3.17: Power-ups
-                    extraBullets: 0,
-                    laserSight: false,
-                    attackShield: { active: false, sizeBonus: 0 },
-                    attackEngine: { active: false, level: 0 }
-                }
-            }
-        };
-
-        // Separate systems for each team
-        room.teamSystems = {
-            blue: {
-                engine: { amplitude: 0, energy: 0, hasPlayer: false },
-                rudder: { rotation: 0, autoRotateSpeed: 0.5 },
-                weapon: { energy: 0, lastWeaponTilt: undefined, isCharging: false, hasPlayer: false },
-                weaponDirection: { rotation: 0, autoRotateSpeed: 0.7 },
-                shield: { rotation: 0, arcSize: 72, active: false }
-            },
-            pink: {
-                engine: { amplitude: 0, energy: 0, hasPlayer: false },
-                rudder: { rotation: 0, autoRotateSpeed: 0.5 },
-                weapon: { energy: 0, lastWeaponTilt: undefined, isCharging: false, hasPlayer: false },
-                weaponDirection: { rotation: 0, autoRotateSpeed: 0.7 },
-                shield: { rotation: 0, arcSize: 72, active: false }
-            }
-        };
-
-        // Keep old room.systems for backward compatibility (points to blue team)
-        room.systems = room.teamSystems.blue;
-
-        room.bullets = [];
-        room.asteroids = [];
-        room.lastAsteroidSpawn = Date.now();
-        room.coins = [];
-        room.hearts = [];
-        room.loot = [];  // v3.17: Loot drops from asteroids
-
-        // Settings
-        room.coinsToWin = settings.coinsToWin || 10;
-        room.asteroidFrequency = settings.asteroidFrequency || 'medium';
-        room.autopilotEnabled = settings.autopilotEnabled !== undefined ? settings.autopilotEnabled : false; // Default: disabled
-        room.coinSpawn = settings.coinSpawn !== undefined ? settings.coinSpawn : true; // Default: enabled
-
-        // Set default thrust system and engine formula (removed from UI in v3.17.3)
-        room.thrustSystem = DEFAULT_THRUST_SYSTEM;
-        room.engineFormula = DEFAULT_ENGINE_FORMULA;
-
-        // Initialize coins - only if coinSpawn is enabled
-        if (room.coinSpawn) {
-            room.coins.push(spawnCoin(room));
-        }
+    // Initialize game-specific state
+    getGame(gameType).create(room, settings);
 
-        room.gameStarted = false; // Ship starts after all players ready (lobby system)
-        room.lobbyCountdown = null; // Countdown timer
-        room.lobbyCountdownStart = null; // Countdown start time
-    } else if (gameType === 'ballz') {
-        // Ballz v3.25.0: Single-player physics arcade
-        // Adaptive canvas sizing - actual dimensions set client-side
-        // All measurements are relative to canvas size
-
-        // Gameplay settings
-        room.cols = settings.cols || 7; // Grid columns (7 default)
-        room.aspectRatio = settings.aspectRatio || 0.75; // Width/Height = 3:4
-        // CRITICAL: Calculate rows to make square blocks!
-        // For square blocks: blockWidth_rel / blockHeight_rel = aspectRatio
-        // (1/cols) / (1/rows) = aspectRatio  =>  rows = cols / aspectRatio
-        room.rows = settings.rows || Math.round(room.cols / room.aspectRatio); // Auto-calculate for square blocks
-
-        // HP progression
-        room.hpIncreaseEveryN = settings.hpIncreaseEveryN || 5; // HP+1 every N turns
-        room.maxBlockHP = settings.maxBlockHP || 50;
-        room.lowerHPChance = settings.lowerHPChance || 30; // % chance for lower HP
-
-        // Ball physics (divided by 3 for smooth movement)
-        room.ballSpeed = (settings.ballSpeed || 2) / 3; // 0.67=slow, 1.33=medium, 2=very fast (default: 0.67)
-        room.ballLaunchDelay = settings.ballLaunchDelay || 150; // ms between balls (default: 0.15s)
-        room.bonusBallSpawnRate = settings.bonusBallSpawnRate || 15; // % chance per turn
-
-        // Controls
-        room.chargeTime = settings.chargeTime || 2000; // ms to full charge
-        room.deadZoneSize = settings.deadZoneSize !== undefined ? settings.deadZoneSize : 0.05; // 5% default
-        room.aimSensitivity = settings.aimSensitivity !== undefined ? settings.aimSensitivity : 0.005; // 0.5% default
-
-        // NO multiplayer - single player only
-        room.maxPlayers = 1;
-    } else {
-        // Snake: pizzas and calculated settings
-        room.moveSpeed = BASE_MOVE_SPEED * ((settings.moveSpeed || 3) / 3); // 3 = fastest
-        room.turnSpeedMultiplier = settings.turnSpeed || 2;
-        room.controlMapping = settings.controlMapping || 'linear';
-        room.sizeMultiplier = settings.snakeSize || 1;
-        room.segmentSize = BASE_SEGMENT_SIZE * room.sizeMultiplier;
-        room.pizzaSize = BASE_PIZZA_SIZE * room.sizeMultiplier;
-        room.growthSpeed = settings.growthSpeed || 1; // Growth multiplier: 1=slow, 2=medium, 4=fast, 8=super fast
-
-        room.pizzas = [];
-        const initialCount = room.settings.initialPizzas || 100;
-        for (let i = 0; i < initialCount; i++) {
-            room.pizzas.push(spawnPizza(room));
-        }
+    // Headless rooms are driven tick-by-tick by the caller (see simulation.js)
+    if (room.headless) {
+        return room;
     }
 
     rooms.set(roomId, room);
     console.log(`Room created: ${roomId} (${gameType})`);
 
     // Start game loop for this room
-    room.gameLoopInterval = setInterval(() => gameLoop(roomId), 1000 / 60);
+    room.gameLoopInterval = setInterval(() => gameLoop(roomId), TICK_MS);
 
     return room;
 }
@@ -457,18 +348,10 @@ function createRoom(roomId, gameType = 'snake', settings = {}) {
 // REPLAY SYSTEM - Helper Functions
 // ============================================================================
 
-// Broadcast message to all clients in a room
-function broadcastToRoom(roomId, message) {
-    wss.clients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN && client.roomId === roomId) {
-            client.send(JSON.stringify(message));
-        }
-    });
-}
-
 // Reset room for replay (same game type)
 function resetRoomForReplay(room, preserveRoles = true) {
     console.log(`[DEBUG RESET] Starting reset for room ${room.id}, gameOver was: ${room.gameOver}`);
+    recordEvent(room, 'restart', null, { preserveRoles: preserveRoles });
 
     // Reset general state
     room.gameOver = false;
@@ -483,163 +366,16 @@ function resetRoomForReplay(room, preserveRoles = true) {
     });
 
     // Game-specific reset
-    if (room.gameType === 'snake') {
-        resetSnakeGame(room);
-    } else if (room.gameType === 'pong') {
-        resetPongGame(room);
-    } else if (room.gameType === 'pushers') {
-        resetPushersGame(room);
-    } else if (room.gameType === 'ship') {
-        resetShipGame(room, preserveRoles);
-    }
-
-    console.log(`Room ${room.id} reset for replay (${room.gameType}), gameOver=${room.gameOver}`);
-}
-
-// Reset Snake game state
-function resetSnakeGame(room) {
-    room.players.forEach(player => {
-        player.alive = true;
-        player.angle = 0;
-        player.targetAngle = 0;
-        player.headX = room.canvas.width / 2 + (Math.random() - 0.5) * 200;
-        player.headY = room.canvas.height / 2 + (Math.random() - 0.5) * 200;
-
-        // Reset segments to initial length
-        player.segments = [];
-        for (let i = 0; i < INITIAL_LENGTH; i++) {
-            player.segments.push({
-                x: player.headX - i * room.segmentSize,
-                y: player.headY
-            });
-        }
-
-        // CRITICAL: Clear respawn countdown from previous game
-        player.respawnCountdown = undefined;
-        player.respawnPosition = undefined;
-    });
-
-    // Respawn pizzas
-    room.pizzas = [];
-    const initialCount = room.settings.initialPizzas || 100;
-    for (let i = 0; i < initialCount; i++) {
-        room.pizzas.push(spawnPizza(room));
-    }
-}
-
-// Reset Pong game state
-function resetPongGame(room) {
-    // Reset ball
-    resetBall(room);
-    room.gameStarted = true;
-
-    // Reset paddle positions
-    room.players.forEach(player => {
-        player.paddleY = room.canvas.height / 2 - room.paddleSize / 2;
-    });
-}
-
-// Reset Pushers game state
-function resetPushersGame(room) {
-    // Reset team scores
-    room.teamScores = { Blue: 0, Red: 0, Yellow: 0, Green: 0, White: 0 };
-    room.smileysCollected = 0;
-    room.ghosts = [];
-
-    // Reset square and smiley
-    room.square = {
-        x: room.canvas.width / 2,
-        y: room.canvas.height / 2,
-        vx: 0,
-        vy: 0
-    };
-    room.smiley = spawnSmiley(room);
+    getGame(room.gameType).reset(room, preserveRoles);
 
-    // Reset player positions
+    // New round - restart the play clock of connected players
     room.players.forEach(player => {
-        const margin = room.squareSize / 2 + 10;
-        if (player.axis === 'x') {
-            player.x = room.canvas.width / 2;
-            player.y = margin + Math.random() * (room.canvas.height - 2 * margin);
-        } else {
-            player.x = margin + Math.random() * (room.canvas.width - 2 * margin);
-            player.y = room.canvas.height / 2;
+        if (player.ws) {
+            startPlayTime(room, player);
         }
     });
-}
-
-// Reset Ship game state
-function resetShipGame(room, preserveRoles) {
-    const INVULNERABILITY_DURATION_MS = 3000;
-
-    // Reset ships
-    room.ships.blue = {
-        team: 'blue',
-        x: room.canvas.width * 0.25,
-        y: room.canvas.height / 2,
-        radius: 30,
-        vx: 0, vy: 0, rotation: 0,
-        health: 100, maxHealth: 100, coins: 0,
-        invulnerable: true,
-        invulnerableUntil: Date.now() + INVULNERABILITY_DURATION_MS,
-        spawnTime: Date.now(),
-        alive: true,
-        boosters: { extraBullets: 0, laserSight: false, attackShield: { active: false }, attackEngine: { active: false } }
-    };
-    room.ships.pink = {
-        team: 'pink',
-        x: room.canvas.width * 0.75,
-        y: room.canvas.height / 2,
-        radius: 30,
-        vx: 0, vy: 0, rotation: Math.PI,
-        health: 100, maxHealth: 100, coins: 0,
-        invulnerable: true,
-        invulnerableUntil: Date.now() + INVULNERABILITY_DURATION_MS,
-        spawnTime: Date.now(),
-        alive: true,
-        boosters: { extraBullets: 0, laserSight: false, attackShield: { active: false }, attackEngine: { active: false } }
-    };
-
-    // Reset team systems
-    ['blue', 'pink'].forEach(team => {
-        room.teamSystems[team] = {
-            engine: { amplitude: 0, energy: 0, hasPlayer: false },
-            rudder: { rotation: 0, autoRotateSpeed: 0.5 },
-            weapon: { energy: 0, lastWeaponTilt: undefined, isCharging: false, hasPlayer: false },
-            weaponDirection: { rotation: 0, autoRotateSpeed: 0.7 },
-            shield: { rotation: 0, arcSize: 72, active: false }
-        };
-    });
 
-    // Clear game objects
-    room.bullets = [];
-    room.asteroids = [];
-    room.hearts = [];
-    room.loot = [];
-    // Initialize coins only if coinSpawn is enabled
-    room.coins = room.coinSpawn ? [spawnCoin(room)] : [];
-    room.lastAsteroidSpawn = Date.now();
-
-    // Handle roles/lobby
-    if (preserveRoles) {
-        // Keep teams and roles, mark all players as ready
-        room.players.forEach(player => {
-            player.ready = true;
-        });
-        room.gameStarted = true;
-        room.gameState = 'playing';
-    } else {
-        // Return to lobby - reset roles and ready status, allow new role selection
-        room.players.forEach(player => {
-            player.ready = false;
-            player.systemRole = null;  // Reset role so players can choose again
-            // Keep team assignment - players stay on their teams
-        });
-        room.gameStarted = false;
-        room.gameState = 'lobby';
-        room.lobbyCountdown = null;
-        room.lobbyCountdownStart = null;
-    }
+    console.log(`Room ${room.id} reset for replay (${room.gameType}), gameOver=${room.gameOver}`);
 }
 
 // Migrate room to new game type
@@ -647,39 +383,43 @@ function migrateRoomToNewGame(oldRoom, newGameType, newSettings) {
     const newRoomId = generateRoomId();
 
     // Save player information
-    const playerList = Array.from(oldRoom.players.values()).map(p => ({
+    const playerList = Array.from(oldRoom.players.values()).filter(p => !p.isBot).map(p => ({
         id: p.id,
         name: p.name,
         ws: p.ws,
         color: p.color,
+        deviceId: p.deviceId,
         controlScheme: p.controlScheme || 'arrow_instant' // for Snake
     }));
 
+    // Play time in the old game ends here (addPlayerToRoom starts it in the new one)
+    oldRoom.players.forEach(player => stopPlayTime(oldRoom, player));
+
     // Create new room
     createRoom(newRoomId, newGameType, newSettings);
     const newRoom = rooms.get(newRoomId);
 
-    // Migrate players
+    // Migrate players (same path as a fresh join, keeping id, color and WebSocket)
     playerList.forEach(info => {
-        const player = initializePlayerForGame(newGameType, info, newRoom);
+        const player = addPlayerToRoom(newRoom, info, info.ws, { id: info.id, color: info.color });
 
         // Update WebSocket associations
-        info.ws.roomId = newRoomId;
-        info.ws.playerId = player.id;
-
-        newRoom.players.set(player.id, player);
+        if (info.ws) {
+            info.ws.roomId = newRoomId;
+            info.ws.playerId = player.id;
+        }
     });
 
-    // Set gameStarted based on game type
-    if (newGameType === 'pong' && newRoom.players.size === 2) {
-        newRoom.gameStarted = true;
-    } else if (newGameType === 'ship') {
-        newRoom.gameStarted = false; // Requires lobby
-        newRoom.gameState = 'lobby';
-    } else {
+    // Games without their own start logic (Pong bot, Ship lobby) start immediately
+    if (newRoom.gameStarted === undefined) {
         newRoom.gameStarted = true;
     }
 
+    // Spectators keep watching the new game
+    getSpectators(oldRoom.id).forEach(client => {
+        client.roomId = newRoomId;
+    });
+
     // Migrate Display WebSocket if present
     if (oldRoom.displayWs) {
         oldRoom.displayWs.roomId = newRoomId;
@@ -689,6 +429,7 @@ function migrateRoomToNewGame(oldRoom, newGameType, newSettings) {
 
     // Destroy old room
     clearInterval(oldRoom.gameLoopInterval);
+    saveRecording(oldRoom);
     rooms.delete(oldRoom.id);
 
     console.log(`Migrated from ${oldRoom.id} (${oldRoom.gameType}) to ${newRoomId} (${newGameType})`);
@@ -696,4007 +437,809 @@ function migrateRoomToNewGame(oldRoom, newGameType, newSettings) {
     return { newRoomId, newRoom };
 }
 
-// Initialize player for specific game type
-function initializePlayerForGame(gameType, playerInfo, room) {
+// Create a player for the room's game type and add it to the room
+// data: join payload ({ name, team, controlScheme }); ws may be null for headless players
+// identity: { id, color } kept from the server's own records (migration, replay) - never from a client
+function addPlayerToRoom(room, data, ws, identity = null) {
+    const game = getGame(room.gameType);
+    const playerId = identity ? identity.id : room.clock.now() + '-' + Math.random();
+    const newSessionToken = generateSessionToken(); // Generate token for new player
+
+    // Initialize player based on game type
     const player = {
-        id: playerInfo.id,
-        name: playerInfo.name,
-        color: playerInfo.color,
+        id: playerId,
+        name: data.name || `Player ${room.players.size + 1}`,
+        color: (identity && identity.color) || getRandomColor(room),  // Pass room to ensure unique colors
         score: 0,
         tilt: 0.5,
-        ws: playerInfo.ws
+        smoothedTilt: 0.5, // Exponentially smoothed tilt to prevent jerky turning
+        ws: ws,
+        sessionToken: newSessionToken, // Store session token on player for reconnection
+        deviceId: data.deviceId || null // Persistent controller id for profiles and leaderboards
     };
 
-    // Game-specific initialization
-    if (gameType === 'snake') {
-        player.alive = true;
-        player.controlScheme = playerInfo.controlScheme || 'arrow_instant';
-        player.angle = 0;
-        player.targetAngle = 0;
-        player.headX = room.canvas.width / 2 + (Math.random() - 0.5) * 200;
-        player.headY = room.canvas.height / 2 + (Math.random() - 0.5) * 200;
-
-        player.segments = [];
-        for (let i = 0; i < INITIAL_LENGTH; i++) {
-            player.segments.push({
-                x: player.headX - i * room.segmentSize,
-                y: player.headY
-            });
-        }
-    } else if (gameType === 'pong') {
-        player.paddleY = room.canvas.height / 2 - room.paddleSize / 2;
-    } else if (gameType === 'pushers') {
-        player.team = playerInfo.color;
-        const margin = room.squareSize / 2 + 10;
-
-        // Alternate between x and y axis
-        const existingPlayers = Array.from(room.players.values());
-        const xAxisCount = existingPlayers.filter(p => p.axis === 'x').length;
-        const yAxisCount = existingPlayers.filter(p => p.axis === 'y').length;
-
-        if (xAxisCount <= yAxisCount) {
-            player.axis = 'x';
-            player.x = room.canvas.width / 2;
-            player.y = margin + Math.random() * (room.canvas.height - 2 * margin);
-        } else {
-            player.axis = 'y';
-            player.x = margin + Math.random() * (room.canvas.width - 2 * margin);
-            player.y = room.canvas.height / 2;
+    recordEvent(room, 'join', playerId, {
+        data: {
+            id: playerId,
+            name: player.name,
+            color: player.color,
+            team: data.team,
+            controlScheme: data.controlScheme
         }
-    } else if (gameType === 'ship') {
-        // Ship requires lobby - assign default team but no role yet
-        player.team = room.players.size % 2 === 0 ? 'blue' : 'pink';
-        player.systemRole = null;
-        player.ready = false;
+    });
+
+    game.addPlayer(room, player, data);
+    room.players.set(playerId, player);
+
+    if (game.playerJoined) {
+        game.playerJoined(room, player);
     }
 
+    startPlayTime(room, player);
+
     return player;
 }
 
-// Spawn pizza
-function spawnPizza(room) {
-    const pizzaSize = room ? room.pizzaSize : BASE_PIZZA_SIZE;
-    const margin = pizzaSize;
-    const minX = margin;
-    const maxX = room.canvas.width - margin;
-    const minY = margin;
-    const maxY = room.canvas.height - BOUNDARY_MARGIN_BOTTOM - margin;
-
-    return {
-        x: minX + Math.random() * (maxX - minX),
-        y: minY + Math.random() * (maxY - minY),
-        id: Date.now() + Math.random()
-    };
+// Apply a tilt input to a player (shared by the WebSocket handler and headless simulations)
+function applyPlayerInput(room, player, tilt) {
+    recordEvent(room, 'input', player.id, { tilt: tilt });
+    getGame(room.gameType).handleInput(room, player, tilt);
 }
 
-// Pushers helper functions
-function spawnSmiley(room) {
-    const margin = room.smileySize;
-    const minX = margin + 50;
-    const maxX = room.canvas.width - margin - 50;
-    const minY = margin + 50;
-    const maxY = room.canvas.height - margin - 50;
-
-    return {
-        x: minX + Math.random() * (maxX - minX),
-        y: minY + Math.random() * (maxY - minY)
-    };
-}
+// Apply settings sent by a display joining an existing room
+function applyDisplaySettings(room, settings) {
+    recordEvent(room, 'settings', null, { settings: settings });
+    room.settings = settings;
 
-function getTeamColor(team) {
-    const colors = {
-        Blue: '#2196F3',
-        Red: '#F44336',
-        Yellow: '#FFEB3B',
-        Green: '#4CAF50',
-        White: '#FFFFFF'
-    };
-    return colors[team] || '#FFFFFF';
+    // Update winScore if provided in settings
+    if (settings.winScore) {
+        room.winScore = settings.winScore;
+    }
 }
 
-function spawnPlayerSquare(room, axis) {
-    const margin = room.squareSize / 2 + 10;
-    let x, y;
-
-    if (axis === 'X') {
-        // Spawn on left or right edge
-        x = Math.random() > 0.5 ? margin : room.canvas.width - margin;
-        y = margin + Math.random() * (room.canvas.height - 2 * margin);
-    } else { // Y axis
-        // Spawn on top or bottom edge
-        x = margin + Math.random() * (room.canvas.width - 2 * margin);
-        y = Math.random() > 0.5 ? margin : room.canvas.height - margin;
+// Route a game-specific client message (Snake respawn, Ship lobby, Ballz turns, ...)
+function handleGameMessage(room, ws, player, data) {
+    const handled = getGame(room.gameType).handleMessage(room, ws, player, data);
+    if (handled) {
+        recordEvent(room, 'message', player ? player.id : null, { data: data });
     }
-
-    return { x, y };
+    return handled;
 }
 
-// Spawn ghost enemy for Pushers
-function spawnGhost(room) {
-    const margin = room.ghostSize / 2 + 50;
-    const x = margin + Math.random() * (room.canvas.width - 2 * margin);
-    const y = margin + Math.random() * (room.canvas.height - 2 * margin);
+// Handle WebSocket connections
+wss.on('connection', (ws) => {
+    console.log('Client connected');
 
-    const angle = Math.random() * Math.PI * 2;
-    const speed = 2.5;
+    ws.on('message', (message) => {
+        syncClock();
 
-    return {
-        x: x,
-        y: y,
-        vx: Math.cos(angle) * speed,
-        vy: Math.sin(angle) * speed,
-        size: room.ghostSize,
-        id: Date.now() + Math.random()
-    };
-}
+        let data;
+        try {
+            data = JSON.parse(message);
+        } catch (error) {
+            sendError(ws, 'invalid_json', 'Сообщение не является корректным JSON');
+            return;
+        }
 
-// ===== Ship helper functions =====
+        // Reject malformed messages before they touch room state
+        const validation = validateClientMessage(data);
+        if (!validation.valid) {
+            console.log(`[PROTOCOL] Rejected ${data && data.type}: ${validation.code} ${validation.errors.join('; ')}`);
+            sendError(ws, validation.code, validation.message, {
+                requestType: data && typeof data.type === 'string' ? data.type : undefined,
+                errors: validation.errors
+            });
+            return;
+        }
 
-// Spawn coin for Ship game
-function spawnCoin(room) {
-    const margin = 50;
-    return {
-        x: margin + Math.random() * (room.canvas.width - 2 * margin),
-        y: margin + Math.random() * (room.canvas.height - 2 * margin),
-        id: Date.now() + Math.random()
-    };
-}
+        try {
+            // Log ALL incoming messages for debugging
+            if (data.type !== 'input' && data.type !== 'ping' && data.type !== 'state_ack') {
+                console.log(`[WS] <<<< Received message type: ${data.type}`);
+            }
 
-// Get position on ship hull for a system at given rotation
-function getSystemPosition(ship, rotation) {
-    const angle = rotation * Math.PI / 180;
-    return {
-        x: ship.x + Math.cos(angle) * ship.radius,
-        y: ship.y + Math.sin(angle) * ship.radius,
-        angle: angle
-    };
-}
+            // Handshake messages choose the state update encoding (see broadcast.js)
+            if (data.stateEncoding) {
+                ws.binaryState = data.stateEncoding === 'binary';
+            }
 
-// Detect pump motion (upward movement from below 0.5 to above 0.5)
-// Returns energy added from the pump
-function detectPump(player, currentTilt, room) {
-    // Initialize lastTilt if not set
-    if (player.lastTilt === undefined) {
-        player.lastTilt = currentTilt;
-        return 0;
-    }
+            if (data.type === 'create_room') {
+                // Create new room with game type and settings
+                const roomId = generateRoomId();
+                const gameType = data.gameType || 'snake';
+                const settings = data.settings || {};
+                createRoom(roomId, gameType, settings);
 
-    const lastTilt = player.lastTilt;
-    const delta = currentTilt - lastTilt;
-    player.lastTilt = currentTilt;
+                ws.send(JSON.stringify({
+                    type: 'room_created',
+                    roomId: roomId,
+                    protocolVersion: PROTOCOL_VERSION
+                }));
 
-    // Detect ANY significant upward movement (delta > threshold)
-    const pumpThreshold = (room.physics && room.physics.pumpMinDelta) || 0.15;
+                console.log(`Room ${roomId} created by display (${gameType})`);
 
-    if (delta > pumpThreshold) {
-        // Pump detected! Energy based on movement magnitude
-        const pumpStrength = Math.min(delta, 0.5) * 2; // 0-1 (normalized)
-        const pumpEnergyMult = (room.physics && room.physics.pumpEnergy) || 16;
-        const energyBoost = pumpStrength * pumpEnergyMult;
-        debugLog(`🚀 Pump! Tilt: ${lastTilt.toFixed(2)} -> ${currentTilt.toFixed(2)} (Δ${delta.toFixed(3)}), Energy: +${energyBoost.toFixed(2)}`);
-        return energyBoost;
-    }
+            } else if (data.type === 'join') {
+                const roomId = data.roomId;
+                const gameType = data.gameType || 'snake';
+                const sessionToken = data.sessionToken; // Optional: client sends token if reconnecting
 
-    return 0; // No pump
-}
+                console.log(`[JOIN] ============================================`);
+                console.log(`[JOIN] Received join request: room=${roomId}, gameType=${gameType}, player=${data.name}, token=${sessionToken ? sessionToken.substring(0, 8) + '...' : 'none'}`);
+                console.log(`[JOIN] Full join data:`, JSON.stringify(data));
+                console.log(`[JOIN] ============================================`);
 
-// Weapon charging based on tilt position (not pump speed)
-// Energy = distance traveled upward from lowest point
-// Returns { newEnergy, shouldFire, bulletCount }
-function updateWeaponCharge(player, currentTilt, room) {
-    const weapon = room.systems.weapon;
-
-    // Initialize on first call
-    if (weapon.lastWeaponTilt === undefined) {
-        weapon.lastWeaponTilt = currentTilt;
-        weapon.baseTilt = currentTilt;  // Lowest point for energy calculation
-        weapon.movingUp = false;
-        weapon.justFired = false;
-        return { newEnergy: 0, shouldFire: false, bulletCount: 0 };
-    }
+                // CHECK FOR RECONNECTION
+                if (sessionToken && disconnectedPlayers.has(sessionToken)) {
+                    const disconnectData = disconnectedPlayers.get(sessionToken);
+                    const room = rooms.get(disconnectData.roomId);
 
-    const lastTilt = weapon.lastWeaponTilt;
-    const delta = currentTilt - lastTilt;
-    weapon.lastWeaponTilt = currentTilt;
-
-    // Track direction of movement
-    const currentlyMovingUp = delta > 0.01;
-    const currentlyMovingDown = delta < -0.01;
-
-    // Update base to track the lowest point during movement
-    if (!weapon.movingUp && currentlyMovingUp) {
-        // Starting to move up - set base to current position (lowest point)
-        weapon.baseTilt = currentTilt;
-        weapon.movingUp = true;
-        weapon.justFired = false; // Clear fired flag on new upward movement
-        console.log(`⬆️ Started moving up from base: ${currentTilt.toFixed(3)}`);
-    } else if (weapon.movingUp && currentlyMovingDown) {
-        // Starting to move down - FIRE!
-        const shouldFire = true;
-        const bulletCount = Math.max(1, Math.ceil(weapon.energy));
-        console.log(`💥 Weapon Fire! Energy: ${weapon.energy.toFixed(2)}, Bullets: ${bulletCount}`);
-
-        weapon.movingUp = false;
-        weapon.justFired = true; // Mark as just fired
-        weapon.baseTilt = 999; // Set base impossibly high so energy stays 0
-        return { newEnergy: 0, shouldFire, bulletCount }; // Energy immediately 0 after fire
-    } else if (currentlyMovingUp) {
-        weapon.movingUp = true;
-    } else if (currentlyMovingDown) {
-        weapon.movingUp = false;
-        // Continue tracking downward - update base to lowest point (only if not just fired)
-        if (!weapon.justFired) {
-            weapon.baseTilt = Math.min(weapon.baseTilt, currentTilt);
-        }
-    }
+                    // Verify room still exists and player is still in room
+                    if (room && room.players.has(disconnectData.playerId)) {
+                        const player = room.players.get(disconnectData.playerId);
 
-    // Energy = relative distance from base position (0-1 → 0-10)
-    // If just fired, keep energy at 0 until new upward movement starts
-    const relativeTilt = weapon.justFired ? 0 : Math.max(0, currentTilt - weapon.baseTilt);
-    const newEnergy = relativeTilt * 10;
+                        // Restore WebSocket connection
+                        player.ws = ws;
+                        ws.playerId = disconnectData.playerId;
+                        ws.roomId = disconnectData.roomId;
+                        ws.isSpectator = false;
 
-    // Charging when relative energy > 0
-    weapon.isCharging = relativeTilt > 0.05;
+                        // Remove from disconnected list
+                        disconnectedPlayers.delete(sessionToken);
+                        startPlayTime(room, player);
 
-    return { newEnergy, shouldFire: false, bulletCount: 0 };
-}
+                        console.log(`[RECONNECT] Player ${player.name} reconnected to room ${room.id} (role: ${player.systemRole || 'none'})`);
 
-/**
- * Gradient Energy System - Calculates energy from phone tilt angle
- *
- * Players hold their phone and tilt it upward to charge energy.
- * Energy gain increases exponentially with tilt angle:
- *
- * - 0-70°:  1.0 energy/degree  (easy, rapid charging)
- * - 70-85°: 1.5 energy/degree  (moderate difficulty)
- * - 85-89°: 5.0 energy/degree  (high precision required)
- * - 89-90°: 10.0 energy/degree (extreme difficulty, vertical hold)
- *
- * This creates engaging risk/reward gameplay - steep tilts yield more energy
- * but are harder to maintain. Energy decays over time, so players must
- * continuously pump to maintain thrust.
- *
- * @param {number} currentTilt - Current phone angle (0=horizontal, 1=vertical)
- * @param {number} lastTilt - Previous phone angle (undefined on first call)
- * @returns {number} Energy gained this frame (0 if tilting down or first call)
- */
-function calculateGradientEnergy(currentTilt, lastTilt) {
-    // Initialize on first call - no energy on first frame
-    if (lastTilt === undefined) return 0;
-
-    // tilt range: 0 (horizontal) to 1 (vertical)
-    // Convert to degrees: 0-90
-    const currentDegrees = currentTilt * 90;
-    const lastDegrees = lastTilt * 90;
-
-    // Only count upward movement
-    if (currentDegrees <= lastDegrees) return 0;
-
-    let energy = 0;
-
-    // Progressive energy calculation - iterate through degree ranges
-    for (let deg = Math.floor(lastDegrees); deg < Math.floor(currentDegrees); deg++) {
-        if (deg < 70) {
-            energy += 1.0;  // First 70 degrees: 1 point/degree
-        } else if (deg < 85) {
-            energy += 1.5;  // Next 15 degrees: 1.5 points/degree
-        } else if (deg < 89) {
-            energy += 5.0;  // Next 4 degrees: 5 points/degree
-        } else {
-            energy += 10.0; // Last degree: 10 points
-        }
-    }
+                        // Send init message with reconnection flag
+                        ws.send(JSON.stringify({
+                            type: 'init',
+                            protocolVersion: PROTOCOL_VERSION,
+                            playerId: player.id,
+                            roomId: room.id,
+                            sessionToken: sessionToken, // Send back same token
+                            reconnected: true, // Flag to client that this was a reconnection
+                            gameState: serializeGameState(room),
+                            gameStarted: room.gameStarted
+                        }));
 
-    return energy;
-}
+                        // Broadcast updated state (player no longer disconnected/autopilot)
+                        broadcastGameState(room);
 
-// Get current energy level (1-5) for gradient system
-// Used for visual feedback and decay rate calculation
-function getEnergyLevel(energy) {
-    if (energy >= 600) return 5; // Red (600-750)
-    if (energy >= 450) return 4; // Orange (450-600)
-    if (energy >= 300) return 3; // Yellow (300-450)
-    if (energy >= 150) return 2; // Green (150-300)
-    if (energy > 0) return 1;    // Blue (0-150)
-    return 0;
-}
+                        return; // Done with reconnection
+                    } else {
+                        // Room or player no longer exists - proceed as new join
+                        console.log(`[RECONNECT] Token found but room/player no longer exists, creating new player`);
+                        disconnectedPlayers.delete(sessionToken);
+                    }
+                }
 
-// Calculate engine thrust from accumulated energy
-function calculateEngineThrust(energy, formula, room) {
-    if (energy <= 0) return 0;
-
-    // Base multiplier (zone 1: 0-150)
-    const baseMult = (room.physics && room.physics.thrustMult) || 0.5;
-
-    // Determine zone and calculate compound multiplier (+20% per zone)
-    let zoneMultiplier = 1.0;
-
-    if (energy >= 600) {
-        // Zone 5 (600-750): 4 compounded 20% increases
-        zoneMultiplier = 1.2 * 1.2 * 1.2 * 1.2; // = 2.0736
-    } else if (energy >= 450) {
-        // Zone 4 (450-600): 3 compounded 20% increases
-        zoneMultiplier = 1.2 * 1.2 * 1.2; // = 1.728
-    } else if (energy >= 300) {
-        // Zone 3 (300-450): 2 compounded 20% increases
-        zoneMultiplier = 1.2 * 1.2; // = 1.44
-    } else if (energy >= 150) {
-        // Zone 2 (150-300): 1 compounded 20% increase
-        zoneMultiplier = 1.2;
-    }
-    // Zone 1 (0-150): multiplier = 1.0 (base)
+                // NORMAL JOIN FLOW (new player or failed reconnection)
+                // Create room if it doesn't exist
+                if (!rooms.has(roomId)) {
+                    console.log(`[JOIN] Creating new room: ${roomId}`);
+                    createRoom(roomId, gameType);
+                }
 
-    const finalMult = baseMult * zoneMultiplier;
+                const room = rooms.get(roomId);
+                console.log(`[JOIN] Room found, current players: ${room.players.size}, gameType: ${room.gameType}`);
 
-    // Normalize energy for gradient system (0-750 range)
-    const normalizedEnergy = Math.min(energy / 750, 1);
+                // Game-specific capacity (Pong: 2 players, Ballz: single player)
+                const game = getGame(room.gameType);
+                const joinError = game.canJoin ? game.canJoin(room) : null;
+                if (joinError) {
+                    sendError(ws, 'room_full', joinError, { requestType: data.type });
+                    return;
+                }
 
-    // Apply formula modifiers
-    switch (formula) {
-        case 'balanced':
-            return finalMult * normalizedEnergy;
-        case 'speed':
-            return (finalMult * 1.25) * normalizedEnergy;
-        case 'combo':
-            return (finalMult * 0.75) * normalizedEnergy;
-        default:
-            return finalMult * normalizedEnergy;
-    }
-}
+                const player = addPlayerToRoom(room, data, ws);
+                const playerId = player.id;
+                const newSessionToken = player.sessionToken;
+                ws.playerId = playerId;
+                ws.roomId = roomId;
+                ws.isSpectator = false; // A spectator that took a free slot
 
-// Apply engine thrust to ship
-function applyEngineThrust(room) {
-    const thrust = calculateEngineThrust(room.systems.engine.energy, room.engineFormula, room);
+                // Send initial state to new player (with session token)
+                const initMessage = {
+                    type: 'init',
+                    protocolVersion: PROTOCOL_VERSION,
+                    playerId: playerId,
+                    roomId: roomId,
+                    sessionToken: newSessionToken, // Send token to client for reconnection
+                    gameState: serializeGameState(room),
+                    gameStarted: room.gameStarted // Include gameStarted flag for reconnect handling
+                };
+                console.log(`[JOIN] Sending init message to ${player.name}:`, JSON.stringify(initMessage).substring(0, 100) + '...');
 
-    if (thrust > 0) {
-        const angle = room.systems.rudder.rotation * Math.PI / 180;
+                if (room.gameType === 'ballz') {
+                    console.log(`[BALLZ DEBUG] Init message for ${player.name}:`, {
+                        gameType: initMessage.gameState.gameType,
+                        playersCount: initMessage.gameState.players?.length,
+                        playerNames: initMessage.gameState.players?.map(p => p.name)
+                    });
+                }
 
-        // Reactive thrust - ship moves OPPOSITE to engine direction
-        room.ship.vx += -Math.cos(angle) * thrust;
-        room.ship.vy += -Math.sin(angle) * thrust;
+                ws.send(JSON.stringify(initMessage));
 
-        debugLog(`Thrust applied: ${thrust.toFixed(3)}, Energy: ${room.systems.engine.energy.toFixed(2)}, Speed: ${Math.hypot(room.ship.vx, room.ship.vy).toFixed(2)}`);
+                console.log(`[JOIN] Player ${playerId} joined room ${roomId} as ${player.name} (${room.gameType})`);
 
-        // Speed boost for gradient system (+10% per energy level)
-        let speedMultiplier = 1.0;
-        if (room.thrustSystem === 'gradient') {
-            const level = getEnergyLevel(room.systems.engine.energy);
-            speedMultiplier = 1.0 + (level * 0.10); // +10% per level (max +50% at level 5)
-        }
+                // Broadcast to all other clients in room (especially Display) that a player joined
+                broadcastToRoom(roomId, {
+                    type: 'init',
+                    gameState: serializeGameState(room)
+                });
+                notifySpectators(room);
 
-        // Clamp velocity with speed multiplier (use physics settings)
-        const baseMaxSpeed = (room.physics && room.physics.maxSpeed) || 3.0;
-        const MAX_SPEED = baseMaxSpeed * speedMultiplier;
-        const speed = Math.hypot(room.ship.vx, room.ship.vy);
-        if (speed > MAX_SPEED) {
-            room.ship.vx = (room.ship.vx / speed) * MAX_SPEED;
-            room.ship.vy = (room.ship.vy / speed) * MAX_SPEED;
-        }
-    }
+            } else if (data.type === 'join_room') {
+                // Display wants to join existing room as spectator
+                const roomId = data.roomId;
 
-    // Energy decay (depends on thrust system)
-    if (room.thrustSystem === 'gradient') {
-        // Progressive decay based on energy level
-        const level = getEnergyLevel(room.systems.engine.energy);
-        const baseDecay = (room.physics && room.physics.gradientBaseDecay) || 50;
-        const decayMultiplier = 1.0 + (level - 1) * 0.5; // +50% per level above 1
-        const decayRate = baseDecay * decayMultiplier; // units/second
-        const decayPerFrame = decayRate / 60; // Convert to per-frame (60 FPS)
-        room.systems.engine.energy = Math.max(0, room.systems.engine.energy - decayPerFrame);
-    } else {
-        // Pump system - constant decay
-        const energyDecay = (room.physics && room.physics.energyDecay) || 50;
-        room.systems.engine.energy = Math.max(0, room.systems.engine.energy - energyDecay);
-    }
-}
+                // Check if room exists
+                if (!rooms.has(roomId)) {
+                    sendError(ws, 'room_not_found', `Комната ${roomId} не найдена`, { requestType: data.type });
+                    console.log(`[JOIN_ROOM] Room ${roomId} not found`);
+                    return;
+                }
 
-// Update ship position with physics
-function updateShipPosition(room) {
-    room.ship.x += room.ship.vx;
-    room.ship.y += room.ship.vy;
-
-    // Inertia controls how quickly ship slows down (0=instant stop, 100=no friction)
-    // Convert inertia (0-100) to friction multiplier (0.90-0.995)
-    const inertia = (room.physics && room.physics.inertia !== undefined) ? room.physics.inertia : 50;
-    const FRICTION = 0.90 + (inertia / 100) * 0.095; // Maps 0→0.90, 50→0.9475, 100→0.995
-    room.ship.vx *= FRICTION;
-    room.ship.vy *= FRICTION;
-
-    // Full stop at very low speeds to prevent infinite drift (use physics settings)
-    const stopThreshold = (room.physics && room.physics.stopThreshold) || 0.05;
-    if (Math.abs(room.ship.vx) < stopThreshold) room.ship.vx = 0;
-    if (Math.abs(room.ship.vy) < stopThreshold) room.ship.vy = 0;
-
-    // Wrap around edges
-    if (room.ship.x < 0) room.ship.x = room.canvas.width;
-    if (room.ship.x > room.canvas.width) room.ship.x = 0;
-    if (room.ship.y < 0) room.ship.y = room.canvas.height;
-    if (room.ship.y > room.canvas.height) room.ship.y = 0;
-
-    // Aesthetic rotation toward velocity direction
-    if (Math.hypot(room.ship.vx, room.ship.vy) > 0.5) {
-        room.ship.rotation = Math.atan2(room.ship.vy, room.ship.vx);
-    }
-}
+                const room = rooms.get(roomId);
+                ws.roomId = roomId;
+                ws.isDisplay = true;
 
-// Calculate bullet parameters from weapon energy (0-10)
-// Returns { powerLevel, size, speed, distance, damage, bulletCount }
-function calculateBulletParams(energy) {
-    // Energy 0-10 → power levels 1-10
-    const powerLevel = Math.max(1, Math.min(10, Math.ceil(energy)));
-
-    // Custom balance table for each level
-    const balanceTable = {
-        1:  { size: 1,  speed: 5,  distance: 100, bulletCount: 1, damage: 0.5 },
-        2:  { size: 2,  speed: 6,  distance: 150, bulletCount: 1, damage: 0.6 },
-        3:  { size: 3,  speed: 8,  distance: 200, bulletCount: 1, damage: 0.8 },
-        4:  { size: 4,  speed: 10, distance: 300, bulletCount: 2, damage: 1.0 },
-        5:  { size: 5,  speed: 10, distance: 400, bulletCount: 2, damage: 1.0 },
-        6:  { size: 6,  speed: 12, distance: 500, bulletCount: 2, damage: 1.0 },
-        7:  { size: 7,  speed: 12, distance: 600, bulletCount: 3, damage: 1.1 },
-        8:  { size: 10, speed: 12, distance: 700, bulletCount: 3, damage: 1.2 },
-        9:  { size: 12, speed: 14, distance: 800, bulletCount: 3, damage: 1.3 },
-        10: { size: 14, speed: 17, distance: 900, bulletCount: 5, damage: 1.5 }
-    };
-
-    const stats = balanceTable[powerLevel];
-    const size = stats.size;
-    const speed = stats.speed;
-    const distance = stats.distance;
-    const bulletCount = stats.bulletCount;
-    const damage = stats.damage;
-
-    console.log(`🎯 Bullet: Lv${powerLevel}, Count:${bulletCount}, Size:${size}px, Speed:${speed}, Dist:${distance}, Dmg:${damage}x`);
-
-    return { powerLevel, size, speed, distance, damage, bulletCount };
-}
-
-// Fire bullets from weapon using accumulated energy
-// Fire bullet for specific team
-function fireBulletForTeam(room, teamColor) {
-    const systems = room.teamSystems[teamColor];
-    const ship = room.ships[teamColor];
-    const weapon = systems.weapon;
-
-    if (weapon.energy < 0.1) return;
-
-    const params = calculateBulletParams(weapon.energy);
-    // v3.17: Add extra bullets from booster
-    const totalBulletCount = params.bulletCount + (ship.boosters.extraBullets || 0);
-    const angle = systems.weaponDirection.rotation * Math.PI / 180;
-    const weaponPos = getSystemPosition(ship, systems.weaponDirection.rotation);
-
-    for (let i = 0; i < totalBulletCount; i++) {
-        const spread = totalBulletCount > 1 ? (Math.random() - 0.5) * 0.2 : 0;
-        const bulletAngle = angle + spread;
-
-        room.bullets.push({
-            x: weaponPos.x,
-            y: weaponPos.y,
-            vx: Math.cos(bulletAngle) * params.speed,
-            vy: Math.sin(bulletAngle) * params.speed,
-            damage: params.damage,
-            size: params.size,
-            powerLevel: params.powerLevel,
-            distanceTraveled: 0,
-            maxDistance: params.distance,
-            team: teamColor,  // NEW: bullets have team identity
-            id: Date.now() + Math.random() + i
-        });
-    }
-
-    const effectColor = (params.powerLevel === 10) ? '#FF0000' : (teamColor === 'blue' ? '#2196F3' : '#E91E63');
-    broadcastEffect(room.id, 'particle', {
-        x: weaponPos.x,
-        y: weaponPos.y,
-        color: effectColor,
-        count: Math.ceil(totalBulletCount / 2)
-    });
-    broadcastEffect(room.id, 'shake', { intensity: params.powerLevel / 5 });
-
-    weapon.energy = 0;
-    weapon.isCharging = false;
-}
-
-// Apply engine thrust for specific team
-function applyEngineThrustForTeam(room, teamColor) {
-    const systems = room.teamSystems[teamColor];
-    const ship = room.ships[teamColor];
-
-    const thrust = calculateEngineThrust(systems.engine.energy, room.engineFormula, room);
-
-    if (thrust > 0) {
-        const angle = systems.rudder.rotation * Math.PI / 180;
-
-        // Reactive thrust - ship moves OPPOSITE to engine direction
-        ship.vx += -Math.cos(angle) * thrust;
-        ship.vy += -Math.sin(angle) * thrust;
-
-        debugLog(`[${teamColor}] Thrust applied: ${thrust.toFixed(3)}, Energy: ${systems.engine.energy.toFixed(2)}, Speed: ${Math.hypot(ship.vx, ship.vy).toFixed(2)}`);
-
-        // Speed boost for gradient system (+10% per energy level)
-        let speedMultiplier = 1.0;
-        if (room.thrustSystem === 'gradient') {
-            const level = getEnergyLevel(systems.engine.energy);
-            speedMultiplier = 1.0 + (level * 0.10); // +10% per level (max +50% at level 5)
-        }
-
-        // Clamp velocity with speed multiplier (use physics settings)
-        const baseMaxSpeed = (room.physics && room.physics.maxSpeed) || 3.0;
-        const MAX_SPEED = baseMaxSpeed * speedMultiplier;
-        const speed = Math.hypot(ship.vx, ship.vy);
-        if (speed > MAX_SPEED) {
-            ship.vx = (ship.vx / speed) * MAX_SPEED;
-            ship.vy = (ship.vy / speed) * MAX_SPEED;
-        }
-    }
-
-    // Energy decay (depends on thrust system)
-    if (room.thrustSystem === 'gradient') {
-        // Progressive decay based on energy level
-        const level = getEnergyLevel(systems.engine.energy);
-        const baseDecay = (room.physics && room.physics.gradientBaseDecay) || 50;
-        const decayMultiplier = 1.0 + (level - 1) * 0.5; // +50% per level above 1
-        const decayRate = baseDecay * decayMultiplier; // units/second
-        const decayPerFrame = decayRate / 60; // Convert to per-frame (60 FPS)
-        systems.engine.energy = Math.max(0, systems.engine.energy - decayPerFrame);
-    } else {
-        // Pump system - constant decay
-        const energyDecay = (room.physics && room.physics.energyDecay) || 50;
-        systems.engine.energy = Math.max(0, systems.engine.energy - energyDecay);
-    }
-}
-
-// Update ship position with physics for specific team
-function updateShipPositionForTeam(room, teamColor) {
-    const ship = room.ships[teamColor];
-
-    ship.x += ship.vx;
-    ship.y += ship.vy;
-
-    // Inertia controls how quickly ship slows down (0=instant stop, 100=no friction)
-    // Convert inertia (0-100) to friction multiplier (0.90-0.995)
-    const inertia = (room.physics && room.physics.inertia !== undefined) ? room.physics.inertia : 50;
-    const FRICTION = 0.90 + (inertia / 100) * 0.095; // Maps 0→0.90, 50→0.9475, 100→0.995
-    ship.vx *= FRICTION;
-    ship.vy *= FRICTION;
-
-    // Full stop at very low speeds to prevent infinite drift (use physics settings)
-    const stopThreshold = (room.physics && room.physics.stopThreshold) || 0.05;
-    if (Math.abs(ship.vx) < stopThreshold) ship.vx = 0;
-    if (Math.abs(ship.vy) < stopThreshold) ship.vy = 0;
-
-    // Wrap around edges
-    if (ship.x < 0) ship.x = room.canvas.width;
-    if (ship.x > room.canvas.width) ship.x = 0;
-    if (ship.y < 0) ship.y = room.canvas.height;
-    if (ship.y > room.canvas.height) ship.y = 0;
-
-    // Aesthetic rotation toward velocity direction
-    if (Math.hypot(ship.vx, ship.vy) > 0.5) {
-        ship.rotation = Math.atan2(ship.vy, ship.vx);
-    }
-}
-
-// Create asteroid
-function createAsteroid(room, size) {
-    // Spawn OUTSIDE field boundaries
-    const margin = 100;
-    const side = Math.floor(Math.random() * 4); // 0=top, 1=right, 2=bottom, 3=left
-
-    let x, y;
-    switch(side) {
-        case 0: x = Math.random() * room.canvas.width; y = -margin; break;
-        case 1: x = room.canvas.width + margin; y = Math.random() * room.canvas.height; break;
-        case 2: x = Math.random() * room.canvas.width; y = room.canvas.height + margin; break;
-        case 3: x = -margin; y = Math.random() * room.canvas.height; break;
-    }
-
-    // Vector toward center with random offset
-    const centerX = room.canvas.width / 2;
-    const centerY = room.canvas.height / 2;
-    const angle = Math.atan2(centerY - y, centerX - x) + (Math.random() - 0.5) * 0.4;
-
-    let speed, health, maxHealth, damage, splits;
-    switch(size) {
-        case 'large':
-            speed = 0.75; health = 10; maxHealth = 10; damage = 3; splits = 2; // Reduced 2x: was 1.5
-            break;
-        case 'medium':
-            speed = 1.0; health = 5; maxHealth = 5; damage = 2; splits = 3; // Reduced 2x: was 2.0
-            break;
-        case 'small':
-            speed = 1.25; health = 2; maxHealth = 2; damage = 1; splits = 0; // Reduced 2x: was 2.5
-            break;
-    }
-
-    return {
-        x, y,
-        vx: Math.cos(angle) * speed,
-        vy: Math.sin(angle) * speed,
-        size,
-        radius: size === 'large' ? 20 : (size === 'medium' ? 12 : 8), // Increased 2x: was 10/6/4
-        health, maxHealth,
-        baseDamage: damage,
-        splits,
-        rotation: Math.random() * Math.PI * 2,
-        rotationSpeed: (Math.random() - 0.5) * 0.05,
-        flashUntil: 0,
-        id: Date.now() + Math.random()
-    };
-}
-
-// Spawn asteroids based on frequency
-function spawnAsteroidIfNeeded(room) {
-    // Skip spawning if frequency is 'none' (training mode)
-    if (room.asteroidFrequency === 'none') return;
-
-    const now = Date.now();
-    const intervals = { low: 3000, medium: 2000, high: 1200 };
-    const interval = intervals[room.asteroidFrequency] || 2000;
-
-    if (now - room.lastAsteroidSpawn > interval) {
-        const rand = Math.random();
-        const size = rand < 0.5 ? 'small' : (rand < 0.8 ? 'medium' : 'large');
-
-        room.asteroids.push(createAsteroid(room, size));
-        room.lastAsteroidSpawn = now;
-    }
-}
-
-// Handle asteroid destruction and splitting
-function handleAsteroidDestruction(room, asteroid, index) {
-    // v3.17: 70% loot drop system for small asteroids
-    if (asteroid.size === 'small' && Math.random() < 0.70) {
-        const lootTypes = [
-            { type: 'coin', weight: 15 },
-            { type: 'heart', weight: 15 },
-            { type: 'bullet', weight: 15 },
-            { type: 'laser', weight: 5 },
-            { type: 'attackShield', weight: 10 },
-            { type: 'attackEngine', weight: 10 }
-        ];
-
-        // Weighted random selection
-        const totalWeight = lootTypes.reduce((sum, item) => sum + item.weight, 0);
-        let random = Math.random() * totalWeight;
-        let selectedType = 'coin';
-
-        for (const loot of lootTypes) {
-            random -= loot.weight;
-            if (random <= 0) {
-                selectedType = loot.type;
-                break;
-            }
-        }
-
-        // Spawn loot with scatter velocity (like coins)
-        const angle = Math.random() * Math.PI * 2;
-        const speed = 1 + Math.random() * 2;
-
-        room.loot.push({
-            x: asteroid.x,
-            y: asteroid.y,
-            vx: Math.cos(angle) * speed,
-            vy: Math.sin(angle) * speed,
-            type: selectedType,
-            id: Date.now() + Math.random(),
-            radius: 12
-        });
-    }
-
-    // Split into smaller asteroids
-    if (asteroid.splits > 0) {
-        const newSize = asteroid.size === 'large' ? 'medium' : 'small';
-        const spreadAngle = Math.PI * 2 / asteroid.splits;
-
-        for (let i = 0; i < asteroid.splits; i++) {
-            const angle = spreadAngle * i;
-            const speed = asteroid.size === 'large' ? 2.0 : 2.5;
-
-            room.asteroids.push({
-                ...createAsteroid(room, newSize),
-                x: asteroid.x,
-                y: asteroid.y,
-                vx: Math.cos(angle) * speed,
-                vy: Math.sin(angle) * speed
-            });
-        }
-    }
-
-    room.asteroids.splice(index, 1);
-
-    broadcastEffect(room.id, 'particle', { x: asteroid.x, y: asteroid.y, color: '#888888', count: 25 });
-    broadcastEffect(room.id, 'shake', { intensity: 3 });
-}
-
-// v3.17: Apply loot effect when ship collects loot
-function applyLootEffect(room, ship, loot, teamColor) {
-    const teamColorHex = teamColor === 'blue' ? '#2196F3' : '#E91E63';
-
-    switch (loot.type) {
-        case 'coin':
-            ship.coins = (ship.coins || 0) + 1;
-            const coinsRemaining = (room.coinsToWin || 10) - ship.coins;
-            broadcastEffect(room.id, 'particle', { x: loot.x, y: loot.y, color: '#FFD700', count: 10 });
-            broadcastEffect(room.id, 'scoreAnim', {
-                x: ship.x,
-                y: ship.y - ship.radius - 20,
-                text: `ещё ${coinsRemaining} до победы!`,
-                color: teamColorHex
-            });
-            // Spawn new coin only if coinSpawn is enabled
-            if (room.coinSpawn) {
-                room.coins.push(spawnCoin(room));
-            }
-            break;
-
-        case 'heart':
-            if (ship.health < ship.maxHealth) {
-                const actualHealing = Math.min(50, ship.maxHealth - ship.health);
-                ship.health = Math.min(ship.maxHealth, ship.health + 50);
-                broadcastEffect(room.id, 'particle', { x: loot.x, y: loot.y, color: '#FF1744', count: 15 });
-                broadcastEffect(room.id, 'scoreAnim', {
-                    x: ship.x,
-                    y: ship.y - ship.radius - 20,
-                    text: `${actualHealing}HP восстановлено!`,
-                    color: '#FF1744'
-                });
-            }
-            break;
-
-        case 'bullet':
-            ship.boosters.extraBullets = (ship.boosters.extraBullets || 0) + 1;
-            broadcastEffect(room.id, 'particle', { x: loot.x, y: loot.y, color: '#00FFFF', count: 15 });
-            broadcastEffect(room.id, 'scoreAnim', {
-                x: ship.x,
-                y: ship.y - ship.radius - 20,
-                text: 'Дополнительный снаряд!',
-                color: '#00FFFF'
-            });
-            break;
-
-        case 'laser':
-            ship.boosters.laserSight = true;
-            broadcastEffect(room.id, 'particle', { x: loot.x, y: loot.y, color: '#FF0000', count: 15 });
-            broadcastEffect(room.id, 'scoreAnim', {
-                x: ship.x,
-                y: ship.y - ship.radius - 20,
-                text: 'Лазерный прицел!',
-                color: '#FF0000'
-            });
-            break;
-
-        case 'attackShield':
-            const wasActive = ship.boosters.attackShield.active;
-            ship.boosters.attackShield.active = true;
-            if (!wasActive) {
-                ship.boosters.attackShield.sizeBonus = Math.min(50, (ship.boosters.attackShield.sizeBonus || 0) + 5);
-            } else {
-                ship.boosters.attackShield.sizeBonus = Math.min(50, ship.boosters.attackShield.sizeBonus + 5);
-            }
-            broadcastEffect(room.id, 'particle', { x: loot.x, y: loot.y, color: '#FF00FF', count: 15 });
-            broadcastEffect(room.id, 'scoreAnim', {
-                x: ship.x,
-                y: ship.y - ship.radius - 20,
-                text: wasActive ? 'Атакующий щит УСИЛЕН!' : 'Атакующий щит!',
-                color: '#FF00FF'
-            });
-            break;
-
-        case 'attackEngine':
-            const wasEngineActive = ship.boosters.attackEngine.active;
-            ship.boosters.attackEngine.active = true;
-            ship.boosters.attackEngine.level = Math.min(10, (ship.boosters.attackEngine.level || 0) + 1);
-            broadcastEffect(room.id, 'particle', { x: loot.x, y: loot.y, color: '#FFA500', count: 15 });
-            broadcastEffect(room.id, 'scoreAnim', {
-                x: ship.x,
-                y: ship.y - ship.radius - 20,
-                text: wasEngineActive ? 'Атакующий двигатель УСИЛЕН!' : 'Атакующий двигатель!',
-                color: '#FFA500'
-            });
-            break;
-    }
-}
-
-// Check if angle is within shield arc
-function isAngleInShieldArc(angle, shieldRotation, arcSize) {
-    const normalizeAngle = (a) => ((a % 360) + 360) % 360;
-
-    const normAngle = normalizeAngle(angle);
-    const shieldStart = normalizeAngle(shieldRotation - arcSize / 2);
-    const shieldEnd = normalizeAngle(shieldRotation + arcSize / 2);
-
-    if (shieldStart < shieldEnd) {
-        return normAngle >= shieldStart && normAngle <= shieldEnd;
-    } else {
-        return normAngle >= shieldStart || normAngle <= shieldEnd;
-    }
-}
-
-// Deflect asteroid elastically
-function deflectAsteroid(asteroid, ship, shieldRotation, room) {
-    const dx = asteroid.x - ship.x;
-    const dy = asteroid.y - ship.y;
-    const angle = Math.atan2(dy, dx);
-
-    const normalX = Math.cos(angle);
-    const normalY = Math.sin(angle);
-    const dotProduct = asteroid.vx * normalX + asteroid.vy * normalY;
-
-    // Elastic reflection
-    asteroid.vx = asteroid.vx - 2 * dotProduct * normalX;
-    asteroid.vy = asteroid.vy - 2 * dotProduct * normalY;
-
-    // Increase speed (shield "repels")
-    asteroid.vx *= 1.2;
-    asteroid.vy *= 1.2;
-
-    // Push away from ship
-    const pushDistance = ship.radius + asteroid.radius + 5;
-    asteroid.x = ship.x + Math.cos(angle) * pushDistance;
-    asteroid.y = ship.y + Math.sin(angle) * pushDistance;
-
-    broadcastEffect(room.id, 'particle', { x: asteroid.x, y: asteroid.y, color: '#00FFFF', count: 12 });
-    broadcastEffect(room.id, 'shake', { intensity: 2 });
-}
+                // Send current game state to the joining display
+                ws.send(JSON.stringify({
+                    type: 'room_joined',
+                    protocolVersion: PROTOCOL_VERSION,
+                    roomId: roomId,
+                    gameType: room.gameType,
+                    gameState: serializeGameState(room)
+                }));
 
-// Check all Ship collisions
-function checkShipCollisions(room) {
-    // Support both legacy single ship and new dual ship modes
-    const ships = room.ships || { legacy: room.ship };
-    const teamColors = room.ships ? ['blue', 'pink'] : ['legacy'];
-
-    // 1. Bullet-Ship collisions (TEAM-AWARE)
-    for (let i = room.bullets.length - 1; i >= 0; i--) {
-        const bullet = room.bullets[i];
-        let bulletHit = false;
-
-        for (const teamColor of teamColors) {
-            const ship = ships[teamColor];
-            if (!ship || !ship.alive) continue;
-
-            // Friendly fire prevention: bullets skip own team ship
-            if (bullet.team && bullet.team === teamColor) continue;
-
-            const dist = Math.hypot(bullet.x - ship.x, bullet.y - ship.y);
-            if (dist < (ship.radius || 20) + 5) {
-                const systems = room.teamSystems ? room.teamSystems[teamColor] : room.systems;
-                const angleToShip = Math.atan2(ship.y - bullet.y, ship.x - bullet.x) * 180 / Math.PI;
-
-                // Check if shield blocks
-                if (systems.shield.active && isAngleInShieldArc(angleToShip, systems.shield.rotation, systems.shield.arcSize || 72)) {
-                    // Shield deflects and destroys bullet
-                    const deflectColor = teamColor === 'pink' ? '#E91E63' : '#2196F3';
-                    broadcastEffect(room.id, 'particle', { x: bullet.x, y: bullet.y, color: deflectColor, count: 12 });
-                    room.bullets.splice(i, 1);
-                    bulletHit = true;
-                    break;
-                } else {
-                    // Bullet hits ship
-                    if (!ship.invulnerable) {
-                        ship.health = Math.max(0, ship.health - 10); // 10 damage per bullet
-                        ship.lastDamageTime = Date.now();
-
-                        const teamColor = bullet.team === 'blue' ? '#2196F3' : (bullet.team === 'pink' ? '#E91E63' : '#FFFFFF');
-                        broadcastEffect(room.id, 'particle', { x: ship.x, y: ship.y, color: '#FF0000', count: 12 });
-                        broadcastEffect(room.id, 'flash', { color: '#FF0000', intensity: 0.3 });
-                    }
+                console.log(`[JOIN_ROOM] Display joined room ${roomId} as spectator`);
 
-                    room.bullets.splice(i, 1);
-                    bulletHit = true;
-                    break;
+            } else if (data.type === 'join_spectator') {
+                // Phone or browser watches the room without taking a player slot
+                const room = rooms.get(data.roomId);
+                if (!room) {
+                    sendError(ws, 'room_not_found', `Комната ${data.roomId} не найдена`, { requestType: data.type });
+                    return;
                 }
-            }
-        }
-
-        if (bulletHit) continue;
-
-        // Bullet-Asteroid collisions
-        for (let j = room.asteroids.length - 1; j >= 0; j--) {
-            const asteroid = room.asteroids[j];
-            const dist = Math.hypot(bullet.x - asteroid.x, bullet.y - asteroid.y);
 
-            if (dist < asteroid.radius + 2) {
-                asteroid.health -= bullet.damage;
-                asteroid.flashUntil = Date.now() + 100;
+                ws.roomId = room.id;
+                ws.isSpectator = true;
 
-                room.bullets.splice(i, 1);
+                ws.send(JSON.stringify({
+                    type: 'spectator_joined',
+                    protocolVersion: PROTOCOL_VERSION,
+                    roomId: room.id,
+                    gameType: room.gameType,
+                    gameState: serializeGameState(room),
+                    canJoin: canJoinRoom(room)
+                }));
 
-                if (asteroid.health <= 0) {
-                    handleAsteroidDestruction(room, asteroid, j);
-                }
+                console.log(`[SPECTATOR] Spectator joined room ${room.id}`);
 
-                broadcastEffect(room.id, 'particle', { x: asteroid.x, y: asteroid.y, color: '#FFFFFF', count: 6 });
-                break;
-            }
-        }
-    }
+            } else if (data.type === 'join_display') {
+                const roomId = data.roomId;
+                const gameType = data.gameType || 'snake';
 
-    // 2. Ship-to-Ship collisions (NEW for dual ship mode)
-    if (room.ships && room.ships.blue && room.ships.pink) {
-        const blueShip = room.ships.blue;
-        const pinkShip = room.ships.pink;
-
-        if (blueShip.alive && pinkShip.alive) {
-            const dist = Math.hypot(blueShip.x - pinkShip.x, blueShip.y - pinkShip.y);
-            const SHIP_SIZE = (blueShip.radius || 20) + (pinkShip.radius || 20);
-
-            if (dist < SHIP_SIZE) {
-                const blueShield = room.teamSystems.blue.shield.active;
-                const pinkShield = room.teamSystems.pink.shield.active;
-                const angle = Math.atan2(pinkShip.y - blueShip.y, pinkShip.x - blueShip.x);
-                const angleBlue = angle * 180 / Math.PI;
-                const anglePink = (angle + Math.PI) * 180 / Math.PI;
-
-                // v3.17: Check if attacking shield hits enemy ship
-                const blueAttackShieldHit = blueShield && blueShip.boosters.attackShield.active &&
-                    isAngleInShieldArc(angleBlue, room.teamSystems.blue.shield.rotation, 72);
-                const pinkAttackShieldHit = pinkShield && pinkShip.boosters.attackShield.active &&
-                    isAngleInShieldArc(anglePink, room.teamSystems.pink.shield.rotation, 72);
-
-                if (blueAttackShieldHit && !pinkShip.invulnerable) {
-                    pinkShip.health = Math.max(0, pinkShip.health - 2);
-                    broadcastEffect(room.id, 'particle', { x: pinkShip.x, y: pinkShip.y, color: '#FF00FF', count: 10 });
-                }
-                if (pinkAttackShieldHit && !blueShip.invulnerable) {
-                    blueShip.health = Math.max(0, blueShip.health - 2);
-                    broadcastEffect(room.id, 'particle', { x: blueShip.x, y: blueShip.y, color: '#FF00FF', count: 10 });
+                // Create room if it doesn't exist
+                if (!rooms.has(roomId)) {
+                    createRoom(roomId, gameType, data.settings || {});
                 }
 
-                if (blueShield && pinkShield) {
-                    // Both shields → repulsion, no damage
-                    const repelForce = 2.0;
-                    blueShip.vx -= Math.cos(angle) * repelForce;
-                    blueShip.vy -= Math.sin(angle) * repelForce;
-                    pinkShip.vx += Math.cos(angle) * repelForce;
-                    pinkShip.vy += Math.sin(angle) * repelForce;
-
-                    broadcastEffect(room.id, 'particle', { x: (blueShip.x + pinkShip.x) / 2, y: (blueShip.y + pinkShip.y) / 2, color: '#00FFFF', count: 20 });
-                } else {
-                    // At least one unshielded → both take damage
-                    if (!blueShip.invulnerable && !blueShield) {
-                        blueShip.health = Math.max(0, blueShip.health - 20);
-                        broadcastEffect(room.id, 'particle', { x: blueShip.x, y: blueShip.y, color: '#FF0000', count: 15 });
-                    }
-                    if (!pinkShip.invulnerable && !pinkShield) {
-                        pinkShip.health = Math.max(0, pinkShip.health - 20);
-                        broadcastEffect(room.id, 'particle', { x: pinkShip.x, y: pinkShip.y, color: '#FF0000', count: 15 });
-                    }
+                ws.roomId = roomId;
+                ws.isDisplay = true;
 
-                    // Bounce apart
-                    const angle = Math.atan2(pinkShip.y - blueShip.y, pinkShip.x - blueShip.x);
-                    const bounceForce = 1.5;
-                    blueShip.vx -= Math.cos(angle) * bounceForce;
-                    blueShip.vy -= Math.sin(angle) * bounceForce;
-                    pinkShip.vx += Math.cos(angle) * bounceForce;
-                    pinkShip.vy += Math.sin(angle) * bounceForce;
+                const room = rooms.get(roomId);
+                room.displayWs = ws; // Save display WebSocket for migration
 
-                    broadcastEffect(room.id, 'shake', { intensity: 5 });
+                // Apply settings from display (if provided and room already existed)
+                if (data.settings) {
+                    applyDisplaySettings(room, data.settings);
+                    console.log(`Applied settings to room ${roomId}:`, data.settings);
                 }
-            }
-        }
-    }
-
-    // 3. Ship-Asteroid collisions
-    for (const teamColor of teamColors) {
-        const ship = ships[teamColor];
-        if (!ship || !ship.alive) continue;
-
-        const systems = room.teamSystems ? room.teamSystems[teamColor] : room.systems;
-
-        for (let i = room.asteroids.length - 1; i >= 0; i--) {
-            const asteroid = room.asteroids[i];
-            const dist = Math.hypot(asteroid.x - ship.x, asteroid.y - ship.y);
 
-            if (dist < (ship.radius || 20) + asteroid.radius) {
-                const angleToAsteroid = Math.atan2(asteroid.y - ship.y, asteroid.x - ship.x) * 180 / Math.PI;
+                ws.send(JSON.stringify({
+                    type: 'init',
+                    protocolVersion: PROTOCOL_VERSION,
+                    roomId: roomId,
+                    gameState: serializeGameState(room)
+                }));
 
-                // Check if shield blocks
-                if (systems.shield.active && isAngleInShieldArc(angleToAsteroid, systems.shield.rotation, 72)) {
-                    deflectAsteroid(asteroid, ship, systems.shield.rotation, room);
+                console.log(`Display joined room ${roomId}`);
 
-                    // v3.17: Attacking shield damages asteroids
-                    if (ship.boosters.attackShield.active) {
-                        asteroid.health = Math.max(0, asteroid.health - 2);
-                        if (asteroid.health <= 0) {
-                            handleAsteroidDestruction(room, asteroid, i);
-                        }
-                        broadcastEffect(room.id, 'particle', { x: asteroid.x, y: asteroid.y, color: '#FF00FF', count: 10 });
-                    }
-                } else {
-                    // Impulse-based damage
-                    const relativeSpeed = Math.hypot(asteroid.vx - ship.vx, asteroid.vy - ship.vy);
-                    const sizeMultiplier = { large: 1.5, medium: 1.0, small: 0.5 }[asteroid.size];
-                    const impulseDamage = Math.ceil(relativeSpeed * sizeMultiplier * 0.3);
-                    const damage = Math.max(1, impulseDamage);
-
-                    if (!ship.invulnerable) {
-                        if (ship.hearts !== undefined) {
-                            ship.hearts = Math.max(0, ship.hearts - damage);
-                        }
-                        if (ship.health !== undefined) {
-                            ship.health = Math.max(0, ship.health - damage);
-                        }
-                        ship.lastDamageTime = Date.now();
-                        ship.invulnerable = true;
-                        ship.invulnerableUntil = Date.now() + 1000;
-
-                        // Bounce asteroid
-                        const angle = Math.atan2(asteroid.y - ship.y, asteroid.x - ship.x);
-                        asteroid.vx = Math.cos(angle) * 3;
-                        asteroid.vy = Math.sin(angle) * 3;
-
-                        broadcastEffect(room.id, 'particle', { x: ship.x, y: ship.y, color: '#FF0000', count: 20 });
-                        broadcastEffect(room.id, 'flash', { color: '#FF0000', intensity: 0.4 });
-                        broadcastEffect(room.id, 'shake', { intensity: 6 });
-
-                        // Check death (for legacy hearts system)
-                        if (ship.hearts !== undefined && ship.hearts <= 0) {
-                            room.gameOver = true;
-                            room.winner = null;
-                        }
+            } else if (data.type === 'input') {
+                // Update player tilt (inputs before join or after the room closed are dropped silently)
+                const room = ws.playerId ? rooms.get(ws.roomId) : null;
+                if (room) {
+                    const player = room.players.get(ws.playerId);
+                    if (player) {
+                        applyPlayerInput(room, player, data.tilt);
                     }
                 }
-            }
-        }
-    }
-
-    // 4. Ship-Coin collisions (both teams can collect)
-    for (const teamColor of teamColors) {
-        const ship = ships[teamColor];
-        if (!ship || !ship.alive) continue;
-
-        for (let i = room.coins.length - 1; i >= 0; i--) {
-            const coin = room.coins[i];
-            const dist = Math.hypot(coin.x - ship.x, coin.y - ship.y);
-
-            if (dist < (ship.radius || 20) + 10) {
-                ship.coins = (ship.coins || 0) + 1;
-                room.coins.splice(i, 1);
-                // Spawn new coin only if coinSpawn is enabled
-                if (room.coinSpawn) {
-                    room.coins.push(spawnCoin(room));
-                }
-
-                const teamColorHex = teamColor === 'blue' ? '#2196F3' : (teamColor === 'pink' ? '#E91E63' : '#FFD700');
-                broadcastEffect(room.id, 'particle', { x: coin.x, y: coin.y, color: '#FFD700', count: 10 });
-                broadcastEffect(room.id, 'scoreAnim', { x: ship.x, y: ship.y - (ship.radius || 20) - 20, text: '+1', color: teamColorHex });
-
-                // Victory check moved to separate function
-                break; // Only one ship can collect this coin
-            }
-        }
-    }
-
-    // 5. Ship-Heart collisions
-    for (const teamColor of teamColors) {
-        const ship = ships[teamColor];
-        if (!ship || !ship.alive) continue;
+            } else if (data.type === 'play_recording') {
+                // Display wants to rewatch a recorded match
+                startPlayback(ws, data.recordingId);
+            } else if (data.type === 'ping') {
+                // Keepalive ping - respond with pong
+                ws.send(JSON.stringify({ type: 'pong' }));
+            } else if (data.type === 'state_ack') {
+                // Binary state received: the next delta is computed against this snapshot (0 requests a keyframe)
+                ws.stateAck = data.snapshotId;
+            } else if (data.type === 'restart_game' && ws.roomId) {
+                // Restart the same game
+                const room = rooms.get(ws.roomId);
+                if (room && room.gameOver) {
+                    const preserveRoles = data.preserveRoles !== false; // default true
+                    resetRoomForReplay(room, preserveRoles);
 
-        for (let i = room.hearts.length - 1; i >= 0; i--) {
-            const heart = room.hearts[i];
-            const dist = Math.hypot(heart.x - ship.x, heart.y - ship.y);
+                    // Broadcast to all clients in room
+                    broadcastToRoom(room.id, {
+                        type: 'game_restarted',
+                        preserveRoles: preserveRoles,
+                        gameType: room.gameType
+                    });
 
-            if (dist < (ship.radius || 20) + 12) {
-                if (ship.hearts !== undefined && ship.hearts < 10) {
-                    ship.hearts = Math.min(10, ship.hearts + 1);
-                    room.hearts.splice(i, 1);
+                    // Send updated game state (includes Ship lobby state)
+                    broadcastGameState(room);
 
-                    broadcastEffect(room.id, 'particle', { x: heart.x, y: heart.y, color: '#FF1744', count: 15 });
-                    broadcastEffect(room.id, 'flash', { color: '#FF1744', intensity: 0.2 });
-                    break;
-                }
-                // Health restoration for dual ship mode
-                if (ship.health !== undefined && ship.health < ship.maxHealth) {
-                    ship.health = Math.min(ship.maxHealth, ship.health + 25);
-                    room.hearts.splice(i, 1);
-
-                    broadcastEffect(room.id, 'particle', { x: heart.x, y: heart.y, color: '#FF1744', count: 15 });
-                    broadcastEffect(room.id, 'flash', { color: '#FF1744', intensity: 0.2 });
-                    break;
+                    console.log(`[REPLAY] Room ${room.id} restarted (preserveRoles: ${preserveRoles})`);
                 }
-            }
-        }
-    }
-
-    // v3.17: 6. Ship-Loot collisions
-    for (const teamColor of teamColors) {
-        const ship = ships[teamColor];
-        if (!ship || !ship.alive) continue;
-
-        for (let i = room.loot.length - 1; i >= 0; i--) {
-            const loot = room.loot[i];
-            const dist = Math.hypot(loot.x - ship.x, loot.y - ship.y);
-
-            if (dist < (ship.radius || 20) + loot.radius) {
-                applyLootEffect(room, ship, loot, teamColor);
-                room.loot.splice(i, 1);
-                break; // Only one ship can collect this loot
-            }
-        }
-    }
-}
-
-// Check ship deaths and handle respawns
-function checkShipDeathsAndRespawns(room) {
-    if (!room.ships) return; // Only for dual ship mode
-
-    ['blue', 'pink'].forEach(teamColor => {
-        const ship = room.ships[teamColor];
-
-        // Check if ship died
-        if (ship.alive && ship.health <= 0) {
-            ship.alive = false;
-            const coinsToDrop = ship.coins || 0;
-            ship.coins = 0;
-
-            console.log(`[${teamColor}] Ship destroyed! Dropping ${coinsToDrop} coins`);
-
-            // Drop all coins with scatter animation
-            for (let i = 0; i < coinsToDrop; i++) {
-                const angle = Math.random() * Math.PI * 2;
-                const speed = 2 + Math.random() * 3;
-                const distance = 30 + Math.random() * 50;
-
-                room.coins.push({
-                    x: ship.x + Math.cos(angle) * distance,
-                    y: ship.y + Math.sin(angle) * distance,
-                    vx: Math.cos(angle) * speed,
-                    vy: Math.sin(angle) * speed,
-                    radius: 10
-                });
-            }
-
-            broadcastEffect(room.id, 'particle', { x: ship.x, y: ship.y, color: '#FFD700', count: coinsToDrop * 5 });
-            broadcastEffect(room.id, 'flash', { color: '#FF0000', intensity: 0.8 });
-            broadcastEffect(room.id, 'shake', { intensity: 10 });
-
-            // Schedule respawn after 3 seconds
-            ship.respawnTime = Date.now() + 3000;
-        }
-
-        // Check if it's time to respawn
-        if (!ship.alive && ship.respawnTime && Date.now() >= ship.respawnTime) {
-            // Respawn at fixed position
-            ship.x = teamColor === 'blue' ? room.canvas.width * 0.25 : room.canvas.width * 0.75;
-            ship.y = room.canvas.height / 2;
-            ship.vx = 0;
-            ship.vy = 0;
-            ship.health = ship.maxHealth;
-            ship.alive = true;
-            ship.invulnerable = true;
-            ship.invulnerableUntil = Date.now() + INVULNERABILITY_DURATION_MS; // 5s invulnerability
-            ship.spawnTime = Date.now();
-            ship.respawnTime = null;
-
-            // v3.17: Reset boosters on respawn
-            ship.boosters = {
-                extraBullets: 0,
-                laserSight: false,
-                attackShield: { active: false, sizeBonus: 0 },
-                attackEngine: { active: false, level: 0 }
-            };
-
-            console.log(`[${teamColor}] Ship respawned with 5s invulnerability`);
-
-            const teamColorHex = teamColor === 'blue' ? '#2196F3' : '#E91E63';
-            broadcastEffect(room.id, 'particle', { x: ship.x, y: ship.y, color: teamColorHex, count: 30 });
-            broadcastEffect(room.id, 'flash', { color: teamColorHex, intensity: 0.5 });
-        }
-
-        // Clear invulnerability after timeout
-        if (ship.invulnerable && Date.now() >= ship.invulnerableUntil) {
-            ship.invulnerable = false;
-            console.log(`[${teamColor}] Invulnerability ended`);
-        }
-    });
-}
-
-// Check team victory condition
-function checkTeamVictory(room) {
-    if (!room.ships) return; // Only for dual ship mode
-
-    const blueCoins = room.ships.blue.coins || 0;
-    const pinkCoins = room.ships.pink.coins || 0;
-    const targetCoins = room.coinsToWin || 10;
-
-    if (blueCoins >= targetCoins || pinkCoins >= targetCoins) {
-        const winningTeam = blueCoins >= targetCoins ? 'blue' : 'pink';
-        const winningTeamName = winningTeam === 'blue' ? 'Голубая команда' : 'Розовая команда';
-
-        room.gameOver = true;
-        room.winner = {
-            team: winningTeamName,
-            teamColor: winningTeam,
-            blueScore: blueCoins,
-            pinkScore: pinkCoins
-        };
-
-        console.log(`Victory! ${winningTeamName} wins with ${winningTeam === 'blue' ? blueCoins : pinkCoins} coins!`);
-
-        // Broadcast game over
-        wss.clients.forEach(client => {
-            if (client.readyState === WebSocket.OPEN && client.roomId === room.id) {
-                client.send(JSON.stringify({
-                    type: 'game_over',
-                    winner: room.winner
-                }));
-            }
-        });
-    }
-}
-
-// Broadcast visual effect to all clients in a room
-function broadcastEffect(roomId, effectType, data) {
-    const message = JSON.stringify({
-        type: 'effect',
-        effectType: effectType,
-        data: data
-    });
-
-    wss.clients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN && client.roomId === roomId) {
-            client.send(message);
-        }
-    });
-}
-
-// Broadcast game state update to all clients in a room
-function broadcastGameState(room) {
-    const message = JSON.stringify({
-        type: 'update',
-        gameState: serializeGameState(room)
-    });
-
-    wss.clients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN && client.roomId === room.id) {
-            client.send(message);
-        }
-    });
-}
-
-// Drop pizzas from dead snake body
-function dropPizzasFromSnake(room, player) {
-    const pizzasToDrop = player.score;
-
-    if (pizzasToDrop === 0 || player.segments.length === 0) return;
-
-    // Distribute pizzas along snake body
-    for (let i = 0; i < pizzasToDrop; i++) {
-        // Pick random segment from snake body
-        const segmentIndex = Math.floor(Math.random() * player.segments.length);
-        const segment = player.segments[segmentIndex];
-
-        // Add random scatter offset (-20 to +20 pixels)
-        const scatterX = (Math.random() - 0.5) * 40;
-        const scatterY = (Math.random() - 0.5) * 40;
-
-        const droppedPizza = {
-            x: segment.x + scatterX,
-            y: segment.y + scatterY,
-            id: Date.now() + Math.random()
-        };
-
-        // Keep pizza within bounds
-        droppedPizza.x = Math.max(room.pizzaSize, Math.min(room.canvas.width - room.pizzaSize, droppedPizza.x));
-        droppedPizza.y = Math.max(room.pizzaSize, Math.min(room.canvas.height - BOUNDARY_MARGIN_BOTTOM - room.pizzaSize, droppedPizza.y));
-
-        room.pizzas.push(droppedPizza);
-    }
+            } else if (data.type === 'request_game_change' && ws.roomId && ws.isDisplay) {
+                // Request to change game (Display only)
+                const room = rooms.get(ws.roomId);
+                if (room) {
+                    // Send to Display to show game selection screen
+                    ws.send(JSON.stringify({
+                        type: 'show_game_selection'
+                    }));
 
-    console.log(`${player.name} dropped ${pizzasToDrop} pizzas`);
-}
+                    console.log(`[REPLAY] Display requested game change in room ${room.id}`);
+                }
+            } else if (data.type === 'confirm_game_change' && ws.roomId && ws.isDisplay) {
+                // Confirm game change and migrate to new game
+                const room = rooms.get(ws.roomId);
+                if (room) {
+                    const result = migrateRoomToNewGame(room, data.gameType, data.settings || {});
 
-// Start lobby countdown for Ship game
-function startLobbyCountdown(room) {
-    if (room.lobbyCountdown) return; // Already running
+                    // Broadcast to all clients (including Display)
+                    broadcastToRoom(result.newRoomId, {
+                        type: 'room_migrated',
+                        newRoomId: result.newRoomId,
+                        newGameType: data.gameType
+                    });
 
-    const COUNTDOWN_DURATION = 5000; // 5 seconds
-    const startTime = Date.now();
-    room.lobbyCountdownStart = startTime;
-
-    console.log(`[LOBBY] Starting countdown in room ${room.id}`);
-
-    // Send countdown to all clients in the room (display and controllers)
-    const countdownMessage = JSON.stringify({
-        type: 'lobby_countdown',
-        startTime: startTime,
-        duration: COUNTDOWN_DURATION
-    });
-
-    wss.clients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN && client.roomId === room.id) {
-            client.send(countdownMessage);
-        }
-    });
-
-    // Timer for server-side countdown completion
-    room.lobbyCountdown = setTimeout(() => {
-        room.lobbyCountdown = null;
-        room.lobbyCountdownStart = null;
-        room.gameStarted = true;
-        console.log(`[LOBBY] Game started in room ${room.id}`);
-
-        // Activate ship invulnerability for 5 seconds at round start
-        if (room.ship) {
-            room.ship.invulnerable = true;
-            room.ship.invulnerableUntil = Date.now() + 5000; // 5 seconds
-            room.ship.spawnTime = Date.now(); // Track spawn time for blinking animation
-            console.log(`[SHIP] Invulnerability activated for 5 seconds`);
-        }
-
-        // Send start_calibration to all controllers
-        room.players.forEach((player) => {
-            if (player.ws && player.ws.readyState === 1) {
-                player.ws.send(JSON.stringify({
-                    type: 'start_calibration'
-                }));
-            }
-        });
-
-        broadcastGameState(room);
-    }, COUNTDOWN_DURATION);
-}
-
-// Cancel lobby countdown
-function cancelLobbyCountdown(room) {
-    if (!room.lobbyCountdown) return; // No countdown running
-
-    clearTimeout(room.lobbyCountdown);
-    room.lobbyCountdown = null;
-    room.lobbyCountdownStart = null;
-
-    console.log(`[LOBBY] Countdown cancelled in room ${room.id}`);
-
-    // Notify all clients in the room (display and controllers)
-    const cancelMessage = JSON.stringify({
-        type: 'lobby_countdown_cancelled'
-    });
-
-    wss.clients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN && client.roomId === room.id) {
-            client.send(cancelMessage);
-        }
-    });
-}
-
-// Handle WebSocket connections
-wss.on('connection', (ws) => {
-    console.log('Client connected');
-
-    ws.on('message', (message) => {
-        try {
-            const data = JSON.parse(message);
-
-            // Log ALL incoming messages for debugging
-            if (data.type !== 'input' && data.type !== 'ping') {
-                console.log(`[WS] <<<< Received message type: ${data.type}`);
-            }
-
-            if (data.type === 'create_room') {
-                // Create new room with game type and settings
-                const roomId = generateRoomId();
-                const gameType = data.gameType || 'snake';
-                const settings = data.settings || {};
-                createRoom(roomId, gameType, settings);
-
-                ws.send(JSON.stringify({
-                    type: 'room_created',
-                    roomId: roomId
-                }));
-
-                console.log(`Room ${roomId} created by display (${gameType})`);
-
-            } else if (data.type === 'join') {
-                const roomId = data.roomId;
-                const gameType = data.gameType || 'snake';
-                const sessionToken = data.sessionToken; // Optional: client sends token if reconnecting
-
-                console.log(`[JOIN] ============================================`);
-                console.log(`[JOIN] Received join request: room=${roomId}, gameType=${gameType}, player=${data.name}, token=${sessionToken ? sessionToken.substring(0, 8) + '...' : 'none'}`);
-                console.log(`[JOIN] Full join data:`, JSON.stringify(data));
-                console.log(`[JOIN] ============================================`);
-
-                // CHECK FOR RECONNECTION
-                if (sessionToken && disconnectedPlayers.has(sessionToken)) {
-                    const disconnectData = disconnectedPlayers.get(sessionToken);
-                    const room = rooms.get(disconnectData.roomId);
-
-                    // Verify room still exists and player is still in room
-                    if (room && room.players.has(disconnectData.playerId)) {
-                        const player = room.players.get(disconnectData.playerId);
-
-                        // Restore WebSocket connection
-                        player.ws = ws;
-                        ws.playerId = disconnectData.playerId;
-                        ws.roomId = disconnectData.roomId;
-
-                        // Remove from disconnected list
-                        disconnectedPlayers.delete(sessionToken);
-
-                        console.log(`[RECONNECT] Player ${player.name} reconnected to room ${room.id} (role: ${player.systemRole || 'none'})`);
-
-                        // Send init message with reconnection flag
-                        ws.send(JSON.stringify({
-                            type: 'init',
-                            playerId: player.id,
-                            roomId: room.id,
-                            sessionToken: sessionToken, // Send back same token
-                            reconnected: true, // Flag to client that this was a reconnection
-                            gameState: serializeGameState(room),
-                            gameStarted: room.gameStarted
-                        }));
-
-                        // Broadcast updated state (player no longer disconnected/autopilot)
-                        broadcastGameState(room);
-
-                        return; // Done with reconnection
-                    } else {
-                        // Room or player no longer exists - proceed as new join
-                        console.log(`[RECONNECT] Token found but room/player no longer exists, creating new player`);
-                        disconnectedPlayers.delete(sessionToken);
-                    }
-                }
-
-                // NORMAL JOIN FLOW (new player or failed reconnection)
-                // Create room if it doesn't exist
-                if (!rooms.has(roomId)) {
-                    console.log(`[JOIN] Creating new room: ${roomId}`);
-                    createRoom(roomId, gameType);
-                }
-
-                const room = rooms.get(roomId);
-                console.log(`[JOIN] Room found, current players: ${room.players.size}, gameType: ${room.gameType}`);
-
-                // For Pong: limit to 2 players
-                if (room.gameType === 'pong' && room.players.size >= 2) {
-                    ws.send(JSON.stringify({
-                        type: 'error',
-                        message: 'Room is full (max 2 players for Pong)'
-                    }));
-                    return;
-                }
-
-                // For Ballz: single player only
-                if (room.gameType === 'ballz' && room.players.size >= 1) {
-                    ws.send(JSON.stringify({
-                        type: 'error',
-                        message: 'Room is full (Ballz is single-player only)'
-                    }));
-                    return;
-                }
-
-                const playerId = Date.now() + '-' + Math.random();
-                const newSessionToken = generateSessionToken(); // Generate token for new player
-
-                // Initialize player based on game type
-                const player = {
-                    id: playerId,
-                    name: data.name || `Player ${room.players.size + 1}`,
-                    color: getRandomColor(room),  // Pass room to ensure unique colors
-                    score: 0,
-                    tilt: 0.5,
-                    smoothedTilt: 0.5, // Exponentially smoothed tilt to prevent jerky turning
-                    ws: ws,
-                    sessionToken: newSessionToken // Store session token on player for reconnection
-                };
-
-                if (room.gameType === 'pong') {
-                    // Pong: paddle position (left or right)
-                    const isPlayer1 = room.players.size === 0;
-                    player.paddleY = room.canvas.height / 2 - room.paddleSize / 2;
-                    player.paddleX = isPlayer1 ? 20 : room.canvas.width - 30;
-                    player.side = isPlayer1 ? 'left' : 'right';
-                    player.alive = true; // Pong players are always alive (no death mechanic)
-
-                    // FIXED COLORS: Left player = Blue, Right player = Red
-                    player.color = isPlayer1 ? '#2196F3' : '#F44336';
-                } else if (room.gameType === 'pushers') {
-                    // Pushers: axis-locked movement
-                    const team = data.team || 'White';
-                    let assignedTeam = team;
-                    let axis;
-
-                    // Single-square mode: auto-assign teams and roles
-                    if (room.settings && room.settings.singleSquare) {
-                        const teamColors = ['Blue', 'Red', 'Yellow', 'Green', 'White'];
-                        const teamIndex = Math.floor(room.nextPlayerId / 2);
-                        assignedTeam = teamColors[teamIndex % 5];
-
-                        // Determine axis based on position within team (0 = X, 1 = Y)
-                        const roleInTeam = room.nextPlayerId % 2;
-                        axis = roleInTeam === 0 ? 'X' : 'Y';
-                        player.role = roleInTeam === 0 ? 'controller-x' : 'controller-y';
-                    } else {
-                        // Normal mode: alternate axis
-                        axis = room.nextPlayerId % 2 === 0 ? 'X' : 'Y';
-                    }
-
-                    room.nextPlayerId++;
-
-                    const spawnPos = spawnPlayerSquare(room, axis);
-
-                    player.team = assignedTeam;
-                    player.color = getTeamColor(assignedTeam);
-                    player.axis = axis;
-                    player.x = spawnPos.x;
-                    player.y = spawnPos.y;
-                    player.alive = true;
-                } else if (room.gameType === 'ship') {
-                    // Ship: player starts as observer (no role or team assigned)
-                    player.team = null;           // Team selection required before role selection
-                    player.systemRole = null;
-                    player.systemIndex = null;
-                    player.lastTilt = undefined;  // Previous tilt value (undefined allows proper first pump detection)
-                    player.alive = true;          // All players share ship health
-                    player.ready = false;         // Player hasn't pressed "Ready" button yet
-
-                    console.log(`Player ${player.name} joined as observer (no role assigned)`);
-                } else if (room.gameType === 'ballz') {
-                    // Ballz v3.25.0: Single-player arcade
-                    player.score = 0;
-                    player.ballCount = 1;
-                    player.ballsThisTurn = 1; // Track balls for THIS turn (before bonuses)
-                    player.turnNumber = 0;
-                    player.alive = true;
-                    player.gameOver = false;
-
-                    // State machine: aiming → charging → launching → balls_in_flight → turn_complete
-                    player.turnState = 'aiming';
-
-                    // Aiming & charging
-                    player.aimAngle = Math.PI / 2; // 90° up
-                    player.lastTilt = null;
-                    player.chargeStartTime = null;
-                    player.chargeProgress = 0;
-                    player.isInDeadZone = false;
-
-                    // Launch position (relative 0-1, null = center)
-                    player.launchX = null;
-
-                    // Flying balls
-                    player.balls = [];
-
-                    // Field (relative coordinates 0-1)
-                    player.blocks = []; // [{gridX, gridY, hp, maxHp}]
-                    player.bonusBalls = []; // [{gridX, gridY}]
-
-                    // Spawn initial blocks
-                    ballzSpawnBlocks(player, room);
-
-                    console.log(`Player ${player.name} joined Ballz game`);
-                } else {
-                    // Snake: segments and position
-                    player.alive = true;
-                    player.segments = [];
-                    player.angle = 0;
-                    player.targetAngle = 0;  // For arrow_steering control scheme
-                    player.headX = room.canvas.width / 2 + (Math.random() - 0.5) * 200;
-                    player.headY = room.canvas.height / 2 + (Math.random() - 0.5) * 200;
-                    player.controlScheme = data.controlScheme || 'arrow_instant';  // Store per-player control
-
-                    // Initialize snake segments using room's segment size
-                    for (let i = 0; i < INITIAL_LENGTH; i++) {
-                        player.segments.push({
-                            x: player.headX - i * room.segmentSize,
-                            y: player.headY
-                        });
-                    }
-                }
-
-                room.players.set(playerId, player);
-                ws.playerId = playerId;
-                ws.roomId = roomId;
-
-                // For Pong: bot and game start logic
-                if (room.gameType === 'pong') {
-                    // Count only human players (exclude bot)
-                    const humanPlayers = Array.from(room.players.values()).filter(p => !p.isBot);
-
-                    if (humanPlayers.length === 1) {
-                        // First human player joined - create bot opponent
-                        createBotPlayer(room);
-                        room.gameStarted = true;  // Start game with bot
-                        console.log(`[BOT] Pong game starting in room ${roomId} with player vs bot (${room.botDifficulty})`);
-                    } else if (humanPlayers.length === 2) {
-                        // Second human player joined - remove bot and reset game
-                        removeBotPlayer(room);
-
-                        // Reset scores
-                        for (const p of room.players.values()) {
-                            p.score = 0;
-                        }
-
-                        // Reset ball
-                        resetBall(room);
-
-                        room.gameStarted = true;
-                        room.gameOver = false;
-                        room.winner = null;
-
-                        console.log(`[BOT] Second player joined room ${roomId} - removed bot, reset game for PvP`);
-                    }
-                }
-
-                // Send initial state to new player (with session token)
-                const initMessage = {
-                    type: 'init',
-                    playerId: playerId,
-                    roomId: roomId,
-                    sessionToken: newSessionToken, // Send token to client for reconnection
-                    gameState: serializeGameState(room),
-                    gameStarted: room.gameStarted // Include gameStarted flag for reconnect handling
-                };
-                console.log(`[JOIN] Sending init message to ${player.name}:`, JSON.stringify(initMessage).substring(0, 100) + '...');
-
-                if (room.gameType === 'ballz') {
-                    console.log(`[BALLZ DEBUG] Init message for ${player.name}:`, {
-                        gameType: initMessage.gameState.gameType,
-                        playersCount: initMessage.gameState.players?.length,
-                        playerNames: initMessage.gameState.players?.map(p => p.name)
-                    });
-                }
-
-                ws.send(JSON.stringify(initMessage));
-
-                console.log(`[JOIN] Player ${playerId} joined room ${roomId} as ${player.name} (${room.gameType})`);
-
-                // Broadcast to all other clients in room (especially Display) that a player joined
-                broadcastToRoom(roomId, {
-                    type: 'init',
-                    gameState: serializeGameState(room)
-                });
-
-            } else if (data.type === 'join_room') {
-                // Display wants to join existing room as spectator
-                const roomId = data.roomId;
-
-                // Check if room exists
-                if (!rooms.has(roomId)) {
-                    ws.send(JSON.stringify({
-                        type: 'error',
-                        message: `Комната ${roomId} не найдена`
-                    }));
-                    console.log(`[JOIN_ROOM] Room ${roomId} not found`);
-                    return;
-                }
-
-                const room = rooms.get(roomId);
-                ws.roomId = roomId;
-                ws.isDisplay = true;
-
-                // Send current game state to the joining display
-                ws.send(JSON.stringify({
-                    type: 'room_joined',
-                    roomId: roomId,
-                    gameType: room.gameType,
-                    gameState: serializeGameState(room)
-                }));
-
-                console.log(`[JOIN_ROOM] Display joined room ${roomId} as spectator`);
-
-            } else if (data.type === 'join_display') {
-                const roomId = data.roomId;
-                const gameType = data.gameType || 'snake';
-
-                // Create room if it doesn't exist
-                if (!rooms.has(roomId)) {
-                    createRoom(roomId, gameType, data.settings || {});
-                }
-
-                ws.roomId = roomId;
-                ws.isDisplay = true;
-
-                const room = rooms.get(roomId);
-                room.displayWs = ws; // Save display WebSocket for migration
-
-                // Apply settings from display (if provided and room already existed)
-                if (data.settings) {
-                    room.settings = data.settings;
-
-                    // Update winScore if provided in settings
-                    if (data.settings.winScore) {
-                        room.winScore = data.settings.winScore;
-                    }
-
-                    console.log(`Applied settings to room ${roomId}:`, data.settings);
-                }
-
-                ws.send(JSON.stringify({
-                    type: 'init',
-                    roomId: roomId,
-                    gameState: serializeGameState(room)
-                }));
-
-                console.log(`Display joined room ${roomId}`);
-
-            } else if (data.type === 'input' && ws.playerId && ws.roomId) {
-                // Update player tilt
-                const room = rooms.get(ws.roomId);
-                if (room) {
-                    const player = room.players.get(ws.playerId);
-                    if (player) {
-                        // For Pong/Ballz, always update. For Snake/Ship, only if alive.
-                        if (room.gameType === 'pong' || room.gameType === 'ballz' || player.alive) {
-                            // Store raw tilt
-                            player.tilt = data.tilt;
-
-                            // Apply exponential smoothing to prevent jerky turning (Snake issue fix)
-                            // Smoothing factor: 0.3 = smooth, 0.7 = responsive (30% new, 70% old)
-                            const smoothingFactor = 0.3;
-                            if (player.smoothedTilt === undefined) {
-                                player.smoothedTilt = data.tilt; // First frame - no smoothing
-                            } else {
-                                player.smoothedTilt = smoothingFactor * data.tilt + (1 - smoothingFactor) * player.smoothedTilt;
-                            }
-                        }
-                    }
-                }
-            } else if (data.type === 'update_physics' && data.roomId) {
-                // Update live physics settings for Ship game
-                const room = rooms.get(data.roomId);
-                if (room && room.gameType === 'ship' && data.physics) {
-                    room.physics = data.physics;
-                    console.log(`Physics updated in room ${data.roomId}:`, data.physics);
-                }
-            } else if (data.type === 'ping') {
-                // Keepalive ping - respond with pong
-                ws.send(JSON.stringify({ type: 'pong' }));
-            } else if (data.type === 'respawn' && ws.playerId && ws.roomId) {
-                // Respawn dead player
-                const room = rooms.get(ws.roomId);
-                if (room && room.gameType === 'snake') {
-                    const player = room.players.get(ws.playerId);
-                    if (player && !player.alive) {
-                        // Reset player state
-                        player.alive = true;
-                        player.score = 0;
-                        player.angle = 0;
-                        player.targetAngle = 0;  // Reset target angle for arrow_steering
-                        player.headX = room.canvas.width / 2 + (Math.random() - 0.5) * 200;
-                        player.headY = room.canvas.height / 2 + (Math.random() - 0.5) * 200;
-
-                        // Restore control scheme if provided
-                        if (data.controlScheme) {
-                            player.controlScheme = data.controlScheme;
-                        }
-
-                        // Reset segments
-                        player.segments = [];
-                        for (let i = 0; i < INITIAL_LENGTH; i++) {
-                            player.segments.push({
-                                x: player.headX - i * room.segmentSize,
-                                y: player.headY
-                            });
-                        }
-
-                        console.log(`Player ${player.id} respawned with control: ${player.controlScheme}`);
-                    }
-                }
-            } else if (data.type === 'change_control' && ws.playerId && ws.roomId) {
-                // Handle control scheme change during gameplay
-                const room = rooms.get(ws.roomId);
-                if (room && room.gameType === 'snake') {
-                    const player = room.players.get(ws.playerId);
-                    if (player) {
-                        player.controlScheme = data.controlScheme || 'arrow_instant';
-                        console.log(`Player ${player.id} changed control to ${player.controlScheme}`);
-                    }
-                }
-            } else if (data.type === 'change_role' && ws.playerId && ws.roomId) {
-                // Handle role change for Ship game
-                console.log(`[CHANGE_ROLE] Received from player ${ws.playerId}, role: ${data.role}`);
-                const room = rooms.get(ws.roomId);
-                if (room && room.gameType === 'ship') {
-                    const player = room.players.get(ws.playerId);
-                    if (!player) {
-                        console.log(`[CHANGE_ROLE] ERROR: Player ${ws.playerId} not found in room`);
-                        return;
-                    }
-
-                    const requestedRole = data.role; // 'engine' | 'rudder' | 'weapon' | 'weaponDirection' | 'shield' | null
-                    console.log(`[CHANGE_ROLE] Player ${player.name} requesting role: ${requestedRole}`);
-
-                    // Player must have team selected before choosing role
-                    if (!player.team) {
-                        ws.send(JSON.stringify({
-                            type: 'error',
-                            message: 'Выберите команду перед выбором роли'
-                        }));
-                        return;
-                    }
-
-                    // If player wants to release role
-                    if (requestedRole === null) {
-                        player.systemRole = null;
-                        player.systemIndex = null;
-                        console.log(`Player ${player.name} released their role`);
-                        broadcastGameState(room);
-                        return;
-                    }
-
-                    // Check if role is already taken BY SOMEONE ON THE SAME TEAM
-                    const roleTaken = Array.from(room.players.values()).some(p =>
-                        p.id !== player.id &&
-                        p.team === player.team &&
-                        p.systemRole === requestedRole
-                    );
-
-                    if (roleTaken) {
-                        ws.send(JSON.stringify({
-                            type: 'error',
-                            message: 'Эта роль уже занята другим игроком в вашей команде'
-                        }));
-                        return;
-                    }
-
-                    // Assign role
-                    const systems = ['engine', 'rudder', 'weapon', 'weaponDirection', 'shield'];
-                    player.systemRole = requestedRole;
-                    console.log(`[CHANGE_ROLE] SUCCESS: ${player.name} assigned to role ${requestedRole}`);
-                    player.systemIndex = systems.indexOf(requestedRole) + 1; // 1-5
-
-                    console.log(`Player ${player.name} assigned to system: ${player.systemRole}`);
-                    broadcastGameState(room);
-                }
-            } else if (data.type === 'select_team' && ws.playerId && ws.roomId) {
-                // Handle team selection for Ship game
-                const room = rooms.get(ws.roomId);
-                if (room && room.gameType === 'ship') {
-                    const player = room.players.get(ws.playerId);
-                    if (!player) return;
-
-                    const requestedTeam = data.team; // 'blue' | 'pink'
-
-                    // Validate team choice
-                    if (requestedTeam !== 'blue' && requestedTeam !== 'pink') {
-                        console.log(`[TEAM] Invalid team selection: ${requestedTeam}`);
-                        return;
-                    }
-
-                    // Cannot change team during active game
-                    if (room.gameState === 'playing') {
-                        console.log(`[TEAM] ${player.name} tried to change team during game`);
-                        ws.send(JSON.stringify({
-                            type: 'error',
-                            message: 'Нельзя менять команду во время игры'
-                        }));
-                        return;
-                    }
-
-                    // Update player team
-                    player.team = requestedTeam;
-                    console.log(`[TEAM] ${player.name} selected team: ${requestedTeam}`);
-
-                    // Reset ready status on team change
-                    if (player.ready) {
-                        player.ready = false;
-                        console.log(`[TEAM] ${player.name} ready status reset due to team change`);
-                    }
-
-                    // Broadcast updated game state
-                    broadcastGameState(room);
-                }
-            } else if (data.type === 'player_ready' && ws.playerId && ws.roomId) {
-                // Handle player ready status for Ship game
-                const room = rooms.get(ws.roomId);
-                if (room && room.gameType === 'ship') {
-                    const player = room.players.get(ws.playerId);
-                    if (!player) return;
-
-                    // Player must have a role to be ready
-                    if (!player.systemRole) {
-                        ws.send(JSON.stringify({
-                            type: 'error',
-                            message: 'Выберите роль перед началом игры'
-                        }));
-                        return;
-                    }
-
-                    player.ready = true;
-                    console.log(`Player ${player.name} is ready`);
-
-                    // Check if all players are ready
-                    const allReady = Array.from(room.players.values()).every(p => p.ready);
-                    if (allReady && room.players.size > 0) {
-                        console.log(`[LOBBY] All players ready in room ${room.id}, starting countdown`);
-                        startLobbyCountdown(room);
-                    }
-
-                    broadcastGameState(room);
-                }
-            } else if (data.type === 'player_unready' && ws.playerId && ws.roomId) {
-                // Handle player unready status for Ship game
-                const room = rooms.get(ws.roomId);
-                if (room && room.gameType === 'ship') {
-                    const player = room.players.get(ws.playerId);
-                    if (!player) return;
-
-                    player.ready = false;
-                    console.log(`[LOBBY] Player ${player.name} is no longer ready`);
-
-                    // Cancel countdown if it was running
-                    cancelLobbyCountdown(room);
-
-                    broadcastGameState(room);
-                }
-            } else if (data.type === 'restart_game' && ws.roomId) {
-                // Restart the same game
-                const room = rooms.get(ws.roomId);
-                if (room && room.gameOver) {
-                    const preserveRoles = data.preserveRoles !== false; // default true
-                    resetRoomForReplay(room, preserveRoles);
-
-                    // Broadcast to all clients in room
-                    broadcastToRoom(room.id, {
-                        type: 'game_restarted',
-                        preserveRoles: preserveRoles,
-                        gameType: room.gameType
-                    });
-
-                    // Send updated game state
-                    if (room.gameType === 'ship') {
-                        // For Ship: use broadcastGameState to include lobby/game state
-                        broadcastGameState(room);
-                    } else {
-                        // For other games: send update message
-                        broadcastToRoom(room.id, {
-                            type: 'update',
-                            gameState: serializeGameState(room)
-                        });
-                    }
-
-                    console.log(`[REPLAY] Room ${room.id} restarted (preserveRoles: ${preserveRoles})`);
-                }
-            } else if (data.type === 'request_game_change' && ws.roomId && ws.isDisplay) {
-                // Request to change game (Display only)
-                const room = rooms.get(ws.roomId);
-                if (room) {
-                    // Send to Display to show game selection screen
-                    ws.send(JSON.stringify({
-                        type: 'show_game_selection'
-                    }));
-
-                    console.log(`[REPLAY] Display requested game change in room ${room.id}`);
-                }
-            } else if (data.type === 'confirm_game_change' && ws.roomId && ws.isDisplay) {
-                // Confirm game change and migrate to new game
-                const room = rooms.get(ws.roomId);
-                if (room) {
-                    const result = migrateRoomToNewGame(room, data.gameType, data.settings || {});
-
-                    // Broadcast to all clients (including Display)
-                    broadcastToRoom(result.newRoomId, {
-                        type: 'room_migrated',
-                        newRoomId: result.newRoomId,
-                        newGameType: data.gameType
-                    });
-
-                    // Send Display-specific message for QR code update
+                    // Send Display-specific message for QR code update
                     ws.send(JSON.stringify({
                         type: 'update_qr_code',
                         roomId: result.newRoomId,
                         gameType: data.gameType
-                    }));
-
-                    // Send initial game state to all clients
-                    if (data.gameType === 'ship') {
-                        // For Ship: send lobby state
-                        broadcastGameState(result.newRoom);
-                    } else {
-                        // For other games: send game state
-                        broadcastToRoom(result.newRoomId, {
-                            type: 'update',
-                            gameState: serializeGameState(result.newRoom)
-                        });
-                    }
-
-                    console.log(`[REPLAY] Migrated to ${data.gameType}, new room: ${result.newRoomId}`);
-                }
-            } else if (data.type === 'ballz_turn_complete' && ws.roomId) {
-                // Ballz: Client finished turn, update server state and start new turn
-                const room = rooms.get(ws.roomId);
-                if (room && room.gameType === 'ballz') {
-                    const player = Array.from(room.players.values())[0]; // Single player game
-                    if (player) {
-                        // Update server state from client
-                        player.blocks = data.blocks || [];
-                        player.bonusBalls = data.bonusBalls || [];
-                        player.ballCount = data.ballCount || 1;
-                        player.score = data.score || 0;
-                        player.launchX = data.launchX !== undefined ? data.launchX : 0.5;
-
-                        console.log(`[BALLZ] Turn complete: score=${player.score}, balls=${player.ballCount}, blocks=${player.blocks.length}`);
-
-                        // Start new turn (move blocks down, generate new row)
-                        ballzAdvanceTurn(room, player);
-
-                        // Send new turn state to client
-                        ws.send(JSON.stringify({
-                            type: 'ballz_new_turn',
-                            gameState: serializeGameState(room)
-                        }));
-                    }
-                }
-            }
-        } catch (error) {
-            console.error('Error processing message:', error);
-        }
-    });
-
-    ws.on('close', () => {
-        if (ws.playerId && ws.roomId) {
-            const room = rooms.get(ws.roomId);
-            if (room) {
-                const player = room.players.get(ws.playerId);
-
-                if (player) {
-                    console.log(`Player ${player.name} disconnected from room ${ws.roomId}`);
-
-                    // Save player to disconnected list for reconnection
-                    if (player.sessionToken) {
-                        const playerData = {
-                            id: player.id,
-                            name: player.name,
-                            color: player.color,
-                            score: player.score,
-                            team: player.team,
-                            systemRole: player.systemRole,
-                            systemIndex: player.systemIndex,
-                            ready: player.ready,
-                            controlScheme: player.controlScheme,
-                            // Game-specific data
-                            paddleY: player.paddleY,
-                            paddleX: player.paddleX,
-                            side: player.side,
-                            axis: player.axis,
-                            x: player.x,
-                            y: player.y,
-                            segments: player.segments,
-                            angle: player.angle,
-                            targetAngle: player.targetAngle,
-                            headX: player.headX,
-                            headY: player.headY,
-                            alive: player.alive,
-                            lastTilt: player.lastTilt
-                        };
-
-                        disconnectedPlayers.set(player.sessionToken, {
-                            roomId: ws.roomId,
-                            playerId: ws.playerId,
-                            disconnectTime: Date.now(),
-                            playerData: playerData
-                        });
-
-                        console.log(`[RECONNECT] Player ${player.name} saved for reconnection (60s grace period)`);
-                        console.log(`[RECONNECT] Role ${player.systemRole || 'none'} will remain active via autopilot`);
-                    }
-
-                    // For Ship game: handle lobby countdown cancellation
-                    if (room.gameType === 'ship') {
-                        // If player was ready in lobby, cancel countdown
-                        if (!room.gameStarted && player.ready) {
-                            console.log(`[LOBBY] Player ${player.name} was ready - cancelling countdown`);
-                            cancelLobbyCountdown(room);
-                        }
-
-                        // Log role being freed (goes to autopilot)
-                        if (player.systemRole) {
-                            console.log(`[DISCONNECT] Role ${player.systemRole} will continue on autopilot`);
-                        }
-                    }
-
-                    // For Snake game: kill disconnected player's snake (no zombie snakes)
-                    if (room.gameType === 'snake' && player.alive) {
-                        const starsDropped = player.score;
-                        dropPizzasFromSnake(room, player); // Drop stars like death
-                        player.alive = false;
-                        player.segments = []; // Clear segments to remove from display
-                        player.score = 0; // Reset score to 0
-                        console.log(`[DISCONNECT] Snake for ${player.name} killed, dropped ${starsDropped} stars`);
-                    }
-
-                    // DO NOT DELETE PLAYER - keep them in room for reconnection
-                    // Player will be auto-removed after 60s grace period if they don't reconnect
-                    // Autopilot will continue controlling their role
-
-                    // Mark player as disconnected but keep in room
-                    player.ws = null; // Clear WebSocket reference
-                    broadcastGameState(room);
-                }
-
-                // Clean up empty rooms (only if NO players at all, including disconnected)
-                if (room.players.size === 0 && !hasDisplayClient(ws.roomId)) {
-                    clearInterval(room.gameLoopInterval);
-                    rooms.delete(ws.roomId);
-                    console.log(`Room ${ws.roomId} deleted (empty)`);
-                }
-            }
-        }
-    });
-});
-
-// Check if room has display client
-function hasDisplayClient(roomId) {
-    for (const client of wss.clients) {
-        if (client.roomId === roomId && client.isDisplay) {
-            return true;
-        }
-    }
-    return false;
-}
-
-// Serialize game state for sending to clients
-function serializeGameState(room) {
-    const state = {
-        gameType: room.gameType,
-        canvas: room.canvas
-    };
-
-    if (room.gameType === 'pong') {
-        // Pong state
-        state.players = Array.from(room.players.values()).map(p => ({
-            id: p.id,
-            name: p.name,
-            color: p.color,
-            score: p.score,
-            paddleY: p.paddleY,
-            paddleX: p.paddleX,
-            side: p.side
-        }));
-        state.ball = room.ball;
-        state.paddleSize = room.paddleSize;
-        state.winScore = room.winScore;
-        state.gameStarted = room.gameStarted;
-        state.gameOver = room.gameOver;
-        state.goalCelebration = room.goalCelebration; // Slow-mo celebration state
-        state.winner = room.winner ? {
-            id: room.winner.id,
-            name: room.winner.name,
-            score: room.winner.score
-        } : null;
-    } else if (room.gameType === 'pushers') {
-        // Pushers state
-        state.players = Array.from(room.players.values()).map(p => ({
-            id: p.id,
-            name: p.name,
-            team: p.team,
-            color: p.color,
-            axis: p.axis,
-            x: p.x,
-            y: p.y,
-            invulnerable: p.invulnerable || false
-        }));
-        state.teamScores = room.teamScores;
-        state.smiley = room.smiley;
-        state.skulls = room.skulls;
-        state.ghosts = room.ghosts;
-        state.squareSize = room.squareSize;
-        state.smileySize = room.smileySize;
-        state.skullSize = room.skullSize;
-        state.ghostSize = room.ghostSize;
-        state.singleSquareMode = (room.settings && room.settings.singleSquare) || false;
-        state.winScore = room.winScore;
-        state.gameOver = room.gameOver;
-        state.winner = room.winner ? {
-            team: room.winner.team,
-            score: room.winner.score
-        } : null;
-    } else if (room.gameType === 'ship') {
-        // Ship state - two team ships
-        state.ships = {
-            blue: {
-                team: 'blue',
-                x: room.ships.blue.x,
-                y: room.ships.blue.y,
-                radius: room.ships.blue.radius,
-                vx: room.ships.blue.vx,
-                vy: room.ships.blue.vy,
-                rotation: room.ships.blue.rotation,
-                health: room.ships.blue.health,
-                maxHealth: room.ships.blue.maxHealth,
-                coins: room.ships.blue.coins,
-                lastDamageTime: room.ships.blue.lastDamageTime,
-                invulnerable: room.ships.blue.invulnerable,
-                invulnerableUntil: room.ships.blue.invulnerableUntil || 0,
-                spawnTime: room.ships.blue.spawnTime || 0,
-                alive: room.ships.blue.alive,
-                boosters: room.ships.blue.boosters  // v3.17: Send boosters state
-            },
-            pink: {
-                team: 'pink',
-                x: room.ships.pink.x,
-                y: room.ships.pink.y,
-                radius: room.ships.pink.radius,
-                vx: room.ships.pink.vx,
-                vy: room.ships.pink.vy,
-                rotation: room.ships.pink.rotation,
-                health: room.ships.pink.health,
-                maxHealth: room.ships.pink.maxHealth,
-                coins: room.ships.pink.coins,
-                lastDamageTime: room.ships.pink.lastDamageTime,
-                invulnerable: room.ships.pink.invulnerable,
-                invulnerableUntil: room.ships.pink.invulnerableUntil || 0,
-                spawnTime: room.ships.pink.spawnTime || 0,
-                alive: room.ships.pink.alive,
-                boosters: room.ships.pink.boosters  // v3.17: Send boosters state
-            }
-        };
-
-        // Send both team systems for dual ship mode
-        state.teamSystems = {
-            blue: room.teamSystems.blue,
-            pink: room.teamSystems.pink
-        };
-        state.systems = room.systems; // Backward compatibility (points to blue)
-
-        state.bullets = room.bullets.map(b => ({ x: b.x, y: b.y, id: b.id, team: b.team }));
-
-        state.asteroids = room.asteroids.map(a => ({
-            x: a.x, y: a.y, size: a.size, radius: a.radius,
-            health: a.health, maxHealth: a.maxHealth,
-            rotation: a.rotation, flashUntil: a.flashUntil, id: a.id
-        }));
-
-        state.coins = room.coins;
-        state.hearts = room.hearts;
-        state.loot = room.loot;  // v3.17: Send loot state
-
-        state.players = Array.from(room.players.values()).map(p => ({
-            id: p.id, name: p.name, color: p.color,
-            team: p.team,  // NEW: team selection
-            systemRole: p.systemRole, systemIndex: p.systemIndex, alive: p.alive,
-            ready: p.ready
-        }));
-
-        state.thrustSystem = room.thrustSystem;
-        state.engineFormula = room.engineFormula;
-        state.coinsToWin = room.coinsToWin;
-        state.asteroidFrequency = room.asteroidFrequency;
-        state.autopilotEnabled = room.autopilotEnabled;
-
-        // Send energy level for gradient system visualization
-        state.energyLevel = room.thrustSystem === 'gradient' ? getEnergyLevel(room.systems.engine.energy) : 0;
-
-        // Send weapon state for charging cone visualization
-        state.weaponEnergy = room.systems.weapon.energy;        // 0-10 для визуализации
-        state.weaponCharging = room.systems.weapon.isCharging; // true/false для конуса
-
-        state.gameStarted = room.gameStarted;
-        state.gameOver = room.gameOver;
-        state.winner = room.winner;
-    } else if (room.gameType === 'ballz') {
-        // Ballz v3.25.0: Single-player with relative coordinates
-        state.cols = room.cols;
-        state.rows = room.rows;
-        state.aspectRatio = room.aspectRatio;
-        state.ballSpeed = room.ballSpeed; // For trajectory calculation
-        state.ballLaunchDelay = room.ballLaunchDelay; // For client-side ball launching
-        state.maxBlockHP = room.maxBlockHP; // For color gradient calculation
-        state.players = Array.from(room.players.values()).map(p => ({
-            id: p.id,
-            name: p.name,
-            color: p.color,
-            score: p.score,
-            ballCount: p.ballCount,
-            ballsThisTurn: p.ballsThisTurn, // For client-side launching
-            alive: p.alive,
-            turnState: p.turnState,
-            aimAngle: p.aimAngle,
-            chargeProgress: p.chargeProgress,
-            isInDeadZone: p.isInDeadZone,
-            launchX: p.launchX,
-            launchStartTime: p.launchStartTime, // For client-side timing
-            balls: p.balls, // Already relative coordinates
-            blocks: p.blocks, // Already array with gridX, gridY
-            bonusBalls: p.bonusBalls,
-            turnNumber: p.turnNumber,
-            gameOver: p.gameOver
-        }));
-        state.gameOver = room.gameOver;
-        state.winner = room.winner;
-    } else {
-        // Snake state
-        state.players = Array.from(room.players.values()).map(p => ({
-            id: p.id,
-            name: p.name,
-            color: p.color,
-            score: p.score,
-            alive: p.alive,
-            segments: p.segments,
-            angle: p.angle,
-            targetAngle: p.targetAngle || p.angle,  // For arrow_steering visualization
-            controlScheme: p.controlScheme,  // For client-side rendering decisions
-            respawnCountdown: p.respawnCountdown,  // Auto-respawn countdown
-            respawnPosition: p.respawnPosition  // Where to respawn
-        }));
-        state.pizzas = room.pizzas;
-        state.segmentSize = room.segmentSize;
-        state.pizzaSize = room.pizzaSize;
-        state.gameOver = room.gameOver;
-        state.winner = room.winner ? {
-            id: room.winner.id,
-            name: room.winner.name,
-            score: room.winner.score
-        } : null;
-    }
-
-    return state;
-}
-
-// Update game state (60 FPS per room)
-function gameLoop(roomId) {
-    const room = rooms.get(roomId);
-    if (!room) return;
-
-    if (room.gameType === 'pong') {
-        updatePong(room);
-    } else if (room.gameType === 'pushers') {
-        updatePushers(room);
-    } else if (room.gameType === 'ship') {
-        updateShip(room);
-    } else if (room.gameType === 'ballz') {
-        ballzUpdate(room); // v3.25.0: New single-player implementation
-    } else {
-        updateSnake(room);
-    }
-
-    // Throttle broadcasts to 30 FPS (every 33ms) to reduce network load
-    // EXCEPT during Ballz ball launching - send immediately to show sequential launch
-    const now = Date.now();
-    const isLaunching = room.gameType === 'ballz' &&
-                        Array.from(room.players.values()).some(p => p.turnState === 'launching');
-    const throttleDelay = isLaunching ? 0 : 33; // No throttle during ball launch
-
-    if (!room.lastBroadcast || now - room.lastBroadcast >= throttleDelay) {
-        room.lastBroadcast = now;
-
-        // Broadcast game state to all clients in this room
-        const state = JSON.stringify({
-            type: 'update',
-            gameState: serializeGameState(room)
-        });
-
-        wss.clients.forEach(client => {
-            if (client.readyState === WebSocket.OPEN && client.roomId === roomId) {
-                client.send(state);
-            }
-        });
-    }
-}
-
-// Update Snake game
-function updateSnake(room) {
-    // Stop updating if game is over (prevents victory spam and freeze)
-    if (room.gameOver) {
-        console.log(`[DEBUG] updateSnake() skipped - game already over in room ${room.id}`);
-        return;
-    }
-
-    // Update each player
-    for (const player of room.players.values()) {
-        // Handle respawn countdown for dead players
-        if (!player.alive && player.respawnCountdown !== undefined) {
-            player.respawnCountdown -= 1 / 60; // Countdown at 60 FPS
-
-            if (player.respawnCountdown <= 0) {
-                // Auto-respawn
-                player.alive = true;
-                player.score = 0; // Reset score
-                player.angle = 0;
-                player.targetAngle = 0;
-                player.headX = player.respawnPosition.x;
-                player.headY = player.respawnPosition.y;
-
-                // Reset segments
-                player.segments = [];
-                for (let i = 0; i < INITIAL_LENGTH; i++) {
-                    player.segments.push({
-                        x: player.headX - i * room.segmentSize,
-                        y: player.headY
-                    });
-                }
-
-                // Clear countdown
-                player.respawnCountdown = undefined;
-                player.respawnPosition = undefined;
-
-                console.log(`Player ${player.id} auto-respawned in room ${room.id}`);
-            }
-        }
-
-        if (!player.alive) continue;
-
-        // SIMPLIFIED: Only arrow_instant control (Послушная стрелка)
-        // Direct tilt-to-angle mapping with smoothing to prevent jumps
-        player.targetAngle = player.smoothedTilt * 2 * Math.PI;
-        player.angle = player.targetAngle; // Instant rotation
-
-        // Move head
-        player.headX += Math.cos(player.angle) * room.moveSpeed;
-        player.headY += Math.sin(player.angle) * room.moveSpeed;
-
-        // Wrap around screen
-        const minX = 0;
-        const maxX = room.canvas.width;
-        const minY = 0;
-        const maxY = room.canvas.height - BOUNDARY_MARGIN_BOTTOM;
-
-        if (player.headX < minX) player.headX = maxX - 1;
-        if (player.headX >= maxX) player.headX = minX;
-        if (player.headY < minY) player.headY = maxY - 1;
-        if (player.headY >= maxY) player.headY = minY;
-
-        // Add new head segment
-        player.segments.unshift({
-            x: player.headX,
-            y: player.headY
-        });
-
-        // Remove tail segment (growth based on settings: 1x/2x/4x/8x growth per pizza)
-        const growthPerPizza = 3 * room.growthSpeed; // Base 3 segments × multiplier
-        if (player.segments.length > INITIAL_LENGTH + player.score * growthPerPizza) {
-            player.segments.pop();
-        }
-    }
-
-    // Check collisions
-    checkCollisions(room);
-}
-
-// ============================================================================
-// BALLZ GAME LOGIC
-// ============================================================================
-
-// ============================================================================
-// OLD Ballz v3.24.x functions REMOVED (480 lines)
-// See new v3.25.0 single-player implementation at line ~4440
-// ============================================================================
-
-// Create bot player for Pong (single-player mode)
-function createBotPlayer(room) {
-    const botId = 'bot-' + Date.now();
-
-    // Bot name based on difficulty
-    const botNames = {
-        easy: 'Лёгкий бот',
-        medium: 'Средний бот',
-        hard: 'Сложный бот'
-    };
-
-    const bot = {
-        id: botId,
-        name: botNames[room.botDifficulty] || 'Средний бот',
-        color: '#F44336',  // Red color (right side)
-        score: 0,
-        tilt: 0.5,
-        paddleY: room.canvas.height / 2 - room.paddleSize / 2,
-        paddleX: room.canvas.width - 30,  // Bot always on right side
-        side: 'right',
-        alive: true,
-        isBot: true,  // Mark as bot for serialization
-        ws: null,     // Bot has no websocket
-        sessionToken: null
-    };
-
-    room.bot = bot;
-    room.players.set(botId, bot);
-
-    console.log(`[BOT] Created bot player for room ${room.id} with difficulty: ${room.botDifficulty}`);
-
-    return bot;
-}
-
-// Remove bot player from room
-function removeBotPlayer(room) {
-    if (room.bot) {
-        room.players.delete(room.bot.id);
-        console.log(`[BOT] Removed bot player from room ${room.id}`);
-        room.bot = null;
-    }
-}
-
-// Bot AI for Pong - three difficulty levels
-function updateBotAI(room, bot) {
-    // Bot only moves when game is started
-    if (!room.gameStarted) {
-        return;
-    }
-
-    // Difficulty parameters
-    const difficultySettings = {
-        easy: {
-            reactionSpeed: 0.08,     // Slow reaction (8% movement per frame)
-            tracking: 0.6,           // 60% accuracy - bot aims for 60% correct position
-            reactionDelay: 8,        // Updates every 8 frames (~133ms at 60fps)
-            errorMargin: 60          // Aims ±60px from ball randomly
-        },
-        medium: {
-            reactionSpeed: 0.15,     // Medium reaction (15% movement per frame)
-            tracking: 0.85,          // 85% accuracy
-            reactionDelay: 4,        // Updates every 4 frames (~67ms)
-            errorMargin: 30          // Aims ±30px from ball
-        },
-        hard: {
-            reactionSpeed: 0.25,     // Fast reaction (25% movement per frame)
-            tracking: 0.98,          // 98% accuracy - almost perfect
-            reactionDelay: 2,        // Updates every 2 frames (~33ms)
-            errorMargin: 10          // Aims ±10px from ball
-        }
-    };
-
-    const difficulty = difficultySettings[room.botDifficulty] || difficultySettings.medium;
-
-    // Initialize bot tracking state
-    if (!bot.aiState) {
-        bot.aiState = {
-            targetY: bot.paddleY,
-            frameCounter: 0,
-            currentError: 0
-        };
-    }
-
-    bot.aiState.frameCounter++;
-
-    // Update target position at intervals (simulates reaction delay)
-    if (bot.aiState.frameCounter % difficulty.reactionDelay === 0) {
-        // Predict where ball will be
-        let targetBallY = room.ball.y;
-
-        // Add tracking accuracy - bot doesn't perfectly track ball
-        if (Math.random() > difficulty.tracking) {
-            // Random error based on difficulty
-            bot.aiState.currentError = (Math.random() - 0.5) * difficulty.errorMargin * 2;
-        } else {
-            bot.aiState.currentError *= 0.8; // Decay error when tracking well
-        }
-
-        targetBallY += bot.aiState.currentError;
-
-        // Target center of paddle to ball position
-        bot.aiState.targetY = targetBallY - room.paddleSize / 2;
-
-        // Clamp target
-        bot.aiState.targetY = Math.max(0, Math.min(room.canvas.height - room.paddleSize, bot.aiState.targetY));
-    }
-
-    // Move towards target with reaction speed
-    const delta = bot.aiState.targetY - bot.paddleY;
-    bot.paddleY += delta * difficulty.reactionSpeed;
-
-    // Clamp final position
-    bot.paddleY = Math.max(0, Math.min(room.canvas.height - room.paddleSize, bot.paddleY));
-
-    // Update tilt for serialization (reverse calculation from paddleY)
-    bot.tilt = 1 - (bot.paddleY / (room.canvas.height - room.paddleSize));
-    bot.tilt = Math.max(0, Math.min(1, bot.tilt));
-}
-
-// Update Pong game
-function updatePong(room) {
-    // Handle goal celebration (slow-mo with particles)
-    if (room.goalCelebration) {
-        const elapsed = Date.now() - room.goalCelebration.startTime;
-
-        if (elapsed < room.goalCelebration.duration) {
-            // Still in celebration - don't update ball, just animate
-            const blinkInterval = 300; // 300ms per blink
-            const blinkPhase = Math.floor(elapsed / blinkInterval) % 2;
-            room.goalCelebration.ballVisible = (blinkPhase === 0);
-            return; // Skip ball update during celebration
-        } else {
-            // Celebration over - reset ball and clear celebration
-            room.goalCelebration = null;
-            resetBall(room);
-            return;
-        }
-    }
-
-    // Update bot AI if present
-    if (room.bot && room.bot.alive) {
-        updateBotAI(room, room.bot);
-    }
-
-    // Update paddle positions based on tilt
-    for (const player of room.players.values()) {
-        // Map tilt (0-1) to paddle Y position
-        // tilt 0 (bottom) -> paddle at bottom
-        // tilt 1 (top) -> paddle at top
-        const targetY = (1 - player.tilt) * (room.canvas.height - room.paddleSize);
-
-        // Smooth movement
-        player.paddleY += (targetY - player.paddleY) * 0.3;
-
-        // Clamp position
-        player.paddleY = Math.max(0, Math.min(room.canvas.height - room.paddleSize, player.paddleY));
-    }
-
-    // Don't update ball until game starts (need 2 players)
-    if (!room.gameStarted) {
-        return;
-    }
-
-    // Update ball position
-    room.ball.x += room.ball.speedX;
-    room.ball.y += room.ball.speedY;
-
-    // Top and bottom wall collision
-    if (room.ball.y - room.ball.radius < 0 || room.ball.y + room.ball.radius > room.canvas.height) {
-        room.ball.speedY = -room.ball.speedY;
-    }
-
-    // Paddle collisions
-    for (const player of room.players.values()) {
-        const paddleWidth = 10;
-
-        if (player.side === 'left') {
-            // Left paddle collision
-            // CRITICAL: Ball must be (1) touching paddle, (2) in front of paddle, (3) moving toward paddle
-            if (room.ball.x - room.ball.radius < player.paddleX + paddleWidth &&
-                room.ball.x > player.paddleX + paddleWidth &&  // Ball must be in front (not behind)
-                room.ball.y > player.paddleY &&
-                room.ball.y < player.paddleY + room.paddleSize &&
-                room.ball.speedX < 0) {
-                // Accelerate ball based on speedIncrease setting (1=5%, 2=15%, 3=30%)
-                const increaseMultiplier = room.speedIncrease === 1 ? 1.05 : room.speedIncrease === 2 ? 1.15 : 1.30;
-                const accelerated = Math.abs(room.ball.speedX) * increaseMultiplier;
-                room.ball.speedX = Math.min(accelerated, room.ball.maxSpeedX);
-
-                // Add angle based on hit position
-                const hitPos = (room.ball.y - player.paddleY) / room.paddleSize;
-                room.ball.speedY = (hitPos - 0.5) * 10;
-
-                // Visual effects
-                broadcastEffect(room.id, 'particle', { x: room.ball.x, y: room.ball.y, color: player.color, count: 12 });
-                broadcastEffect(room.id, 'flash', { color: player.color, intensity: 0.2 });
-                broadcastEffect(room.id, 'shake', { intensity: 2 });
-            }
-        } else {
-            // Right paddle collision
-            // CRITICAL: Ball must be (1) touching paddle, (2) in front of paddle, (3) moving toward paddle
-            if (room.ball.x + room.ball.radius > player.paddleX &&
-                room.ball.x < player.paddleX &&  // Ball must be in front (not behind)
-                room.ball.y > player.paddleY &&
-                room.ball.y < player.paddleY + room.paddleSize &&
-                room.ball.speedX > 0) {
-                // Accelerate ball based on speedIncrease setting (1=5%, 2=15%, 3=30%)
-                const increaseMultiplier = room.speedIncrease === 1 ? 1.05 : room.speedIncrease === 2 ? 1.15 : 1.30;
-                const accelerated = Math.abs(room.ball.speedX) * increaseMultiplier;
-                room.ball.speedX = -Math.min(accelerated, room.ball.maxSpeedX);
-
-                const hitPos = (room.ball.y - player.paddleY) / room.paddleSize;
-                room.ball.speedY = (hitPos - 0.5) * 10;
-
-                // Visual effects
-                broadcastEffect(room.id, 'particle', { x: room.ball.x, y: room.ball.y, color: player.color, count: 12 });
-                broadcastEffect(room.id, 'flash', { color: player.color, intensity: 0.2 });
-                broadcastEffect(room.id, 'shake', { intensity: 2 });
-            }
-        }
-    }
-
-    // Score points
-    if (room.ball.x < 0) {
-        // Right player scores (LEFT player is VICTIM - ball went through LEFT wall)
-        const players = Array.from(room.players.values());
-        const rightPlayer = players.find(p => p.side === 'right');
-        const leftPlayer = players.find(p => p.side === 'left'); // VICTIM
-        if (rightPlayer && leftPlayer) {
-            rightPlayer.score++;
-            console.log(`${rightPlayer.name} scored! Score: ${leftPlayer.score} - ${rightPlayer.score}`);
-
-            // DRAMATIC GOAL CELEBRATION - victim's color "blood" at wall impact
-            // Particles at LEFT WALL where ball crossed (victim's territory)
-            broadcastEffect(room.id, 'particle', {
-                x: 0, // LEFT wall
-                y: room.ball.y, // Ball's Y position when it crossed
-                color: leftPlayer.color, // VICTIM's color (like blood)
-                count: 200  // 10x particles!
-            });
-            broadcastEffect(room.id, 'flash', { color: leftPlayer.color, intensity: 0.8 }); // Victim's color flash
-            broadcastEffect(room.id, 'shake', { intensity: 10 });
-
-            // Check for win condition
-            if (rightPlayer.score >= room.winScore) {
-                room.winner = rightPlayer;
-                room.gameOver = true;
-                console.log(`${rightPlayer.name} wins the game!`);
-                return; // Don't reset ball, game is over
-            }
-
-            // Start LONG slow-mo celebration (2 seconds)
-            room.goalCelebration = {
-                startTime: Date.now(),
-                duration: 2000, // 2 seconds slow-mo
-                scoringPlayer: rightPlayer,
-                victimPlayer: leftPlayer,
-                ballVisible: true,
-                blinkCount: 0
-            };
-
-            // Position ball at center for blinking animation
-            room.ball.x = room.canvas.width / 2;
-            room.ball.y = room.canvas.height / 2;
-        }
-    } else if (room.ball.x > room.canvas.width) {
-        // Left player scores (RIGHT player is VICTIM - ball went through RIGHT wall)
-        const players = Array.from(room.players.values());
-        const leftPlayer = players.find(p => p.side === 'left');
-        const rightPlayer = players.find(p => p.side === 'right'); // VICTIM
-        if (leftPlayer && rightPlayer) {
-            leftPlayer.score++;
-            console.log(`${leftPlayer.name} scored! Score: ${leftPlayer.score} - ${rightPlayer.score}`);
-
-            // DRAMATIC GOAL CELEBRATION - victim's color "blood" at wall impact
-            // Particles at RIGHT WALL where ball crossed (victim's territory)
-            broadcastEffect(room.id, 'particle', {
-                x: room.canvas.width, // RIGHT wall
-                y: room.ball.y, // Ball's Y position when it crossed
-                color: rightPlayer.color, // VICTIM's color (like blood)
-                count: 200  // 10x particles!
-            });
-            broadcastEffect(room.id, 'flash', { color: rightPlayer.color, intensity: 0.8 }); // Victim's color flash
-            broadcastEffect(room.id, 'shake', { intensity: 10 });
-
-            // Check for win condition
-            if (leftPlayer.score >= room.winScore) {
-                room.winner = leftPlayer;
-                room.gameOver = true;
-                console.log(`${leftPlayer.name} wins the game!`);
-                return; // Don't reset ball, game is over
-            }
-
-            // Start LONG slow-mo celebration (2 seconds)
-            room.goalCelebration = {
-                startTime: Date.now(),
-                duration: 2000, // 2 seconds slow-mo
-                scoringPlayer: leftPlayer,
-                victimPlayer: rightPlayer,
-                ballVisible: true,
-                blinkCount: 0
-            };
-
-            // Position ball at center for blinking animation
-            room.ball.x = room.canvas.width / 2;
-            room.ball.y = room.canvas.height / 2;
-        }
-    }
-}
-
-// Reset ball to center (Pong)
-function resetBall(room) {
-    room.ball.x = room.canvas.width / 2;
-    room.ball.y = room.canvas.height / 2;
-    // Reset to base speed with random direction
-    const direction = Math.random() > 0.5 ? 1 : -1;
-    room.ball.speedX = room.ball.baseSpeedX * direction;
-    room.ball.speedY = (Math.random() - 0.5) * 8;
-}
-
-// Update Pushers game
-function updatePushers(room) {
-    // Initialize ghost system for old rooms (backward compatibility)
-    if (!room.ghosts) {
-        room.ghosts = [];
-        room.smileysCollected = 0;
-        room.ghostSize = PUSHERS_SKULL_SIZE;
-    }
-
-    // Update player positions based on tilt and axis
-    const fieldSize = room.canvas.width; // Square field
-    const margin = room.squareSize / 2 + 10; // Unified margin (25px) - matches spawnPlayerSquare
-    const settings = room.settings || {};
-
-    if (settings.singleSquare) {
-        // Single-square mode: combine X and Y controllers for each team
-        const teamSquares = new Map(); // team -> {xController, yController}
-
-        // Group players by team
-        for (const player of room.players.values()) {
-            if (!teamSquares.has(player.team)) {
-                teamSquares.set(player.team, {});
-            }
-            const squad = teamSquares.get(player.team);
-            if (player.axis === 'X') {
-                squad.xController = player;
-            } else {
-                squad.yController = player;
-            }
-        }
-
-        // Update positions based on combined input
-        for (const [team, squad] of teamSquares.entries()) {
-            const { xController, yController } = squad;
-
-            if (xController && yController) {
-                // Both controllers present - shared position
-                const sharedX = margin + xController.tilt * (fieldSize - 2 * margin);
-                const sharedY = margin + yController.tilt * (fieldSize - 2 * margin);
-
-                xController.x = sharedX;
-                xController.y = sharedY;
-                yController.x = sharedX;
-                yController.y = sharedY;
-            } else if (xController && !yController) {
-                // Only X controller - X axis only, Y stays at current
-                const targetX = margin + xController.tilt * (fieldSize - 2 * margin);
-                xController.x = targetX;
-                xController.y = Math.max(margin, Math.min(fieldSize - margin, xController.y));
-            } else if (yController && !xController) {
-                // Only Y controller - Y axis only, X stays at current
-                const targetY = margin + yController.tilt * (fieldSize - 2 * margin);
-                yController.y = targetY;
-                yController.x = Math.max(margin, Math.min(fieldSize - margin, yController.x));
-            }
-        }
-    } else {
-        // Normal mode: independent axis control
-        for (const player of room.players.values()) {
-            if (player.axis === 'X') {
-                // Move only on X axis
-                const targetX = margin + player.tilt * (fieldSize - 2 * margin);
-                player.x = targetX;
-                player.y = Math.max(margin, Math.min(fieldSize - margin, player.y));
-            } else {
-                // Move only on Y axis
-                const targetY = margin + player.tilt * (fieldSize - 2 * margin);
-                player.y = targetY;
-                player.x = Math.max(margin, Math.min(fieldSize - margin, player.x));
-            }
-        }
-    }
-
-    // Check square-to-square collisions (push physics)
-    // Using AABB (Axis-Aligned Bounding Box) collision detection
-    const players = Array.from(room.players.values());
-    const halfSize = room.squareSize / 2;
-
-    for (let i = 0; i < players.length; i++) {
-        for (let j = i + 1; j < players.length; j++) {
-            const p1 = players[i];
-            const p2 = players[j];
-
-            // Calculate bounding boxes
-            const p1Left = p1.x - halfSize;
-            const p1Right = p1.x + halfSize;
-            const p1Top = p1.y - halfSize;
-            const p1Bottom = p1.y + halfSize;
-
-            const p2Left = p2.x - halfSize;
-            const p2Right = p2.x + halfSize;
-            const p2Top = p2.y - halfSize;
-            const p2Bottom = p2.y + halfSize;
-
-            // AABB collision check
-            const isColliding = p1Right > p2Left &&
-                               p1Left < p2Right &&
-                               p1Bottom > p2Top &&
-                               p1Top < p2Bottom;
-
-            if (isColliding) {
-                // Determine push direction based on player axes and who is active pusher
-                if (p1.axis === 'X' && p2.axis === 'Y') {
-                    // p1 moves horizontally, p2 moves vertically
-                    // p1 pushes p2 horizontally, p2 pushes p1 vertically
-
-                    // p1 pushes p2 on X axis
-                    if (p1.x < p2.x) {
-                        p2.x = p1Right + halfSize;
-                    } else {
-                        p2.x = p1Left - halfSize;
-                    }
-
-                    // p2 pushes p1 on Y axis
-                    if (p2.y < p1.y) {
-                        p1.y = p2Bottom + halfSize;
-                    } else {
-                        p1.y = p2Top - halfSize;
-                    }
-
-                } else if (p1.axis === 'Y' && p2.axis === 'X') {
-                    // p1 moves vertically, p2 moves horizontally
-                    // p1 pushes p2 vertically, p2 pushes p1 horizontally
-
-                    // p1 pushes p2 on Y axis
-                    if (p1.y < p2.y) {
-                        p2.y = p1Bottom + halfSize;
-                    } else {
-                        p2.y = p1Top - halfSize;
-                    }
-
-                    // p2 pushes p1 on X axis
-                    if (p2.x < p1.x) {
-                        p1.x = p2Right + halfSize;
-                    } else {
-                        p1.x = p2Left - halfSize;
-                    }
-
-                } else if (p1.axis === p2.axis) {
-                    // Same axis - the one with higher tilt pushes the other
-                    if (p1.axis === 'X') {
-                        // Both move on X axis
-                        if (p1.tilt > p2.tilt) {
-                            // p1 has priority, pushes p2
-                            if (p1.x < p2.x) {
-                                p2.x = p1Right + halfSize;
-                            } else {
-                                p2.x = p1Left - halfSize;
-                            }
-                        } else {
-                            // p2 has priority, pushes p1
-                            if (p2.x < p1.x) {
-                                p1.x = p2Right + halfSize;
-                            } else {
-                                p1.x = p2Left - halfSize;
-                            }
-                        }
-                    } else {
-                        // Both move on Y axis
-                        if (p1.tilt > p2.tilt) {
-                            // p1 has priority, pushes p2
-                            if (p1.y < p2.y) {
-                                p2.y = p1Bottom + halfSize;
-                            } else {
-                                p2.y = p1Top - halfSize;
-                            }
-                        } else {
-                            // p2 has priority, pushes p1
-                            if (p2.y < p1.y) {
-                                p1.y = p2Bottom + halfSize;
-                            } else {
-                                p1.y = p2Top - halfSize;
-                            }
-                        }
-                    }
-                }
-            }
-        }
-    }
-
-    // Ensure all players stay within field bounds after collision resolution
-    for (const player of room.players.values()) {
-        player.x = Math.max(margin, Math.min(fieldSize - margin, player.x));
-        player.y = Math.max(margin, Math.min(fieldSize - margin, player.y));
-    }
-
-    // Clear invulnerability after timeout
-    for (const player of room.players.values()) {
-        if (player.invulnerable && Date.now() >= player.invulnerableUntil) {
-            player.invulnerable = false;
-            delete player.invulnerableUntil;
-        }
-    }
-
-    // Check smiley collection
-    if (room.smiley) {
-        for (const player of room.players.values()) {
-            const dx = player.x - room.smiley.x;
-            const dy = player.y - room.smiley.y;
-            const distance = Math.hypot(dx, dy);
-
-            if (distance < (room.squareSize / 2 + room.smileySize / 2)) {
-                // Player collected smiley
-                room.teamScores[player.team]++;
-                room.smileysCollected++;
-                console.log(`${player.name} (${player.team}) collected smiley! Score: ${room.teamScores[player.team]}`);
-
-                // Visual effects for smiley collection
-                broadcastEffect(room.id, 'particle', { x: room.smiley.x, y: room.smiley.y, color: '#FFEB3B', count: 15 });
-                broadcastEffect(room.id, 'flash', { color: player.color, intensity: 0.2 });
-                const teamIndex = ['Blue', 'Red', 'Yellow', 'Green', 'White'].indexOf(player.team);
-                broadcastEffect(room.id, 'scoreAnim', {
-                    x: 100, // Aligned with team scoreboard position
-                    y: 15 + teamIndex * 20,
-                    text: '+1',
-                    color: player.color
-                });
-
-                // Spawn ghost every 3 smileys
-                if (room.smileysCollected % 3 === 0) {
-                    room.ghosts.push(spawnGhost(room));
-                    console.log(`👻 Ghost spawned! Total ghosts: ${room.ghosts.length}`);
-                }
-
-                // Check win condition
-                if (room.teamScores[player.team] >= room.winScore) {
-                    room.winner = {
-                        team: player.team,
-                        score: room.teamScores[player.team]
-                    };
-                    room.gameOver = true;
-                    console.log(`${player.team} team wins with ${room.teamScores[player.team]} smileys!`);
-                    return;
-                }
-
-                // Spawn new smiley
-                room.smiley = spawnSmiley(room);
-            }
-        }
-    }
-
-    // Update ghost positions and check wall bouncing
-    for (const ghost of room.ghosts) {
-        ghost.x += ghost.vx;
-        ghost.y += ghost.vy;
-
-        // Bounce off walls
-        const margin = ghost.size / 2;
-        if (ghost.x <= margin || ghost.x >= room.canvas.width - margin) {
-            ghost.vx = -ghost.vx;
-            ghost.x = Math.max(margin, Math.min(room.canvas.width - margin, ghost.x));
-        }
-        if (ghost.y <= margin || ghost.y >= room.canvas.height - margin) {
-            ghost.vy = -ghost.vy;
-            ghost.y = Math.max(margin, Math.min(room.canvas.height - margin, ghost.y));
-        }
-    }
-
-    // Check ghost collision with players
-    for (let i = room.ghosts.length - 1; i >= 0; i--) {
-        const ghost = room.ghosts[i];
-        for (const player of room.players.values()) {
-            // Skip invulnerable players
-            if (player.invulnerable) continue;
-
-            const dx = player.x - ghost.x;
-            const dy = player.y - ghost.y;
-            const distance = Math.hypot(dx, dy);
-
-            if (distance < (room.squareSize / 2 + ghost.size / 2)) {
-                // Ghost hit player - same effect as skull
-                room.teamScores[player.team] = Math.max(0, room.teamScores[player.team] - 1);
-                console.log(`${player.name} (${player.team}) hit ghost! Score: ${room.teamScores[player.team]}`);
-
-                // Visual effects for ghost collision
-                broadcastEffect(room.id, 'particle', { x: player.x, y: player.y, color: '#9C27B0', count: 20 });
-                broadcastEffect(room.id, 'flash', { color: '#9C27B0', intensity: 0.4 });
-                broadcastEffect(room.id, 'shake', { intensity: 5 });
-                const teamIndex = ['Blue', 'Red', 'Yellow', 'Green', 'White'].indexOf(player.team);
-                broadcastEffect(room.id, 'scoreAnim', {
-                    x: 100, // Aligned with team scoreboard position
-                    y: 15 + teamIndex * 20,
-                    text: '-1',
-                    color: '#F44336'
-                });
-
-                // Respawn player at new position
-                const newPos = spawnPlayerSquare(room, player.axis);
-                player.x = newPos.x;
-                player.y = newPos.y;
-
-                // Add invulnerability period after respawn
-                player.invulnerable = true;
-                player.invulnerableUntil = Date.now() + 2000; // 2 seconds
-
-                // Remove the ghost
-                room.ghosts.splice(i, 1);
-                console.log(`👻 Ghost removed! Remaining ghosts: ${room.ghosts.length}`);
-                break;
-            }
-        }
-    }
-
-    // Check skull collision
-    for (const player of room.players.values()) {
-        // Skip invulnerable players
-        if (player.invulnerable) continue;
-
-        for (const skull of room.skulls) {
-            const dx = player.x - skull.x;
-            const dy = player.y - skull.y;
-            const distance = Math.hypot(dx, dy);
-
-            if (distance < (room.squareSize / 2 + room.skullSize / 2)) {
-                // Player hit skull
-                room.teamScores[player.team] = Math.max(0, room.teamScores[player.team] - 1);
-                console.log(`${player.name} (${player.team}) hit skull! Score: ${room.teamScores[player.team]}`);
-
-                // Visual effects for skull collision
-                broadcastEffect(room.id, 'particle', { x: player.x, y: player.y, color: '#F44336', count: 20 });
-                broadcastEffect(room.id, 'flash', { color: '#F44336', intensity: 0.4 });
-                broadcastEffect(room.id, 'shake', { intensity: 5 });
-                const teamIndex = ['Blue', 'Red', 'Yellow', 'Green', 'White'].indexOf(player.team);
-                broadcastEffect(room.id, 'scoreAnim', {
-                    x: 100, // Aligned with team scoreboard position
-                    y: 15 + teamIndex * 20,
-                    text: '-1',
-                    color: '#F44336'
-                });
-
-                // Respawn player at new position
-                const newPos = spawnPlayerSquare(room, player.axis);
-                player.x = newPos.x;
-                player.y = newPos.y;
-
-                // Add invulnerability period after respawn
-                player.invulnerable = true;
-                player.invulnerableUntil = Date.now() + 2000; // 2 seconds
-            }
-        }
-    }
-}
-
-// Update Ship game (60 FPS)
-function updateShip(room) {
-    // Process both teams independently
-    ['blue', 'pink'].forEach(teamColor => {
-        const systems = room.teamSystems[teamColor];
-        const ship = room.ships[teamColor];
-
-        if (!ship.alive) return;
-
-        // Reset hasPlayer flags and shield active state
-        systems.engine.hasPlayer = false;
-        systems.weapon.hasPlayer = false;
-        systems.shield.active = false;  // Shield only active when player controls it
-
-        // 1. Update system states from team players
-        const teamPlayers = Array.from(room.players.values()).filter(p => p.team === teamColor);
-
-        for (const player of teamPlayers) {
-            if (!player.systemRole) continue;
-
-            const tilt = player.tilt;
-
-            switch (player.systemRole) {
-                case 'engine':
-                    // Energy accumulation depends on thrust system
-                    let energyAdded;
-                    if (room.thrustSystem === 'gradient') {
-                        energyAdded = calculateGradientEnergy(tilt, player.lastTilt);
-                        systems.engine.energy = Math.min(systems.engine.energy + energyAdded, 750);
-                        player.lastTilt = tilt;
-                    } else {
-                        energyAdded = detectPump(player, tilt, room);
-                        systems.engine.energy = Math.min(systems.engine.energy + energyAdded, 10);
-                    }
-                    systems.engine.hasPlayer = true;
-                    break;
-                case 'rudder':
-                    // tilt can be -0.3 to 1.3 (30% overflow beyond calibrated range)
-                    systems.rudder.rotation = tilt * 360;
-                    break;
-                case 'weapon':
-                    const weaponResult = updateWeaponCharge(player, tilt, room);
-
-                    if (weaponResult.shouldFire && weaponResult.bulletCount > 0) {
-                        fireBulletForTeam(room, teamColor);
-                    } else {
-                        systems.weapon.energy = weaponResult.newEnergy;
-                    }
-
-                    systems.weapon.hasPlayer = true;
-                    break;
-                case 'weaponDirection':
-                    // tilt can be -0.3 to 1.3 (30% overflow beyond calibrated range)
-                    systems.weaponDirection.rotation = tilt * 360;
-                    break;
-                case 'shield':
-                    // tilt can be -0.3 to 1.3 (30% overflow beyond calibrated range)
-                    systems.shield.rotation = tilt * 360;
-                    systems.shield.active = true;
-                    break;
-            }
-        }
-    });
-
-    // 2. Auto-rotate unoccupied systems for each team (only if autopilot enabled)
-    if (room.autopilotEnabled) {
-        ['blue', 'pink'].forEach(teamColor => {
-            const systems = room.teamSystems[teamColor];
-            const ship = room.ships[teamColor];
-
-            if (!ship.alive) return;
-
-            const teamPlayers = Array.from(room.players.values()).filter(p => p.team === teamColor);
-            const occupied = new Set(teamPlayers.map(p => p.systemRole).filter(r => r !== null));
-
-            if (!occupied.has('rudder')) {
-                systems.rudder.rotation = (systems.rudder.rotation + 0.5) % 360;
-            }
-            if (!occupied.has('weaponDirection')) {
-                systems.weaponDirection.rotation = (systems.weaponDirection.rotation - 0.7 + 360) % 360;
-            }
-            if (!occupied.has('weapon')) {
-                // Auto-pilot: periodic auto-fire
-            if (!room[`lastAutoWeaponFire_${teamColor}`]) room[`lastAutoWeaponFire_${teamColor}`] = Date.now();
-            const timeSinceLastFire = Date.now() - room[`lastAutoWeaponFire_${teamColor}`];
-
-            if (timeSinceLastFire > 1500) {
-                systems.weapon.energy = 3.5;
-                fireBulletForTeam(room, teamColor);
-                room[`lastAutoWeaponFire_${teamColor}`] = Date.now();
-            }
+                    }));
 
-            systems.weapon.hasPlayer = true;
-        }
-        if (!occupied.has('engine')) {
-            // Auto-pilot: constant minimal thrust
-            if (room.thrustSystem === 'gradient') {
-                // For gradient system: maintain energy around 150-300 (level 1-2)
-                const targetEnergy = 150 + Math.random() * 150;
-                if (systems.engine.energy < targetEnergy) {
-                    systems.engine.energy = Math.min(systems.engine.energy + 2, targetEnergy);
+                    // Send initial game state to all clients (includes Ship lobby state)
+                    broadcastGameState(result.newRoom);
+                    notifySpectators(result.newRoom);
+
+                    console.log(`[REPLAY] Migrated to ${data.gameType}, new room: ${result.newRoomId}`);
                 }
             } else {
-                // For pump system: periodic small pumps
-                if (!room[`lastAutoPump_${teamColor}`]) room[`lastAutoPump_${teamColor}`] = Date.now();
-                const timeSinceLastPump = Date.now() - room[`lastAutoPump_${teamColor}`];
-
-                if (timeSinceLastPump > 500) {
-                    const burstEnergy = 0.5 + Math.random() * 1.5;
-                    systems.engine.energy = Math.min(systems.engine.energy + burstEnergy, 10);
-                    room[`lastAutoPump_${teamColor}`] = Date.now();
+                // Game-specific messages (Snake respawn, Ship lobby, Ballz turns, ...)
+                const room = rooms.get(ws.roomId || data.roomId);
+                const player = room && ws.playerId ? room.players.get(ws.playerId) : null;
+                if (!room || !handleGameMessage(room, ws, player, data)) {
+                    sendError(ws, 'message_not_allowed', `Сообщение ${data.type} сейчас недоступно`, { requestType: data.type });
                 }
             }
-
-            systems.engine.hasPlayer = true;
+        } catch (error) {
+            console.error('Error processing message:', error);
         }
-        // Shield always active
-            if (!occupied.has('shield')) {
-                systems.shield.active = true;
-                systems.shield.rotation = (systems.shield.rotation + 0.3) % 360;
-            } else {
-                systems.shield.active = true;
-            }
-        });
-    }
+    });
 
-    // 3. Apply engine thrust and update positions for both ships
-    ['blue', 'pink'].forEach(teamColor => {
-        const ship = room.ships[teamColor];
-        if (!ship.alive) return;
+    ws.on('close', () => {
+        syncClock();
+        stopPlayback(ws);
 
-        applyEngineThrustForTeam(room, teamColor);
-        updateShipPositionForTeam(room, teamColor);
-    });
+        if (ws.playerId && ws.roomId) {
+            const room = rooms.get(ws.roomId);
+            if (room) {
+                const player = room.players.get(ws.playerId);
 
-    // 5. Update bullets
-    for (let i = room.bullets.length - 1; i >= 0; i--) {
-        const bullet = room.bullets[i];
-        bullet.x += bullet.vx;
-        bullet.y += bullet.vy;
-        bullet.distanceTraveled += Math.hypot(bullet.vx, bullet.vy);
-
-        const margin = 100;
-        if (bullet.distanceTraveled > bullet.maxDistance ||
-            bullet.x < -margin || bullet.x > room.canvas.width + margin ||
-            bullet.y < -margin || bullet.y > room.canvas.height + margin) {
-            room.bullets.splice(i, 1);
-        }
-    }
+                if (player) {
+                    console.log(`Player ${player.name} disconnected from room ${ws.roomId}`);
 
-    // 6. Update coins physics (for dropped coins with velocity)
-    for (const coin of room.coins) {
-        if (coin.vx !== undefined && coin.vy !== undefined) {
-            coin.x += coin.vx;
-            coin.y += coin.vy;
-
-            // Friction to slow down dropped coins
-            const COIN_FRICTION = 0.95;
-            coin.vx *= COIN_FRICTION;
-            coin.vy *= COIN_FRICTION;
-
-            // Stop at very low speeds
-            if (Math.abs(coin.vx) < 0.05) coin.vx = 0;
-            if (Math.abs(coin.vy) < 0.05) coin.vy = 0;
-
-            // Keep coins in bounds
-            if (coin.x < 0) coin.x = 0;
-            if (coin.x > room.canvas.width) coin.x = room.canvas.width;
-            if (coin.y < 0) coin.y = 0;
-            if (coin.y > room.canvas.height) coin.y = room.canvas.height;
-        }
-    }
+                    // Save player to disconnected list for reconnection
+                    if (player.sessionToken) {
+                        const playerData = {
+                            id: player.id,
+                            name: player.name,
+                            color: player.color,
+                            score: player.score,
+                            team: player.team,
+                            systemRole: player.systemRole,
+                            systemIndex: player.systemIndex,
+                            ready: player.ready,
+                            controlScheme: player.controlScheme,
+                            // Game-specific data
+                            paddleY: player.paddleY,
+                            paddleX: player.paddleX,
+                            side: player.side,
+                            axis: player.axis,
+                            x: player.x,
+                            y: player.y,
+                            segments: player.segments,
+                            angle: player.angle,
+                            targetAngle: player.targetAngle,
+                            headX: player.headX,
+                            headY: player.headY,
+                            alive: player.alive,
+                            lastTilt: player.lastTilt
+                        };
 
-    // v3.17: 6b. Update loot physics (same as coins)
-    for (const loot of room.loot) {
-        if (loot.vx !== undefined && loot.vy !== undefined) {
-            loot.x += loot.vx;
-            loot.y += loot.vy;
-
-            // Friction to slow down loot
-            const LOOT_FRICTION = 0.95;
-            loot.vx *= LOOT_FRICTION;
-            loot.vy *= LOOT_FRICTION;
-
-            // Stop at very low speeds
-            if (Math.abs(loot.vx) < 0.05) loot.vx = 0;
-            if (Math.abs(loot.vy) < 0.05) loot.vy = 0;
-
-            // Keep loot in bounds
-            if (loot.x < 0) loot.x = 0;
-            if (loot.x > room.canvas.width) loot.x = room.canvas.width;
-            if (loot.y < 0) loot.y = 0;
-            if (loot.y > room.canvas.height) loot.y = room.canvas.height;
-        }
-    }
+                        disconnectedPlayers.set(player.sessionToken, {
+                            roomId: ws.roomId,
+                            playerId: ws.playerId,
+                            disconnectTime: Date.now(),
+                            playerData: playerData
+                        });
 
-    // 7. Spawn asteroids
-    spawnAsteroidIfNeeded(room);
+                        console.log(`[RECONNECT] Player ${player.name} saved for reconnection (60s grace period)`);
+                        console.log(`[RECONNECT] Role ${player.systemRole || 'none'} will remain active via autopilot`);
+                    }
 
-    // 8. Update asteroids
-    for (const asteroid of room.asteroids) {
-        asteroid.x += asteroid.vx;
-        asteroid.y += asteroid.vy;
-        asteroid.rotation += asteroid.rotationSpeed;
-    }
+                    // Game-specific cleanup (Ship: cancel lobby countdown, Snake: no zombie snakes)
+                    recordEvent(room, 'leave', player.id);
+                    stopPlayTime(room, player);
+                    getGame(room.gameType).removePlayer(room, player);
 
-    // v3.17: 8b. Attacking Engine auto-fire bullets
-    ['blue', 'pink'].forEach(teamColor => {
-        const ship = room.ships[teamColor];
-        const systems = room.teamSystems[teamColor];
+                    // DO NOT DELETE PLAYER - keep them in room for reconnection
+                    // Player will be auto-removed after 60s grace period if they don't reconnect
+                    // Autopilot will continue controlling their role
 
-        if (ship.alive && ship.boosters.attackEngine.active && systems.engine.energy > 0) {
-            const now = Date.now();
-            const lastFire = ship.lastAttackEngineFire || 0;
-
-            // Fire rate: 1000ms cooldown (1 shot/sec) - only when thrust active
-            if (now - lastFire > 1000) {
-                const level = ship.boosters.attackEngine.level;
-                const bulletSize = 6 + (level - 1) * 0.5; // Size grows with level
-                const bulletSpeed = 6 + level * 0.5; // Speed grows with level, faster than flame
-
-                // Fire in SAME direction as engine thrust (opposite to rudder rotation)
-                // Engine points one way, ship moves opposite, particles fly with engine
-                const engineAngle = (systems.rudder.rotation + 180) * Math.PI / 180;
-                const enginePos = getSystemPosition(ship, systems.rudder.rotation + 180);
-
-                room.bullets.push({
-                    x: enginePos.x,
-                    y: enginePos.y,
-                    vx: Math.cos(engineAngle) * bulletSpeed,
-                    vy: Math.sin(engineAngle) * bulletSpeed,
-                    damage: 3,
-                    size: bulletSize,
-                    powerLevel: 3,
-                    distanceTraveled: 0,
-                    maxDistance: 500,  // Fly farther than regular bullets
-                    team: teamColor,
-                    color: '#FFA500',  // Orange color like engine flame
-                    id: Date.now() + Math.random()
-                });
+                    // Mark player as disconnected but keep in room
+                    player.ws = null; // Clear WebSocket reference
+                    broadcastGameState(room);
 
-                ship.lastAttackEngineFire = now;
+                    // Keep the replay file current (the room may never be deleted, e.g. Pong with a bot)
+                    saveRecording(room);
+                }
 
-                broadcastEffect(room.id, 'particle', {
-                    x: enginePos.x,
-                    y: enginePos.y,
-                    color: '#FFA500',  // Orange particles
-                    count: 5
-                });
+                // Clean up empty rooms (only if NO players at all, including disconnected)
+                if (room.players.size === 0 && !hasDisplayClient(ws.roomId)) {
+                    clearInterval(room.gameLoopInterval);
+                    rooms.delete(ws.roomId);
+                    console.log(`Room ${ws.roomId} deleted (empty)`);
+                }
             }
         }
     });
+});
 
-    // 9. Collision detection
-    checkShipCollisions(room);
-
-    // 10. Check ship deaths and respawns (dual ship mode)
-    checkShipDeathsAndRespawns(room);
-
-    // 10.5. Check team victory condition
-    checkTeamVictory(room);
-
-    // 11. Clear invulnerability (legacy single ship mode)
-    if (room.ship && room.ship.invulnerable && Date.now() >= room.ship.invulnerableUntil) {
-        room.ship.invulnerable = false;
-    }
-
-    // 11. Remove off-screen asteroids
-    for (let i = room.asteroids.length - 1; i >= 0; i--) {
-        const asteroid = room.asteroids[i];
-        const margin = 150;
-        if (asteroid.x < -margin || asteroid.x > room.canvas.width + margin ||
-            asteroid.y < -margin || asteroid.y > room.canvas.height + margin) {
-            room.asteroids.splice(i, 1);
+// Check if room has display client
+function hasDisplayClient(roomId) {
+    for (const client of wss.clients) {
+        if (client.roomId === roomId && client.isDisplay) {
+            return true;
         }
     }
+    return false;
 }
 
-// Check collisions
-function checkCollisions(room) {
-    for (const player of room.players.values()) {
-        if (!player.alive) continue;
-
-        const head = player.segments[0];
-
-        // Check pizza collision
-        for (let i = room.pizzas.length - 1; i >= 0; i--) {
-            const pizza = room.pizzas[i];
-            const dist = Math.hypot(head.x - pizza.x, head.y - pizza.y);
-
-            if (dist < room.segmentSize / 2 + room.pizzaSize / 2) {
-                // Ate pizza
-                room.pizzas.splice(i, 1);
-                player.score++;
-
-                // Check for win condition (only if game not already over)
-                const winScore = room.settings.winScore || 50;
-                console.log(`[DEBUG VICTORY] Player ${player.name} score: ${player.score}/${winScore}, gameOver: ${room.gameOver}, alive players: ${Array.from(room.players.values()).filter(p => p.alive).length}`);
-                if (player.score >= winScore && !room.gameOver) {
-                    room.winner = player;
-                    room.gameOver = true;
-                    console.log(`${player.name} wins with ${winScore} pizzas!`);
-                    console.log(`[DEBUG] Victory set - gameOver now true, updateSnake should stop next frame`);
-                }
-            }
-        }
+// Spectators of a room (phones and browsers watching without a player slot)
+function getSpectators(roomId) {
+    return Array.from(wss.clients).filter(client => client.roomId === roomId && client.isSpectator);
+}
 
-        // REMOVED: Self-collision no longer kills snake - players can coil infinitely
-        /*
-        const minSegmentsForCollision = Math.ceil((2 * Math.PI * 3 * room.segmentSize) / room.segmentSize);
-        for (let i = minSegmentsForCollision; i < player.segments.length; i++) {
-            const seg = player.segments[i];
-            const dist = Math.hypot(head.x - seg.x, head.y - seg.y);
-
-            if (dist < room.segmentSize * 0.8) {
-                player.alive = false;
-                dropPizzasFromSnake(room, player);
-                player.segments = [];  // Clear segments to prevent invisible collision
-                console.log(`Player ${player.id} died (self-collision) in room ${room.id}`);
-            }
-        }
-        */
-
-        // Check collision with other players
-        for (const otherPlayer of room.players.values()) {
-            if (otherPlayer.id === player.id || !otherPlayer.alive) continue;
-
-            // Check if player's head hits other player's body (SKIP HEAD - start from i=1)
-            // This prevents head-to-head collisions from triggering death
-            for (let i = 1; i < otherPlayer.segments.length; i++) {
-                const seg = otherPlayer.segments[i];
-                const dist = Math.hypot(head.x - seg.x, head.y - seg.y);
-
-                if (dist < room.segmentSize * 0.8) {
-                    // Player whose head collided with BODY dies
-                    player.alive = false;
-                    dropPizzasFromSnake(room, player);
-                    player.segments = [];  // Clear segments to prevent invisible collision
-
-                    // Auto-respawn countdown (3 seconds)
-                    player.respawnCountdown = 3.0;
-                    player.respawnPosition = {
-                        x: Math.random() * room.canvas.width,
-                        y: Math.random() * room.canvas.height
-                    };
-
-                    console.log(`[COLLISION] ${player.name} died (head hit body segment ${i} of ${otherPlayer.name}) - respawning in 3s`);
-                    break;
-                }
-            }
-        }
-    }
+// Whether one more player fits (Pong and Ballz have a player cap)
+function canJoinRoom(room) {
+    const game = getGame(room.gameType);
+    return !game.canJoin || !game.canJoin(room);
 }
 
-// ==================== BALLZ v3.25.0 - Single Player ====================
+// Tell spectators whether a slot is free, so they can switch to playing
+function notifySpectators(room) {
+    const spectators = getSpectators(room.id);
+    if (spectators.length === 0) return;
 
-/**
- * Ballz: Spawn initial blocks with relative coordinates
- * Blocks use grid positions (0 to cols-1, 0 to rows-1)
- */
-function ballzSpawnBlocks(player, room) {
-    const count = 1 + Math.floor(Math.random() * 5); // 1-5 blocks
-    const availableCols = [];
-
-    // Find empty columns in row 0
-    for (let x = 0; x < room.cols; x++) {
-        const hasBlock = player.blocks.some(b => b.gridX === x && b.gridY === 0);
-        if (!hasBlock) {
-            availableCols.push(x);
+    const payload = JSON.stringify({ type: 'spectator_status', canJoin: canJoinRoom(room) });
+    spectators.forEach(client => {
+        if (client.readyState === WebSocket.OPEN) {
+            client.send(payload);
         }
-    }
+    });
+}
 
-    // Leave at least 2 empty columns
-    const maxSpawn = Math.max(0, availableCols.length - 2);
-    if (maxSpawn === 0) return;
+// Serialize game state for sending to clients
+function serializeGameState(room) {
+    const state = {
+        gameType: room.gameType,
+        canvas: room.canvas,
+        serverTime: room.clock.now() // Snapshot timestamp for display-side interpolation
+    };
 
-    // Shuffle and pick random columns (Fisher-Yates shuffle)
-    for (let i = availableCols.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [availableCols[i], availableCols[j]] = [availableCols[j], availableCols[i]];
-    }
-    const spawnCount = Math.min(count, maxSpawn);
+    Object.assign(state, getGame(room.gameType).serialize(room));
 
-    for (let i = 0; i < spawnCount; i++) {
-        const gridX = availableCols[i];
-        const hp = ballzCalculateBlockHP(player.turnNumber, room);
+    return state;
+}
 
-        player.blocks.push({
-            gridX: gridX,
-            gridY: 0,
-            hp: hp,
-            maxHp: hp
-        });
+// Score and win of a finished match for player profiles
+function getMatchResult(room, player) {
+    const game = getGame(room.gameType);
+    if (game.getMatchResult) {
+        return game.getMatchResult(room, player);
     }
+    return {
+        score: player.score,
+        won: !!room.winner && room.winner.id === player.id
+    };
 }
 
-/**
- * Calculate block HP based on turn number and settings
- */
-function ballzCalculateBlockHP(turnNumber, room) {
-    const baseHP = 1 + Math.floor(turnNumber / room.hpIncreaseEveryN);
-    const cappedHP = Math.min(baseHP, room.maxBlockHP);
+// Advance room simulation by one tick (no networking)
+function updateRoom(room) {
+    recordFrame(room);
+    getGame(room.gameType).tick(room);
+}
 
-    // Chance for lower HP
-    if (Math.random() * 100 < room.lowerHPChance && cappedHP > 1) {
-        return Math.max(1, cappedHP - Math.floor(Math.random() * 3 + 1));
-    }
+// ============================================================================
+// MATCH PLAYBACK - re-simulate recorded matches (see recording.js)
+// ============================================================================
 
-    return cappedHP;
+// Stand-in socket for recorded players: game handlers may reply to ws, but playback has nobody to reply to
+function createPlaybackSocket(room, playerId) {
+    return {
+        roomId: room.id,
+        playerId: playerId,
+        isDisplay: playerId === null, // Only the display sends game messages without a player
+        readyState: WebSocket.CLOSED,
+        send: () => {}
+    };
 }
 
-/**
- * Main update function for Ballz game
- */
-function ballzUpdate(room) {
-    for (const player of room.players.values()) {
-        if (!player.alive || player.gameOver) continue;
+// Create a headless room that re-simulates a recording with its seed and recorded clock
+function createPlayback(recording, roomId = recording.roomId) {
+    const playback = {
+        recording: recording,
+        time: recording.startTime,
+        frameTime: recording.startTime,
+        tick: 0,
+        eventIndex: 0
+    };
 
-        ballzUpdatePlayer(room, player);
-    }
+    playback.room = createRoom(roomId, recording.gameType, recording.settings, {
+        clock: { now: () => playback.time },
+        headless: true,
+        seed: recording.seed
+    });
+
+    return playback;
 }
 
-/**
- * Update single player state machine
- * NOTE: After 'charging' completes, physics is handled CLIENT-SIDE!
- * Server only handles: aiming, charging, and receiving turn_complete from client
- */
-function ballzUpdatePlayer(room, player) {
-    switch (player.turnState) {
-        case 'aiming':
-            ballzUpdateAiming(room, player);
+// Apply a recorded event through the same code path the live room used
+function applyRecordedEvent(room, event) {
+    const player = event.playerId ? room.players.get(event.playerId) : null;
+
+    switch (event.type) {
+        case 'join':
+            addPlayerToRoom(room, event.data, null, { id: event.data.id, color: event.data.color });
             break;
-        case 'charging':
-            ballzUpdateCharging(room, player);
+        case 'input':
+            if (player) applyPlayerInput(room, player, event.tilt);
             break;
-        // Client-side states - server just waits for 'ballz_turn_complete' message
-        case 'launching':
-        case 'balls_in_flight':
-        case 'turn_complete':
-            // Physics handled on client - do nothing here
-            // Client will send 'ballz_turn_complete' when done
+        case 'message':
+            handleGameMessage(room, createPlaybackSocket(room, event.playerId), player, event.data);
             break;
+        case 'settings':
+            applyDisplaySettings(room, event.settings);
+            break;
+        case 'leave':
+            if (player) getGame(room.gameType).removePlayer(room, player);
+            break;
+        case 'remove':
+            room.players.delete(event.playerId);
+            break;
+        case 'restart':
+            resetRoomForReplay(room, event.preserveRoles);
+            break;
+        default:
+            console.log(`[PLAYBACK] Unknown event type: ${event.type}`);
     }
 }
 
-/**
- * AIMING state: Free aiming, silent charging in background
- * CRITICAL FIX: Aiming is ALWAYS free, charging happens silently
- */
-function ballzUpdateAiming(room, player) {
-    // Full 180° range (10° to 170°)
-    const minAngle = 10 * Math.PI / 180;
-    const maxAngle = 170 * Math.PI / 180;
-    player.aimAngle = minAngle + player.tilt * (maxAngle - minAngle);
-
-    // Dead zone check - edges where shooting is not allowed
-    const deadZone = room.deadZoneSize || 0.03; // Default 3%
-    player.isInDeadZone = (player.tilt < deadZone || player.tilt > (1 - deadZone));
-
-    // Check if aim is steady (using very small threshold)
-    if (player.lastTilt === null) {
-        player.lastTilt = player.tilt;
-        return;
-    }
-
-    const tiltDelta = Math.abs(player.tilt - player.lastTilt);
-
-    // Don't start charging if in dead zone
-    if (tiltDelta < room.aimSensitivity && !player.isInDeadZone) {
-        // Aim is steady and not in dead zone - start charging
-        if (!player.chargeStartTime) {
-            player.chargeStartTime = Date.now();
-            player.turnState = 'charging';
-        }
-    } else {
-        // Moved or in dead zone - reset charge
-        player.chargeStartTime = null;
-    }
-
-    player.lastTilt = player.tilt;
-}
-
-/**
- * CHARGING state: Track charge progress
- * Dead zone check - reset if player moves into dead zone
- */
-function ballzUpdateCharging(room, player) {
-    const elapsed = Date.now() - player.chargeStartTime;
-    player.chargeProgress = Math.min(1, elapsed / room.chargeTime);
-
-    // Dead zone check - if player is in dead zone, reset charge
-    const deadZone = room.deadZoneSize || 0.03;
-    player.isInDeadZone = (player.tilt < deadZone || player.tilt > (1 - deadZone));
-
-    // If in dead zone, reset charge and go back to aiming
-    if (player.isInDeadZone) {
-        player.turnState = 'aiming';
-        player.chargeStartTime = null;
-        player.chargeProgress = 0;
-        player.lastTilt = player.tilt;
-        return;
-    }
+// Apply the events recorded before the next tick, then run it; returns false when the recording has ended
+function stepPlayback(playback) {
+    const { recording, room } = playback;
+    if (playback.tick >= recording.frames.length) return false;
 
-    // Check for movement (with threshold to ignore micro-vibrations)
-    const tiltDelta = Math.abs(player.tilt - player.lastTilt);
-    if (tiltDelta >= room.aimSensitivity) {
-        // Moved too much - reset
-        player.turnState = 'aiming';
-        player.chargeStartTime = null;
-        player.chargeProgress = 0;
-        player.lastTilt = player.tilt;
-        return;
+    while (playback.eventIndex < recording.events.length &&
+           recording.events[playback.eventIndex].tick === playback.tick) {
+        const event = recording.events[playback.eventIndex++];
+        playback.time = recording.startTime + event.t;
+        applyRecordedEvent(room, event);
     }
 
-    // Full charge - switch to launching (client will handle the rest)
-    if (player.chargeProgress >= 1) {
-        player.turnState = 'launching';
-        player.launchStartTime = Date.now();
-        // Save ball count at turn start (before bonuses are collected)
-        player.ballsThisTurn = player.ballCount;
-        // Clear balls array - client will create them
-        player.balls = [];
-        player.ballsCreated = false;
-        player.firstBallReturned = false;
-    }
+    playback.frameTime += recording.frames[playback.tick];
+    playback.time = playback.frameTime;
+    updateRoom(room);
+    playback.tick++;
 
-    player.lastTilt = player.tilt;
+    return true;
 }
 
-/**
- * LAUNCHING state: Spawn balls sequentially with delay
- */
-function ballzUpdateLaunching(room, player) {
-    const now = Date.now();
-
-    // Create all balls upfront but mark them as "waiting"
-    if (!player.ballsCreated) {
-        const launchX = player.launchX !== null ? player.launchX : 0.5;
-        const speed = room.ballSpeed / 100;
-
-        for (let i = 0; i < player.ballsThisTurn; i++) {
-            player.balls.push({
-                x: launchX,
-                y: 0.95, // CRITICAL: Launch from visible line (95%), not bottom (1.0)!
-                vx: Math.cos(player.aimAngle) * speed,
-                vy: -Math.sin(player.aimAngle) * speed,
-                active: false, // Not active yet!
-                launchTime: player.launchStartTime + i * room.ballLaunchDelay, // Staggered launch
-                isFirst: i === 0
-            });
-        }
-        player.ballsCreated = true;
-    }
-
-    // Activate balls when their time comes
-    for (const ball of player.balls) {
-        if (!ball.active && now >= ball.launchTime) {
-            ball.active = true;
+// Stream a recording to a display: re-simulate at 60 FPS and broadcast at 30 FPS like a live room
+function startPlayback(ws, recordingId) {
+    loadRecording(recordingId, (error, recording) => {
+        if (error) {
+            console.error(`[PLAYBACK] Cannot load recording ${recordingId}:`, error.message);
+            sendError(ws, 'recording_not_found', 'Запись матча не найдена', { requestType: 'play_recording' });
+            return;
         }
-    }
 
-    // Check if all balls are launched
-    const allLaunched = player.balls.every(b => b.active);
-    if (allLaunched) {
-        player.turnState = 'balls_in_flight';
-        player.firstBallReturned = false;
-    }
-}
-
-/**
- * Update ball physics with relative coordinates
- */
-function ballzUpdatePhysics(room, player) {
-    const ballRadius = 0.01; // 1% of field width
-
-    for (const ball of player.balls) {
-        if (!ball.active) continue;
+        stopPlayback(ws);
 
-        ball.x += ball.vx;
-        ball.y += ball.vy;
-
-        // Wall bounces (left/right)
-        if (ball.x <= ballRadius || ball.x >= 1 - ballRadius) {
-            ball.vx = -ball.vx;
-            ball.x = Math.max(ballRadius, Math.min(1 - ballRadius, ball.x));
-        }
+        // Private room id: the display receives the playback room's broadcasts (state and effects)
+        const playback = createPlayback(recording, `REPLAY-${recording.roomId}-${Date.now()}`);
+        ws.roomId = playback.room.id;
+        ws.isDisplay = true;
 
-        // Top bounce
-        if (ball.y <= ballRadius) {
-            ball.vy = -ball.vy;
-            ball.y = ballRadius;
-        }
+        ws.send(JSON.stringify({
+            type: 'recording_started',
+            recordingId: recording.id,
+            roomId: playback.room.id,
+            gameType: recording.gameType,
+            gameState: serializeGameState(playback.room)
+        }));
 
-        // Bottom return (ball reaches launch line at 95%)
-        if (ball.y >= 0.95) {
-            ball.active = false;
-            ball.y = 0.95; // Stop exactly on launch line
+        console.log(`[PLAYBACK] Playing ${recording.id} (${recording.frames.length} ticks)`);
 
-            // First ball sets new launch position
-            if (ball.isFirst && !player.firstBallReturned) {
-                player.launchX = ball.x;
-                player.firstBallReturned = true;
+        let lastBroadcast = 0;
+        ws.playbackInterval = setInterval(() => {
+            if (!stepPlayback(playback)) {
+                stopPlayback(ws);
+                broadcastGameState(playback.room);
+                ws.send(JSON.stringify({
+                    type: 'recording_finished',
+                    recordingId: recording.id
+                }));
+                console.log(`[PLAYBACK] Finished ${recording.id}`);
+                return;
             }
-        }
-    }
-}
-
-/**
- * Check collisions between balls and blocks/bonuses
- */
-function ballzCheckCollisions(room, player) {
-    const ballRadius = 0.01;
-    const blockWidth = 1.0 / room.cols;
-    const blockHeight = 1.0 / room.rows;
-
-    for (const ball of player.balls) {
-        if (!ball.active) continue;
-
-        // Block collisions
-        for (let i = player.blocks.length - 1; i >= 0; i--) {
-            const block = player.blocks[i];
-            const blockCenterX = (block.gridX + 0.5) * blockWidth;
-            const blockCenterY = (block.gridY + 0.5) * blockHeight;
-
-            if (ballzCheckBallBlockCollision(ball, blockCenterX, blockCenterY, blockWidth, blockHeight, ballRadius)) {
-                block.hp--;
-
-                if (block.hp <= 0) {
-                    // Block destroyed - big particle burst
-                    player.blocks.splice(i, 1);
-                    player.score++;
-                    broadcastEffect(room.id, 'particle', {
-                        x: blockCenterX, y: blockCenterY,
-                        color: player.color,
-                        count: 12
-                    });
-                    broadcastEffect(room.id, 'flash', {
-                        color: player.color,
-                        intensity: 0.2
-                    });
-                } else {
-                    // Block hit - small particles
-                    broadcastEffect(room.id, 'particle', {
-                        x: blockCenterX, y: blockCenterY,
-                        color: '#FFFFFF',
-                        count: 4
-                    });
-                }
 
-                ballzReflectBall(ball, blockCenterX, blockCenterY, blockWidth, blockHeight);
-                break;
+            const now = Date.now();
+            if (now - lastBroadcast >= 33) {
+                lastBroadcast = now;
+                broadcastGameState(playback.room);
             }
-        }
+        }, TICK_MS);
+    });
+}
 
-        // Bonus ball pickups
-        for (let i = player.bonusBalls.length - 1; i >= 0; i--) {
-            const bonus = player.bonusBalls[i];
-            const bonusCenterX = (bonus.gridX + 0.5) * blockWidth;
-            const bonusCenterY = (bonus.gridY + 0.5) * blockHeight;
-
-            const dist = Math.hypot(ball.x - bonusCenterX, ball.y - bonusCenterY);
-            if (dist < ballRadius + 0.02) {
-                player.bonusBalls.splice(i, 1);
-                player.ballCount++;
-                // Golden particle effect
-                broadcastEffect(room.id, 'particle', {
-                    x: bonusCenterX, y: bonusCenterY,
-                    color: '#FFD700',
-                    count: 8
-                });
-            }
-        }
+function stopPlayback(ws) {
+    if (ws.playbackInterval) {
+        clearInterval(ws.playbackInterval);
+        ws.playbackInterval = null;
     }
 }
 
-/**
- * AABB collision detection (relative coordinates)
- */
-function ballzCheckBallBlockCollision(ball, blockCenterX, blockCenterY, blockWidth, blockHeight, ballRadius) {
-    const halfWidth = blockWidth / 2;
-    const halfHeight = blockHeight / 2;
+// Update game state (60 FPS per room)
+function gameLoop(roomId) {
+    const room = rooms.get(roomId);
+    if (!room) return;
 
-    const closestX = Math.max(blockCenterX - halfWidth, Math.min(ball.x, blockCenterX + halfWidth));
-    const closestY = Math.max(blockCenterY - halfHeight, Math.min(ball.y, blockCenterY + halfHeight));
+    syncClock();
+    const tickStart = process.hrtime.bigint();
+    const wasGameOver = room.gameOver;
+    updateRoom(room);
 
-    const distX = ball.x - closestX;
-    const distY = ball.y - closestY;
-    const distSquared = distX * distX + distY * distY;
+    // Match ended: update player profiles and save the recording (rewritten if the room restarts and finishes again)
+    if (room.gameOver && !wasGameOver) {
+        recordMatchResult(room, player => getMatchResult(room, player));
+        saveRecording(room);
+    }
 
-    return distSquared < (ballRadius * ballRadius);
-}
+    // Throttle broadcasts to 30 FPS (every 33ms) to reduce network load
+    // EXCEPT during Ballz ball launching - send immediately to show sequential launch
+    const now = Date.now();
+    const game = getGame(room.gameType);
+    const skipThrottle = game.skipBroadcastThrottle && game.skipBroadcastThrottle(room);
+    const throttleDelay = skipThrottle ? 0 : 33; // No throttle during ball launch
 
-/**
- * Reflect ball off block (simplified physics)
- */
-function ballzReflectBall(ball, blockCenterX, blockCenterY, blockWidth, blockHeight) {
-    const dx = ball.x - blockCenterX;
-    const dy = ball.y - blockCenterY;
-    const halfWidth = blockWidth / 2;
-    const halfHeight = blockHeight / 2;
-
-    const overlapX = halfWidth - Math.abs(dx);
-    const overlapY = halfHeight - Math.abs(dy);
-
-    if (overlapX < overlapY) {
-        ball.vx = -ball.vx;
-    } else {
-        ball.vy = -ball.vy;
-    }
-}
+    if (!room.lastBroadcast || now - room.lastBroadcast >= throttleDelay) {
+        room.lastBroadcast = now;
 
-/**
- * Check if turn is complete (all balls returned)
- */
-function ballzCheckTurnComplete(room, player) {
-    const allInactive = player.balls.every(b => !b.active);
-    if (allInactive && player.balls.length === player.ballsThisTurn) {
-        player.turnState = 'turn_complete';
+        // Broadcast game state to all clients in this room
+        broadcastGameState(room);
     }
-}
 
-/**
- * Advance to next turn: descend blocks, spawn new, check game over
- */
-function ballzAdvanceTurn(room, player) {
-    // Descend blocks
-    for (const block of player.blocks) {
-        block.gridY++;
-    }
+    recordTickCost(room, Number(process.hrtime.bigint() - tickStart) / 1e6);
+}
 
-    // Descend bonuses
-    for (const bonus of player.bonusBalls) {
-        bonus.gridY++;
-    }
+// Simulation + broadcast time of one tick (average over roughly the last second)
+function recordTickCost(room, ms) {
+    const stats = room.tickStats;
+    stats.lastMs = ms;
+    stats.avgMs = stats.avgMs === 0 ? ms : stats.avgMs * 0.95 + ms * 0.05;
+    stats.maxMs = Math.max(stats.maxMs, ms);
+}
 
-    // Check game over (block reached bottom row)
-    const bottomRow = room.rows - 1;
-    for (const block of player.blocks) {
-        if (block.gridY >= bottomRow) {
-            player.gameOver = true;
-            player.alive = false;
-            room.gameOver = true;
-            room.winner = {
-                id: player.id,
-                name: player.name,
-                score: player.score,
-                turnNumber: player.turnNumber
-            };
-            return;
-        }
-    }
+// ============================================================================
+// ADMIN ACTIONS - used by the admin API (admin.js)
+// ============================================================================
 
-    // Spawn new blocks
-    ballzSpawnBlocks(player, room);
+// Remove a player for good: no reconnect grace period, the controller is told why
+function kickPlayer(room, player) {
+    disconnectedPlayers.delete(player.sessionToken);
 
-    // Maybe spawn bonus ball
-    if (Math.random() * 100 < room.bonusBallSpawnRate) {
-        ballzSpawnBonusBall(player, room);
+    if (player.ws) {
+        sendError(player.ws, 'kicked', 'Администратор удалил вас из комнаты');
+        // Detach before closing so the close handler does not keep the player for reconnection
+        player.ws.playerId = null;
+        player.ws.roomId = null;
+        player.ws.close();
+        player.ws = null;
     }
 
-    // Reset for next turn
-    player.turnNumber++;
-    player.balls = [];
-    player.ballsCreated = false; // CRITICAL: Reset for next launch
-    player.chargeStartTime = null;
-    player.chargeProgress = 0;
-    player.lastTilt = null;
-    player.turnState = 'aiming';
+    recordEvent(room, 'leave', player.id);
+    stopPlayTime(room, player);
+    getGame(room.gameType).removePlayer(room, player);
+    room.players.delete(player.id);
+    recordEvent(room, 'remove', player.id);
+    broadcastGameState(room);
+    notifySpectators(room);
 }
 
-/**
- * Spawn bonus ball in random empty cell
- */
-function ballzSpawnBonusBall(player, room) {
-    const emptyCells = [];
-
-    for (let y = 1; y < room.rows - 2; y++) {
-        for (let x = 0; x < room.cols; x++) {
-            const hasBlock = player.blocks.some(b => b.gridX === x && b.gridY === y);
-            const hasBonus = player.bonusBalls.some(b => b.gridX === x && b.gridY === y);
-            if (!hasBlock && !hasBonus) {
-                emptyCells.push({ x, y });
-            }
-        }
-    }
+// Stop the current game; clients show the end screen with the usual replay and game change buttons
+function endGame(room) {
+    if (room.gameOver) return false;
 
-    if (emptyCells.length > 0) {
-        const cell = emptyCells[Math.floor(Math.random() * emptyCells.length)];
-        player.bonusBalls.push({
-            gridX: cell.x,
-            gridY: cell.y
-        });
-    }
+    room.gameOver = true;
+    room.winner = { id: null, name: 'Игра остановлена', score: 0, endedByAdmin: true };
+    saveRecording(room);
+    broadcastGameState(room);
+    return true;
 }
 
-/**
- * Simulate full trajectory with bounces for display
- * Returns array of line segments: [{x1, y1, x2, y2}, ...]
- */
-function ballzSimulateTrajectory(launchX, angle, cols, rows, maxSegments = 5, ballSpeed = 1) {
-    const segments = [];
-    const ballRadius = 0.01;
-    const blockWidth = 1.0 / cols;
-    const blockHeight = 1.0 / rows;
-
-    let x = launchX;
-    let y = 0.95; // CRITICAL: Match actual ball launch position!
-    const speed = ballSpeed / 100; // CRITICAL: Match actual ball speed!
-    let vx = Math.cos(angle) * speed;
-    let vy = -Math.sin(angle) * speed;
-
-    let segmentCount = 0;
-    let segmentStartX = x;
-    let segmentStartY = y;
-    const maxSteps = 1000; // Prevent infinite loops
-
-    for (let step = 0; step < maxSteps && segmentCount < maxSegments; step++) {
-        x += vx;
-        y += vy;
-
-        let bounced = false;
-
-        // Wall bounces
-        if (x <= ballRadius || x >= 1 - ballRadius) {
-            vx = -vx;
-            x = Math.max(ballRadius, Math.min(1 - ballRadius, x));
-            bounced = true;
-        }
-
-        // Top bounce
-        if (y <= ballRadius) {
-            vy = -vy;
-            y = ballRadius;
-            bounced = true;
-        }
+// Close a room: displays go back to settings, controllers are disconnected, pending reconnections dropped
+function destroyRoom(room) {
+    wss.clients.forEach(client => {
+        if (client.roomId !== room.id) return;
 
-        // Bottom return
-        if (y >= 1.0) {
-            segments.push({
-                x1: segmentStartX,
-                y1: segmentStartY,
-                x2: x,
-                y2: 1.0
-            });
-            break;
+        sendError(client, 'room_closed', 'Комната закрыта администратором');
+        client.roomId = null;
+        client.playerId = null;
+        if (!client.isDisplay) {
+            client.close();
         }
+    });
 
-        // If bounced, save segment and start new one
-        if (bounced) {
-            segments.push({
-                x1: segmentStartX,
-                y1: segmentStartY,
-                x2: x,
-                y2: y
-            });
-            segmentStartX = x;
-            segmentStartY = y;
-            segmentCount++;
+    for (const [token, entry] of disconnectedPlayers.entries()) {
+        if (entry.roomId === room.id) {
+            disconnectedPlayers.delete(token);
         }
     }
 
-    // Add final segment if not bounced
-    if (segmentCount < maxSegments && y < 1.0) {
-        const finalLength = 0.15; // 15% of field
-        const endX = x + vx * finalLength / Math.abs(vy);
-        const endY = y + vy * finalLength / Math.abs(vy);
-
-        segments.push({
-            x1: segmentStartX,
-            y1: segmentStartY,
-            x2: endX,
-            y2: Math.max(0, endY)
-        });
-    }
+    room.players.forEach(player => stopPlayTime(room, player));
+    clearInterval(room.gameLoopInterval);
+    saveRecording(room);
+    rooms.delete(room.id);
+}
 
-    return segments;
+// Start server (only when run directly - simulation.js requires this module headless)
+if (require.main === module) {
+    loadProfiles();
+
+    // Start cleanup interval (runs every 10 seconds)
+    setInterval(cleanupExpiredDisconnections, 10000);
+
+    server.listen(PORT, () => {
+        console.log(`Kinemon Games server running on http://localhost:${PORT}`);
+        console.log('Room-based multiplayer enabled');
+    });
 }
 
-// Start server
-server.listen(PORT, () => {
-    console.log(`Kinemon Games server running on http://localhost:${PORT}`);
-    console.log('Room-based multiplayer enabled');
-});
+module.exports = {
+    TICK_MS,
+    createRoom,
+    addPlayerToRoom,
+    applyPlayerInput,
+    updateRoom,
+    serializeGameState,
+    createPlayback,
+    stepPlayback
+};
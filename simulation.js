@@ -0,0 +1,123 @@
+/**
+ * Kinemon Games - Headless Simulation Harness
+ * Runs a room without sockets or timers: the room is stepped tick-by-tick
+ * on a manual clock with scripted tilt inputs.
+ *
+ * Usage:
+ *   const { createSimulation } = require('./simulation');
+ *   const sim = createSimulation('snake', { winScore: 5 });
+ *   const alice = sim.addPlayer('Alice', { controlScheme: 'arrow_instant' });
+ *   const state = sim.step({ [alice.id]: 0.25 });   // serialized state after one tick
+ *   const states = sim.run(120, (tick) => ({ [alice.id]: tick / 120 }));
+ *
+ * Recorded matches (recording.js) can be re-simulated with replayRecording(recording, onTick).
+ */
+
+const {
+    TICK_MS,
+    createRoom,
+    addPlayerToRoom,
+    applyPlayerInput,
+    updateRoom,
+    serializeGameState,
+    createPlayback,
+    stepPlayback
+} = require('./server');
+
+// Manual clock - time only moves when advance() is called
+function createManualClock(startTime = 0) {
+    let time = startTime;
+    return {
+        now: () => time,
+        advance: (ms) => {
+            time += ms;
+        }
+    };
+}
+
+/**
+ * Create a headless room that is advanced manually
+ * @param {string} gameType - 'snake' | 'pong' | 'pushers' | 'ship' | 'ballz'
+ * @param {Object} settings - Same settings object the display sends in create_room
+ * @param {Object} options - { clock: { now, advance }, startTime, roomId, tickMs, seed }
+ * @returns {Object} Simulation handle ({ room, clock, addPlayer, setTilt, step, run, getState })
+ */
+function createSimulation(gameType, settings = {}, options = {}) {
+    const clock = options.clock || createManualClock(options.startTime || 0);
+    const tickMs = options.tickMs || TICK_MS;
+    const room = createRoom(options.roomId || 'SIMULATION', gameType, settings, { clock, headless: true, seed: options.seed });
+    let tick = 0;
+
+    // Join a scripted player (data mirrors the 'join' message: { team, controlScheme })
+    function addPlayer(name, data = {}) {
+        return addPlayerToRoom(room, { ...data, name }, null);
+    }
+
+    function setTilt(playerId, tilt) {
+        const player = room.players.get(playerId);
+        if (!player) {
+            throw new Error(`Unknown player ${playerId} in simulation`);
+        }
+        applyPlayerInput(room, player, tilt);
+    }
+
+    // Apply inputs ({ playerId: tilt }), advance the clock one tick and update the room
+    function step(inputs = {}) {
+        for (const [playerId, tilt] of Object.entries(inputs)) {
+            setTilt(playerId, tilt);
+        }
+
+        clock.advance(tickMs);
+        updateRoom(room);
+        tick++;
+
+        return serializeGameState(room);
+    }
+
+    // Step N ticks; script is an inputs object or (tick, room) => inputs
+    function run(ticks, script = {}) {
+        const states = [];
+        for (let i = 0; i < ticks; i++) {
+            const inputs = typeof script === 'function' ? script(tick, room) : script;
+            states.push(step(inputs || {}));
+        }
+        return states;
+    }
+
+    return {
+        room,
+        clock,
+        get tick() {
+            return tick;
+        },
+        addPlayer,
+        setTilt,
+        step,
+        run,
+        getState: () => serializeGameState(room)
+    };
+}
+
+/**
+ * Re-simulate a recorded match tick by tick
+ * @param {Object} recording - Parsed replay file (see recording.js)
+ * @param {Function} onTick - Optional (state, tick) callback after every tick
+ * @returns {Object} The headless room in its final state
+ */
+function replayRecording(recording, onTick) {
+    const playback = createPlayback(recording);
+
+    while (stepPlayback(playback)) {
+        if (onTick) {
+            onTick(serializeGameState(playback.room), playback.tick);
+        }
+    }
+
+    return playback.room;
+}
+
+module.exports = {
+    createManualClock,
+    createSimulation,
+    replayRecording
+};
@@ -0,0 +1,591 @@
+/**
+ * Kinemon Games - Binary State Codec
+ * Compact binary encoding of game state snapshots with delta compression.
+ * Shared by the server (require('./stateCodec')) and the pages (<script src="stateCodec.js">, window.StateCodec).
+ *
+ * A snapshot is the JSON form of serializeGameState(room). A keyframe carries the whole
+ * snapshot; a delta carries only what changed since a baseline snapshot the client
+ * acknowledged with state_ack, so the client keeps recent snapshots until they are no
+ * longer used as a baseline.
+ *
+ * Message layout:
+ *   u8 codec version, u8 kind (0 keyframe, 1 delta), varint snapshot id, varint baseline id (delta only),
+ *   string table (varint count, then varint UTF-8 length + bytes per string), value (keyframe) or patch (delta)
+ *
+ * Values: null, false, true, unsigned/negative varint integers, float64, strings (string table
+ * index), arrays, objects. A patch is either a value (replace) or one of:
+ *   OBJECT_PATCH   - changed keys with their patches, removed keys
+ *   ENTITY_PATCH   - arrays of objects with unique ids (pizzas, asteroids): removed ids, patches by id, appended items
+ *   SHIFT_PATCH    - new items in front of a prefix of the old array (snake segments moving)
+ *   ELEMENT_PATCH  - new length and patches by index
+ */
+
+(function (root) {
+    const CODEC_VERSION = 1;
+
+    const KIND_KEYFRAME = 0;
+    const KIND_DELTA = 1;
+
+    // Value tags
+    const TAG_NULL = 0;
+    const TAG_FALSE = 1;
+    const TAG_TRUE = 2;
+    const TAG_UINT = 3;
+    const TAG_NEGINT = 4;
+    const TAG_FLOAT = 5;
+    const TAG_STRING = 6;
+    const TAG_ARRAY = 7;
+    const TAG_OBJECT = 8;
+
+    // Patch tags (anything below is a replacement value)
+    const TAG_OBJECT_PATCH = 9;
+    const TAG_ENTITY_PATCH = 10;
+    const TAG_SHIFT_PATCH = 11;
+    const TAG_ELEMENT_PATCH = 12;
+
+    const MAX_SHIFT = 4; // Snakes grow by at most a few segments per tick
+    const MAX_RECEIVED_SNAPSHOTS = 64;
+
+    const hasOwn = Object.prototype.hasOwnProperty;
+    const textEncoder = new TextEncoder();
+    const textDecoder = new TextDecoder();
+    const floatView = new DataView(new ArrayBuffer(8));
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function deepEqual(a, b) {
+        if (a === b) return true;
+        if (Array.isArray(a)) {
+            if (!Array.isArray(b) || a.length !== b.length) return false;
+            for (let i = 0; i < a.length; i++) {
+                if (!deepEqual(a[i], b[i])) return false;
+            }
+            return true;
+        }
+        if (isPlainObject(a) && isPlainObject(b)) {
+            const keys = Object.keys(a);
+            if (keys.length !== Object.keys(b).length) return false;
+            for (const key of keys) {
+                if (!hasOwn.call(b, key) || !deepEqual(a[key], b[key])) return false;
+            }
+            return true;
+        }
+        return false;
+    }
+
+    // ========================================================================
+    // DIFF (server side) - patch trees, undefined when nothing changed
+    // ========================================================================
+
+    function diffValue(prev, next) {
+        if (prev === next) return undefined;
+        if (isPlainObject(prev) && isPlainObject(next)) return diffObject(prev, next);
+        if (Array.isArray(prev) && Array.isArray(next)) return diffArray(prev, next);
+        return { tag: null, value: next };
+    }
+
+    function diffObject(prev, next) {
+        const set = [];
+        const removed = [];
+
+        for (const key of Object.keys(next)) {
+            const patch = diffValue(hasOwn.call(prev, key) ? prev[key] : undefined, next[key]);
+            if (patch) set.push([key, patch]);
+        }
+        for (const key of Object.keys(prev)) {
+            if (!hasOwn.call(next, key)) removed.push(key);
+        }
+
+        if (set.length === 0 && removed.length === 0) return undefined;
+        return { tag: TAG_OBJECT_PATCH, set: set, removed: removed };
+    }
+
+    function isEntityArray(array) {
+        const ids = new Set();
+        for (const item of array) {
+            if (!isPlainObject(item) || (typeof item.id !== 'string' && typeof item.id !== 'number') || ids.has(item.id)) {
+                return false;
+            }
+            ids.add(item.id);
+        }
+        return true;
+    }
+
+    function diffArray(prev, next) {
+        if (prev.length > 0 && next.length > 0 && isEntityArray(prev) && isEntityArray(next)) {
+            const patch = diffEntities(prev, next);
+            if (patch !== false) return patch;
+        }
+
+        // Items added in front, old items kept in order (snake: new head, tail dropped)
+        for (let count = 0; count <= MAX_SHIFT && count < next.length; count++) {
+            const keep = next.length - count;
+            if (keep > prev.length) continue;
+
+            let shifted = true;
+            for (let i = 0; i < keep; i++) {
+                if (!deepEqual(next[count + i], prev[i])) {
+                    shifted = false;
+                    break;
+                }
+            }
+            if (shifted) {
+                if (count === 0 && keep === prev.length) return undefined;
+                return { tag: TAG_SHIFT_PATCH, head: next.slice(0, count), keep: keep };
+            }
+        }
+
+        const set = [];
+        for (let i = 0; i < next.length; i++) {
+            const patch = diffValue(prev[i], next[i]);
+            if (patch) set.push([i, patch]);
+        }
+
+        if (set.length === 0 && next.length === prev.length) return undefined;
+        return { tag: TAG_ELEMENT_PATCH, length: next.length, set: set };
+    }
+
+    // Removed ids, patched survivors, appended newcomers - false when the survivors were reordered
+    function diffEntities(prev, next) {
+        const nextIds = new Set(next.map(item => item.id));
+        const survivors = prev.filter(item => nextIds.has(item.id));
+        const removed = prev.filter(item => !nextIds.has(item.id)).map(item => item.id);
+
+        for (let i = 0; i < survivors.length; i++) {
+            if (next[i].id !== survivors[i].id) return false;
+        }
+
+        const set = [];
+        survivors.forEach((item, i) => {
+            const patch = diffValue(item, next[i]);
+            if (patch) set.push([item.id, patch]);
+        });
+        const added = next.slice(survivors.length);
+
+        if (removed.length === 0 && set.length === 0 && added.length === 0) return undefined;
+        return { tag: TAG_ENTITY_PATCH, removed: removed, set: set, added: added };
+    }
+
+    // ========================================================================
+    // ENCODING
+    // ========================================================================
+
+    function createWriter() {
+        return { bytes: new Uint8Array(4096), length: 0 };
+    }
+
+    function reserve(writer, size) {
+        if (writer.length + size <= writer.bytes.length) return;
+
+        let capacity = writer.bytes.length * 2;
+        while (capacity < writer.length + size) capacity *= 2;
+        const bytes = new Uint8Array(capacity);
+        bytes.set(writer.bytes.subarray(0, writer.length));
+        writer.bytes = bytes;
+    }
+
+    function writeByte(writer, byte) {
+        reserve(writer, 1);
+        writer.bytes[writer.length++] = byte;
+    }
+
+    // Unsigned LEB128 up to 2^53 (arithmetic instead of bit ops, which are 32-bit)
+    function writeVarint(writer, value) {
+        while (value >= 128) {
+            writeByte(writer, (value % 128) + 128);
+            value = Math.floor(value / 128);
+        }
+        writeByte(writer, value);
+    }
+
+    function writeBytes(writer, bytes) {
+        reserve(writer, bytes.length);
+        writer.bytes.set(bytes, writer.length);
+        writer.length += bytes.length;
+    }
+
+    function writeFloat(writer, value) {
+        floatView.setFloat64(0, value, true);
+        for (let i = 0; i < 8; i++) {
+            writeByte(writer, floatView.getUint8(i));
+        }
+    }
+
+    // Strings go to the message's string table; the body references them by index
+    function writeString(context, string) {
+        let index = context.stringIndex.get(string);
+        if (index === undefined) {
+            index = context.strings.length;
+            context.strings.push(string);
+            context.stringIndex.set(string, index);
+        }
+        writeVarint(context.body, index);
+    }
+
+    function writeValue(context, value) {
+        const body = context.body;
+
+        if (value === null || value === undefined) {
+            writeByte(body, TAG_NULL);
+        } else if (value === false) {
+            writeByte(body, TAG_FALSE);
+        } else if (value === true) {
+            writeByte(body, TAG_TRUE);
+        } else if (typeof value === 'number') {
+            if (Number.isSafeInteger(value)) {
+                writeByte(body, value >= 0 ? TAG_UINT : TAG_NEGINT);
+                writeVarint(body, Math.abs(value));
+            } else {
+                writeByte(body, TAG_FLOAT);
+                writeFloat(body, value);
+            }
+        } else if (typeof value === 'string') {
+            writeByte(body, TAG_STRING);
+            writeString(context, value);
+        } else if (Array.isArray(value)) {
+            writeByte(body, TAG_ARRAY);
+            writeVarint(body, value.length);
+            value.forEach(item => writeValue(context, item));
+        } else {
+            const keys = Object.keys(value).filter(key => value[key] !== undefined);
+            writeByte(body, TAG_OBJECT);
+            writeVarint(body, keys.length);
+            keys.forEach(key => {
+                writeString(context, key);
+                writeValue(context, value[key]);
+            });
+        }
+    }
+
+    function writePatch(context, patch) {
+        const body = context.body;
+
+        switch (patch.tag) {
+            case TAG_OBJECT_PATCH:
+                writeByte(body, TAG_OBJECT_PATCH);
+                writeVarint(body, patch.set.length);
+                patch.set.forEach(([key, child]) => {
+                    writeString(context, key);
+                    writePatch(context, child);
+                });
+                writeVarint(body, patch.removed.length);
+                patch.removed.forEach(key => writeString(context, key));
+                break;
+
+            case TAG_ENTITY_PATCH:
+                writeByte(body, TAG_ENTITY_PATCH);
+                writeVarint(body, patch.removed.length);
+                patch.removed.forEach(id => writeValue(context, id));
+                writeVarint(body, patch.set.length);
+                patch.set.forEach(([id, child]) => {
+                    writeValue(context, id);
+                    writePatch(context, child);
+                });
+                writeVarint(body, patch.added.length);
+                patch.added.forEach(item => writeValue(context, item));
+                break;
+
+            case TAG_SHIFT_PATCH:
+                writeByte(body, TAG_SHIFT_PATCH);
+                writeVarint(body, patch.head.length);
+                patch.head.forEach(item => writeValue(context, item));
+                writeVarint(body, patch.keep);
+                break;
+
+            case TAG_ELEMENT_PATCH:
+                writeByte(body, TAG_ELEMENT_PATCH);
+                writeVarint(body, patch.length);
+                writeVarint(body, patch.set.length);
+                patch.set.forEach(([index, child]) => {
+                    writeVarint(body, index);
+                    writePatch(context, child);
+                });
+                break;
+
+            default:
+                writeValue(context, patch.value);
+        }
+    }
+
+    /**
+     * Encode a snapshot as a keyframe, or as a delta when a baseline is given
+     * @param {Object} state - snapshot (plain JSON data)
+     * @param {number} snapshotId - id the client acknowledges with state_ack
+     * @param {Object|null} baseline - snapshot the client already has
+     * @param {number} baselineId
+     * @returns {Uint8Array}
+     */
+    function encodeState(state, snapshotId, baseline = null, baselineId = 0) {
+        const context = { body: createWriter(), strings: [], stringIndex: new Map() };
+
+        if (baseline) {
+            const patch = diffValue(baseline, state);
+            if (patch) {
+                writePatch(context, patch);
+            } else {
+                writeByte(context.body, TAG_OBJECT_PATCH); // Nothing changed
+                writeVarint(context.body, 0);
+                writeVarint(context.body, 0);
+            }
+        } else {
+            writeValue(context, state);
+        }
+
+        const message = createWriter();
+        writeByte(message, CODEC_VERSION);
+        writeByte(message, baseline ? KIND_DELTA : KIND_KEYFRAME);
+        writeVarint(message, snapshotId);
+        if (baseline) {
+            writeVarint(message, baselineId);
+        }
+        writeVarint(message, context.strings.length);
+        context.strings.forEach(string => {
+            const bytes = textEncoder.encode(string);
+            writeVarint(message, bytes.length);
+            writeBytes(message, bytes);
+        });
+        writeBytes(message, context.body.bytes.subarray(0, context.body.length));
+
+        return message.bytes.slice(0, message.length);
+    }
+
+    // ========================================================================
+    // DECODING (client side) - patches produce new objects, baselines are never mutated
+    // ========================================================================
+
+    function readByte(reader) {
+        if (reader.offset >= reader.bytes.length) {
+            throw new Error('State message truncated');
+        }
+        return reader.bytes[reader.offset++];
+    }
+
+    function readVarint(reader) {
+        let value = 0;
+        let scale = 1;
+        let byte;
+        do {
+            byte = readByte(reader);
+            value += (byte % 128) * scale;
+            scale *= 128;
+        } while (byte >= 128);
+        return value;
+    }
+
+    function readFloat(reader) {
+        for (let i = 0; i < 8; i++) {
+            floatView.setUint8(i, readByte(reader));
+        }
+        return floatView.getFloat64(0, true);
+    }
+
+    function readString(reader) {
+        const string = reader.strings[readVarint(reader)];
+        if (string === undefined) {
+            throw new Error('State message references a missing string');
+        }
+        return string;
+    }
+
+    function readValueWithTag(reader, tag) {
+        switch (tag) {
+            case TAG_NULL: return null;
+            case TAG_FALSE: return false;
+            case TAG_TRUE: return true;
+            case TAG_UINT: return readVarint(reader);
+            case TAG_NEGINT: return -readVarint(reader);
+            case TAG_FLOAT: return readFloat(reader);
+            case TAG_STRING: return readString(reader);
+            case TAG_ARRAY: {
+                const length = readVarint(reader);
+                const array = new Array(length);
+                for (let i = 0; i < length; i++) {
+                    array[i] = readValue(reader);
+                }
+                return array;
+            }
+            case TAG_OBJECT: {
+                const count = readVarint(reader);
+                const object = {};
+                for (let i = 0; i < count; i++) {
+                    const key = readString(reader);
+                    object[key] = readValue(reader);
+                }
+                return object;
+            }
+            default:
+                throw new Error(`Unknown state value tag ${tag}`);
+        }
+    }
+
+    function readValue(reader) {
+        return readValueWithTag(reader, readByte(reader));
+    }
+
+    function readPatch(reader, prev) {
+        const tag = readByte(reader);
+
+        switch (tag) {
+            case TAG_OBJECT_PATCH: {
+                const object = Object.assign({}, prev);
+                const setCount = readVarint(reader);
+                for (let i = 0; i < setCount; i++) {
+                    const key = readString(reader);
+                    object[key] = readPatch(reader, hasOwn.call(object, key) ? object[key] : undefined);
+                }
+                const removedCount = readVarint(reader);
+                for (let i = 0; i < removedCount; i++) {
+                    delete object[readString(reader)];
+                }
+                return object;
+            }
+
+            case TAG_ENTITY_PATCH: {
+                const removed = new Set();
+                const removedCount = readVarint(reader);
+                for (let i = 0; i < removedCount; i++) {
+                    removed.add(readValue(reader));
+                }
+
+                const array = (prev || []).filter(item => !removed.has(item.id));
+                const indexById = new Map(array.map((item, index) => [item.id, index]));
+
+                const setCount = readVarint(reader);
+                for (let i = 0; i < setCount; i++) {
+                    const index = indexById.get(readValue(reader));
+                    if (index === undefined) {
+                        throw new Error('State patch references a missing entity');
+                    }
+                    array[index] = readPatch(reader, array[index]);
+                }
+
+                const addedCount = readVarint(reader);
+                for (let i = 0; i < addedCount; i++) {
+                    array.push(readValue(reader));
+                }
+                return array;
+            }
+
+            case TAG_SHIFT_PATCH: {
+                const headCount = readVarint(reader);
+                const head = [];
+                for (let i = 0; i < headCount; i++) {
+                    head.push(readValue(reader));
+                }
+                return head.concat((prev || []).slice(0, readVarint(reader)));
+            }
+
+            case TAG_ELEMENT_PATCH: {
+                const length = readVarint(reader);
+                const array = (prev || []).slice(0, length);
+                array.length = length;
+                const setCount = readVarint(reader);
+                for (let i = 0; i < setCount; i++) {
+                    const index = readVarint(reader);
+                    array[index] = readPatch(reader, array[index]);
+                }
+                return array;
+            }
+
+            default:
+                return readValueWithTag(reader, tag);
+        }
+    }
+
+    /**
+     * Decode a state message
+     * @param {Uint8Array} bytes
+     * @param {Function} getBaseline - (baselineId) => snapshot, or undefined when it is not kept
+     * @returns {Object|null} { snapshotId, baselineId, keyframe, state }, null when the baseline is missing
+     */
+    function decodeState(bytes, getBaseline) {
+        const reader = { bytes: bytes, offset: 0, strings: [] };
+
+        const version = readByte(reader);
+        if (version !== CODEC_VERSION) {
+            throw new Error(`Unsupported state codec version ${version}`);
+        }
+
+        const keyframe = readByte(reader) === KIND_KEYFRAME;
+        const snapshotId = readVarint(reader);
+        const baselineId = keyframe ? 0 : readVarint(reader);
+
+        const stringCount = readVarint(reader);
+        for (let i = 0; i < stringCount; i++) {
+            const length = readVarint(reader);
+            if (reader.offset + length > bytes.length) {
+                throw new Error('State message truncated');
+            }
+            reader.strings.push(textDecoder.decode(bytes.subarray(reader.offset, reader.offset + length)));
+            reader.offset += length;
+        }
+
+        let state;
+        if (keyframe) {
+            state = readValue(reader);
+        } else {
+            const baseline = getBaseline(baselineId);
+            if (baseline === undefined) return null;
+            state = readPatch(reader, baseline);
+        }
+
+        return { snapshotId: snapshotId, baselineId: baselineId, keyframe: keyframe, state: state };
+    }
+
+    function copyValue(value) {
+        if (Array.isArray(value)) return value.map(copyValue);
+        if (isPlainObject(value)) {
+            const copy = {};
+            for (const key of Object.keys(value)) {
+                copy[key] = copyValue(value[key]);
+            }
+            return copy;
+        }
+        return value;
+    }
+
+    // Client-side snapshot history: baselines for upcoming deltas
+    function createStateReceiver() {
+        return { snapshots: new Map() };
+    }
+
+    /**
+     * Decode a state message against the receiver's snapshots and remember the result
+     * @returns {Object|null} { snapshotId, state } - state is a private copy the page may mutate;
+     *                        null when the baseline is gone (request a keyframe with state_ack snapshotId 0)
+     */
+    function receiveState(receiver, bytes) {
+        const result = decodeState(bytes, baselineId => receiver.snapshots.get(baselineId));
+        if (!result) return null;
+
+        // The server only moves baselines forward: snapshots older than this baseline are no longer needed.
+        // A keyframe prunes nothing - an ack sent before it may still arrive and become the next baseline.
+        if (!result.keyframe) {
+            for (const id of receiver.snapshots.keys()) {
+                if (id < result.baselineId) receiver.snapshots.delete(id);
+            }
+        }
+        receiver.snapshots.set(result.snapshotId, result.state);
+        if (receiver.snapshots.size > MAX_RECEIVED_SNAPSHOTS) {
+            receiver.snapshots.delete(receiver.snapshots.keys().next().value);
+        }
+
+        return { snapshotId: result.snapshotId, state: copyValue(result.state) };
+    }
+
+    const StateCodec = {
+        CODEC_VERSION,
+        encodeState,
+        decodeState,
+        createStateReceiver,
+        receiveState
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = StateCodec;
+    } else {
+        root.StateCodec = StateCodec;
+    }
+})(this);